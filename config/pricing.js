@@ -67,6 +67,82 @@ const SERVICE_PRICING = {
   }
 };
 
+// Measurement-based pricing (optional, per service)
+// When a quote gives the measurement (answers.measurements, e.g. { driveway: 45 }),
+// the service is priced from it instead of the size bands above.
+// rate: [min, max] £ per unit; minimum: [min, max] charge for the service
+// tiers: graduated — units from `from` upwards are charged at that tier's rate
+const MEASURED_PRICING = {
+  driveway: {
+    enabled: true,
+    unit: 'm2',                                 // Square metres of driveway/patio
+    rate: [4, 6.5],
+    minimum: [100, 150],
+    tiers: [
+      { from: 60, rate: [3.5, 5.5] },           // 60 m² and over
+      { from: 150, rate: [3, 4.5] }             // 150 m² and over
+    ]
+  },
+
+  render: {
+    enabled: true,
+    unit: 'm2',                                 // Square metres of rendered wall
+    rate: [5, 8.5],
+    minimum: [250, 400],
+    tiers: [
+      { from: 120, rate: [4.5, 7.5] }
+    ]
+  },
+
+  gutter: {
+    enabled: true,
+    unit: 'metres',                             // Linear metres of guttering
+    rate: [3.5, 5],
+    minimum: [80, 120],
+    tiers: []
+  },
+
+  window: {
+    enabled: true,
+    unit: 'windows',                            // Number of windows
+    rate: [6, 10],
+    minimum: [60, 100],
+    tiers: [
+      { from: 25, rate: [5, 8] }
+    ]
+  },
+
+  solar: {
+    enabled: true,
+    unit: 'panels',                             // Number of panels
+    rate: [10, 16],
+    minimum: [100, 150],
+    tiers: [
+      { from: 20, rate: [8, 13] }
+    ]
+  }
+};
+
+// Price limits
+// Sanity limits on estimates and fixed prices. Anything clamped to a limit,
+// and any fixed price over maxAutoApprovePrice, goes to admin approval.
+const PRICE_LIMITS = {
+  minimumJobValue: 80,          // Minimum call-out charge for a whole job (£)
+  maxAutoApprovePrice: 1500,    // Fixed prices above this are never sent automatically (£)
+
+  // Per-service floor/ceiling on each service's price (£); null = no limit
+  serviceLimits: {
+    roof: { floor: 150, ceiling: 2000 },
+    driveway: { floor: 80, ceiling: 1500 },
+    gutter: { floor: 60, ceiling: 800 },
+    softwash: { floor: 150, ceiling: 2500 },
+    render: { floor: 200, ceiling: 3000 },
+    window: { floor: 40, ceiling: 500 },
+    solar: { floor: 60, ceiling: 800 },
+    other: { floor: 80, ceiling: null }
+  }
+};
+
 // Pricing modifiers (multipliers)
 const MODIFIERS = {
   // Property condition modifiers
@@ -84,6 +160,33 @@ const MODIFIERS = {
   urgent: 1.15                 // Urgent request (add 15%)
 };
 
+// Calendar pricing
+// seasonal: multiplier per service for each month, Jan → Dec, applied to the
+//   estimate by the month the quote comes in (services not listed = 1)
+// offPeak / fillGap: discounts off the fixed price for the day the customer
+//   books (the larger applies if both do)
+const CALENDAR_PRICING = {
+  seasonal: {
+    roof: [0.9, 0.95, 1.1, 1.15, 1.1, 1, 1, 1, 1, 1, 0.95, 0.9],
+    softwash: [0.9, 0.95, 1.05, 1.1, 1.1, 1.05, 1, 1, 1, 1, 0.95, 0.9]
+  },
+
+  // Booking on a quiet weekday (0 = Sunday … 6 = Saturday)
+  offPeak: {
+    enabled: true,
+    days: [1, 2],               // Monday, Tuesday
+    discount: 0.05              // 5% off
+  },
+
+  // Booking a day that's still (nearly) empty, close to the date
+  fillGap: {
+    enabled: true,
+    withinDays: 10,             // Days from today
+    maxJobsOnDay: 0,            // Day has this many jobs or fewer
+    discount: 0.1               // 10% off
+  }
+};
+
 // Multi-service discounts
 // If customer selects X or more services, apply discount
 const MULTI_SERVICE_DISCOUNT = {
@@ -91,6 +194,51 @@ const MULTI_SERVICE_DISCOUNT = {
   discount: 0.9               // 10% discount (multiply by 0.9)
 };
 
+// Bundles and add-ons
+// bundles: a set price for a group of services, used in the estimate when a
+//   quote has all of them (instead of the multi-service discount), and offered
+//   as an upgrade on the fixed-price page when a quote has some of them
+// addOns: optional extras offered on the fixed-price page alongside the
+//   listed services (no services = offered with any job)
+const BUNDLES_AND_ADDONS = {
+  bundles: [
+    {
+      id: 'full_exterior_refresh',
+      name: 'Full exterior refresh',
+      services: ['roof', 'gutter', 'softwash'],
+      price: 950,
+      enabled: true
+    }
+  ],
+
+  addOns: [
+    {
+      id: 'biocide_treatment',
+      name: 'Biocide treatment',
+      description: 'Kills moss and algae spores so surfaces stay clean for longer',
+      services: ['roof', 'driveway', 'softwash', 'render'],
+      price: 60,
+      enabled: true
+    },
+    {
+      id: 'driveway_sealing',
+      name: 'Driveway re-sanding and sealing',
+      description: 'Kiln-dried sand brushed into the joints, then a protective sealant',
+      services: ['driveway'],
+      price: 250,
+      enabled: true
+    },
+    {
+      id: 'gutter_guards',
+      name: 'Gutter guard fitting',
+      description: 'Mesh guards that keep leaves and moss out of the gutters',
+      services: ['gutter'],
+      price: 120,
+      enabled: true
+    }
+  ]
+};
+
 // Lead scoring weights
 const LEAD_SCORING = {
   // Financial value weights
@@ -136,11 +284,56 @@ const CONVERSION_FACTORS = {
   unqualified: 0.1           // 10% likelihood for unqualified
 };
 
+// Service area and travel surcharge
+// Postcodes are resolved to a district centroid (config/postcodeDistricts.json)
+const SERVICE_AREA = {
+  // 'radius': covered if within the last band's distance of the home base
+  // 'districts': covered if the district (SA1) or area (SA) is listed in a zone
+  mode: 'radius',
+  homeBase: { label: 'Swansea', lat: 51.6214, lng: -3.9436 },
+
+  // Radius mode — flat surcharge (£) by straight-line distance in miles
+  bands: [
+    { maxMiles: 10, surcharge: 0 },
+    { maxMiles: 20, surcharge: 15 },
+    { maxMiles: 35, surcharge: 30 },
+    { maxMiles: 50, surcharge: 50 }
+  ],
+
+  // Districts mode — first zone that lists the district (or its area) wins
+  zones: [
+    { name: 'Swansea', districts: ['SA1', 'SA2', 'SA3', 'SA4', 'SA5', 'SA6', 'SA7'], surcharge: 0 },
+    { name: 'Neath Port Talbot & Llanelli', districts: ['SA8', 'SA10', 'SA11', 'SA12', 'SA13', 'SA14', 'SA15'], surcharge: 15 },
+    { name: 'Wider South Wales', districts: ['SA', 'CF'], surcharge: 40 }
+  ],
+
+  // What to do with quotes outside the area: 'manual_review' (save and flag) or 'decline'
+  outOfArea: 'manual_review',
+  // Postcodes we can't place (district not in the dataset) are always flagged for review
+  declineMessage: "Sorry — we don't currently cover your area. We work across Swansea and South Wales; if you think we've got this wrong, give us a call and we'll see what we can do."
+};
+
+// Referral programme
+// Customers get a code after a completed job; new customers quoting with it
+// get a discount, and the referrer gets credit off their next invoice
+const REFERRALS = {
+  enabled: true,
+  discountType: 'percent',    // 'percent' (of the estimate/price) or 'fixed' (£ off)
+  discountValue: 10,          // 10% off, or £10 off if fixed
+  rewardAmount: 20            // £ credit for the referrer once the referred job is completed
+};
+
 module.exports = {
   SERVICE_PRICING,
+  MEASURED_PRICING,
+  PRICE_LIMITS,
   MODIFIERS,
+  CALENDAR_PRICING,
   MULTI_SERVICE_DISCOUNT,
+  BUNDLES_AND_ADDONS,
   LEAD_SCORING,
   QUALIFICATION_THRESHOLDS,
-  CONVERSION_FACTORS
+  CONVERSION_FACTORS,
+  SERVICE_AREA,
+  REFERRALS
 };
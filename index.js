@@ -28,27 +28,48 @@ const { syncQuoteToSheets } = require('./services/googleSheets');
 // Import chatbot service
 const { chat } = require('./services/chatbot');
 
-// Import follow-up scheduler
+// Import follow-up scheduler and nightly retention purge
 const followUpScheduler = require('./services/followUpScheduler');
+const retention = require('./services/retention');
 
 // Import admin notification functions
 const { sendAdminAlert } = require('./services/emailer');
 const { sendAdminAlertWhatsApp } = require('./services/whatsapp');
 
-// Import pricing config loader
+// Import pricing config loader and shared quote validation
 const pricingConfig = require('./services/pricingConfig');
-
-// Import pipeline routes
+const pricingExperiments = require('./services/pricingExperiments');
+const { validateQuoteRequest, validateChatLead, describeErrors } = require('./services/validation');
+const { resolveServiceArea } = require('./services/serviceArea');
+const { getPipelineConfig } = require('./services/pipelineManager');
+const { findOpenDuplicate, linkDuplicateAtIntake } = require('./services/quoteMerge');
+const { findOrCreateProperty } = require('./services/properties');
+const { scoreSubmission } = require('./services/spamCheck');
+const { attributionColumns } = require('./services/attribution');
+const referrals = require('./services/referrals');
+const { normaliseDiscountCode, confirmDiscountCode } = require('./services/discountCodes');
+
+// Import pipeline routes and customer link tokens
 const pipelineRoutes = require('./routes/pipeline');
+const linkTokens = require('./services/linkTokens');
 
 // Import admin middleware and routes
-const { requireAdminAuth } = require('./middleware/auth');
+const adminAuth = require('./middleware/auth');
+const { requireAdminAuth } = adminAuth;
+const authRoutes = require('./routes/auth');
+const teamAuth = require('./middleware/teamAuth');
+const { requireTeamSession } = teamAuth;
+const teamAuthRoutes = require('./routes/teamAuth');
 const adminRoutes = require('./routes/admin');
 const jobRoutes = require('./routes/jobs');
 const customerRoutes = require('./routes/customers');
 const invoiceRoutes = require('./routes/invoices');
 const financeRoutes = require('./routes/finance');
 const webhookRoutes = require('./routes/webhooks');
+const audit = require('./services/audit');
+const idempotencyKeys = require('./middleware/idempotency');
+const webhookEvents = require('./services/webhookEvents');
+const { idempotency } = idempotencyKeys;
 
 // Create Express app
 const app = express();
@@ -64,14 +85,25 @@ const supabase = createClient(
 
 // Pass Supabase client to admin routes, job routes, customer routes, and pricing config
 adminRoutes.setSupabaseClient(supabase);
+// Released quarantined quotes go through intake as if just submitted
+adminRoutes.setIntakeHandler(startIntake);
 jobRoutes.setSupabaseClient(supabase);
 customerRoutes.setSupabaseClient(supabase);
 invoiceRoutes.setSupabaseClient(supabase);
 financeRoutes.setSupabaseClient(supabase);
 pricingConfig.setSupabaseClient(supabase);
+pricingExperiments.setSupabaseClient(supabase);
 followUpScheduler.setSupabaseClient(supabase);
+retention.setSupabaseClient(supabase);
 webhookRoutes.setSupabaseClient(supabase);
 pipelineRoutes.setSupabaseClient(supabase);
+adminAuth.setSupabaseClient(supabase);
+authRoutes.setSupabaseClient(supabase);
+teamAuth.setSupabaseClient(supabase);
+teamAuthRoutes.setSupabaseClient(supabase);
+audit.setSupabaseClient(supabase);
+idempotencyKeys.setSupabaseClient(supabase);
+webhookEvents.setSupabaseClient(supabase);
 
 // =======================
 // MIDDLEWARE
@@ -86,25 +118,29 @@ app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', origin || '*');
   }
   res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
+  res.header('Access-Control-Expose-Headers', 'Idempotent-Replayed');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
   next();
 });
 
-// Parse JSON bodies (preserve raw body for Stripe webhook signature verification)
+// Keep the raw body for webhooks (Stripe signature verification, webhook event store)
+function keepWebhookRawBody(req, res, buf) {
+  if (req.originalUrl.startsWith('/webhooks/')) {
+    req.rawBody = buf;
+  }
+}
+
+// Parse JSON bodies
 app.use(express.json({
   limit: '15mb',
-  verify: (req, res, buf) => {
-    if (req.originalUrl === '/webhooks/stripe') {
-      req.rawBody = buf;
-    }
-  }
+  verify: keepWebhookRawBody
 }));
 
-// Parse URL-encoded bodies (from forms)
-app.use(express.urlencoded({ extended: true }));
+// Parse URL-encoded bodies (from forms and Twilio callbacks)
+app.use(express.urlencoded({ extended: true, verify: keepWebhookRawBody }));
 
 // Serve static files from /public
 app.use(express.static(path.join(__dirname, 'public')));
@@ -131,6 +167,15 @@ const chatLimiter = rateLimit({
   message: { success: false, error: 'Too many requests. Please try again shortly.' }
 });
 
+// Admin login: 10 attempts per 15 minutes per IP (slows password guessing)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many login attempts. Please try again later.' }
+});
+
 // =======================
 // ROUTES
 // =======================
@@ -257,9 +302,156 @@ app.post('/api/data', (req, res) => {
   });
 });
 
+/**
+ * Note on a quote why it was held back from automatic estimation
+ */
+async function flagForServiceAreaReview(quoteId, area) {
+  const where = [
+    area.district || 'unrecognised postcode',
+    area.distanceMiles !== null ? `${area.distanceMiles} mi from base` : null
+  ].filter(Boolean).join(', ');
+  const reason = area.status === 'out_of_area' ? 'Outside service area' : 'Postcode not recognised';
+
+  log.info('Quote held for manual review', { quoteId, serviceArea: area.status, district: area.district });
+
+  await supabase.from('quote_activity').insert({
+    quote_id: quoteId,
+    action_type: 'manual_review',
+    description: `${reason} (${where}) — held for manual review, no automatic estimate sent`
+  }).then(() => {}).catch(() => {});
+}
+
+/**
+ * Link a new quote to its customer profile and property, then to the
+ * customer's open quote if this is a repeat request for the same services.
+ * @param {Object} [customerDetails] - contact fields for the profile, if not the quote's own
+ * @returns {Promise<boolean>} true if linked as a duplicate (no pipeline of its own)
+ */
+async function linkCustomerAndDuplicates(savedQuote, source, customerDetails = savedQuote) {
+  const customerId = await customerRoutes.findOrCreateCustomer(customerDetails);
+  if (!customerId) return false;
+
+  const propertyId = await findOrCreateProperty(supabase, customerId, {
+    address: customerDetails.address_line1,
+    postcode: customerDetails.postcode
+  });
+
+  await supabase.from('quotes').update({ customer_id: customerId, property_id: propertyId }).eq('id', savedQuote.id);
+  savedQuote.customer_id = customerId;
+  savedQuote.property_id = propertyId;
+
+  try {
+    const { duplicate_window_days: windowDays } = await getPipelineConfig(supabase);
+    const openQuote = await findOpenDuplicate(supabase, savedQuote, windowDays);
+    if (!openQuote) return false;
+
+    await linkDuplicateAtIntake(supabase, savedQuote, openQuote, source);
+    savedQuote.duplicate_of = openQuote.id;
+    return true;
+  } catch (err) {
+    // Worst case the customer gets two quotes — don't lose the request over it
+    log.error('Duplicate linking failed', { quoteId: savedQuote.id, error: err.message });
+    return false;
+  }
+}
+
+/**
+ * Start a saved quote on its way: link it to the customer, then estimate it
+ * (or hold it for review) and send the first message — a confirmation for
+ * form quotes, an admin alert for chat leads. Quarantined quotes skip this
+ * until an admin releases them. A repeat request linked to an open quote
+ * gets no estimate, confirmation or code redemption of its own.
+ * @param {Object} options - { source: 'form'|'chat', area, customerDetails? }
+ */
+async function startIntake(savedQuote, { source, area, customerDetails }) {
+  // Auto-link to customer profile (find existing or create new), and to
+  // their open quote if this is a repeat request
+  const isDuplicate = await linkCustomerAndDuplicates(savedQuote, source, customerDetails);
+
+  // Referral and discount codes only count once we know who the customer is
+  if (!isDuplicate) {
+    await referrals.confirmReferral(supabase, savedQuote);
+    await confirmDiscountCode(supabase, savedQuote);
+  }
+
+  if (source === 'form') {
+    // Sync to Google Sheets (non-blocking)
+    syncQuoteToSheets(savedQuote).catch(err => {
+      log.error('Failed to sync to Google Sheets', { error: err.message });
+      // Continue even if Sheets sync fails - don't block customer workflow
+    });
+  }
+
+  // Trigger async estimation job (non-blocking) — held quotes are priced by hand,
+  // repeat requests are handled on the quote they were linked to
+  if (!isDuplicate) {
+    if (area && area.status !== 'in_area') {
+      await flagForServiceAreaReview(savedQuote.id, area);
+    } else {
+      queueEstimation(supabase, savedQuote.id, savedQuote);
+    }
+  }
+
+  if (source === 'chat') {
+    // Send admin alert for chat leads (non-blocking)
+    sendAdminAlert({ ...savedQuote, lead_score: 70 }).catch(err => {
+      log.error('Chat lead admin alert failed', { error: err.message });
+    });
+    return;
+  }
+
+  // The customer already has the confirmation for the quote this was linked to
+  if (isDuplicate) return;
+
+  // Send confirmation via both WhatsApp and email, record timestamps
+  (async () => {
+    const confirmUpdates = {};
+    try {
+      await sendConfirmationWhatsApp(savedQuote);
+    } catch (err) {
+      log.error('Failed to send confirmation WhatsApp', { error: err.message });
+    }
+    try {
+      const emailResult = await sendConfirmationEmail(savedQuote);
+      if (emailResult.success) {
+        confirmUpdates.confirmation_email_sent_at = new Date().toISOString();
+      }
+    } catch (err) {
+      log.error('Failed to send confirmation email', { error: err.message });
+    }
+    if (Object.keys(confirmUpdates).length > 0) {
+      await supabase.from('quotes').update(confirmUpdates).eq('id', savedQuote.id);
+    }
+  })();
+}
+
+/**
+ * Note why a quote was quarantined on its activity log
+ */
+async function logQuarantine(quoteId, spam, source) {
+  log.warn('Quote quarantined as suspected spam', { quoteId, source, score: spam.score, reasons: spam.reasons.join('; ') });
+
+  await supabase.from('quote_activity').insert({
+    quote_id: quoteId,
+    action_type: 'quarantined',
+    description: `Quarantined as suspected spam (score ${spam.score}): ${spam.reasons.join('; ')} — no messages or estimate until released`
+  }).then(() => {}).catch(() => {});
+}
+
 // Quote request route (flexible + future-proof)
-app.post('/api/quote', quoteLimiter, async (req, res) => {
+app.post('/api/quote', quoteLimiter, idempotency, async (req, res) => {
   try {
+    // Validate and normalise (E.164 phone, UK postcode, known services/answers)
+    const { errors, value } = await validateQuoteRequest(req.body);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: describeErrors(errors),
+        errors
+      });
+    }
+
     const {
       name,
       email,
@@ -270,52 +462,36 @@ app.post('/api/quote', quoteLimiter, async (req, res) => {
       bestTime,
       remindersOk,
       formVersion,
-      services,
+      referralCode,
+      discountCode,
+      services: servicesArray,
       answers
-    } = req.body;
+    } = value;
 
-    // Validate required fields
-    const missing = [];
-    if (!name) missing.push('name');
-    if (!email) missing.push('email');
-    if (!phone) missing.push('phone');
-    if (!addressLine1) missing.push('addressLine1');
-    if (!postcode) missing.push('postcode');
+    // Service area: decline or hold for review if we don't (or can't tell if we) cover it
+    const { SERVICE_AREA } = await pricingConfig.getPricingConfig();
+    const area = resolveServiceArea(postcode, SERVICE_AREA);
 
-    if (missing.length > 0) {
-      return res.status(400).json({
+    if (area.status === 'out_of_area' && SERVICE_AREA.outOfArea === 'decline') {
+      log.info('Quote declined — outside service area', { district: area.district, distanceMiles: area.distanceMiles });
+      return res.status(422).json({
         success: false,
-        error: `Missing required fields: ${missing.join(', ')}`
+        code: 'out_of_area',
+        error: SERVICE_AREA.declineMessage
       });
     }
 
-    // Extract services array (accept from top-level or derive from answers)
-    let servicesArray = services || [];
-
-    // Fallback: derive from answers if services not provided
-    if ((!servicesArray || servicesArray.length === 0) && answers) {
-      const derivedServices = [];
-      // Map form values to service slugs
-      const serviceMap = {
-        roof: 'roof',
-        driveway: 'driveway',
-        gutter: 'gutter',
-        softwash: 'softwash',
-        render: 'render',
-        window: 'window',
-        solar: 'solar',
-        other: 'other'
-      };
-
-      // Check if services are in answers object
-      Object.keys(serviceMap).forEach(key => {
-        if (answers[key] === true || answers[key] === 'true') {
-          derivedServices.push(serviceMap[key]);
-        }
-      });
+    const needsReview = area.status !== 'in_area';
 
-      servicesArray = derivedServices;
-    }
+    // Spam check — suspect quotes are saved but get nothing sent until released
+    const spam = await scoreSubmission(supabase, {
+      name,
+      email,
+      phone,
+      texts: [addressLine1, answers?.specificDetails, answers?.accessNotes],
+      honeypot: req.body.website,
+      elapsedMs: req.body.formElapsedMs
+    });
 
     // Insert into Supabase
     const { data, error } = await supabase
@@ -329,11 +505,20 @@ app.post('/api/quote', quoteLimiter, async (req, res) => {
           postcode,
           preferred_contact: preferredContact || null,
           best_time: bestTime || null,
-          reminders_ok: remindersOk || null,
+          reminders_ok: remindersOk ?? null,
           form_version: formVersion || null,
           services: servicesArray,
           answers: answers || null,
-          status: 'new'
+          service_area_status: area.status,
+          needs_manual_review: needsReview,
+          travel_distance_miles: area.distanceMiles,
+          referral_code: referrals.normaliseReferralCode(referralCode),
+          discount_code: normaliseDiscountCode(discountCode),
+          ...attributionColumns(req.body.attribution),
+          spam_score: spam.score,
+          spam_reasons: spam.reasons.length > 0 ? spam.reasons : null,
+          quarantined_at: spam.quarantine ? new Date().toISOString() : null,
+          status: spam.quarantine ? 'quarantined' : 'new'
         }
       ])
       .select();
@@ -351,44 +536,13 @@ app.post('/api/quote', quoteLimiter, async (req, res) => {
 
     const savedQuote = data[0];
 
-    // Auto-link to customer profile (find existing or create new)
-    const customerId = await customerRoutes.findOrCreateCustomer(savedQuote);
-    if (customerId) {
-      await supabase.from('quotes').update({ customer_id: customerId }).eq('id', savedQuote.id);
-      savedQuote.customer_id = customerId;
+    if (spam.quarantine) {
+      await logQuarantine(savedQuote.id, spam, 'form');
+    } else {
+      await startIntake(savedQuote, { source: 'form', area });
     }
 
-    // Sync to Google Sheets (non-blocking)
-    syncQuoteToSheets(savedQuote).catch(err => {
-      log.error('Failed to sync to Google Sheets', { error: err.message });
-      // Continue even if Sheets sync fails - don't block customer workflow
-    });
-
-    // Trigger async estimation job (non-blocking)
-    queueEstimation(supabase, savedQuote.id, savedQuote);
-
-    // Send confirmation via both WhatsApp and email, record timestamps
-    (async () => {
-      const confirmUpdates = {};
-      try {
-        await sendConfirmationWhatsApp(savedQuote);
-      } catch (err) {
-        log.error('Failed to send confirmation WhatsApp', { error: err.message });
-      }
-      try {
-        const emailResult = await sendConfirmationEmail(savedQuote);
-        if (emailResult.success) {
-          confirmUpdates.confirmation_email_sent_at = new Date().toISOString();
-        }
-      } catch (err) {
-        log.error('Failed to send confirmation email', { error: err.message });
-      }
-      if (Object.keys(confirmUpdates).length > 0) {
-        await supabase.from('quotes').update(confirmUpdates).eq('id', savedQuote.id);
-      }
-    })();
-
-    // Return success (same format as before)
+    // Return success (same format as before) — quarantined submissions aren't told
     res.json({
       success: true,
       message: 'Quote request received. We will be in touch soon.'
@@ -432,6 +586,15 @@ setInterval(() => {
   }
 }, 5 * 60 * 1000);
 
+async function isChatQuarantined(sessionId) {
+  const { data } = await supabase
+    .from('chat_conversations')
+    .select('quarantined_at')
+    .eq('session_id', sessionId)
+    .maybeSingle();
+  return !!data?.quarantined_at;
+}
+
 // Persist chat conversation to Supabase (non-blocking helper)
 async function persistConversation(sessionId, messages, result, ip) {
   try {
@@ -490,12 +653,41 @@ app.post('/api/chat', chatLimiter, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Messages array is required' });
     }
 
+    // A chat whose lead was quarantined as spam gets no more AI replies
+    if (sessionId && await isChatQuarantined(sessionId)) {
+      return res.json({
+        success: true,
+        response: 'Thanks — we have your details and a member of the team will be in touch.',
+        leadCaptured: false,
+        formData: null
+      });
+    }
+
     // Limit conversation length to prevent abuse
     const trimmedMessages = messages.slice(-20);
 
     // Lead capture callback - creates quote in Supabase when chatbot gathers enough info
-    const onLeadCapture = async (leadData) => {
+    const onLeadCapture = async (input) => {
       try {
+        const { errors, value: leadData } = await validateChatLead(input);
+        if (errors) {
+          log.info('Chat lead failed validation', { sessionId, fields: Object.keys(errors).join(', ') });
+          return { success: false, error: describeErrors(errors), errors };
+        }
+
+        // Flag (never decline) chat leads outside the area — the assistant has already chatted with them
+        const area = leadData.postcode
+          ? resolveServiceArea(leadData.postcode, (await pricingConfig.getPricingConfig()).SERVICE_AREA)
+          : null;
+        const needsReview = !!area && area.status !== 'in_area';
+
+        const spam = await scoreSubmission(supabase, {
+          name: leadData.name,
+          email: leadData.email,
+          phone: leadData.phone,
+          texts: [leadData.notes]
+        });
+
         const quoteData = {
           name: leadData.name,
           email: leadData.email || null,
@@ -504,7 +696,17 @@ app.post('/api/chat', chatLimiter, async (req, res) => {
           postcode: leadData.postcode || 'TBC',
           services: leadData.services || [],
           answers: { chatNotes: leadData.notes || '', source: 'chat' },
-          status: 'new',
+          service_area_status: area?.status || null,
+          needs_manual_review: needsReview,
+          travel_distance_miles: area?.distanceMiles ?? null,
+          // From a referral link the visitor arrived on (the widget has no code field)
+          referral_code: referrals.normaliseReferralCode(req.body.attribution?.referralCode),
+          discount_code: normaliseDiscountCode(leadData.discountCode),
+          ...attributionColumns(req.body.attribution),
+          spam_score: spam.score,
+          spam_reasons: spam.reasons.length > 0 ? spam.reasons : null,
+          quarantined_at: spam.quarantine ? new Date().toISOString() : null,
+          status: spam.quarantine ? 'quarantined' : 'new',
           source: 'chat'
         };
 
@@ -531,17 +733,22 @@ app.post('/api/chat', chatLimiter, async (req, res) => {
               customer_name: leadData.name,
               customer_email: leadData.email || null,
               customer_phone: leadData.phone || null,
-              customer_postcode: leadData.postcode || null
+              customer_postcode: leadData.postcode || null,
+              quarantined_at: quoteData.quarantined_at
             })
             .eq('session_id', sessionId);
         }
 
-        // Trigger estimation (non-blocking)
-        queueEstimation(supabase, savedQuote.id, savedQuote);
+        if (spam.quarantine) {
+          await logQuarantine(savedQuote.id, spam, 'chat');
+          return { success: true, quoteId: savedQuote.id };
+        }
 
-        // Send admin alert for chat leads (non-blocking)
-        sendAdminAlert({ ...savedQuote, lead_score: 70 }).catch(err => {
-          log.error('Chat lead admin alert failed', { error: err.message });
+        // Placeholder address/postcode shouldn't overwrite a known customer's details
+        await startIntake(savedQuote, {
+          source: 'chat',
+          area,
+          customerDetails: { ...savedQuote, address_line1: null, postcode: leadData.postcode || null }
         });
 
         return { success: true, quoteId: savedQuote.id };
@@ -641,8 +848,8 @@ app.get('/admin/chats', requireAdminAuth, async (req, res) => {
 // CUSTOMER ACCEPTANCE ROUTE
 // =======================
 
-// Accept estimate route - Customer clicks link from email/WhatsApp
-app.get('/accept-estimate/:quoteId', async (req, res) => {
+// Accept estimate route - Customer clicks link from email/WhatsApp (signed link token required)
+app.get('/accept-estimate/:quoteId', pipelineRoutes.requireLinkToken('accept_estimate'), async (req, res) => {
   try {
     const { quoteId } = req.params;
 
@@ -844,7 +1051,7 @@ app.get('/accept-estimate/:quoteId', async (req, res) => {
             </div>
           </div>
 
-          <form method="POST" action="/confirm-acceptance/${quoteId}">
+          <form method="POST" action="/confirm-acceptance/${quoteId}${linkTokens.tokenQuery(req.linkToken?.raw)}">
             <button type="submit" class="accept-button">
               ✓ Yes, I Accept This Quote
             </button>
@@ -885,8 +1092,8 @@ app.get('/accept-estimate/:quoteId', async (req, res) => {
 // CONFIRM ACCEPTANCE ROUTE (POST)
 // =======================
 
-// Confirm acceptance - Customer clicks the button
-app.post('/confirm-acceptance/:quoteId', async (req, res) => {
+// Confirm acceptance - Customer clicks the button (single-use link token)
+app.post('/confirm-acceptance/:quoteId', pipelineRoutes.requireLinkToken('accept_estimate', { action: true }), async (req, res) => {
   try {
     const { quoteId } = req.params;
 
@@ -1254,6 +1461,23 @@ app.post('/confirm-acceptance/:quoteId', async (req, res) => {
   }
 });
 
+// =======================
+// ADMIN AUTH & USERS
+// =======================
+
+// Login is public (rate limited); everything else requires a session or ADMIN_TOKEN
+app.post('/admin/auth/login', loginLimiter, authRoutes.login);
+app.post('/admin/auth/logout', requireAdminAuth, authRoutes.logout);
+app.get('/admin/auth/me', requireAdminAuth, authRoutes.getCurrentUser);
+
+// User management (owner only — enforced by role map in middleware/auth.js)
+app.get('/admin/users', requireAdminAuth, authRoutes.listUsers);
+app.post('/admin/users', requireAdminAuth, authRoutes.createUser);
+app.patch('/admin/users/:id', requireAdminAuth, authRoutes.updateUser);
+
+// Audit trail of admin changes to quotes, jobs, customers and invoices (owner only)
+app.get('/admin/audit', requireAdminAuth, adminRoutes.listAuditTrail);
+
 // =======================
 // ADMIN ROUTES (Protected)
 // =======================
@@ -1276,6 +1500,10 @@ app.patch('/admin/quotes/:id/notes', requireAdminAuth, adminRoutes.updateQuoteNo
 // General quote update (editable fields)
 app.patch('/admin/quotes/:id', requireAdminAuth, adminRoutes.updateQuote);
 
+// Price revisions (history, re-send to customer)
+app.get('/admin/quotes/:id/revisions', requireAdminAuth, adminRoutes.listQuoteRevisions);
+app.post('/admin/quotes/:id/resend-price', requireAdminAuth, adminRoutes.resendRevisedPrice);
+
 // Quote activity log
 app.get('/admin/quotes/:id/activity', requireAdminAuth, adminRoutes.getQuoteActivity);
 app.post('/admin/quotes/:id/activity', requireAdminAuth, adminRoutes.addQuoteActivity);
@@ -1286,6 +1514,11 @@ app.get('/admin/quotes/:id/attachments', requireAdminAuth, adminRoutes.listAttac
 app.delete('/admin/quotes/:id/attachments/:filename', requireAdminAuth, adminRoutes.deleteAttachment);
 app.delete('/admin/quotes/:id', requireAdminAuth, adminRoutes.softDeleteQuote);
 app.post('/admin/quotes/:id/restore', requireAdminAuth, adminRoutes.restoreQuote);
+app.post('/admin/quotes/:id/merge', requireAdminAuth, adminRoutes.mergeQuote);
+app.post('/admin/quotes/:id/unmerge', requireAdminAuth, adminRoutes.unmergeQuote);
+app.get('/admin/quotes/:id/duplicates', requireAdminAuth, adminRoutes.listQuoteDuplicates);
+
+app.post('/admin/quotes/:id/release', requireAdminAuth, adminRoutes.releaseQuote);
 
 // =======================
 // JOB SCHEDULING ROUTES (Protected)
@@ -1311,6 +1544,8 @@ app.post('/admin/recurring/:id/generate', requireAdminAuth, jobRoutes.generateFr
 app.get('/admin/team', requireAdminAuth, jobRoutes.listTeam);
 app.post('/admin/team', requireAdminAuth, jobRoutes.createTeamMember);
 app.patch('/admin/team/:id', requireAdminAuth, jobRoutes.updateTeamMember);
+app.get('/admin/team/:id/sessions', requireAdminAuth, teamAuthRoutes.listMemberSessions);
+app.delete('/admin/team/:id/sessions', requireAdminAuth, teamAuthRoutes.revokeSessions);
 
 // =======================
 // CUSTOMER ROUTES (Protected)
@@ -1327,6 +1562,13 @@ app.post('/admin/customers', requireAdminAuth, customerRoutes.createCustomer);
 app.get('/admin/customers/:id', requireAdminAuth, customerRoutes.getCustomer);
 app.patch('/admin/customers/:id', requireAdminAuth, customerRoutes.updateCustomer);
 app.post('/admin/customers/:id/followup', requireAdminAuth, customerRoutes.sendFollowUp);
+app.post('/admin/customers/:id/properties', requireAdminAuth, customerRoutes.createProperty);
+app.patch('/admin/customers/:id/properties/:propertyId', requireAdminAuth, customerRoutes.updateProperty);
+
+// GDPR data requests (export: office/owner; erasure and erasure log: owner only)
+app.get('/admin/customers/:id/export', requireAdminAuth, customerRoutes.exportCustomerData);
+app.post('/admin/customers/:id/erase', requireAdminAuth, customerRoutes.eraseCustomer);
+app.get('/admin/erasures', requireAdminAuth, customerRoutes.listErasures);
 
 // =======================
 // INVOICES
@@ -1413,7 +1655,18 @@ app.get('/admin/settings/pricing', requireAdminAuth, adminRoutes.getPricingSetti
 app.put('/admin/settings/pricing', requireAdminAuth, adminRoutes.updatePricingSettings);
 app.post('/admin/settings/pricing/reset', requireAdminAuth, adminRoutes.resetPricingSettings);
 app.post('/admin/settings/pricing/test-estimate', requireAdminAuth, adminRoutes.testEstimate);
+app.post('/admin/settings/pricing/backtest', requireAdminAuth, adminRoutes.backtestPricingSettings);
 app.get('/admin/settings/pricing/history', requireAdminAuth, adminRoutes.getPricingHistory);
+app.get('/admin/settings/pricing/versions', requireAdminAuth, adminRoutes.listPricingVersions);
+app.get('/admin/settings/pricing/versions/:id', requireAdminAuth, adminRoutes.getPricingVersion);
+app.post('/admin/settings/pricing/versions/:id/restore', requireAdminAuth, adminRoutes.restorePricingVersion);
+app.delete('/admin/settings/pricing/versions/:id', requireAdminAuth, adminRoutes.cancelPricingVersion);
+app.get('/admin/settings/pricing/experiments', requireAdminAuth, adminRoutes.listPricingExperiments);
+app.post('/admin/settings/pricing/experiments', requireAdminAuth, adminRoutes.createPricingExperiment);
+app.post('/admin/settings/pricing/experiments/:id/end', requireAdminAuth, adminRoutes.endPricingExperiment);
+app.get('/admin/settings/discount-codes', requireAdminAuth, adminRoutes.listDiscountCodes);
+app.post('/admin/settings/discount-codes', requireAdminAuth, adminRoutes.createDiscountCode);
+app.patch('/admin/settings/discount-codes/:id', requireAdminAuth, adminRoutes.updateDiscountCode);
 
 // =======================
 // PIPELINE ROUTES (Public - customer-facing)
@@ -1429,16 +1682,39 @@ app.post('/admin/pipeline/:quoteId/approve-price', requireAdminAuth, adminRoutes
 app.get('/admin/settings/pipeline', requireAdminAuth, adminRoutes.getPipelineSettings);
 app.put('/admin/settings/pipeline', requireAdminAuth, adminRoutes.updatePipelineSettings);
 
+// Data retention policy and purge runs
+app.get('/admin/settings/retention', requireAdminAuth, adminRoutes.getRetentionSettings);
+app.put('/admin/settings/retention', requireAdminAuth, adminRoutes.updateRetentionSettings);
+app.get('/admin/retention/runs', requireAdminAuth, adminRoutes.listRetentionRuns);
+app.post('/admin/retention/run', requireAdminAuth, adminRoutes.runRetentionPurge);
+
 // Public invoice view and payment (no auth - token acts as access key)
 app.get('/invoice/:token', invoiceRoutes.viewInvoice);
 app.get('/invoice/:token/pay', invoiceRoutes.payInvoice);
 
 // =======================
-// TEAM MEMBER SCHEDULE (Public - UUID as access key)
+// TEAM MEMBER SCHEDULE (Public login, session required for schedule access)
 // =======================
 
-app.get('/api/my-schedule/:memberId', jobRoutes.getMySchedule);
-app.patch('/api/my-schedule/:memberId/jobs/:jobId', jobRoutes.updateMyJob);
+app.post('/api/my-schedule/:memberId/login', loginLimiter, teamAuthRoutes.loginWithPin);
+app.post('/api/my-schedule/:memberId/magic-link', loginLimiter, teamAuthRoutes.requestMagicLink);
+app.post('/api/my-schedule/:memberId/magic-link/verify', loginLimiter, teamAuthRoutes.verifyMagicLink);
+app.post('/api/my-schedule/:memberId/logout', requireTeamSession, teamAuthRoutes.logout);
+
+app.get('/api/my-schedule/:memberId', requireTeamSession, jobRoutes.getMySchedule);
+app.patch('/api/my-schedule/:memberId/jobs/:jobId', requireTeamSession, jobRoutes.updateMyJob);
+
+// =======================
+// WEBHOOK ROUTES (public, signature-validated)
+// =======================
+app.post('/webhooks/resend', webhookRoutes.handleResendWebhook);
+app.post('/webhooks/twilio', webhookRoutes.handleTwilioWebhook);
+app.post('/webhooks/stripe', invoiceRoutes.handleStripeWebhook);
+
+// Stored webhook events: inspect and replay (owner only)
+app.get('/admin/webhooks', requireAdminAuth, webhookRoutes.listWebhookEvents);
+app.get('/admin/webhooks/:id', requireAdminAuth, webhookRoutes.getWebhookEvent);
+app.post('/admin/webhooks/:id/replay', requireAdminAuth, webhookRoutes.replayWebhookEvent);
 
 // =======================
 // ERROR HANDLING
@@ -1461,13 +1737,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-// =======================
-// WEBHOOK ROUTES (public, signature-validated)
-// =======================
-app.post('/webhooks/resend', webhookRoutes.handleResendWebhook);
-app.post('/webhooks/twilio', webhookRoutes.handleTwilioWebhook);
-app.post('/webhooks/stripe', invoiceRoutes.handleStripeWebhook);
-
 // =======================
 // START SERVER
 // =======================
@@ -1476,6 +1745,7 @@ app.listen(PORT, () => {
   log.info('Server running', { port: PORT, url: `http://localhost:${PORT}` });
   log.info('Serving static files', { path: path.join(__dirname, 'public') });
   followUpScheduler.startScheduler();
+  retention.startRetentionScheduler();
 
   // Retry any estimations that were missed due to server restarts
   retryMissedEstimations(supabase);
@@ -3,11 +3,141 @@
  *
  * Protects admin routes with bearer token authentication.
  * Token must be passed in Authorization header: "Bearer <token>"
+ *
+ * Two kinds of token are accepted:
+ *   1. A session token issued by POST /admin/auth/login (named admin user)
+ *   2. The shared ADMIN_TOKEN env var — treated as the owner (break-glass)
+ *
+ * Once authenticated, the user's role is checked against the route group
+ * the request belongs to (quotes, jobs, customers, invoices, finance,
+ * settings, users). GET requests need read access, everything else needs write.
  */
 
+const crypto = require('crypto');
 const log = require('../services/logger').child('Auth');
 
-function requireAdminAuth(req, res, next) {
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+// ========================
+// ROLES & ROUTE GROUPS
+// ========================
+
+const ROLES = ['owner', 'office', 'bookkeeper', 'read_only'];
+
+// Access per role and route group: 'write' (implies read), 'read', or absent (no access)
+const ROLE_PERMISSIONS = {
+  owner: {
+    quotes: 'write', jobs: 'write', customers: 'write', invoices: 'write',
+    finance: 'write', settings: 'write', users: 'write'
+  },
+  office: {
+    quotes: 'write', jobs: 'write', customers: 'write', invoices: 'write',
+    settings: 'read'
+  },
+  bookkeeper: {
+    quotes: 'read', jobs: 'read', customers: 'read', invoices: 'write',
+    finance: 'write', settings: 'read'
+  },
+  read_only: {
+    quotes: 'read', jobs: 'read', customers: 'read', invoices: 'read',
+    finance: 'read', settings: 'read'
+  }
+};
+
+// First match wins, so more specific patterns come first.
+// `access` overrides the method-based read/write decision (read-only POSTs, or GETs such as
+// the GDPR export that should need write access).
+const ROUTE_GROUPS = [
+  { pattern: /^\/admin\/auth(\/|$)/, group: 'account' },
+  { pattern: /^\/admin\/jobs\/[^/]+\/invoice$/, group: 'invoices' },
+  { pattern: /^\/admin\/settings\/pricing\/test-estimate$/, group: 'settings', access: 'read' },
+  { pattern: /^\/admin\/settings\/pricing\/backtest$/, group: 'settings', access: 'read' },
+  { pattern: /^\/admin\/customers\/[^/]+\/export$/, group: 'customers', access: 'write' },
+  { pattern: /^\/admin\/customers\/[^/]+\/erase$/, group: 'users' },
+  { pattern: /^\/admin\/(quotes|export|chats|pipeline)(\/|$)/, group: 'quotes' },
+  { pattern: /^\/admin\/(jobs|recurring|team)(\/|$)/, group: 'jobs' },
+  { pattern: /^\/admin\/customers(\/|$)/, group: 'customers' },
+  { pattern: /^\/admin\/invoices(\/|$)/, group: 'invoices' },
+  { pattern: /^\/admin\/finance(\/|$)/, group: 'finance' },
+  { pattern: /^\/admin\/settings(\/|$)/, group: 'settings' },
+  { pattern: /^\/admin\/(users|audit|webhooks|erasures|retention)(\/|$)/, group: 'users' }
+];
+
+/**
+ * Work out which route group a request belongs to and whether it needs
+ * read or write access. Unknown admin paths fall into the owner-only 'users' group.
+ */
+function resolveRouteAccess(req) {
+  const path = req.path;
+  const isRead = req.method === 'GET' || req.method === 'HEAD';
+
+  for (const entry of ROUTE_GROUPS) {
+    if (entry.pattern.test(path)) {
+      return { group: entry.group, access: entry.access || (isRead ? 'read' : 'write') };
+    }
+  }
+  return { group: 'users', access: isRead ? 'read' : 'write' };
+}
+
+function hasAccess(role, group, access) {
+  // Every signed-in user can manage their own session (me/logout)
+  if (group === 'account') return ROLES.includes(role);
+  const granted = ROLE_PERMISSIONS[role]?.[group];
+  if (!granted) return false;
+  return access === 'read' || granted === 'write';
+}
+
+/**
+ * Hash a session token for storage/lookup — raw tokens are never stored
+ */
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Look up an active session and its user. Returns the user or null.
+ */
+async function findSessionUser(token) {
+  if (!supabase) return null;
+
+  const { data: session, error } = await supabase
+    .from('admin_sessions')
+    .select('id, expires_at, revoked_at, admin_users(id, email, name, role, is_active)')
+    .eq('token_hash', hashSessionToken(token))
+    .single();
+
+  if (error || !session) return null;
+  if (session.revoked_at) return null;
+  if (new Date(session.expires_at) < new Date()) return null;
+
+  const user = session.admin_users;
+  if (!user || !user.is_active) return null;
+
+  // Non-blocking: track last activity
+  supabase.from('admin_sessions')
+    .update({ last_seen_at: new Date().toISOString() })
+    .eq('id', session.id)
+    .then(() => {}).catch(() => {});
+
+  return { id: user.id, email: user.email, name: user.name, role: user.role, sessionId: session.id };
+}
+
+// ========================
+// MIDDLEWARE
+// ========================
+
+async function requireAdminAuth(req, res, next) {
   // Get token from Authorization header or query parameter (for new-tab endpoints like tax-report)
   const authHeader = req.headers.authorization;
   const queryToken = req.query.token;
@@ -22,28 +152,56 @@ function requireAdminAuth(req, res, next) {
   // Extract token (format: "Bearer <token>" or ?token=xxx)
   const token = queryToken || authHeader.replace('Bearer ', '');
 
-  // Compare with environment variable
-  const validToken = process.env.ADMIN_TOKEN;
+  const sharedToken = process.env.ADMIN_TOKEN;
 
-  if (!validToken) {
-    log.error('ADMIN_TOKEN not set in environment variables');
+  if (!sharedToken && !supabase) {
+    log.error('ADMIN_TOKEN not set and no session store available');
     return res.status(500).json({
       success: false,
       error: 'Server configuration error'
     });
   }
 
-  if (token !== validToken) {
-    log.warn('Invalid token attempt');
-    return res.status(401).json({
-      success: false,
-      error: 'Unauthorized - Invalid token'
-    });
-  }
+  try {
+    let user = null;
+
+    if (sharedToken && safeEqual(token, sharedToken)) {
+      user = { id: null, email: null, name: 'Owner (shared token)', role: 'owner', sessionId: null };
+    } else {
+      user = await findSessionUser(token);
+    }
+
+    if (!user) {
+      log.warn('Invalid token attempt');
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized - Invalid token'
+      });
+    }
 
-  // Token is valid, proceed to route
-  log.info('Admin access granted');
-  next();
+    const { group, access } = resolveRouteAccess(req);
+    if (!hasAccess(user.role, group, access)) {
+      log.warn('Admin access denied', { user: user.email || user.name, role: user.role, group, access });
+      return res.status(403).json({
+        success: false,
+        error: `Forbidden - ${user.role} role cannot ${access} ${group}`
+      });
+    }
+
+    // Token is valid, proceed to route
+    req.adminUser = user;
+    log.info('Admin access granted', { user: user.email || user.name, role: user.role });
+    next();
+  } catch (error) {
+    log.error('Auth error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
 }
 
-module.exports = { requireAdminAuth };
+module.exports = {
+  setSupabaseClient,
+  requireAdminAuth,
+  hashSessionToken,
+  ROLES,
+  ROLE_PERMISSIONS
+};
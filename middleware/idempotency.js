@@ -0,0 +1,158 @@
+/**
+ * Idempotency-Key Middleware
+ *
+ * When a request carries an "Idempotency-Key" header, the first request with
+ * that key runs normally and its JSON response is stored; any retry with the
+ * same key and body gets the stored response back (with an
+ * "Idempotent-Replayed: true" header) instead of running the handler again.
+ *
+ * - Same key, different body → 422
+ * - Same key while the first request is still running → 409
+ * - 5xx and 401 responses are not stored, so the client can retry
+ * - Keys expire after 24 hours
+ *
+ * Requests without the header are passed through unchanged. If the key store
+ * is unavailable the request is processed normally (logged as an error).
+ */
+
+const crypto = require('crypto');
+const log = require('../services/logger').child('Idempotency');
+
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+const KEY_TTL_HOURS = 24;
+const KEY_REGEX = /^[A-Za-z0-9_\-:.]{8,200}$/;
+
+function hashRequest(req) {
+  return crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+}
+
+/**
+ * Insert a 'processing' row for the key. Returns false if the key is already
+ * taken by an unexpired request.
+ */
+async function claimKey(scope, key, requestHash) {
+  const row = {
+    scope,
+    key,
+    request_hash: requestHash,
+    status: 'processing',
+    expires_at: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  };
+
+  let { error } = await supabase.from('idempotency_keys').insert(row);
+  if (!error) return true;
+  if (error.code !== '23505') throw new Error(error.message);
+
+  // Expired keys may be reused
+  const { data: removed } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .eq('scope', scope)
+    .eq('key', key)
+    .lt('expires_at', new Date().toISOString())
+    .select('key');
+
+  if (!removed || removed.length === 0) return false;
+
+  ({ error } = await supabase.from('idempotency_keys').insert(row));
+  if (error && error.code !== '23505') throw new Error(error.message);
+  return !error;
+}
+
+function releaseKey(scope, key) {
+  supabase.from('idempotency_keys')
+    .delete()
+    .eq('scope', scope)
+    .eq('key', key)
+    .eq('status', 'processing')
+    .then(() => {}).catch(() => {});
+}
+
+function storeResponse(scope, key, statusCode, body) {
+  supabase.from('idempotency_keys')
+    .update({
+      status: 'completed',
+      response_status: statusCode,
+      response_body: body === undefined ? null : body,
+      completed_at: new Date().toISOString()
+    })
+    .eq('scope', scope)
+    .eq('key', key)
+    .then(({ error }) => {
+      if (error) log.error('Failed to store idempotent response', { scope, error: error.message });
+    })
+    .catch(() => {});
+}
+
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (!KEY_REGEX.test(key)) {
+    return res.status(400).json({ success: false, error: 'Invalid Idempotency-Key header' });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req);
+
+  try {
+    const claimed = await claimKey(scope, key, requestHash);
+
+    if (!claimed) {
+      const { data: existing } = await supabase
+        .from('idempotency_keys')
+        .select('*')
+        .eq('scope', scope)
+        .eq('key', key)
+        .single();
+
+      if (existing && existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'This Idempotency-Key has already been used for a different request'
+        });
+      }
+
+      if (!existing || existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'This request is already being processed — please wait a moment'
+        });
+      }
+
+      log.info('Replayed idempotent response', { scope });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+  } catch (err) {
+    log.error('Idempotency check failed', { scope, error: err.message });
+    return next();
+  }
+
+  let stored = false;
+  const originalJson = res.json.bind(res);
+
+  res.json = (body) => {
+    stored = true;
+    if (res.statusCode >= 500 || res.statusCode === 401) {
+      releaseKey(scope, key);
+    } else {
+      storeResponse(scope, key, res.statusCode, body);
+    }
+    return originalJson(body);
+  };
+
+  // Handler finished without a JSON response (redirect, crash, client hung up)
+  res.on('close', () => {
+    if (!stored) releaseKey(scope, key);
+  });
+
+  next();
+}
+
+module.exports = { setSupabaseClient, idempotency };
@@ -0,0 +1,61 @@
+/**
+ * Team Member Session Middleware
+ *
+ * Protects the my-schedule API. The member UUID in the URL identifies the
+ * schedule; a short-lived session token (issued after PIN or magic-link
+ * login) proves the caller is that member.
+ * Token must be passed in Authorization header: "Bearer <token>"
+ */
+
+const { hashSessionToken } = require('./auth');
+const log = require('../services/logger').child('TeamAuth');
+
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+async function requireTeamSession(req, res, next) {
+  const authHeader = req.headers.authorization;
+  const { memberId } = req.params;
+
+  if (!authHeader) {
+    return res.status(401).json({ success: false, error: 'Please log in to view your schedule', code: 'login_required' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    const { data: session, error } = await supabase
+      .from('team_sessions')
+      .select('id, member_id, expires_at, revoked_at, team_members(id, name, color, is_active)')
+      .eq('token_hash', hashSessionToken(token))
+      .single();
+
+    const member = session?.team_members;
+    const invalid = error || !session || session.revoked_at ||
+      new Date(session.expires_at) < new Date() ||
+      session.member_id !== memberId ||
+      !member || member.is_active === false;
+
+    if (invalid) {
+      log.warn('Team session rejected', { memberId });
+      return res.status(401).json({ success: false, error: 'Your session has expired — please log in again', code: 'login_required' });
+    }
+
+    // Non-blocking: track last activity
+    supabase.from('team_sessions')
+      .update({ last_seen_at: new Date().toISOString() })
+      .eq('id', session.id)
+      .then(() => {}).catch(() => {});
+
+    req.teamMember = { id: member.id, name: member.name, color: member.color, sessionId: session.id };
+    next();
+  } catch (err) {
+    log.error('Team session check error', { error: err.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+module.exports = { setSupabaseClient, requireTeamSession };
@@ -0,0 +1,42 @@
+-- Migration 013: Admin Users & Roles
+-- Replaces the single shared ADMIN_TOKEN with named admin accounts,
+-- hashed passwords, login sessions and role-based access.
+-- Run this in Supabase SQL Editor
+--
+-- Roles: owner, office, bookkeeper, read_only
+-- ADMIN_TOKEN still works as an owner-level break-glass credential, so the
+-- first owner account can be created via POST /admin/users after running this.
+
+-- ─── Admin users ────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS admin_users (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email text NOT NULL UNIQUE,
+  name text NOT NULL,
+  role text NOT NULL DEFAULT 'read_only'
+    CHECK (role IN ('owner', 'office', 'bookkeeper', 'read_only')),
+  password_hash text NOT NULL,
+  is_active boolean DEFAULT true,
+  last_login_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- ─── Login sessions ─────────────────────────────────────────────────
+-- Only a SHA-256 hash of the session token is stored
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  ip_address text,
+  user_agent text,
+  expires_at timestamptz NOT NULL,
+  last_seen_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+-- ─── Indexes ────────────────────────────────────────────────────────
+CREATE INDEX IF NOT EXISTS idx_admin_users_email ON admin_users(lower(email));
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_active ON admin_sessions(expires_at)
+  WHERE revoked_at IS NULL;
@@ -0,0 +1,14 @@
+-- Migration 014: Customer Link Tokens
+-- Records single-use customer link tokens (accept estimate, final price,
+-- booking) once they have performed their action, so they can't be replayed.
+-- Tokens themselves are signed with LINK_TOKEN_SECRET and never stored.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS link_token_uses (
+  jti text PRIMARY KEY,
+  quote_id uuid NOT NULL,
+  purpose text NOT NULL,
+  used_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_link_token_uses_quote ON link_token_uses(quote_id);
@@ -0,0 +1,43 @@
+-- Migration 015: Team Member Login
+-- The my-schedule page previously trusted the member UUID in the URL.
+-- Team members now sign in with a PIN or a one-time magic link (WhatsApp/email)
+-- and get a short-lived session. Admins can revoke sessions per member.
+-- Run this in Supabase SQL Editor
+
+-- ─── Team member login details ──────────────────────────────────────
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS phone text;
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS email text;
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS is_active boolean DEFAULT true;
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS pin_hash text;
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS failed_pin_attempts integer DEFAULT 0;
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS pin_locked_until timestamptz;
+
+-- ─── Sessions (only a SHA-256 hash of the token is stored) ──────────
+CREATE TABLE IF NOT EXISTS team_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  member_id uuid NOT NULL REFERENCES team_members(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  method text NOT NULL,               -- pin | magic_link
+  ip_address text,
+  user_agent text,
+  expires_at timestamptz NOT NULL,
+  last_seen_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+-- ─── One-time magic login links ─────────────────────────────────────
+CREATE TABLE IF NOT EXISTS team_login_links (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  member_id uuid NOT NULL REFERENCES team_members(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  channel text NOT NULL,              -- whatsapp | email
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+-- ─── Indexes ────────────────────────────────────────────────────────
+CREATE INDEX IF NOT EXISTS idx_team_sessions_member ON team_sessions(member_id)
+  WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_team_login_links_member ON team_login_links(member_id);
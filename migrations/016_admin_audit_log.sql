@@ -0,0 +1,23 @@
+-- Migration 016: Admin Audit Log
+-- Who changed what on quotes, jobs, customers and invoices, with a
+-- field-level before/after diff for every admin mutation.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  entity_type text NOT NULL CHECK (entity_type IN ('quote', 'job', 'customer', 'invoice')),
+  entity_id uuid NOT NULL,
+  action text NOT NULL,
+  actor_id uuid REFERENCES admin_users(id) ON DELETE SET NULL,
+  actor_name text,
+  actor_role text,
+  changed_fields jsonb,
+  old_values jsonb,
+  new_values jsonb,
+  ip_address text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_entity ON admin_audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_actor ON admin_audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_date ON admin_audit_log(created_at DESC);
@@ -0,0 +1,96 @@
+-- Migration 017: Idempotency Keys & Booking Reservations
+-- Stores responses for requests sent with an Idempotency-Key header so retries
+-- and double-taps replay the original response instead of repeating the work.
+-- Booking reservations guarantee at most one pipeline booking per quote and
+-- never more jobs in a slot/day than the configured capacity.
+-- Run this in Supabase SQL Editor
+
+-- ─── Idempotency keys ───────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope text NOT NULL,
+  key text NOT NULL,
+  request_hash text NOT NULL,
+  status text NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz DEFAULT now(),
+  completed_at timestamptz,
+  expires_at timestamptz NOT NULL,
+  PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+-- ─── Booking reservations ───────────────────────────────────────────
+
+-- One row per quote (primary key) — a second booking attempt for the same
+-- quote finds the existing reservation instead of creating another job.
+CREATE TABLE IF NOT EXISTS booking_reservations (
+  quote_id uuid PRIMARY KEY REFERENCES quotes(id) ON DELETE CASCADE,
+  scheduled_date date NOT NULL,
+  time_slot text NOT NULL,
+  status text NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'confirmed')),
+  job_id uuid REFERENCES jobs(id) ON DELETE SET NULL,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_reservations_slot ON booking_reservations(scheduled_date, time_slot);
+
+-- Atomically hold a slot for a quote. Bookings for the same day are serialised
+-- with an advisory lock, so the capacity check and the insert can't interleave.
+-- Returns: reserved | already_booked | in_progress | day_full | slot_full
+CREATE OR REPLACE FUNCTION reserve_booking_slot(
+  p_quote_id uuid,
+  p_date date,
+  p_time_slot text,
+  p_slot_capacity integer,
+  p_day_capacity integer,
+  p_hold_minutes integer DEFAULT 10
+)
+RETURNS text AS $$
+DECLARE
+  existing booking_reservations%ROWTYPE;
+  day_count integer;
+  slot_count integer;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('booking_quote:' || p_quote_id::text));
+  PERFORM pg_advisory_xact_lock(hashtext('booking_day:' || p_date::text));
+
+  SELECT * INTO existing FROM booking_reservations WHERE quote_id = p_quote_id;
+  IF FOUND THEN
+    IF existing.status = 'confirmed' THEN
+      RETURN 'already_booked';
+    END IF;
+    IF existing.expires_at > now() THEN
+      RETURN 'in_progress';
+    END IF;
+    DELETE FROM booking_reservations WHERE quote_id = p_quote_id;
+  END IF;
+
+  -- Existing jobs plus live holds that haven't become jobs yet
+  SELECT
+    (SELECT count(*) FROM jobs
+      WHERE scheduled_date = p_date AND status <> 'cancelled' AND deleted_at IS NULL)
+    + (SELECT count(*) FROM booking_reservations
+      WHERE scheduled_date = p_date AND status = 'held' AND expires_at > now()),
+    (SELECT count(*) FROM jobs
+      WHERE scheduled_date = p_date AND time_slot = p_time_slot AND status <> 'cancelled' AND deleted_at IS NULL)
+    + (SELECT count(*) FROM booking_reservations
+      WHERE scheduled_date = p_date AND time_slot = p_time_slot AND status = 'held' AND expires_at > now())
+  INTO day_count, slot_count;
+
+  IF day_count >= p_day_capacity THEN
+    RETURN 'day_full';
+  END IF;
+  IF slot_count >= p_slot_capacity THEN
+    RETURN 'slot_full';
+  END IF;
+
+  INSERT INTO booking_reservations (quote_id, scheduled_date, time_slot, status, expires_at)
+  VALUES (p_quote_id, p_date, p_time_slot, 'held', now() + make_interval(mins => p_hold_minutes));
+
+  RETURN 'reserved';
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,31 @@
+-- Migration 018: Webhook Event Store
+-- Every inbound Resend, Twilio and Stripe webhook is stored raw with its
+-- provider event ID, signature result and processing status, so failed
+-- events can be inspected and replayed from the admin dashboard.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider text NOT NULL CHECK (provider IN ('resend', 'twilio', 'stripe')),
+  event_id text NOT NULL,
+  event_type text,
+  payload jsonb,
+  raw_body text,
+  headers jsonb,
+  signature_status text NOT NULL CHECK (signature_status IN ('verified', 'failed', 'skipped')),
+  status text NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'processed', 'failed', 'rejected')),
+  error text,
+  attempts integer DEFAULT 0,
+  received_at timestamptz DEFAULT now(),
+  processed_at timestamptz,
+  last_replayed_at timestamptz
+);
+
+-- Dedupe by provider event ID. Events that failed signature checks are kept
+-- for inspection but don't claim the ID, so a forged event can't block the real one.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_dedupe
+  ON webhook_events(provider, event_id)
+  WHERE signature_status <> 'failed';
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events(received_at DESC);
@@ -0,0 +1,37 @@
+-- Migration 019: Job Locks
+-- Lease-based locks so only one server instance runs each scheduled task
+-- (hourly follow-ups, startup estimation retries) and each per-quote job.
+-- Holders renew the lease with a heartbeat; a lease that stops being renewed
+-- expires and can be taken over by another instance.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS job_locks (
+  name text PRIMARY KEY,
+  owner text NOT NULL,
+  acquired_at timestamptz DEFAULT now(),
+  heartbeat_at timestamptz DEFAULT now(),
+  expires_at timestamptz NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_locks_expires ON job_locks(expires_at);
+
+-- Take the lock if it's free or its lease has expired (stale holder).
+-- Returns true if p_owner now holds the lock.
+CREATE OR REPLACE FUNCTION acquire_job_lock(p_name text, p_owner text, p_ttl_seconds integer)
+RETURNS boolean AS $$
+DECLARE
+  acquired text;
+BEGIN
+  INSERT INTO job_locks (name, owner, acquired_at, heartbeat_at, expires_at)
+  VALUES (p_name, p_owner, now(), now(), now() + make_interval(secs => p_ttl_seconds))
+  ON CONFLICT (name) DO UPDATE
+    SET owner = EXCLUDED.owner,
+        acquired_at = now(),
+        heartbeat_at = now(),
+        expires_at = EXCLUDED.expires_at
+    WHERE job_locks.expires_at < now()
+  RETURNING owner INTO acquired;
+
+  RETURN acquired IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,24 @@
+-- Migration 020: Customer Erasure Log
+-- Right-to-erasure support: marks anonymised customers and keeps a
+-- tamper-evident, hash-chained record of every erasure. Each row's
+-- record_hash covers its contents plus the previous row's hash, so editing
+-- or deleting an earlier row breaks the chain.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS erased_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS customer_erasures (
+  seq bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  customer_id uuid NOT NULL,
+  -- SHA-256 of the lowercased email, so a repeat request can be matched without keeping the address
+  subject_hash text,
+  erased_by_id uuid,
+  erased_by_name text,
+  reason text NOT NULL,
+  summary jsonb NOT NULL,
+  prev_hash text NOT NULL UNIQUE,
+  record_hash text NOT NULL UNIQUE,
+  created_at timestamptz NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_erasures_customer ON customer_erasures(customer_id);
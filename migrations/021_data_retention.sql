@@ -0,0 +1,31 @@
+-- Migration 021: Data Retention
+-- Nightly purge of expired personal data (chat IPs and transcripts, photos of
+-- deleted quotes, old deleted and unconverted quotes) driven by the
+-- retention_policy setting. Every run writes a report to retention_runs.
+-- Run this in Supabase SQL Editor
+
+-- ─── Purge markers (so anonymised rows aren't picked up again) ───
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS anonymised_at timestamptz;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS files_purged_at timestamptz;
+ALTER TABLE chat_conversations ADD COLUMN IF NOT EXISTS anonymised_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_deleted_at ON quotes(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_chat_conversations_last_message ON chat_conversations(last_message_at);
+
+-- ─── Run reports ───
+
+CREATE TABLE IF NOT EXISTS retention_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  trigger text NOT NULL CHECK (trigger IN ('scheduled', 'manual')),
+  dry_run boolean NOT NULL DEFAULT false,
+  status text NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  policy jsonb,
+  report jsonb,
+  error text,
+  started_by_name text,
+  started_at timestamptz DEFAULT now(),
+  finished_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_runs_started ON retention_runs(started_at DESC);
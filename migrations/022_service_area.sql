@@ -0,0 +1,15 @@
+-- Migration 022: Service Area
+-- Coverage check and travel surcharge for quotes. service_area_status is set
+-- when the quote is submitted; the estimate breakdown records how the price
+-- was built (services, modifiers, travel) so admins can see the surcharge.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS service_area_status text
+  CHECK (service_area_status IS NULL OR service_area_status IN ('in_area', 'out_of_area', 'unknown'));
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS needs_manual_review boolean DEFAULT false;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS travel_distance_miles numeric(6,1);
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS travel_surcharge numeric(10,2);
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS estimate_breakdown jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_needs_manual_review ON quotes(needs_manual_review)
+  WHERE needs_manual_review = true;
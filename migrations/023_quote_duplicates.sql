@@ -0,0 +1,32 @@
+-- Migration 023: Quote Duplicates
+-- Repeat requests from the same customer (form, then chat, then form again)
+-- are linked to their open quote instead of starting a second pipeline.
+-- quote_merges records what each merge moved so it can be undone.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS duplicate_of uuid REFERENCES quotes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_duplicate_of ON quotes(duplicate_of) WHERE duplicate_of IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_quotes_customer_created ON quotes(customer_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS quote_merges (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  primary_quote_id uuid NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  duplicate_quote_id uuid NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  source text NOT NULL CHECK (source IN ('intake', 'manual')),
+  -- What moved to the primary quote, so unmerge can move it back
+  moved_activity_ids jsonb NOT NULL DEFAULT '[]',
+  moved_files jsonb NOT NULL DEFAULT '[]',
+  -- Duplicate's fields cleared by the merge (e.g. next_follow_up_at)
+  previous_values jsonb,
+  merged_by_id uuid REFERENCES admin_users(id) ON DELETE SET NULL,
+  merged_by_name text,
+  created_at timestamptz DEFAULT now(),
+  unmerged_at timestamptz,
+  unmerged_by_name text
+);
+
+-- A quote can only be merged into one other quote at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quote_merges_active_duplicate
+  ON quote_merges(duplicate_quote_id) WHERE unmerged_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_quote_merges_primary ON quote_merges(primary_quote_id);
@@ -0,0 +1,37 @@
+-- Migration 024: Customer Properties
+-- A customer can own several addresses (landlords, people who move). Quotes,
+-- jobs, recurring jobs and invoices are linked to the property they were for,
+-- so each address keeps its own service history.
+-- After running, link existing records with: node scripts/backfillProperties.js
+-- Run this in Supabase SQL Editor
+
+-- ─── Properties ────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS properties (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  label text,
+  address_line1 text NOT NULL,
+  postcode text NOT NULL,
+  -- Normalised postcode + first line, used to match new quotes to this property
+  address_key text,
+  notes text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_properties_customer_address
+  ON properties(customer_id, address_key) WHERE address_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_properties_customer ON properties(customer_id);
+
+-- ─── Links ─────────────────────────────────────────────────────────
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS property_id uuid REFERENCES properties(id) ON DELETE SET NULL;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS property_id uuid REFERENCES properties(id) ON DELETE SET NULL;
+ALTER TABLE recurring_jobs ADD COLUMN IF NOT EXISTS property_id uuid REFERENCES properties(id) ON DELETE SET NULL;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS property_id uuid REFERENCES properties(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_property ON quotes(property_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_property ON jobs(property_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_jobs_property ON recurring_jobs(property_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_property ON invoices(property_id);
@@ -0,0 +1,27 @@
+-- Migration 025: Quote Price Revisions
+-- Every change to a quote's estimate or final price is kept as a numbered
+-- revision (who, why, old and new values) instead of overwriting in place.
+-- quotes.price_revision is the current revision number (0 = as first priced).
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS price_revision integer NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS quote_revisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  quote_id uuid NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  revision integer NOT NULL,
+  -- Only the price fields that changed
+  old_values jsonb NOT NULL,
+  new_values jsonb NOT NULL,
+  reason text NOT NULL,
+  revised_by_id uuid REFERENCES admin_users(id) ON DELETE SET NULL,
+  revised_by_name text,
+  created_at timestamptz DEFAULT now(),
+  -- Set when the revised price is re-sent to the customer
+  sent_at timestamptz,
+  sent_by_name text,
+  sent_channels jsonb,
+  UNIQUE (quote_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_revisions_quote ON quote_revisions(quote_id, revision DESC);
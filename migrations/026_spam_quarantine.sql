@@ -0,0 +1,21 @@
+-- Migration 026: Spam Quarantine
+-- Quote form and chatbot submissions are scored for spam (honeypot, time to
+-- submit, disposable email, junk text, per-phone/email velocity). Suspect
+-- quotes are saved with status 'quarantined' and get no messages, estimate or
+-- alerts until an admin releases them.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS spam_score integer;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS spam_reasons text[];
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS quarantined_at timestamptz;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS released_at timestamptz;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS released_by_name text;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_quarantined ON quotes(created_at DESC) WHERE status = 'quarantined';
+
+-- Velocity checks count recent quotes per phone and per email
+CREATE INDEX IF NOT EXISTS idx_quotes_email_created ON quotes(email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_quotes_phone_created ON quotes(phone, created_at DESC);
+
+-- A chat whose lead was quarantined gets no further AI replies
+ALTER TABLE chat_conversations ADD COLUMN IF NOT EXISTS quarantined_at timestamptz;
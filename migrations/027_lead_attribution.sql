@@ -0,0 +1,30 @@
+-- Migration 027: Lead Attribution
+-- Quotes record where the lead came from (UTM tags, referrer, landing page)
+-- for both the last and first touch, plus the browser's attribution cookie
+-- IDs. Marketing expenses can be tagged with the ad source and campaign they
+-- paid for, so analytics can report cost per booking.
+-- Run this in Supabase SQL Editor
+
+-- ─── Quotes ────────────────────────────────────────────────────────
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS utm_source text;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS utm_medium text;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS utm_campaign text;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS utm_term text;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS utm_content text;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS referrer text;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS landing_page text;
+-- { utm_source, utm_medium, utm_campaign, utm_term, utm_content, referrer, landing_page, at }
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS first_touch jsonb;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS first_touch_id text;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS last_touch_id text;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_utm ON quotes(utm_source, utm_campaign);
+CREATE INDEX IF NOT EXISTS idx_quotes_first_touch_id ON quotes(first_touch_id) WHERE first_touch_id IS NOT NULL;
+
+-- ─── Ad spend ──────────────────────────────────────────────────────
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS attribution_source text;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS attribution_campaign text;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_attribution ON expenses(attribution_source) WHERE attribution_source IS NOT NULL;
@@ -0,0 +1,40 @@
+-- Migration 028: Referral Programme
+-- Customers get a referral code once a job of theirs is completed, sent with
+-- the review request. A new quote with a valid code gets the referral
+-- discount (REFERRALS in the pricing config); once the referred job is
+-- completed the referrer earns a credit that is taken off their next invoice.
+-- Run this in Supabase SQL Editor
+
+-- ─── Codes ─────────────────────────────────────────────────────────
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS referral_code text;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_referral_code ON customers(referral_code) WHERE referral_code IS NOT NULL;
+
+-- ─── Referred quotes ───────────────────────────────────────────────
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS referral_code text;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS referred_by_customer_id uuid REFERENCES customers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_referred_by ON quotes(referred_by_customer_id) WHERE referred_by_customer_id IS NOT NULL;
+
+-- ─── Rewards ───────────────────────────────────────────────────────
+
+-- One per referred quote. 'pending' until the referred job is completed,
+-- 'earned' while there is credit left to use, 'applied' once fully used,
+-- 'cancelled' if the referral didn't count (e.g. set aside by an admin).
+CREATE TABLE IF NOT EXISTS referral_rewards (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  referrer_customer_id uuid NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+  referred_quote_id uuid NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  referred_job_id uuid REFERENCES jobs(id) ON DELETE SET NULL,
+  amount numeric(10,2) NOT NULL,
+  amount_applied numeric(10,2) NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'pending',
+  earned_at timestamptz,
+  applied_invoice_id uuid REFERENCES invoices(id) ON DELETE SET NULL,
+  applied_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_referral_rewards_quote ON referral_rewards(referred_quote_id);
+CREATE INDEX IF NOT EXISTS idx_referral_rewards_referrer ON referral_rewards(referrer_customer_id, status);
@@ -0,0 +1,48 @@
+-- Migration 029: Discount Codes
+-- Promo codes (e.g. SPRING10 — 10% off roof cleans in March) with a
+-- percentage or fixed amount, validity window, usage limits and eligible
+-- services. A quote's accepted code is snapshotted onto the quote so the
+-- estimate, fixed price and invoice all apply the same terms.
+-- Run this in Supabase SQL Editor
+
+-- ─── Codes ─────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS discount_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  code text NOT NULL UNIQUE,
+  description text,
+  discount_type text NOT NULL DEFAULT 'percent',    -- 'percent' or 'fixed' (£ off)
+  discount_value numeric(10,2) NOT NULL,
+  -- Service slugs the discount applies to; NULL = every service
+  services text[],
+  starts_at timestamptz,
+  ends_at timestamptz,
+  -- NULL = unlimited
+  max_uses integer,
+  max_uses_per_customer integer DEFAULT 1,
+  active boolean NOT NULL DEFAULT true,
+  created_by_name text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- One row per quote that used a code — usage limits count these
+CREATE TABLE IF NOT EXISTS discount_code_redemptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  discount_code_id uuid NOT NULL REFERENCES discount_codes(id) ON DELETE CASCADE,
+  quote_id uuid NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+  customer_id uuid REFERENCES customers(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (quote_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_discount_redemptions_code ON discount_code_redemptions(discount_code_id, customer_id);
+
+-- ─── Quotes ────────────────────────────────────────────────────────
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS discount_code text;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS discount_code_id uuid REFERENCES discount_codes(id) ON DELETE SET NULL;
+-- { code, discountType, discountValue, services } as accepted at intake
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS discount_terms jsonb;
+-- Discounts taken off the fixed price, for the invoice: [{ label, amount }]
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS final_price_discounts jsonb;
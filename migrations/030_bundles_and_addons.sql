@@ -0,0 +1,13 @@
+-- Migration 030: Bundles and Add-ons
+-- Bundle upgrades and add-ons (biocide treatment, gutter guards...) the
+-- customer ticks when accepting their fixed price. They're added to the
+-- fixed price and listed on the job and invoice.
+-- Run this in Supabase SQL Editor
+
+-- What was added when the price was accepted: [{ type, id, label, amount, services? }]
+-- (type 'bundle' or 'addon'; final_price includes them)
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS final_price_extras jsonb;
+
+-- The work making up the job's full-rate price, for jobs with extras:
+-- [{ description, quantity, unit_price, total }] — the main service first
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS line_items jsonb;
@@ -0,0 +1,51 @@
+-- Migration 031: Pricing Versions
+-- Every saved pricing config is kept as an immutable version. A version takes
+-- effect at effective_from (now, or a future date for a scheduled price
+-- list); the pricing live at any moment is the latest version to have taken
+-- effect by then. Restoring an old version saves a copy of it as a new one.
+-- Quotes record the version that priced them.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS pricing_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  version_number integer GENERATED ALWAYS AS IDENTITY UNIQUE,
+  config jsonb NOT NULL,
+  description text,
+  effective_from timestamptz NOT NULL DEFAULT now(),
+  restored_from uuid REFERENCES pricing_versions(id) ON DELETE SET NULL,
+  created_by_name text,
+  created_at timestamptz DEFAULT now(),
+  -- Only a scheduled version that hasn't taken effect yet can be cancelled
+  cancelled_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_versions_effective ON pricing_versions(effective_from DESC, version_number DESC)
+  WHERE cancelled_at IS NULL;
+
+-- Versions are immutable: the config and when it takes effect can't change
+CREATE OR REPLACE FUNCTION prevent_pricing_version_edits()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.config IS DISTINCT FROM OLD.config OR NEW.effective_from IS DISTINCT FROM OLD.effective_from THEN
+    RAISE EXCEPTION 'Pricing versions cannot be edited — save a new version instead';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_pricing_versions_immutable ON pricing_versions;
+CREATE TRIGGER trigger_pricing_versions_immutable
+  BEFORE UPDATE ON pricing_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_pricing_version_edits();
+
+-- The config saved before versions existed becomes version 1
+INSERT INTO pricing_versions (config, description, effective_from)
+SELECT value, 'Pricing before versioning', updated_at
+FROM settings
+WHERE key = 'pricing_config'
+  AND NOT EXISTS (SELECT 1 FROM pricing_versions);
+
+-- ─── Quotes ────────────────────────────────────────────────────────
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS pricing_version_id uuid REFERENCES pricing_versions(id) ON DELETE SET NULL;
@@ -0,0 +1,50 @@
+-- Migration 032: Pricing Experiments
+-- An experiment splits new quotes between two or more pricing variants by
+-- traffic weight. Each variant is the live pricing with a price adjustment
+-- and/or section overrides; the first variant is the control. A quote is
+-- assigned a variant when it's estimated (deterministically, from the quote
+-- and experiment IDs) and keeps it for the fixed price too, so acceptance,
+-- bookings and revenue can be compared per variant.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS pricing_experiments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  description text,
+  -- [{ key, name, weight, priceAdjustment, overrides }]
+  variants jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'running',     -- 'running' or 'ended'
+  started_at timestamptz NOT NULL DEFAULT now(),
+  ended_at timestamptz,
+  created_by_name text,
+  created_at timestamptz DEFAULT now()
+);
+
+-- One experiment runs at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pricing_experiments_running ON pricing_experiments(status)
+  WHERE status = 'running';
+
+-- Variants can't change once quotes have been assigned to them
+CREATE OR REPLACE FUNCTION prevent_pricing_experiment_edits()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.variants IS DISTINCT FROM OLD.variants OR NEW.started_at IS DISTINCT FROM OLD.started_at THEN
+    RAISE EXCEPTION 'Pricing experiment variants cannot be edited — end it and start a new one';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_pricing_experiments_immutable ON pricing_experiments;
+CREATE TRIGGER trigger_pricing_experiments_immutable
+  BEFORE UPDATE ON pricing_experiments
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_pricing_experiment_edits();
+
+-- ─── Quotes ────────────────────────────────────────────────────────
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS pricing_experiment_id uuid REFERENCES pricing_experiments(id) ON DELETE SET NULL;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS pricing_variant text;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_pricing_experiment ON quotes(pricing_experiment_id)
+  WHERE pricing_experiment_id IS NOT NULL;
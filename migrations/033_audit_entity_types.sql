@@ -0,0 +1,15 @@
+-- Migration 033: Audit Entity Types
+-- Recurring jobs, properties, discount codes, admin users, team members and
+-- settings are audited too, so the audit log accepts them alongside quotes,
+-- jobs, customers and invoices. Settings rows are keyed by name rather than
+-- a uuid, so entity_id becomes text (existing uuids cast cleanly).
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE admin_audit_log ALTER COLUMN entity_id TYPE text USING entity_id::text;
+
+ALTER TABLE admin_audit_log DROP CONSTRAINT IF EXISTS admin_audit_log_entity_type_check;
+ALTER TABLE admin_audit_log ADD CONSTRAINT admin_audit_log_entity_type_check
+  CHECK (entity_type IN (
+    'quote', 'job', 'recurring_job', 'customer', 'invoice', 'property',
+    'discount_code', 'admin_user', 'team_member', 'settings'
+  ));
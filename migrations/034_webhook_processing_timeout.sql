@@ -0,0 +1,11 @@
+-- Migration 034: Webhook Processing Timeout
+-- When an event was claimed for processing, so an event left 'processing' by
+-- a crash can be taken over by a provider retry or an admin replay once it
+-- has been stuck for longer than the processing timeout.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS processing_started_at timestamptz DEFAULT now();
+
+UPDATE webhook_events
+SET processing_started_at = COALESCE(last_replayed_at, received_at)
+WHERE status = 'processing';
@@ -0,0 +1,7 @@
+-- Migration 035: Invoice Stripe Coupon
+-- The Stripe coupon made for an invoice's discount and credit lines, so a
+-- new checkout session for the same invoice reuses it instead of creating
+-- another one each time.
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS stripe_coupon_id text;
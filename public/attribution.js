@@ -0,0 +1,122 @@
+/**
+ * Revive Exterior Cleaning - Lead Attribution
+ *
+ * Remembers where a visitor came from so quotes can be credited to the ad,
+ * campaign or site that produced them. Keeps two first-party cookies:
+ * - revive_ft: first touch (set once, kept 180 days)
+ * - revive_lt: last touch (replaced by each visit from a campaign link or
+ *   another site, kept 30 days)
+ *
+ * The quote form and chat widget send window.ReviveAttribution.get() with
+ * each submission. A referral link's ?ref= code rides along as referralCode.
+ *
+ * Embed on every page, before the chat widget:
+ * <script src="https://your-backend-url/attribution.js"></script>
+ */
+(function () {
+  'use strict';
+
+  if (window.ReviveAttribution) return;
+
+  var FIRST_TOUCH_COOKIE = 'revive_ft';
+  var LAST_TOUCH_COOKIE = 'revive_lt';
+  var FIRST_TOUCH_DAYS = 180;
+  var LAST_TOUCH_DAYS = 30;
+  var PARAMS = {
+    utm_source: 'utmSource',
+    utm_medium: 'utmMedium',
+    utm_campaign: 'utmCampaign',
+    utm_term: 'utmTerm',
+    utm_content: 'utmContent',
+    gclid: 'gclid',
+    fbclid: 'fbclid',
+    ref: 'referralCode'
+  };
+
+  function readCookie(name) {
+    var match = document.cookie.match(new RegExp('(?:^|; )' + name + '=([^;]*)'));
+    if (!match) return null;
+    try {
+      return JSON.parse(decodeURIComponent(match[1]));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeCookie(name, value, days) {
+    var expires = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toUTCString();
+    document.cookie = name + '=' + encodeURIComponent(JSON.stringify(value)) +
+      '; expires=' + expires + '; path=/; SameSite=Lax';
+  }
+
+  function newId() {
+    return (window.crypto && crypto.randomUUID)
+      ? crypto.randomUUID()
+      : 't' + Date.now().toString(36) + Math.random().toString(36).slice(2);
+  }
+
+  // This page view as a touch, or null if it's internal navigation / a plain return visit
+  function currentTouch() {
+    var query = new URLSearchParams(window.location.search);
+    var touch = {};
+    var tagged = false;
+    Object.keys(PARAMS).forEach(function (param) {
+      var value = query.get(param);
+      if (value) {
+        touch[PARAMS[param]] = value.substring(0, 200);
+        tagged = true;
+      }
+    });
+
+    var referrer = document.referrer || '';
+    var external = false;
+    try {
+      external = !!referrer && new URL(referrer).hostname !== window.location.hostname;
+    } catch (e) { /* unparseable referrer — ignore it */ }
+
+    if (!tagged && !external) return null;
+
+    touch.referrer = external ? referrer.substring(0, 500) : null;
+    touch.landingPage = (window.location.origin + window.location.pathname).substring(0, 500);
+    touch.at = new Date().toISOString();
+    touch.id = newId();
+    return touch;
+  }
+
+  var touch = currentTouch();
+  var firstTouch = readCookie(FIRST_TOUCH_COOKIE);
+  var lastTouch = readCookie(LAST_TOUCH_COOKIE);
+
+  if (!firstTouch) {
+    // A direct first visit still gets an ID, so later quotes can be tied to this browser
+    firstTouch = touch || {
+      landingPage: (window.location.origin + window.location.pathname).substring(0, 500),
+      at: new Date().toISOString(),
+      id: newId()
+    };
+    writeCookie(FIRST_TOUCH_COOKIE, firstTouch, FIRST_TOUCH_DAYS);
+  }
+  if (touch || !lastTouch) {
+    lastTouch = touch || firstTouch;
+    writeCookie(LAST_TOUCH_COOKIE, lastTouch, LAST_TOUCH_DAYS);
+  }
+
+  window.ReviveAttribution = {
+    /**
+     * Payload for POST /api/quote and /api/chat: the last touch's fields,
+     * the first touch, and both cookie IDs
+     */
+    get: function () {
+      var last = readCookie(LAST_TOUCH_COOKIE) || lastTouch;
+      var first = readCookie(FIRST_TOUCH_COOKIE) || firstTouch;
+      var payload = {};
+      Object.keys(last).forEach(function (key) {
+        if (key !== 'id' && key !== 'at') payload[key] = last[key];
+      });
+      payload.firstTouch = first;
+      payload.firstTouchId = first.id;
+      payload.lastTouchId = last.id;
+      return payload;
+    }
+  };
+})();
@@ -509,7 +509,8 @@
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           messages: messages,
-          sessionId: sessionId
+          sessionId: sessionId,
+          attribution: window.ReviveAttribution ? window.ReviveAttribution.get() : null
         })
       });
 
@@ -657,6 +658,12 @@
           if (phoneInput) phoneInput.value = data.phone;
         }
 
+        // Promo code
+        if (data.discountCode) {
+          var codeInput = document.getElementById('discount-code');
+          if (codeInput) codeInput.value = data.discountCode.toUpperCase();
+        }
+
         console.log('[Revive Chat] Form pre-filled from chat conversation');
       }, 800);
     } catch(e) {
@@ -7,6 +7,9 @@
 
 const { parse } = require('json2csv');
 const log = require('../services/logger').child('Admin');
+const audit = require('../services/audit');
+const retention = require('../services/retention');
+const quoteRevisions = require('../services/quoteRevisions');
 
 // Supabase client will be passed from index.js
 let supabase;
@@ -15,6 +18,13 @@ function setSupabaseClient(client) {
   supabase = client;
 }
 
+// Intake (index.js startIntake), for quotes released from spam quarantine
+let startIntake;
+
+function setIntakeHandler(handler) {
+  startIntake = handler;
+}
+
 /**
  * GET /admin/quotes
  *
@@ -23,6 +33,7 @@ function setSupabaseClient(client) {
  * Query params:
  * - status: Filter by qualification_status (hot, warm, cold, unqualified)
  * - service: Filter by service (roof, driveway, gutter, etc.)
+ * - needs_review: 'true' for quotes held for manual review (e.g. outside service area)
  * - limit: Number of results (default 50, max 200)
  * - offset: Pagination offset (default 0)
  * - sort: Sort by field (default: created_at)
@@ -62,6 +73,17 @@ async function listQuotes(req, res) {
       query = query.contains('services', [service]);
     }
 
+    if (req.query.needs_review === 'true') {
+      query = query.eq('needs_manual_review', true);
+    }
+
+    // Suspected spam only shows when asked for
+    if (req.query.quarantined === 'true') {
+      query = query.eq('status', 'quarantined');
+    } else if (!showDeleted) {
+      query = query.or('status.is.null,status.neq.quarantined');
+    }
+
     // Apply sorting
     const ascending = order === 'asc';
     query = query.order(sort, { ascending });
@@ -133,6 +155,17 @@ async function updateQuoteStatus(req, res) {
       });
     }
 
+    const { data: oldQuote } = await supabase
+      .from('quotes')
+      .select('status')
+      .eq('id', id)
+      .single();
+
+    // Leaving quarantine has to go through release so the quote gets its intake
+    if (oldQuote?.status === 'quarantined') {
+      return res.status(409).json({ success: false, error: 'This quote is quarantined as spam — release it instead' });
+    }
+
     // Update status
     const { data, error } = await supabase
       .from('quotes')
@@ -158,6 +191,11 @@ async function updateQuoteStatus(req, res) {
       });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'status_change',
+      oldValues: oldQuote, newValues: { status }
+    });
+
     log.info('Updated quote status', { quoteId: id, status });
 
     res.json({
@@ -194,6 +232,12 @@ async function updateQuoteNotes(req, res) {
       });
     }
 
+    const { data: oldQuote } = await supabase
+      .from('quotes')
+      .select('admin_notes')
+      .eq('id', id)
+      .single();
+
     // Update notes
     const { data, error } = await supabase
       .from('quotes')
@@ -216,6 +260,11 @@ async function updateQuoteNotes(req, res) {
       });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'update',
+      oldValues: oldQuote, newValues: { admin_notes: notes }
+    });
+
     log.info('Updated notes', { quoteId: id });
 
     res.json({
@@ -415,7 +464,8 @@ async function exportQuotes(req, res) {
  * PATCH /admin/quotes/:id
  *
  * General-purpose quote update. Accepts any combination of editable fields.
- * Auto-logs changes to quote_activity table.
+ * Auto-logs changes to quote_activity table. Changing the estimate or a price
+ * needs a revision_reason and is stored as a numbered revision.
  */
 async function updateQuote(req, res) {
   try {
@@ -423,7 +473,7 @@ async function updateQuote(req, res) {
     const updates = req.body;
 
     const allowed = [
-      'status', 'admin_notes', 'final_value',
+      'status', 'admin_notes', 'final_value', 'final_price',
       'estimated_value_min', 'estimated_value_max',
       'internal_priority', 'assigned_to'
     ];
@@ -461,23 +511,50 @@ async function updateQuote(req, res) {
     // Fetch current quote for activity logging
     const { data: oldQuote } = await supabase
       .from('quotes')
-      .select('status, admin_notes, final_value, internal_priority, assigned_to, estimated_value_min, estimated_value_max')
+      .select('status, admin_notes, final_value, final_price, internal_priority, assigned_to, estimated_value_min, estimated_value_max, price_revision')
       .eq('id', id)
       .single();
 
-    const { data, error } = await supabase
-      .from('quotes')
-      .update(filtered)
-      .eq('id', id)
-      .select();
+    if (filtered.status && oldQuote?.status === 'quarantined') {
+      return res.status(409).json({ success: false, error: 'This quote is quarantined as spam — release it instead' });
+    }
 
-    if (error) {
-      log.error('Update quote error', { error: error.message });
-      return res.status(500).json({ success: false, error: 'Failed to update quote' });
+    // Price changes become a new revision rather than overwriting silently
+    const priceChange = oldQuote ? quoteRevisions.priceChanges(oldQuote, filtered) : null;
+    const revisionReason = typeof updates.revision_reason === 'string' ? updates.revision_reason.trim() : '';
+    if (priceChange && !revisionReason) {
+      return res.status(400).json({ success: false, error: 'revision_reason is required when changing the estimate or price' });
     }
 
-    if (!data || data.length === 0) {
-      return res.status(404).json({ success: false, error: 'Quote not found' });
+    let data;
+    let revision = null;
+    if (priceChange) {
+      // The revision is stored before the quote changes — see reviseQuote
+      const result = await quoteRevisions.reviseQuote(supabase, { id, ...oldQuote }, filtered, {
+        reason: revisionReason,
+        actor: req.adminUser
+      });
+      if (result.conflict) {
+        return res.status(409).json({ success: false, error: 'The price was changed by someone else — reload and try again' });
+      }
+      data = [result.quote];
+      revision = result.revision;
+    } else {
+      const { data: rows, error } = await supabase
+        .from('quotes')
+        .update(filtered)
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        log.error('Update quote error', { error: error.message });
+        return res.status(500).json({ success: false, error: 'Failed to update quote' });
+      }
+
+      if (!rows || rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Quote not found' });
+      }
+      data = rows;
     }
 
     // Auto-log activity for each changed field
@@ -486,20 +563,13 @@ async function updateQuote(req, res) {
       if (filtered.status && filtered.status !== oldQuote.status) {
         activities.push({ action_type: 'status_change', description: `Status changed from ${oldQuote.status || 'new'} to ${filtered.status}` });
       }
-      if (filtered.final_value !== undefined && filtered.final_value !== oldQuote.final_value) {
-        activities.push({ action_type: 'price_update', description: `Final price set to £${Number(filtered.final_value).toFixed(2)}` });
-      }
+      // Price and estimate changes are logged by reviseQuote
       if (filtered.internal_priority && filtered.internal_priority !== oldQuote.internal_priority) {
         activities.push({ action_type: 'priority_change', description: `Priority set to ${filtered.internal_priority}` });
       }
       if (filtered.assigned_to !== undefined && filtered.assigned_to !== oldQuote.assigned_to) {
         activities.push({ action_type: 'assignment', description: filtered.assigned_to ? `Assigned to ${filtered.assigned_to}` : 'Unassigned' });
       }
-      if (filtered.estimated_value_min !== undefined || filtered.estimated_value_max !== undefined) {
-        const min = filtered.estimated_value_min ?? oldQuote.estimated_value_min;
-        const max = filtered.estimated_value_max ?? oldQuote.estimated_value_max;
-        activities.push({ action_type: 'price_update', description: `Estimate updated to £${min} - £${max}` });
-      }
       if (filtered.admin_notes !== undefined && filtered.admin_notes !== oldQuote.admin_notes) {
         activities.push({ action_type: 'note', description: 'Admin notes updated' });
       }
@@ -513,8 +583,13 @@ async function updateQuote(req, res) {
       }
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'update',
+      oldValues: oldQuote, newValues: filtered
+    });
+
     log.info('Updated quote', { quoteId: id, fields: Object.keys(filtered).join(', ') });
-    res.json({ success: true, data: data[0] });
+    res.json({ success: true, data: data[0], revision });
 
   } catch (error) {
     log.error('Update quote error', { error: error.message });
@@ -522,6 +597,49 @@ async function updateQuote(req, res) {
   }
 }
 
+/**
+ * GET /admin/quotes/:id/revisions
+ * Price revision history, newest first, with a "what changed" summary for each
+ */
+async function listQuoteRevisions(req, res) {
+  try {
+    const data = await quoteRevisions.listRevisions(supabase, req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    log.error('List revisions error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /admin/quotes/:id/resend-price
+ * Send the current price revision to the customer by email and WhatsApp
+ * Body: { note } — optional message to include
+ */
+async function resendRevisedPrice(req, res) {
+  try {
+    const { id } = req.params;
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 1000) : '';
+
+    const { sendRevisedPriceMessages } = require('../services/pipelineManager');
+    const result = await sendRevisedPriceMessages(supabase, id, { actor: req.adminUser, note: note || null });
+
+    if (!result.success) {
+      return res.status(result.status || 500).json({ success: false, error: result.error });
+    }
+
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'resend_price',
+      newValues: { revision: result.revision, channels: result.channels }
+    });
+
+    res.json({ success: true, data: { revision: result.revision, channels: result.channels } });
+  } catch (error) {
+    log.error('Resend price error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
 /**
  * GET /admin/quotes/:id/activity
  * Fetch activity log for a quote
@@ -638,6 +756,11 @@ async function uploadAttachment(req, res) {
       description: `File attached: ${filename}`
     }).then(() => {}).catch(() => {});
 
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'attachment_upload',
+      newValues: { filename, path: filePath, content_type: contentType || null, size: buffer.length }
+    });
+
     log.info('Uploaded attachment', { filename, quoteId: id });
     res.json({ success: true, url: urlData.publicUrl, path: filePath });
 
@@ -710,6 +833,11 @@ async function deleteAttachment(req, res) {
       description: `File removed: ${filename}`
     }).then(() => {}).catch(() => {});
 
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'attachment_delete',
+      oldValues: { filename, path: `${id}/${filename}` }
+    });
+
     log.info('Deleted attachment', { filename, quoteId: id });
     res.json({ success: true });
 
@@ -725,6 +853,15 @@ async function deleteAttachment(req, res) {
 
 const pricingConfig = require('../services/pricingConfig');
 const { calculateTestEstimate } = require('../services/estimator');
+const { backtestPricing } = require('../services/pricingBacktest');
+const { validateServiceArea, resolveServiceArea } = require('../services/serviceArea');
+const { validateReferrals } = require('../services/referrals');
+const { validateMeasuredPricing } = require('../services/measuredPricing');
+const { validatePriceLimits } = require('../services/priceLimits');
+const { validateCalendarPricing } = require('../services/calendarPricing');
+const { validateBundlesAndAddOns } = require('../services/bundles');
+const discountCodes = require('../services/discountCodes');
+const pricingExperiments = require('../services/pricingExperiments');
 
 /**
  * GET /admin/settings/pricing
@@ -732,44 +869,46 @@ const { calculateTestEstimate } = require('../services/estimator');
  */
 async function getPricingSettings(req, res) {
   try {
-    const config = await pricingConfig.getPricingConfig();
+    const { version, config } = await pricingConfig.resolvePricingVersion();
     const defaults = pricingConfig.getFileDefaults();
 
-    // Check if using DB config or file defaults
-    let source = 'defaults';
-    let lastUpdated = null;
-
-    const { data } = await supabase
-      .from('settings')
-      .select('updated_at')
-      .eq('key', 'pricing_config')
-      .single();
-
-    if (data) {
-      source = 'database';
-      lastUpdated = data.updated_at;
-    }
+    // Live version, or file defaults if none has been saved
+    const source = version ? 'database' : 'defaults';
+    const lastUpdated = version ? version.effectiveFrom : null;
 
     res.json({
       success: true,
       data: {
         servicePricing: config.SERVICE_PRICING,
+        measuredPricing: config.MEASURED_PRICING,
+        priceLimits: config.PRICE_LIMITS,
         modifiers: config.MODIFIERS,
+        calendarPricing: config.CALENDAR_PRICING,
         multiServiceDiscount: config.MULTI_SERVICE_DISCOUNT,
+        bundlesAndAddOns: config.BUNDLES_AND_ADDONS,
         leadScoring: config.LEAD_SCORING,
         qualificationThresholds: config.QUALIFICATION_THRESHOLDS,
-        conversionFactors: config.CONVERSION_FACTORS
+        conversionFactors: config.CONVERSION_FACTORS,
+        serviceArea: config.SERVICE_AREA,
+        referrals: config.REFERRALS
       },
       defaults: {
         servicePricing: defaults.SERVICE_PRICING,
+        measuredPricing: defaults.MEASURED_PRICING,
+        priceLimits: defaults.PRICE_LIMITS,
         modifiers: defaults.MODIFIERS,
+        calendarPricing: defaults.CALENDAR_PRICING,
         multiServiceDiscount: defaults.MULTI_SERVICE_DISCOUNT,
+        bundlesAndAddOns: defaults.BUNDLES_AND_ADDONS,
         leadScoring: defaults.LEAD_SCORING,
         qualificationThresholds: defaults.QUALIFICATION_THRESHOLDS,
-        conversionFactors: defaults.CONVERSION_FACTORS
+        conversionFactors: defaults.CONVERSION_FACTORS,
+        serviceArea: defaults.SERVICE_AREA,
+        referrals: defaults.REFERRALS
       },
       source,
-      lastUpdated
+      lastUpdated,
+      version
     });
   } catch (error) {
     log.error('Get pricing settings error', { error: error.message });
@@ -778,118 +917,229 @@ async function getPricingSettings(req, res) {
 }
 
 /**
- * PUT /admin/settings/pricing
- * Save updated pricing configuration
+ * Parse an optional go-live date for a pricing version: null for "now", or
+ * { error } if it isn't a future date
  */
-async function updatePricingSettings(req, res) {
-  try {
-    const updates = req.body;
-    if (!updates || Object.keys(updates).length === 0) {
-      return res.status(400).json({ success: false, error: 'No data provided' });
-    }
-
-    // Get current config for comparison/history
-    const currentConfig = await pricingConfig.getPricingConfig();
+function parseEffectiveFrom(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return { error: 'effectiveFrom must be a date' };
+  if (time <= Date.now()) return { error: 'A scheduled version must go live in the future' };
+  return new Date(time).toISOString();
+}
 
-    // Build the new config by merging updates with current
-    const newConfig = {};
-    const changedSections = [];
-
-    if (updates.servicePricing) {
-      // Validate service pricing
-      for (const [service, sizes] of Object.entries(updates.servicePricing)) {
-        for (const [size, range] of Object.entries(sizes)) {
-          if (!Array.isArray(range) || range.length !== 2) continue;
-          if (range[0] < 0 || range[1] < 0) {
-            return res.status(400).json({ success: false, error: `Prices cannot be negative (${service} ${size})` });
-          }
-          if (range[0] > range[1]) {
-            return res.status(400).json({ success: false, error: `Min price cannot exceed max price (${service} ${size})` });
-          }
+/**
+ * Merge pricing settings from the admin API (servicePricing, modifiers...)
+ * over a config, validating each section given
+ * @returns {Object} { config, changedSections } or { error }
+ */
+function buildPricingConfig(currentConfig, updates) {
+  const newConfig = {};
+  const changedSections = [];
+
+  if (updates.servicePricing) {
+    // Validate service pricing
+    for (const [service, sizes] of Object.entries(updates.servicePricing)) {
+      for (const [size, range] of Object.entries(sizes)) {
+        if (!Array.isArray(range) || range.length !== 2) continue;
+        if (range[0] < 0 || range[1] < 0) {
+          return { error: `Prices cannot be negative (${service} ${size})` };
+        }
+        if (range[0] > range[1]) {
+          return { error: `Min price cannot exceed max price (${service} ${size})` };
         }
       }
-      newConfig.SERVICE_PRICING = updates.servicePricing;
-      changedSections.push('service_pricing');
-    } else {
-      newConfig.SERVICE_PRICING = currentConfig.SERVICE_PRICING;
     }
+    newConfig.SERVICE_PRICING = updates.servicePricing;
+    changedSections.push('service_pricing');
+  } else {
+    newConfig.SERVICE_PRICING = currentConfig.SERVICE_PRICING;
+  }
 
-    if (updates.modifiers) {
-      // Validate modifiers (must be positive numbers)
-      for (const [key, value] of Object.entries(updates.modifiers)) {
-        if (typeof value !== 'number' || value <= 0) {
-          return res.status(400).json({ success: false, error: `Invalid modifier value for ${key}` });
-        }
-      }
-      newConfig.MODIFIERS = updates.modifiers;
-      changedSections.push('modifiers');
-    } else {
-      newConfig.MODIFIERS = currentConfig.MODIFIERS;
+  if (updates.measuredPricing) {
+    const measuredError = validateMeasuredPricing(updates.measuredPricing, Object.keys(newConfig.SERVICE_PRICING));
+    if (measuredError) {
+      return { error: measuredError };
+    }
+    newConfig.MEASURED_PRICING = updates.measuredPricing;
+    changedSections.push('measured_pricing');
+  } else {
+    newConfig.MEASURED_PRICING = currentConfig.MEASURED_PRICING;
+  }
+
+  if (updates.priceLimits) {
+    const limitsError = validatePriceLimits(updates.priceLimits, Object.keys(newConfig.SERVICE_PRICING));
+    if (limitsError) {
+      return { error: limitsError };
     }
+    newConfig.PRICE_LIMITS = updates.priceLimits;
+    changedSections.push('price_limits');
+  } else {
+    newConfig.PRICE_LIMITS = currentConfig.PRICE_LIMITS;
+  }
 
-    if (updates.multiServiceDiscount) {
-      const msd = updates.multiServiceDiscount;
-      if (msd.threshold < 2) {
-        return res.status(400).json({ success: false, error: 'Multi-service threshold must be at least 2' });
-      }
-      if (msd.discount <= 0 || msd.discount > 1) {
-        return res.status(400).json({ success: false, error: 'Discount must be between 0 and 1' });
+  if (updates.modifiers) {
+    // Validate modifiers (must be positive numbers)
+    for (const [key, value] of Object.entries(updates.modifiers)) {
+      if (typeof value !== 'number' || value <= 0) {
+        return { error: `Invalid modifier value for ${key}` };
       }
-      newConfig.MULTI_SERVICE_DISCOUNT = msd;
-      changedSections.push('multi_service_discount');
-    } else {
-      newConfig.MULTI_SERVICE_DISCOUNT = currentConfig.MULTI_SERVICE_DISCOUNT;
     }
+    newConfig.MODIFIERS = updates.modifiers;
+    changedSections.push('modifiers');
+  } else {
+    newConfig.MODIFIERS = currentConfig.MODIFIERS;
+  }
 
-    if (updates.leadScoring) {
-      newConfig.LEAD_SCORING = updates.leadScoring;
-      changedSections.push('lead_scoring');
-    } else {
-      newConfig.LEAD_SCORING = currentConfig.LEAD_SCORING;
+  if (updates.calendarPricing) {
+    const calendarError = validateCalendarPricing(updates.calendarPricing, Object.keys(newConfig.SERVICE_PRICING));
+    if (calendarError) {
+      return { error: calendarError };
     }
+    newConfig.CALENDAR_PRICING = updates.calendarPricing;
+    changedSections.push('calendar_pricing');
+  } else {
+    newConfig.CALENDAR_PRICING = currentConfig.CALENDAR_PRICING;
+  }
 
-    if (updates.qualificationThresholds) {
-      const qt = updates.qualificationThresholds;
-      if (qt.hot <= qt.warm || qt.warm <= qt.cold) {
-        return res.status(400).json({ success: false, error: 'Thresholds must be in order: hot > warm > cold' });
-      }
-      newConfig.QUALIFICATION_THRESHOLDS = qt;
-      changedSections.push('qualification_thresholds');
-    } else {
-      newConfig.QUALIFICATION_THRESHOLDS = currentConfig.QUALIFICATION_THRESHOLDS;
+  if (updates.multiServiceDiscount) {
+    const msd = updates.multiServiceDiscount;
+    if (msd.threshold < 2) {
+      return { error: 'Multi-service threshold must be at least 2' };
+    }
+    if (msd.discount <= 0 || msd.discount > 1) {
+      return { error: 'Discount must be between 0 and 1' };
     }
+    newConfig.MULTI_SERVICE_DISCOUNT = msd;
+    changedSections.push('multi_service_discount');
+  } else {
+    newConfig.MULTI_SERVICE_DISCOUNT = currentConfig.MULTI_SERVICE_DISCOUNT;
+  }
 
-    if (updates.conversionFactors) {
-      newConfig.CONVERSION_FACTORS = updates.conversionFactors;
-      changedSections.push('conversion_factors');
-    } else {
-      newConfig.CONVERSION_FACTORS = currentConfig.CONVERSION_FACTORS;
+  if (updates.bundlesAndAddOns) {
+    const bundlesError = validateBundlesAndAddOns(updates.bundlesAndAddOns, Object.keys(newConfig.SERVICE_PRICING));
+    if (bundlesError) {
+      return { error: bundlesError };
+    }
+    newConfig.BUNDLES_AND_ADDONS = updates.bundlesAndAddOns;
+    changedSections.push('bundles_and_addons');
+  } else {
+    newConfig.BUNDLES_AND_ADDONS = currentConfig.BUNDLES_AND_ADDONS;
+  }
+
+  if (updates.leadScoring) {
+    newConfig.LEAD_SCORING = updates.leadScoring;
+    changedSections.push('lead_scoring');
+  } else {
+    newConfig.LEAD_SCORING = currentConfig.LEAD_SCORING;
+  }
+
+  if (updates.qualificationThresholds) {
+    const qt = updates.qualificationThresholds;
+    if (qt.hot <= qt.warm || qt.warm <= qt.cold) {
+      return { error: 'Thresholds must be in order: hot > warm > cold' };
+    }
+    newConfig.QUALIFICATION_THRESHOLDS = qt;
+    changedSections.push('qualification_thresholds');
+  } else {
+    newConfig.QUALIFICATION_THRESHOLDS = currentConfig.QUALIFICATION_THRESHOLDS;
+  }
+
+  if (updates.conversionFactors) {
+    newConfig.CONVERSION_FACTORS = updates.conversionFactors;
+    changedSections.push('conversion_factors');
+  } else {
+    newConfig.CONVERSION_FACTORS = currentConfig.CONVERSION_FACTORS;
+  }
+
+  if (updates.serviceArea) {
+    const areaError = validateServiceArea(updates.serviceArea);
+    if (areaError) {
+      return { error: areaError };
+    }
+    newConfig.SERVICE_AREA = updates.serviceArea;
+    changedSections.push('service_area');
+  } else {
+    newConfig.SERVICE_AREA = currentConfig.SERVICE_AREA;
+  }
+
+  if (updates.referrals) {
+    const referralsError = validateReferrals(updates.referrals);
+    if (referralsError) {
+      return { error: referralsError };
+    }
+    newConfig.REFERRALS = updates.referrals;
+    changedSections.push('referrals');
+  } else {
+    newConfig.REFERRALS = currentConfig.REFERRALS;
+  }
+
+  return { config: newConfig, changedSections };
+}
+
+/**
+ * PUT /admin/settings/pricing
+ * Save updated pricing configuration as a new version — live now, or
+ * scheduled with effectiveFrom (and an optional description)
+ */
+async function updatePricingSettings(req, res) {
+  try {
+    const { effectiveFrom: effectiveFromInput, description, ...updates } = req.body || {};
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'No data provided' });
+    }
+
+    const effectiveFrom = parseEffectiveFrom(effectiveFromInput);
+    if (effectiveFrom?.error) {
+      return res.status(400).json({ success: false, error: effectiveFrom.error });
+    }
+
+    // Config live when the new version takes effect, for comparison/history
+    const currentConfig = await pricingConfig.getPricingConfig(effectiveFrom || undefined);
+
+    // Build the new config by merging updates with current
+    const built = buildPricingConfig(currentConfig, updates);
+    if (built.error) {
+      return res.status(400).json({ success: false, error: built.error });
     }
+    const { config: newConfig, changedSections } = built;
 
     // Save to database
-    await pricingConfig.savePricingConfig(newConfig);
+    const { version } = await pricingConfig.savePricingConfig(newConfig, {
+      effectiveFrom,
+      description: typeof description === 'string' && description.trim() ? description.trim().substring(0, 200) : null,
+      createdBy: req.adminUser?.name
+    });
+    const versionLabel = `version ${version.version_number}` +
+      (effectiveFrom ? `, live from ${effectiveFrom.split('T')[0]}` : '');
 
     // Log changes to pricing history
     for (const section of changedSections) {
       const sectionKeyMap = {
         service_pricing: ['SERVICE_PRICING', 'servicePricing'],
+        measured_pricing: ['MEASURED_PRICING', 'measuredPricing'],
+        price_limits: ['PRICE_LIMITS', 'priceLimits'],
         modifiers: ['MODIFIERS', 'modifiers'],
+        calendar_pricing: ['CALENDAR_PRICING', 'calendarPricing'],
         multi_service_discount: ['MULTI_SERVICE_DISCOUNT', 'multiServiceDiscount'],
+        bundles_and_addons: ['BUNDLES_AND_ADDONS', 'bundlesAndAddOns'],
         lead_scoring: ['LEAD_SCORING', 'leadScoring'],
         qualification_thresholds: ['QUALIFICATION_THRESHOLDS', 'qualificationThresholds'],
-        conversion_factors: ['CONVERSION_FACTORS', 'conversionFactors']
+        conversion_factors: ['CONVERSION_FACTORS', 'conversionFactors'],
+        service_area: ['SERVICE_AREA', 'serviceArea'],
+        referrals: ['REFERRALS', 'referrals']
       };
       const [configKey, updateKey] = sectionKeyMap[section];
       await pricingConfig.logPricingChange(
         section,
         currentConfig[configKey],
         newConfig[configKey],
-        `Updated ${section.replace(/_/g, ' ')}`
+        `Updated ${section.replace(/_/g, ' ')} (${versionLabel})`
       );
     }
 
-    log.info('Pricing settings updated', { changedSections: changedSections.join(', ') });
-    res.json({ success: true, changedSections });
+    log.info('Pricing settings updated', { changedSections: changedSections.join(', '), version: version.version_number, effectiveFrom });
+    res.json({ success: true, changedSections, version });
 
   } catch (error) {
     log.error('Update pricing settings error', { error: error.message });
@@ -905,18 +1155,18 @@ async function resetPricingSettings(req, res) {
   try {
     const currentConfig = await pricingConfig.getPricingConfig();
 
-    await pricingConfig.resetPricingConfig();
+    const { version } = await pricingConfig.resetPricingConfig({ createdBy: req.adminUser?.name });
 
     // Log the reset
     await pricingConfig.logPricingChange(
       'full_reset',
       currentConfig,
       null,
-      'Reset all pricing to file defaults'
+      `Reset all pricing to file defaults (version ${version.version_number})`
     );
 
-    log.info('Pricing settings reset to defaults');
-    res.json({ success: true });
+    log.info('Pricing settings reset to defaults', { version: version.version_number });
+    res.json({ success: true, version });
 
   } catch (error) {
     log.error('Reset pricing settings error', { error: error.message });
@@ -930,14 +1180,14 @@ async function resetPricingSettings(req, res) {
  */
 async function testEstimate(req, res) {
   try {
-    const { services, size, modifiers } = req.body;
+    const { services, size, measurements, month, postcode, modifiers } = req.body;
 
     if (!services || !Array.isArray(services) || services.length === 0) {
       return res.status(400).json({ success: false, error: 'At least one service is required' });
     }
 
     const config = await pricingConfig.getPricingConfig();
-    const result = calculateTestEstimate({ services, size, modifiers }, config);
+    const result = calculateTestEstimate({ services, size, measurements, month, postcode, modifiers }, config);
 
     res.json({ success: true, data: result });
 
@@ -947,6 +1197,73 @@ async function testEstimate(req, res) {
   }
 }
 
+// Most recent quotes a backtest replays
+const BACKTEST_MAX_QUOTES = 1000;
+
+/**
+ * POST /admin/settings/pricing/backtest
+ * Replay the last N months of quotes through candidate pricing settings
+ * (same shape as PUT /admin/settings/pricing, plus months: 1–24, default 6)
+ * and compare them with the live config
+ */
+async function backtestPricingSettings(req, res) {
+  try {
+    const { months: monthsInput, effectiveFrom, description, ...updates } = req.body || {};
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'No pricing changes to test' });
+    }
+
+    const months = monthsInput === undefined ? 6 : Number(monthsInput);
+    if (!Number.isInteger(months) || months < 1 || months > 24) {
+      return res.status(400).json({ success: false, error: 'months must be a whole number from 1 to 24' });
+    }
+
+    const liveConfig = await pricingConfig.getPricingConfig();
+    const built = buildPricingConfig(liveConfig, updates);
+    if (built.error) {
+      return res.status(400).json({ success: false, error: built.error });
+    }
+
+    const since = new Date();
+    since.setMonth(since.getMonth() - months);
+
+    const { data: quotes, error } = await supabase
+      .from('quotes')
+      .select(
+        'id, services, answers, created_at, postcode, discount_terms, referred_by_customer_id, referral_code, ' +
+        'final_price, final_price_extras, customer_accepted_final_price'
+      )
+      .gte('created_at', since.toISOString())
+      .not('estimated_at', 'is', null)
+      .neq('status', 'quarantined')
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false })
+      .limit(BACKTEST_MAX_QUOTES);
+
+    if (error) {
+      log.error('Backtest quotes fetch error', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to load quotes' });
+    }
+
+    const result = backtestPricing(quotes || [], liveConfig, built.config);
+
+    log.info('Pricing backtest run', { months, quotes: result.quotes, changedSections: built.changedSections.join(', ') });
+    res.json({
+      success: true,
+      data: {
+        months,
+        since: since.toISOString(),
+        limited: (quotes || []).length === BACKTEST_MAX_QUOTES,
+        changedSections: built.changedSections,
+        ...result
+      }
+    });
+  } catch (error) {
+    log.error('Pricing backtest error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to run pricing backtest' });
+  }
+}
+
 /**
  * GET /admin/settings/pricing/history
  * Get pricing change history
@@ -964,6 +1281,300 @@ async function getPricingHistory(req, res) {
   }
 }
 
+/**
+ * GET /admin/settings/pricing/versions
+ * Saved pricing versions, newest first, with their status
+ */
+async function listPricingVersions(req, res) {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const versions = await pricingConfig.listPricingVersions(limit);
+    res.json({ success: true, data: versions });
+  } catch (error) {
+    log.error('List pricing versions error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to load pricing versions' });
+  }
+}
+
+/**
+ * GET /admin/settings/pricing/versions/:id
+ * One pricing version with its full config
+ */
+async function getPricingVersion(req, res) {
+  try {
+    const version = await pricingConfig.getPricingVersion(req.params.id);
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Pricing version not found' });
+    }
+    res.json({ success: true, data: version });
+  } catch (error) {
+    log.error('Get pricing version error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to load pricing version' });
+  }
+}
+
+/**
+ * POST /admin/settings/pricing/versions/:id/restore
+ * Restore a version (saved as a new version) — now, or at effectiveFrom
+ */
+async function restorePricingVersion(req, res) {
+  try {
+    const effectiveFrom = parseEffectiveFrom(req.body?.effectiveFrom);
+    if (effectiveFrom?.error) {
+      return res.status(400).json({ success: false, error: effectiveFrom.error });
+    }
+
+    const currentConfig = await pricingConfig.getPricingConfig(effectiveFrom || undefined);
+    const result = await pricingConfig.restorePricingVersion(req.params.id, {
+      effectiveFrom,
+      createdBy: req.adminUser?.name
+    });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Pricing version not found' });
+    }
+
+    const { version } = result;
+    await pricingConfig.logPricingChange(
+      'version_restore',
+      currentConfig,
+      null,
+      `${version.description} as version ${version.version_number}` +
+        (effectiveFrom ? `, live from ${effectiveFrom.split('T')[0]}` : '')
+    );
+
+    log.info('Pricing version restored', { restoredFrom: req.params.id, version: version.version_number, effectiveFrom });
+    res.json({ success: true, version });
+  } catch (error) {
+    log.error('Restore pricing version error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to restore pricing version' });
+  }
+}
+
+/**
+ * DELETE /admin/settings/pricing/versions/:id
+ * Cancel a scheduled version before it goes live
+ */
+async function cancelPricingVersion(req, res) {
+  try {
+    const version = await pricingConfig.cancelPricingVersion(req.params.id);
+    if (!version) {
+      return res.status(400).json({ success: false, error: 'Only a scheduled version that has not gone live can be cancelled' });
+    }
+
+    await pricingConfig.logPricingChange(
+      'version_cancelled',
+      null,
+      null,
+      `Cancelled version ${version.version_number} (was due ${version.effective_from.split('T')[0]})`
+    );
+
+    log.info('Scheduled pricing version cancelled', { version: version.version_number });
+    res.json({ success: true, data: version });
+  } catch (error) {
+    log.error('Cancel pricing version error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to cancel pricing version' });
+  }
+}
+
+/**
+ * GET /admin/settings/pricing/experiments
+ * Pricing experiments, newest first (results are in the conversion analytics)
+ */
+async function listPricingExperiments(req, res) {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const experiments = await pricingExperiments.listExperiments(limit);
+    res.json({ success: true, data: experiments });
+  } catch (error) {
+    log.error('List pricing experiments error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to load pricing experiments' });
+  }
+}
+
+/**
+ * POST /admin/settings/pricing/experiments
+ * Start a pricing experiment: { name, description, variants: [{ key, name,
+ * weight, priceAdjustment, overrides }] } — the first variant is the control
+ */
+async function createPricingExperiment(req, res) {
+  try {
+    const body = req.body || {};
+    const currentConfig = await pricingConfig.getPricingConfig();
+    const validationError = pricingExperiments.validateExperiment(body, Object.keys(currentConfig.SERVICE_PRICING));
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    let experiment;
+    try {
+      experiment = await pricingExperiments.createExperiment(body, { createdBy: req.adminUser?.name });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, error: 'Another pricing experiment is running — end it first' });
+      }
+      throw error;
+    }
+
+    await pricingConfig.logPricingChange(
+      'experiment_started',
+      null,
+      experiment.variants,
+      `Started pricing experiment "${experiment.name}" (${experiment.variants.map(v => v.name).join(' vs ')})`
+    );
+
+    log.info('Pricing experiment started', { name: experiment.name, variants: experiment.variants.length });
+    res.status(201).json({ success: true, data: experiment });
+  } catch (error) {
+    log.error('Create pricing experiment error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to start pricing experiment' });
+  }
+}
+
+/**
+ * POST /admin/settings/pricing/experiments/:id/end
+ * End a running experiment — quotes already in it keep their variant
+ */
+async function endPricingExperiment(req, res) {
+  try {
+    const experiment = await pricingExperiments.endExperiment(req.params.id);
+    if (!experiment) {
+      return res.status(400).json({ success: false, error: 'Only a running experiment can be ended' });
+    }
+
+    await pricingConfig.logPricingChange('experiment_ended', null, null, `Ended pricing experiment "${experiment.name}"`);
+
+    log.info('Pricing experiment ended', { name: experiment.name });
+    res.json({ success: true, data: experiment });
+  } catch (error) {
+    log.error('End pricing experiment error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to end pricing experiment' });
+  }
+}
+
+// Editable discount code columns from an admin request body
+function discountCodeFields(body) {
+  const fields = {};
+  if (body.code !== undefined) fields.code = discountCodes.normaliseDiscountCode(body.code);
+  if (body.description !== undefined) fields.description = body.description ? String(body.description).substring(0, 200) : null;
+  if (body.discount_type !== undefined) fields.discount_type = body.discount_type;
+  if (body.discount_value !== undefined) fields.discount_value = Number(body.discount_value);
+  if (body.services !== undefined) fields.services = Array.isArray(body.services) && body.services.length > 0 ? body.services : null;
+  for (const key of ['starts_at', 'ends_at', 'max_uses', 'max_uses_per_customer']) {
+    if (body[key] !== undefined) fields[key] = body[key] === '' ? null : body[key];
+  }
+  if (body.active !== undefined) fields.active = !!body.active;
+  return fields;
+}
+
+/**
+ * GET /admin/settings/discount-codes
+ * All discount codes with their use counts
+ */
+async function listDiscountCodes(req, res) {
+  try {
+    const codes = await discountCodes.listDiscountCodes(supabase);
+    res.json({ success: true, data: codes });
+  } catch (error) {
+    log.error('List discount codes error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /admin/settings/discount-codes
+ * Create a discount code
+ */
+async function createDiscountCode(req, res) {
+  try {
+    const fields = discountCodeFields(req.body || {});
+    const validationError = discountCodes.validateDiscountCode(fields);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { data, error } = await supabase
+      .from('discount_codes')
+      .insert({ ...fields, created_by_name: req.adminUser?.name || null })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, error: `Code ${fields.code} already exists` });
+      }
+      log.error('Create discount code error', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to create discount code' });
+    }
+
+    await audit.recordAudit(req, {
+      entityType: 'discount_code', entityId: data.id, action: 'create',
+      newValues: fields
+    });
+
+    log.info('Discount code created', { code: data.code });
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    log.error('Create discount code error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * PATCH /admin/settings/discount-codes/:id
+ * Edit a discount code or switch it on/off. Quotes that already have the
+ * code keep the terms they were given.
+ */
+async function updateDiscountCode(req, res) {
+  try {
+    const { id } = req.params;
+    const fields = discountCodeFields(req.body || {});
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, error: 'No valid fields to update' });
+    }
+
+    const { data: existing } = await supabase
+      .from('discount_codes')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Discount code not found' });
+    }
+
+    const validationError = discountCodes.validateDiscountCode({ ...existing, ...fields });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { data, error } = await supabase
+      .from('discount_codes')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, error: `Code ${fields.code} already exists` });
+      }
+      log.error('Update discount code error', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to update discount code' });
+    }
+
+    await audit.recordAudit(req, {
+      entityType: 'discount_code', entityId: id, action: 'update',
+      oldValues: existing, newValues: fields
+    });
+
+    log.info('Discount code updated', { code: data.code, fields: Object.keys(fields).join(', ') });
+    res.json({ success: true, data });
+  } catch (error) {
+    log.error('Update discount code error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
 /**
  * DELETE /admin/quotes/:id
  * Soft-delete a quote (sets deleted_at timestamp)
@@ -977,7 +1588,7 @@ async function softDeleteQuote(req, res) {
       .update({ deleted_at: new Date().toISOString() })
       .eq('id', id)
       .is('deleted_at', null)
-      .select('id, name');
+      .select('id, name, deleted_at');
 
     if (error) {
       log.error('Soft delete error', { error: error.message });
@@ -995,6 +1606,11 @@ async function softDeleteQuote(req, res) {
       description: 'Quote deleted (soft delete)'
     }).then(() => {}).catch(() => {});
 
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'delete',
+      oldValues: { deleted_at: null }, newValues: { deleted_at: data[0].deleted_at }
+    });
+
     log.info('Soft-deleted quote', { quoteId: id, name: data[0].name });
     res.json({ success: true });
 
@@ -1012,6 +1628,12 @@ async function restoreQuote(req, res) {
   try {
     const { id } = req.params;
 
+    const { data: deletedQuote } = await supabase
+      .from('quotes')
+      .select('deleted_at')
+      .eq('id', id)
+      .single();
+
     const { data, error } = await supabase
       .from('quotes')
       .update({ deleted_at: null })
@@ -1035,6 +1657,11 @@ async function restoreQuote(req, res) {
       description: 'Quote restored from deleted'
     }).then(() => {}).catch(() => {});
 
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'restore',
+      oldValues: deletedQuote, newValues: { deleted_at: null }
+    });
+
     log.info('Restored quote', { quoteId: id, name: data[0].name });
     res.json({ success: true });
 
@@ -1044,6 +1671,154 @@ async function restoreQuote(req, res) {
   }
 }
 
+/**
+ * POST /admin/quotes/:id/release
+ * Release a quarantined quote — it then goes through intake as if just submitted
+ */
+async function releaseQuote(req, res) {
+  try {
+    const { id } = req.params;
+    const actorName = req.adminUser?.name || req.adminUser?.email || null;
+
+    const { data, error } = await supabase
+      .from('quotes')
+      .update({ status: 'new', released_at: new Date().toISOString(), released_by_name: actorName })
+      .eq('id', id)
+      .eq('status', 'quarantined')
+      .is('deleted_at', null)
+      .select();
+
+    if (error) {
+      log.error('Release quote error', { quoteId: id, error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to release quote' });
+    }
+    if (!data || data.length === 0) {
+      return res.status(404).json({ success: false, error: 'Quote not found or not quarantined' });
+    }
+
+    const quote = data[0];
+    const source = quote.source === 'chat' ? 'chat' : 'form';
+
+    await supabase.from('quote_activity').insert({
+      quote_id: id,
+      action_type: 'status_change',
+      description: `Released from spam quarantine by ${actorName || 'admin'}`
+    }).then(() => {}).catch(() => {});
+
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'release',
+      oldValues: { status: 'quarantined', spam_score: quote.spam_score, spam_reasons: quote.spam_reasons },
+      newValues: { status: 'new' }
+    });
+
+    if (source === 'chat') {
+      await supabase.from('chat_conversations').update({ quarantined_at: null }).eq('quote_id', id);
+    }
+
+    const area = quote.service_area_status
+      ? resolveServiceArea(quote.postcode, (await pricingConfig.getPricingConfig()).SERVICE_AREA)
+      : null;
+
+    await startIntake(quote, {
+      source,
+      area,
+      customerDetails: source === 'chat'
+        ? { ...quote, address_line1: null, postcode: quote.postcode === 'TBC' ? null : quote.postcode }
+        : quote
+    });
+
+    log.info('Released quarantined quote', { quoteId: id, source });
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    log.error('Release quote error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+// ─── Duplicates & Merging ─────────────────────────────────────────
+
+const quoteMerge = require('../services/quoteMerge');
+
+/**
+ * POST /admin/quotes/:id/merge
+ * Merge this quote into another (body: { into }), moving its activity and attachments
+ */
+async function mergeQuote(req, res) {
+  try {
+    const { id } = req.params;
+    const { into } = req.body || {};
+
+    if (!into) {
+      return res.status(400).json({ success: false, error: 'into (the quote to merge into) is required' });
+    }
+
+    const result = await quoteMerge.mergeQuotes(supabase, id, into, req.adminUser);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'merge',
+      oldValues: { duplicate_of: null, ...result.merge.previous_values },
+      newValues: { duplicate_of: into }
+    });
+
+    res.json({ success: true, data: result.merge });
+
+  } catch (error) {
+    log.error('Merge quote error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /admin/quotes/:id/unmerge
+ * Undo a merge (or automatic repeat-quote link), moving activity and attachments back
+ */
+async function unmergeQuote(req, res) {
+  try {
+    const { id } = req.params;
+
+    const result = await quoteMerge.unmergeQuote(supabase, id, req.adminUser);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: id, action: 'unmerge',
+      oldValues: { duplicate_of: result.merge.primary_quote_id },
+      newValues: { duplicate_of: null, ...result.merge.previous_values }
+    });
+
+    // Linked at intake, so it never had its own estimate — start its pipeline now
+    if (result.needsEstimate) {
+      const { queueEstimation } = require('../services/estimationJob');
+      const { data: quote } = await supabase.from('quotes').select('*').eq('id', id).single();
+      if (quote) queueEstimation(supabase, id, quote);
+    }
+
+    res.json({ success: true, data: result.merge });
+
+  } catch (error) {
+    log.error('Unmerge quote error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /admin/quotes/:id/duplicates
+ * Quotes merged or linked into this one, including past (unmerged) merges
+ */
+async function listQuoteDuplicates(req, res) {
+  try {
+    const data = await quoteMerge.listDuplicates(supabase, req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    log.error('List duplicates error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
 // ─── Pipeline Admin Endpoints ─────────────────────────────────────
 
 /**
@@ -1109,12 +1884,22 @@ async function approvePrice(req, res) {
     }
 
     const { advanceAfterAdminApproval } = require('../services/pipelineManager');
-    const result = await advanceAfterAdminApproval(supabase, quoteId, Number(price), notes);
+    const result = await advanceAfterAdminApproval(supabase, quoteId, Number(price), notes, req.adminUser);
+
+    if (result.conflict) {
+      return res.status(409).json({ success: false, error: result.error });
+    }
 
     if (!result.success) {
       return res.status(500).json({ success: false, error: result.error });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'quote', entityId: quoteId, action: 'approve_price',
+      oldValues: result.before,
+      newValues: { final_price: Number(price), final_price_admin_approved: true, pipeline_stage: 'final_price_sent' }
+    });
+
     log.info('Price approved', { quoteId, price });
     res.json({ success: true, message: `Price of £${price} approved and sent to customer` });
   } catch (error) {
@@ -1143,6 +1928,8 @@ async function getPipelineSettings(req, res) {
       max_booking_slots_initial: 5,
       booking_lookahead_weeks: 6,
       max_jobs_per_day: 4,
+      max_jobs_per_slot: 1,
+      duplicate_window_days: 14,
       honesty_clause: 'This price is based on the information provided and access to the site. If conditions differ from what was described, any adjustments will be discussed before work begins.'
     };
 
@@ -1179,6 +1966,20 @@ async function updatePipelineSettings(req, res) {
       }
     }
 
+    // Validate duplicate window (0 turns repeat-quote linking off)
+    if (config.duplicate_window_days !== undefined) {
+      const days = Number(config.duplicate_window_days);
+      if (!Number.isInteger(days) || days < 0 || days > 365) {
+        return res.status(400).json({ success: false, error: 'Duplicate window must be a whole number of days between 0 and 365' });
+      }
+    }
+
+    const { data: current } = await supabase
+      .from('settings')
+      .select('value')
+      .eq('key', 'pipeline_config')
+      .maybeSingle();
+
     const { error } = await supabase
       .from('settings')
       .upsert({
@@ -1189,6 +1990,11 @@ async function updatePipelineSettings(req, res) {
 
     if (error) throw error;
 
+    await audit.recordAudit(req, {
+      entityType: 'settings', entityId: 'pipeline_config', action: 'update',
+      oldValues: current?.value || {}, newValues: config
+    });
+
     log.info('Pipeline settings updated', { mode: config.pricing_mode });
     res.json({ success: true, message: 'Pipeline settings updated' });
   } catch (error) {
@@ -1197,14 +2003,147 @@ async function updatePipelineSettings(req, res) {
   }
 }
 
+// ─── Data Retention ───────────────────────────────────────────────
+
+/**
+ * GET /admin/settings/retention
+ * Retention policy per data class, with the allowed actions for each
+ */
+async function getRetentionSettings(req, res) {
+  try {
+    const { policy, updated_at } = await retention.getRetentionPolicy();
+    res.json({ success: true, data: policy, dataClasses: retention.DATA_CLASSES, updated_at });
+  } catch (error) {
+    log.error('Retention settings error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * PUT /admin/settings/retention
+ * Update the retention policy (partial updates are merged over the current policy)
+ *
+ * Body: { enabled?, classes?: { <data_class>: { enabled?, days?, action? } } }
+ */
+async function updateRetentionSettings(req, res) {
+  try {
+    const validationError = retention.validateRetentionPolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const { policy: previous } = await retention.getRetentionPolicy();
+    const policy = await retention.saveRetentionPolicy(req.body);
+
+    await audit.recordAudit(req, {
+      entityType: 'settings', entityId: 'retention_policy', action: 'update',
+      oldValues: previous, newValues: policy
+    });
+
+    log.info('Retention policy updated', { enabled: policy.enabled, by: req.adminUser?.name });
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    log.error('Update retention settings error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /admin/retention/runs
+ * Purge run history with the per-class report of what was removed
+ *
+ * Query params:
+ * - limit (default 20, max 200), offset
+ */
+async function listRetentionRuns(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { data, total } = await retention.listRetentionRuns({ limit, offset });
+    res.json({ success: true, data, total, hasMore: offset + data.length < total });
+  } catch (error) {
+    log.error('Retention runs error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /admin/retention/run
+ * Run the purge now. Runs even when the nightly schedule is switched off.
+ *
+ * Body: { dry_run?: boolean } — dry runs report what would be removed without changing anything
+ */
+async function runRetentionPurge(req, res) {
+  try {
+    const run = await retention.runRetentionPurge({
+      trigger: 'manual',
+      dryRun: req.body?.dry_run === true,
+      startedBy: req.adminUser?.name || req.adminUser?.email || null
+    });
+
+    if (!run) {
+      return res.status(409).json({ success: false, error: 'A retention purge is already running' });
+    }
+
+    if (run.status === 'failed') {
+      return res.status(500).json({ success: false, error: `Retention purge failed: ${run.error}`, data: run });
+    }
+
+    res.json({ success: true, data: run });
+  } catch (error) {
+    log.error('Retention purge error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+// ─── Audit Trail ──────────────────────────────────────────────────
+
+/**
+ * GET /admin/audit
+ * Who changed what across quotes, jobs, customers and invoices
+ *
+ * Query params:
+ * - entity_type: quote, job, customer, invoice
+ * - entity_id: a single record's history
+ * - user: admin user id (actor)
+ * - action: update, status_change, delete, restore
+ * - date_from / date_to: YYYY-MM-DD
+ * - limit (default 50, max 200), offset
+ */
+async function listAuditTrail(req, res) {
+  try {
+    const { entity_type, entity_id, user, action, date_from, date_to, limit, offset } = req.query;
+
+    if (entity_type && !audit.ENTITY_TYPES.includes(entity_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `entity_type must be one of: ${audit.ENTITY_TYPES.join(', ')}`
+      });
+    }
+
+    const result = await audit.listAudit({
+      entity_type, entity_id, actor_id: user, action, date_from, date_to, limit, offset
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    log.error('Audit trail error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
 module.exports = {
   setSupabaseClient,
+  setIntakeHandler,
   listQuotes,
   updateQuoteStatus,
   updateQuoteNotes,
   getQuote,
   exportQuotes,
   updateQuote,
+  listQuoteRevisions,
+  resendRevisedPrice,
   getQuoteActivity,
   addQuoteActivity,
   uploadAttachment,
@@ -1213,13 +2152,33 @@ module.exports = {
   getPricingSettings,
   updatePricingSettings,
   resetPricingSettings,
+  listPricingVersions,
+  getPricingVersion,
+  restorePricingVersion,
+  cancelPricingVersion,
+  listPricingExperiments,
+  createPricingExperiment,
+  endPricingExperiment,
   testEstimate,
+  backtestPricingSettings,
   getPricingHistory,
+  listDiscountCodes,
+  createDiscountCode,
+  updateDiscountCode,
   softDeleteQuote,
   restoreQuote,
+  releaseQuote,
   getPipelineStats,
   getPendingApprovals,
   approvePrice,
+  mergeQuote,
+  unmergeQuote,
+  listQuoteDuplicates,
   getPipelineSettings,
-  updatePipelineSettings
+  updatePipelineSettings,
+  getRetentionSettings,
+  updateRetentionSettings,
+  listRetentionRuns,
+  runRetentionPurge,
+  listAuditTrail
 };
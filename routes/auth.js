@@ -0,0 +1,312 @@
+/**
+ * Admin Auth & User Management Routes
+ *
+ * Login/logout for named admin users, plus owner-only user management.
+ * Passwords are hashed with scrypt; session tokens are random and only
+ * their SHA-256 hash is stored in admin_sessions.
+ */
+
+const crypto = require('crypto');
+const { hashSessionToken, ROLES } = require('../middleware/auth');
+const audit = require('../services/audit');
+const log = require('../services/logger').child('AdminAuth');
+
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+const SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS) || 12;
+const MIN_PASSWORD_LENGTH = 10;
+
+// ========================
+// PASSWORD HELPERS
+// ========================
+
+/**
+ * Hash a password as "scrypt$<salt>$<hash>" (hex)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (!stored) return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    is_active: user.is_active,
+    last_login_at: user.last_login_at,
+    created_at: user.created_at
+  };
+}
+
+async function revokeUserSessions(userId) {
+  await supabase
+    .from('admin_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+}
+
+// ========================
+// SESSIONS
+// ========================
+
+/**
+ * POST /admin/auth/login
+ * Exchange email + password for a session token
+ */
+async function login(req, res) {
+  try {
+    const { email, password } = req.body || {};
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email.trim() || !password) {
+      return res.status(400).json({ success: false, error: 'Email and password are required' });
+    }
+
+    // Emails are stored lower-cased; an exact match keeps LIKE wildcards out of it
+    const { data: user } = await supabase
+      .from('admin_users')
+      .select('*')
+      .eq('email', email.trim().toLowerCase())
+      .maybeSingle();
+
+    if (!user || !user.is_active || !verifyPassword(password, user.password_hash)) {
+      log.warn('Failed login attempt', { email });
+      return res.status(401).json({ success: false, error: 'Invalid email or password' });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+    const { error } = await supabase.from('admin_sessions').insert({
+      user_id: user.id,
+      token_hash: hashSessionToken(token),
+      ip_address: req.ip,
+      user_agent: (req.headers['user-agent'] || '').substring(0, 300),
+      expires_at: expiresAt.toISOString()
+    });
+
+    if (error) {
+      log.error('Session create failed', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to create session' });
+    }
+
+    await supabase.from('admin_users')
+      .update({ last_login_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    log.info('Admin logged in', { email: user.email, role: user.role });
+    res.json({
+      success: true,
+      data: { token, expires_at: expiresAt.toISOString(), user: publicUser(user) }
+    });
+  } catch (error) {
+    log.error('Login error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /admin/auth/logout
+ * Revoke the current session (no-op for the shared ADMIN_TOKEN)
+ */
+async function logout(req, res) {
+  try {
+    if (req.adminUser?.sessionId) {
+      await supabase
+        .from('admin_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', req.adminUser.sessionId);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Logout error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /admin/auth/me
+ * Current user and role (used by the dashboard to hide tabs)
+ */
+async function getCurrentUser(req, res) {
+  const { sessionId, ...user } = req.adminUser;
+  res.json({ success: true, data: user });
+}
+
+// ========================
+// USER MANAGEMENT (owner only)
+// ========================
+
+/**
+ * GET /admin/users
+ */
+async function listUsers(req, res) {
+  try {
+    const { data, error } = await supabase
+      .from('admin_users')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      log.error('List users failed', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Database query failed' });
+    }
+
+    res.json({ success: true, data: (data || []).map(publicUser) });
+  } catch (error) {
+    log.error('List users error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /admin/users
+ * Body: { email, name, role, password }
+ */
+async function createUser(req, res) {
+  try {
+    const { email, name, role, password } = req.body || {};
+
+    if (!email || !name || !password) {
+      return res.status(400).json({ success: false, error: 'Email, name and password are required' });
+    }
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const { data, error } = await supabase
+      .from('admin_users')
+      .insert({
+        email: email.trim().toLowerCase(),
+        name: name.trim(),
+        role: role || 'read_only',
+        password_hash: hashPassword(password)
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, error: 'A user with that email already exists' });
+      }
+      log.error('Create user failed', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to create user' });
+    }
+
+    await audit.recordAudit(req, {
+      entityType: 'admin_user', entityId: data.id, action: 'create', newValues: publicUser(data)
+    });
+
+    log.info('Admin user created', { email: data.email, role: data.role });
+    res.json({ success: true, data: publicUser(data) });
+  } catch (error) {
+    log.error('Create user error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * PATCH /admin/users/:id
+ * Update name, role, active flag or password.
+ * Deactivating a user or changing their password/role signs them out everywhere.
+ */
+async function updateUser(req, res) {
+  try {
+    const { id } = req.params;
+    const { name, role, is_active, password } = req.body || {};
+
+    const updates = {};
+    if (name !== undefined) updates.name = String(name).trim();
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ success: false, error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      updates.role = role;
+    }
+    if (is_active !== undefined) updates.is_active = !!is_active;
+    if (password !== undefined) {
+      if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      updates.password_hash = hashPassword(String(password));
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'No valid fields to update' });
+    }
+
+    // Don't let an owner lock themselves out
+    if (req.adminUser?.id === id && (updates.is_active === false || (updates.role && updates.role !== 'owner'))) {
+      return res.status(400).json({ success: false, error: 'You cannot demote or deactivate your own account' });
+    }
+
+    const { data: oldUser } = await supabase
+      .from('admin_users')
+      .select('name, role, is_active')
+      .eq('id', id)
+      .maybeSingle();
+
+    updates.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('admin_users')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (updates.is_active === false || updates.password_hash || updates.role) {
+      await revokeUserSessions(id);
+    }
+
+    // The hash never goes in the audit trail — just that the password changed
+    const { password_hash, updated_at, ...changed } = updates;
+    if (password_hash) changed.password_changed = true;
+    await audit.recordAudit(req, {
+      entityType: 'admin_user', entityId: id, action: 'update',
+      oldValues: { ...oldUser, password_changed: false }, newValues: changed
+    });
+
+    log.info('Admin user updated', { email: data.email, fields: Object.keys(updates) });
+    res.json({ success: true, data: publicUser(data) });
+  } catch (error) {
+    log.error('Update user error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+module.exports = {
+  setSupabaseClient,
+  login,
+  logout,
+  getCurrentUser,
+  listUsers,
+  createUser,
+  updateUser,
+  hashPassword,
+  verifyPassword
+};
@@ -6,6 +6,12 @@
  */
 
 const log = require('../services/logger').child('Customers');
+const audit = require('../services/audit');
+const gdpr = require('../services/gdpr');
+const properties = require('../services/properties');
+const { phoneLookupVariants } = require('../services/validation');
+const { attributionReport } = require('../services/attribution');
+const { experimentReport } = require('../services/pricingExperiments');
 
 // Supabase client will be passed from index.js
 let supabase;
@@ -141,7 +147,8 @@ async function getStats(req, res) {
 
 /**
  * GET /admin/customers/:id
- * Full customer profile with their quotes and jobs
+ * Full customer profile with their quotes, jobs, properties (each with its own history)
+ * and referral rewards
  */
 async function getCustomer(req, res) {
   try {
@@ -161,23 +168,34 @@ async function getCustomer(req, res) {
     // Get their quotes
     const { data: quotes } = await supabase
       .from('quotes')
-      .select('id, created_at, services, status, qualification_status, estimated_value_min, estimated_value_max, customer_accepted_estimate')
+      .select('id, property_id, created_at, services, status, qualification_status, estimated_value_min, estimated_value_max, customer_accepted_estimate')
       .eq('customer_id', id)
       .order('created_at', { ascending: false });
 
     // Get their jobs
     const { data: jobs } = await supabase
       .from('jobs')
-      .select('id, scheduled_date, service, job_value, status, payment_status, payment_method, assigned_to, time_slot')
+      .select('id, property_id, scheduled_date, service, job_value, status, payment_status, payment_method, assigned_to, time_slot')
       .eq('customer_id', id)
       .order('scheduled_date', { ascending: false });
 
+    const customerProperties = await properties.listPropertiesWithHistory(supabase, id);
+
+    // Friends they've referred, and the credit earned for each
+    const { data: referralRewards } = await supabase
+      .from('referral_rewards')
+      .select('id, referred_quote_id, amount, amount_applied, status, earned_at, applied_invoice_id, created_at')
+      .eq('referrer_customer_id', id)
+      .order('created_at', { ascending: false });
+
     res.json({
       success: true,
       data: {
         ...customer,
         quotes: quotes || [],
-        jobs: jobs || []
+        jobs: jobs || [],
+        properties: customerProperties,
+        referral_rewards: referralRewards || []
       }
     });
   } catch (error) {
@@ -207,6 +225,12 @@ async function updateCustomer(req, res) {
       return res.status(400).json({ success: false, error: 'No valid fields to update' });
     }
 
+    const { data: oldCustomer } = await supabase
+      .from('customers')
+      .select('*')
+      .eq('id', id)
+      .single();
+
     const { data, error } = await supabase
       .from('customers')
       .update(filtered)
@@ -222,6 +246,11 @@ async function updateCustomer(req, res) {
       return res.status(404).json({ success: false, error: 'Customer not found' });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'customer', entityId: id, action: 'update',
+      oldValues: oldCustomer, newValues: filtered
+    });
+
     log.info('Updated customer', { customerId: id, fields: Object.keys(filtered).join(', ') });
     res.json({ success: true, data: data[0] });
   } catch (error) {
@@ -230,6 +259,121 @@ async function updateCustomer(req, res) {
   }
 }
 
+// ========================
+// PROPERTIES
+// ========================
+
+/**
+ * POST /admin/customers/:id/properties
+ * Add a property to a customer (returns the existing one if the address matches)
+ */
+async function createProperty(req, res) {
+  try {
+    const { id } = req.params;
+    const { address_line1, postcode, label, notes } = req.body || {};
+
+    if (!address_line1 || !postcode) {
+      return res.status(400).json({ success: false, error: 'address_line1 and postcode are required' });
+    }
+    if (!properties.addressKey(address_line1, postcode)) {
+      return res.status(400).json({ success: false, error: 'Enter a valid UK postcode' });
+    }
+
+    const propertyId = await properties.findOrCreateProperty(supabase, id, { address: address_line1, postcode, label });
+    if (!propertyId) {
+      return res.status(500).json({ success: false, error: 'Failed to create property' });
+    }
+
+    if (notes !== undefined) {
+      await supabase.from('properties').update({ notes }).eq('id', propertyId);
+    }
+
+    const { data } = await supabase
+      .from('properties')
+      .select('*')
+      .eq('id', propertyId)
+      .single();
+
+    await audit.recordAudit(req, {
+      entityType: 'property', entityId: propertyId, action: 'create',
+      newValues: data
+    });
+
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    log.error('Create property error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * PATCH /admin/customers/:id/properties/:propertyId
+ * Update a property's label, notes or address
+ */
+async function updateProperty(req, res) {
+  try {
+    const { id, propertyId } = req.params;
+    const updates = req.body || {};
+
+    const allowed = ['label', 'notes', 'address_line1', 'postcode'];
+    const filtered = {};
+    for (const key of allowed) {
+      if (updates[key] !== undefined) {
+        filtered[key] = updates[key];
+      }
+    }
+
+    if (Object.keys(filtered).length === 0) {
+      return res.status(400).json({ success: false, error: 'No valid fields to update' });
+    }
+
+    const { data: oldProperty } = await supabase
+      .from('properties')
+      .select('*')
+      .eq('id', propertyId)
+      .eq('customer_id', id)
+      .single();
+
+    if (!oldProperty) {
+      return res.status(404).json({ success: false, error: 'Property not found' });
+    }
+
+    if (filtered.address_line1 !== undefined || filtered.postcode !== undefined) {
+      const address = filtered.address_line1 ?? oldProperty.address_line1;
+      const postcode = filtered.postcode ?? oldProperty.postcode;
+      filtered.address_key = properties.addressKey(address, postcode);
+      if (!filtered.address_key) {
+        return res.status(400).json({ success: false, error: 'Enter a valid address and UK postcode' });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('properties')
+      .update({ ...filtered, updated_at: new Date().toISOString() })
+      .eq('id', propertyId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, error: 'This customer already has a property at that address' });
+      }
+      log.error('Update property error', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to update property' });
+    }
+
+    await audit.recordAudit(req, {
+      entityType: 'property', entityId: propertyId, action: 'update',
+      oldValues: oldProperty, newValues: filtered
+    });
+
+    res.json({ success: true, data });
+  } catch (error) {
+    log.error('Update property error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
 // ========================
 // FOLLOW-UP EMAILS
 // ========================
@@ -461,24 +605,35 @@ async function getBulkPreview(req, res) {
 
 /**
  * GET /admin/customers/analytics
- * Compute conversion funnel metrics from quotes, jobs, and customers
+ * Compute conversion funnel metrics from quotes, jobs, and customers.
+ * ?attribution=first credits each quote to its first touch instead of its last.
+ * pricing_experiments compares each experiment's variants against its control.
  */
 async function getConversionAnalytics(req, res) {
   try {
     // Fetch data in parallel
-    const [quotesRes, jobsRes, customersRes] = await Promise.all([
+    const [quotesRes, jobsRes, customersRes, invoicesRes, adSpendRes, experimentsRes] = await Promise.all([
       supabase.from('quotes').select(
         'id, customer_id, customer_accepted_estimate, customer_accepted_at, ' +
         'estimate_email_sent_at, whatsapp_sent_at, estimated_at, ' +
-        'services, created_at, status, ' +
+        'services, created_at, status, source, ' +
         'estimated_value_min, estimated_value_max, ' +
         'preferred_contact, postcode, ' +
-        'qualification_status, lead_score, last_contact_at'
+        'qualification_status, lead_score, last_contact_at, ' +
+        'utm_source, utm_campaign, referrer, first_touch, ' +
+        'final_price_sent_at, customer_accepted_final_price, pricing_experiment_id, pricing_variant'
       ),
       supabase.from('jobs').select(
         'id, customer_id, status, job_value, payment_status, service, scheduled_date, quote_id'
       ),
-      supabase.from('customers').select('id, last_followup_sent_at')
+      supabase.from('customers').select('id, last_followup_sent_at'),
+      supabase.from('invoices').select('job_id, total').eq('status', 'paid'),
+      supabase.from('expenses')
+        .select('amount, attribution_source, attribution_campaign')
+        .not('attribution_source', 'is', null),
+      supabase.from('pricing_experiments')
+        .select('id, name, variants, status, started_at, ended_at')
+        .order('started_at', { ascending: false })
     ]);
 
     const quotes = quotesRes.data || [];
@@ -660,6 +815,22 @@ async function getConversionAnalytics(req, res) {
       ? Math.round(timeToEstimate.reduce((a, b) => a + b, 0) / timeToEstimate.length / (1000 * 60 * 60) * 10) / 10
       : 0;
 
+    // ===== LEAD SOURCES =====
+    const attribution = attributionReport({
+      quotes,
+      jobs,
+      paidInvoices: invoicesRes.data || [],
+      adSpend: adSpendRes.data || []
+    }, req.query.attribution === 'first' ? 'first' : 'last');
+
+    // ===== PRICING EXPERIMENTS =====
+    const pricingExperiments = experimentReport({
+      experiments: experimentsRes.data || [],
+      quotes,
+      jobs,
+      paidInvoices: invoicesRes.data || []
+    });
+
     res.json({
       success: true,
       analytics: {
@@ -691,7 +862,9 @@ async function getConversionAnalytics(req, res) {
         response_metrics: {
           avg_time_to_first_action_hours: avgTimeToFirstAction,
           avg_time_to_estimate_hours: avgTimeToEstimate
-        }
+        },
+        attribution,
+        pricing_experiments: pricingExperiments
       }
     });
   } catch (error) {
@@ -816,6 +989,10 @@ async function createCustomer(req, res) {
       return res.status(500).json({ success: false, error: 'Failed to create customer' });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'customer', entityId: data[0].id, action: 'create', newValues: data[0]
+    });
+
     log.info('Manually created customer', { customerId: data[0].id, name });
     res.json({ success: true, data: data[0] });
   } catch (error) {
@@ -928,7 +1105,7 @@ async function importCustomers(req, res) {
 
     for (let i = 0; i < toInsert.length; i += BATCH_SIZE) {
       const batch = toInsert.slice(i, i + BATCH_SIZE);
-      const { error } = await supabase.from('customers').insert(batch);
+      const { data: created, error } = await supabase.from('customers').insert(batch).select();
 
       if (error) {
         log.error('Import batch error', { error: error.message });
@@ -940,6 +1117,10 @@ async function importCustomers(req, res) {
       }
 
       imported += batch.length;
+
+      await Promise.all(created.map(customer => audit.recordAudit(req, {
+        entityType: 'customer', entityId: customer.id, action: 'import', newValues: customer
+      })));
     }
 
     log.info('Import complete', { imported, skipped: skipped.length, errors: errors.length });
@@ -991,20 +1172,29 @@ async function findOrCreateCustomer(quoteData) {
       const { data } = await supabase
         .from('customers')
         .select('id')
-        .eq('phone', phone)
+        .in('phone', phoneLookupVariants(phone))
         .limit(1);
       if (data && data.length > 0) existing = data[0];
     }
 
     if (existing) {
-      // Update address/name if it's changed
+      // Keep the name current, but only fill in a missing address — other
+      // addresses are the customer's properties, not a change of address
+      const { data: current } = await supabase
+        .from('customers')
+        .select('address, postcode')
+        .eq('id', existing.id)
+        .single();
+
+      const updates = { name };
+      if (!current?.address && address_line1) {
+        updates.address = address_line1;
+        updates.postcode = postcode || null;
+      }
+
       await supabase
         .from('customers')
-        .update({
-          name: name,
-          address: address_line1,
-          postcode: postcode
-        })
+        .update(updates)
         .eq('id', existing.id);
 
       log.info('Linked to existing customer', { customerId: existing.id });
@@ -1037,6 +1227,110 @@ async function findOrCreateCustomer(quoteData) {
   }
 }
 
+// ========================
+// DATA REQUESTS (GDPR)
+// ========================
+
+/**
+ * GET /admin/customers/:id/export
+ * Subject access export — JSON bundle of everything held about the customer,
+ * photos included (base64). JSON only, not a ZIP: see services/gdpr.js
+ */
+async function exportCustomerData(req, res) {
+  try {
+    const { id } = req.params;
+
+    const bundle = await gdpr.buildCustomerExport(supabase, id);
+    if (!bundle) {
+      return res.status(404).json({ success: false, error: 'Customer not found' });
+    }
+
+    await audit.recordAudit(req, { entityType: 'customer', entityId: id, action: 'export' });
+
+    log.info('Customer data exported', {
+      customerId: id,
+      quotes: bundle.quotes.length,
+      attachments: bundle.attachments.length
+    });
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="customer-${id}-export.json"`);
+    res.send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    log.error('Export error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /admin/customers/:id/erase
+ * Right to erasure — anonymise the customer, keeping HMRC financial records
+ *
+ * Body:
+ * - reason: why (e.g. "Customer email request 12/03")
+ * - confirm: must be "ERASE"
+ */
+async function eraseCustomer(req, res) {
+  try {
+    const { id } = req.params;
+    const { reason, confirm } = req.body || {};
+
+    if (confirm !== 'ERASE') {
+      return res.status(400).json({ success: false, error: 'Erasure must be confirmed with confirm: "ERASE"' });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, error: 'A reason is required' });
+    }
+
+    const result = await gdpr.eraseCustomerData(supabase, id, {
+      actor: req.adminUser,
+      reason: String(reason).trim().substring(0, 500)
+    });
+
+    if (result.notFound) {
+      return res.status(404).json({ success: false, error: 'Customer not found' });
+    }
+    if (result.alreadyErased) {
+      return res.status(409).json({ success: false, error: 'This customer has already been erased' });
+    }
+
+    await audit.recordAudit(req, { entityType: 'customer', entityId: id, action: 'erase' });
+
+    res.json({ success: true, data: result.erasure });
+  } catch (error) {
+    log.error('Erasure error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /admin/erasures
+ * Erasure log with a hash-chain integrity check
+ */
+async function listErasures(req, res) {
+  try {
+    const { data, error } = await supabase
+      .from('customer_erasures')
+      .select('*')
+      .order('seq', { ascending: true });
+
+    if (error) {
+      log.error('Erasure log query error', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to fetch erasure log' });
+    }
+
+    const integrity = gdpr.verifyErasureChain(data || []);
+    if (!integrity.valid) {
+      log.error('Erasure log hash chain broken', { seq: integrity.brokenAtSeq });
+    }
+
+    res.json({ success: true, data: (data || []).reverse(), integrity });
+  } catch (error) {
+    log.error('Erasure log error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
 module.exports = {
   setSupabaseClient,
   listCustomers,
@@ -1044,6 +1338,8 @@ module.exports = {
   getStats,
   getCustomer,
   updateCustomer,
+  createProperty,
+  updateProperty,
   createCustomer,
   importCustomers,
   sendFollowUp,
@@ -1051,5 +1347,8 @@ module.exports = {
   getBulkPreview,
   getConversionAnalytics,
   refreshCustomerAggregates,
-  findOrCreateCustomer
+  findOrCreateCustomer,
+  exportCustomerData,
+  eraseCustomer,
+  listErasures
 };
@@ -248,7 +248,8 @@ async function createExpense(req, res) {
     const {
       date, description, amount, vat_amount, category_id,
       payment_method, is_business, job_id, supplier, reference,
-      recurring_expense_id, notes, receipt_path, receipt_url
+      recurring_expense_id, notes, receipt_path, receipt_url,
+      attribution_source, attribution_campaign
     } = req.body;
 
     if (!description || amount === undefined) {
@@ -291,7 +292,10 @@ async function createExpense(req, res) {
         recurring_expense_id: recurring_expense_id || null,
         notes: notes || null,
         receipt_path: receipt_path || null,
-        receipt_url: receipt_url || null
+        receipt_url: receipt_url || null,
+        // Ad spend: which lead source/campaign this paid for (cost per booking)
+        attribution_source: attribution_source ? String(attribution_source).trim().toLowerCase() : null,
+        attribution_campaign: attribution_campaign ? String(attribution_campaign).trim() : null
       })
       .select('*, expense_categories(name, slug, colour)');
 
@@ -319,7 +323,7 @@ async function updateExpense(req, res) {
     const allowed = [
       'date', 'description', 'amount', 'vat_amount', 'category_id',
       'payment_method', 'is_business', 'job_id', 'supplier', 'reference', 'notes',
-      'receipt_path', 'receipt_url'
+      'receipt_path', 'receipt_url', 'attribution_source', 'attribution_campaign'
     ];
     const updates = {};
     for (const key of allowed) {
@@ -328,6 +332,9 @@ async function updateExpense(req, res) {
 
     if (updates.amount !== undefined) updates.amount = parseFloat(updates.amount);
     if (updates.vat_amount !== undefined) updates.vat_amount = parseFloat(updates.vat_amount);
+    if (updates.attribution_source !== undefined) {
+      updates.attribution_source = updates.attribution_source ? String(updates.attribution_source).trim().toLowerCase() : null;
+    }
 
     // Fetch old values for audit log
     const { data: oldRecord } = await supabase.from('expenses').select('*').eq('id', id).single();
@@ -8,6 +8,8 @@
 
 const crypto = require('crypto');
 const log = require('../services/logger').child('Invoices');
+const audit = require('../services/audit');
+const referrals = require('../services/referrals');
 
 let supabase;
 
@@ -63,6 +65,8 @@ function getBusinessDetails() {
  * Generate invoice from a completed job
  */
 async function createInvoice(req, res) {
+  // Referral credit claimed for this invoice, handed back if it isn't created
+  let referralClaims = [];
   try {
     const { id: jobId } = req.params;
 
@@ -103,14 +107,50 @@ async function createInvoice(req, res) {
 
     // Build line items from job
     const jobValue = parseFloat(job.job_value) || 0;
+
+    // Discounts already taken off the quoted price (code, referral) are shown
+    // as their own lines against the full-rate price
+    let priceDiscounts = [];
+    if (job.quote_id) {
+      const { data: quote } = await supabase
+        .from('quotes')
+        .select('final_price_discounts')
+        .eq('id', job.quote_id)
+        .single();
+      priceDiscounts = Array.isArray(quote?.final_price_discounts) ? quote.final_price_discounts : [];
+    }
+    const fullRate = Math.round((jobValue + priceDiscounts.reduce((sum, d) => sum + Number(d.amount || 0), 0)) * 100) / 100;
+
+    // Bundle upgrades / add-ons the customer chose get their own lines; the
+    // main service line is whatever's left of the full rate
+    const extras = Array.isArray(job.line_items) ? job.line_items.slice(1) : [];
+    const baseRate = Math.round((fullRate - extras.reduce((sum, item) => sum + Number(item.total || 0), 0)) * 100) / 100;
+
     const lineItems = [{
       description: job.service || 'Cleaning Service',
       quantity: 1,
-      unit_price: jobValue,
-      total: jobValue
-    }];
+      unit_price: baseRate,
+      total: baseRate
+    }, ...extras];
+    for (const discount of priceDiscounts) {
+      const amount = Number(discount.amount || 0);
+      if (amount <= 0) continue;
+      lineItems.push({ description: discount.label, quantity: 1, unit_price: -amount, total: -amount });
+    }
 
-    const subtotal = jobValue;
+    // Credit the customer has earned by referring friends (never more than the job)
+    const { credit, claims } = await referrals.claimReferralCredit(supabase, job.customer_id, jobValue);
+    referralClaims = claims;
+    if (credit > 0) {
+      lineItems.push({
+        description: claims.length > 1 ? `Referral credit (${claims.length} referrals) — thank you!` : 'Referral credit — thank you!',
+        quantity: 1,
+        unit_price: -credit,
+        total: -credit
+      });
+    }
+
+    const subtotal = Math.round((jobValue - credit) * 100) / 100;
     const vatRate = 0; // Default no VAT, admin can change
     const vatAmount = 0;
     const total = subtotal;
@@ -121,6 +161,7 @@ async function createInvoice(req, res) {
         invoice_number: invoiceNumber,
         job_id: jobId,
         customer_id: job.customer_id || null,
+        property_id: job.property_id || null,
         customer_name: job.customer_name,
         customer_email: job.customer_email || null,
         customer_phone: job.customer_phone || null,
@@ -142,13 +183,23 @@ async function createInvoice(req, res) {
 
     if (error) {
       log.error('Create error', { error: error.message });
+      await referrals.releaseReferralClaims(supabase, claims);
       return res.status(500).json({ success: false, error: 'Failed to create invoice' });
     }
 
-    log.info('Created invoice', { invoiceNumber, jobId, customerName: job.customer_name });
+    referralClaims = [];
+    await referrals.attachReferralClaims(supabase, claims, invoice.id);
+
+    await audit.recordAudit(req, {
+      entityType: 'invoice', entityId: invoice.id, action: 'create',
+      newValues: invoice
+    });
+
+    log.info('Created invoice', { invoiceNumber, jobId, customerName: job.customer_name, referralCredit: credit || undefined });
     res.status(201).json({ success: true, data: invoice });
   } catch (error) {
     log.error('Create error', { error: error.message });
+    await referrals.releaseReferralClaims(supabase, referralClaims);
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
 }
@@ -239,6 +290,12 @@ async function updateInvoice(req, res) {
 
     filtered.updated_at = new Date().toISOString();
 
+    const { data: oldInvoice } = await supabase
+      .from('invoices')
+      .select('*')
+      .eq('id', id)
+      .single();
+
     const { data, error } = await supabase
       .from('invoices')
       .update(filtered)
@@ -255,6 +312,11 @@ async function updateInvoice(req, res) {
       return res.status(404).json({ success: false, error: 'Invoice not found' });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'invoice', entityId: id, action: 'update',
+      oldValues: oldInvoice, newValues: filtered
+    });
+
     log.info('Updated invoice', { invoiceNumber: data.invoice_number, fields: Object.keys(filtered).join(', ') });
     res.json({ success: true, data });
   } catch (error) {
@@ -306,6 +368,7 @@ async function sendInvoice(req, res) {
             .from('invoices')
             .update({
               stripe_session_id: stripeResult.sessionId,
+              stripe_coupon_id: stripeResult.couponId,
               payment_link_url: paymentUrl
             })
             .eq('id', id);
@@ -341,6 +404,12 @@ async function sendInvoice(req, res) {
       log.error('Status update after send failed', { error: updateError.message });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'invoice', entityId: id, action: 'send',
+      oldValues: { status: invoice.status, sent_at: invoice.sent_at },
+      newValues: { status: updated?.status || invoice.status, sent_at: updated?.sent_at || null, sent_to: invoice.customer_email }
+    });
+
     log.info('Sent invoice', { invoiceNumber: invoice.invoice_number, to: invoice.customer_email });
     res.json({ success: true, data: updated || invoice });
   } catch (error) {
@@ -621,6 +690,7 @@ async function payInvoice(req, res) {
       .from('invoices')
       .update({
         stripe_session_id: result.sessionId,
+        stripe_coupon_id: result.couponId,
         payment_link_url: result.paymentUrl
       })
       .eq('id', invoice.id);
@@ -638,6 +708,7 @@ async function payInvoice(req, res) {
  */
 async function handleStripeWebhook(req, res) {
   const stripeService = require('../services/stripe');
+  const webhookEvents = require('../services/webhookEvents');
   const client = stripeService.getStripe();
 
   if (!client) {
@@ -648,49 +719,79 @@ async function handleStripeWebhook(req, res) {
   const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
   let event;
+  let signatureStatus = 'skipped';
 
   try {
     if (webhookSecret && sig) {
       event = client.webhooks.constructEvent(req.rawBody || req.body, sig, webhookSecret);
+      signatureStatus = 'verified';
     } else {
       // No webhook secret configured — parse the body directly (dev mode)
       event = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
     }
   } catch (err) {
     log.error('Webhook signature verification failed', { error: err.message });
+    const claimed = typeof req.body === 'object' ? req.body : {};
+    await webhookEvents.recordRejected(req, {
+      provider: 'stripe', eventId: claimed?.id, eventType: claimed?.type, payload: claimed
+    });
     return res.status(400).json({ error: 'Webhook signature verification failed' });
   }
 
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    const invoiceId = session.metadata?.invoice_id || session.client_reference_id;
-
-    if (!invoiceId) {
-      log.warn('Stripe webhook: no invoice_id in metadata');
-      return res.json({ received: true });
+  try {
+    const result = await webhookEvents.receiveWebhook(req, {
+      provider: 'stripe',
+      eventId: event.id,
+      eventType: event.type,
+      payload: event,
+      signatureStatus
+    }, processStripeEvent);
+
+    // Non-2xx makes Stripe retry; the retry is processed again because the event is marked failed
+    if (!result.success) {
+      return res.status(500).json({ error: 'Webhook processing failed' });
     }
 
-    log.info('Payment received', { invoiceId, sessionId: session.id });
+    res.json({ received: true });
+  } catch (err) {
+    log.error('Stripe webhook error', { error: err.message });
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+}
 
-    const { error } = await supabase
-      .from('invoices')
-      .update({
-        status: 'paid',
-        paid_at: new Date().toISOString(),
-        payment_method: 'stripe',
-        stripe_payment_intent_id: session.payment_intent || null,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', invoiceId);
+/**
+ * Apply a Stripe event (live or replayed from the webhook event store)
+ */
+async function processStripeEvent(event) {
+  if (event.type !== 'checkout.session.completed') return;
 
-    if (error) {
-      log.error('Failed to update invoice after payment', { error: error.message, invoiceId });
-    } else {
-      log.info('Invoice marked as paid', { invoiceId });
-    }
+  const session = event.data.object;
+  const invoiceId = session.metadata?.invoice_id || session.client_reference_id;
+
+  if (!invoiceId) {
+    log.warn('Stripe webhook: no invoice_id in metadata');
+    return;
+  }
+
+  log.info('Payment received', { invoiceId, sessionId: session.id });
+
+  const { error } = await supabase
+    .from('invoices')
+    .update({
+      status: 'paid',
+      paid_at: new Date().toISOString(),
+      payment_method: 'stripe',
+      stripe_payment_intent_id: session.payment_intent || null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', invoiceId);
+
+  if (error) {
+    log.error('Failed to update invoice after payment', { error: error.message, invoiceId });
+    throw new Error(`Failed to update invoice ${invoiceId}: ${error.message}`);
   }
 
-  res.json({ received: true });
+  log.info('Invoice marked as paid', { invoiceId });
 }
 
 module.exports = {
@@ -703,5 +804,6 @@ module.exports = {
   getJobInvoice,
   viewInvoice,
   payInvoice,
-  handleStripeWebhook
+  handleStripeWebhook,
+  processStripeEvent
 };
@@ -6,6 +6,9 @@
  */
 
 const log = require('../services/logger').child('Jobs');
+const audit = require('../services/audit');
+const properties = require('../services/properties');
+const referrals = require('../services/referrals');
 
 let supabase;
 
@@ -13,6 +16,36 @@ function setSupabaseClient(client) {
   supabase = client;
 }
 
+/**
+ * Work out which customer and property a new job or recurring pattern belongs
+ * to: explicit ids win, then the originating quote's property, then a match
+ * (or new record) by contact details and address.
+ */
+async function resolveCustomerAndProperty({ customer_id, property_id, quote_id, customer_name, customer_email, customer_phone, address, postcode }) {
+  let customerId = customer_id || null;
+  if (!customerId && (customer_email || customer_phone)) {
+    try {
+      const customerRoutes = require('./customers');
+      customerId = await customerRoutes.findOrCreateCustomer({
+        name: customer_name,
+        email: customer_email,
+        phone: customer_phone,
+        address_line1: address,
+        postcode: postcode
+      });
+    } catch (e) {
+      log.error('Customer resolution failed, continuing', { error: e.message });
+    }
+  }
+
+  let propertyId = property_id || await properties.propertyForQuote(supabase, quote_id);
+  if (!propertyId && customerId) {
+    propertyId = await properties.findOrCreateProperty(supabase, customerId, { address, postcode });
+  }
+
+  return { customerId, propertyId: propertyId || null };
+}
+
 // ========================
 // JOBS CRUD
 // ========================
@@ -69,7 +102,6 @@ async function createJob(req, res) {
   try {
     const {
       quote_id,
-      customer_id,
       customer_name,
       customer_phone,
       customer_email,
@@ -100,28 +132,15 @@ async function createJob(req, res) {
       });
     }
 
-    // Resolve customer_id if not provided but we have email/phone
-    let resolvedCustomerId = customer_id || null;
-    if (!resolvedCustomerId && (customer_email || customer_phone)) {
-      try {
-        const customerRoutes = require('./customers');
-        resolvedCustomerId = await customerRoutes.findOrCreateCustomer({
-          name: customer_name,
-          email: customer_email,
-          phone: customer_phone,
-          address_line1: address,
-          postcode: postcode
-        });
-      } catch (e) {
-        log.error('Customer resolution failed, continuing', { error: e.message });
-      }
-    }
+    // Resolve customer_id/property_id if not provided
+    const { customerId, propertyId } = await resolveCustomerAndProperty(req.body);
 
     const { data, error } = await supabase
       .from('jobs')
       .insert([{
         quote_id: quote_id || null,
-        customer_id: resolvedCustomerId,
+        customer_id: customerId,
+        property_id: propertyId,
         customer_name,
         customer_phone: customer_phone || null,
         customer_email: customer_email || null,
@@ -143,6 +162,10 @@ async function createJob(req, res) {
       return res.status(500).json({ success: false, error: 'Failed to create job' });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'job', entityId: data[0].id, action: 'create', newValues: data[0]
+    });
+
     log.info('Created job', { jobId: data[0].id, customerName: customer_name, scheduledDate: scheduled_date });
     res.status(201).json({ success: true, data: data[0] });
   } catch (error) {
@@ -162,7 +185,7 @@ async function updateJob(req, res) {
 
     // Only allow specific fields to be updated
     const allowed = [
-      'customer_name', 'customer_phone', 'customer_email',
+      'customer_name', 'customer_phone', 'customer_email', 'property_id',
       'address', 'postcode', 'service', 'assigned_to',
       'scheduled_date', 'time_slot', 'estimated_duration',
       'job_value', 'status', 'payment_status', 'payment_method',
@@ -180,6 +203,17 @@ async function updateJob(req, res) {
       return res.status(400).json({ success: false, error: 'No valid fields to update' });
     }
 
+    const { data: oldJob } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (filtered.property_id && oldJob &&
+      !(await properties.isCustomerProperty(supabase, filtered.property_id, oldJob.customer_id))) {
+      return res.status(400).json({ success: false, error: 'Property does not belong to this job\'s customer' });
+    }
+
     const { data, error } = await supabase
       .from('jobs')
       .update(filtered)
@@ -195,8 +229,23 @@ async function updateJob(req, res) {
       return res.status(404).json({ success: false, error: 'Job not found' });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'job', entityId: id, action: 'update',
+      oldValues: oldJob, newValues: filtered
+    });
+
     log.info('Updated job', { jobId: id, fields: Object.keys(filtered).join(', ') });
 
+    if (filtered.status === 'completed' && oldJob?.status !== 'completed') {
+      await referrals.handleJobCompleted(supabase, data[0]);
+    }
+
+    // A cancelled job no longer holds its quote's booking
+    if (filtered.status === 'cancelled' && oldJob?.status !== 'cancelled') {
+      const { releaseBookedJob } = require('../services/pipelineManager');
+      await releaseBookedJob(supabase, data[0]);
+    }
+
     // Auto-send review request when job marked as completed
     if (filtered.status === 'completed' && !data[0].review_request_sent_at) {
       const reviewUrl = process.env.GOOGLE_REVIEW_URL;
@@ -207,18 +256,19 @@ async function updateJob(req, res) {
           try {
             const job = data[0];
             const channels = [];
+            const referral = await referrals.referralInvite(supabase, job.customer_id);
 
             // Send email review request
             if (job.customer_email) {
               const { sendReviewRequestEmail } = require('../services/emailer');
-              const emailResult = await sendReviewRequestEmail(job, reviewUrl);
+              const emailResult = await sendReviewRequestEmail(job, reviewUrl, referral);
               if (emailResult.success) channels.push('email');
             }
 
             // Send WhatsApp review request
             if (job.customer_phone) {
               const { sendReviewRequestWhatsApp } = require('../services/whatsapp');
-              const waResult = await sendReviewRequestWhatsApp(job, reviewUrl);
+              const waResult = await sendReviewRequestWhatsApp(job, reviewUrl, referral);
               if (waResult.success) channels.push('whatsapp');
             }
 
@@ -281,6 +331,13 @@ async function deleteJob(req, res) {
       return res.status(404).json({ success: false, error: 'Job not found' });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'job', entityId: id, action: 'delete', oldValues: data[0]
+    });
+
+    const { releaseBookedJob } = require('../services/pipelineManager');
+    await releaseBookedJob(supabase, data[0]);
+
     log.info('Deleted job', { jobId: id });
     res.json({ success: true, message: 'Job deleted' });
   } catch (error) {
@@ -449,9 +506,13 @@ async function createRecurring(req, res) {
       });
     }
 
+    const { customerId, propertyId } = await resolveCustomerAndProperty(req.body);
+
     const { data, error } = await supabase
       .from('recurring_jobs')
       .insert([{
+        customer_id: customerId,
+        property_id: propertyId,
         customer_name,
         customer_phone: customer_phone || null,
         customer_email: customer_email || null,
@@ -474,6 +535,10 @@ async function createRecurring(req, res) {
       return res.status(500).json({ success: false, error: 'Failed to create recurring job' });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'recurring_job', entityId: data[0].id, action: 'create', newValues: data[0]
+    });
+
     log.info('Recurring pattern created', { patternId: data[0].id, customerName: customer_name, interval: repeat_interval });
     res.status(201).json({ success: true, data: data[0] });
   } catch (error) {
@@ -492,7 +557,7 @@ async function updateRecurring(req, res) {
     const updates = req.body;
 
     const allowed = [
-      'customer_name', 'customer_phone', 'customer_email',
+      'customer_name', 'customer_phone', 'customer_email', 'property_id',
       'address', 'postcode', 'service', 'assigned_to',
       'time_slot', 'estimated_duration', 'job_value',
       'repeat_interval', 'start_date', 'end_date',
@@ -510,6 +575,17 @@ async function updateRecurring(req, res) {
       return res.status(400).json({ success: false, error: 'No valid fields to update' });
     }
 
+    const { data: oldPattern } = await supabase
+      .from('recurring_jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (filtered.property_id && oldPattern &&
+      !(await properties.isCustomerProperty(supabase, filtered.property_id, oldPattern.customer_id))) {
+      return res.status(400).json({ success: false, error: 'Property does not belong to this recurring job\'s customer' });
+    }
+
     const { data, error } = await supabase
       .from('recurring_jobs')
       .update(filtered)
@@ -525,6 +601,11 @@ async function updateRecurring(req, res) {
       return res.status(404).json({ success: false, error: 'Recurring job not found' });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'recurring_job', entityId: id, action: 'update',
+      oldValues: oldPattern, newValues: filtered
+    });
+
     log.info('Recurring pattern updated', { patternId: id });
     res.json({ success: true, data: data[0] });
   } catch (error) {
@@ -609,6 +690,8 @@ async function generateFromRecurring(req, res) {
       if (!existingDates.has(dateStr)) {
         jobsToCreate.push({
           recurring_job_id: id,
+          customer_id: pattern.customer_id,
+          property_id: pattern.property_id,
           customer_name: pattern.customer_name,
           customer_phone: pattern.customer_phone,
           customer_email: pattern.customer_email,
@@ -641,6 +724,11 @@ async function generateFromRecurring(req, res) {
       return res.status(500).json({ success: false, error: 'Failed to generate jobs' });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'recurring_job', entityId: id, action: 'generate',
+      newValues: { job_ids: data.map(j => j.id), weeks }
+    });
+
     log.info('Generated jobs from pattern', { count: data.length, patternId: id });
     res.json({ success: true, created: data.length, data });
   } catch (error) {
@@ -669,7 +757,7 @@ async function listTeam(req, res) {
       return res.status(500).json({ success: false, error: 'Failed to fetch team members' });
     }
 
-    res.json({ success: true, data });
+    res.json({ success: true, data: data.map(withoutPin) });
   } catch (error) {
     log.error('Team list error', { error: error.message });
     res.status(500).json({ success: false, error: 'Internal server error' });
@@ -678,22 +766,34 @@ async function listTeam(req, res) {
 
 /**
  * POST /admin/team
- * Add team member
+ * Add team member (optional phone/email for login links, optional PIN)
  */
 async function createTeamMember(req, res) {
   try {
-    const { name, color } = req.body;
+    const { name, color, phone, email, pin } = req.body;
 
     if (!name) {
       return res.status(400).json({ success: false, error: 'Name is required' });
     }
 
+    const member = {
+      name,
+      color: color || '#a3e635',
+      phone: phone || null,
+      email: email || null
+    };
+
+    if (pin) {
+      const { hashPin } = require('./teamAuth');
+      member.pin_hash = hashPin(pin);
+      if (!member.pin_hash) {
+        return res.status(400).json({ success: false, error: 'PIN must be 4-8 digits' });
+      }
+    }
+
     const { data, error } = await supabase
       .from('team_members')
-      .insert([{
-        name,
-        color: color || '#a3e635'
-      }])
+      .insert([member])
       .select();
 
     if (error) {
@@ -701,8 +801,12 @@ async function createTeamMember(req, res) {
       return res.status(500).json({ success: false, error: 'Failed to create team member' });
     }
 
+    await audit.recordAudit(req, {
+      entityType: 'team_member', entityId: data[0].id, action: 'create', newValues: withoutPin(data[0])
+    });
+
     log.info('Added team member', { name });
-    res.status(201).json({ success: true, data: data[0] });
+    res.status(201).json({ success: true, data: withoutPin(data[0]) });
   } catch (error) {
     log.error('Team create error', { error: error.message });
     res.status(500).json({ success: false, error: 'Internal server error' });
@@ -711,22 +815,41 @@ async function createTeamMember(req, res) {
 
 /**
  * PATCH /admin/team/:id
- * Update/deactivate team member
+ * Update/deactivate team member. Deactivating or changing the PIN
+ * signs the member out of my-schedule everywhere.
  */
 async function updateTeamMember(req, res) {
   try {
     const { id } = req.params;
-    const { name, color, is_active } = req.body;
+    const { name, color, is_active, phone, email, pin } = req.body;
+    const teamAuth = require('./teamAuth');
 
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (color !== undefined) updates.color = color;
     if (is_active !== undefined) updates.is_active = is_active;
+    if (phone !== undefined) updates.phone = phone || null;
+    if (email !== undefined) updates.email = email || null;
+    if (pin !== undefined) {
+      // Empty PIN removes PIN login (magic links still work)
+      updates.pin_hash = pin ? teamAuth.hashPin(pin) : null;
+      if (pin && !updates.pin_hash) {
+        return res.status(400).json({ success: false, error: 'PIN must be 4-8 digits' });
+      }
+      updates.failed_pin_attempts = 0;
+      updates.pin_locked_until = null;
+    }
 
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ success: false, error: 'No valid fields to update' });
     }
 
+    const { data: oldMember } = await supabase
+      .from('team_members')
+      .select('*')
+      .eq('id', id)
+      .single();
+
     const { data, error } = await supabase
       .from('team_members')
       .update(updates)
@@ -742,16 +865,34 @@ async function updateTeamMember(req, res) {
       return res.status(404).json({ success: false, error: 'Team member not found' });
     }
 
+    if (updates.is_active === false || pin !== undefined) {
+      await teamAuth.revokeMemberSessions(id);
+    }
+
+    // PIN hashes stay out of the audit trail, same as the API responses
+    const { pin_hash, failed_pin_attempts, pin_locked_until, ...changed } = updates;
+    if (pin !== undefined) changed.has_pin = !!pin_hash;
+    await audit.recordAudit(req, {
+      entityType: 'team_member', entityId: id, action: 'update',
+      oldValues: oldMember && withoutPin(oldMember), newValues: changed
+    });
+
     log.info('Updated team member', { memberId: id });
-    res.json({ success: true, data: data[0] });
+    res.json({ success: true, data: withoutPin(data[0]) });
   } catch (error) {
     log.error('Team update error', { error: error.message });
     res.status(500).json({ success: false, error: 'Internal server error' });
   }
 }
 
+// Never send PIN hashes back to the dashboard — just whether one is set
+function withoutPin(member) {
+  const { pin_hash, failed_pin_attempts, ...rest } = member;
+  return { ...rest, has_pin: !!pin_hash };
+}
+
 // ========================
-// TEAM MEMBER SCHEDULE (Public - UUID acts as access key)
+// TEAM MEMBER SCHEDULE (team session required — see middleware/teamAuth.js)
 // ========================
 
 /**
@@ -836,7 +977,7 @@ async function updateMyJob(req, res) {
     // Verify the job is assigned to this team member
     const { data: job, error: jobError } = await supabase
       .from('jobs')
-      .select('assigned_to')
+      .select('assigned_to, status')
       .eq('id', jobId)
       .single();
 
@@ -874,6 +1015,10 @@ async function updateMyJob(req, res) {
 
     log.info('MySchedule job updated', { memberName: member.name, jobId, fields: Object.keys(filtered).join(', ') });
 
+    if (filtered.status === 'completed' && job.status !== 'completed') {
+      await referrals.handleJobCompleted(supabase, data[0]);
+    }
+
     // Refresh customer aggregates if status or payment changed
     if ((filtered.status || filtered.payment_status) && data[0].customer_id) {
       try {
@@ -982,18 +1127,19 @@ async function requestReview(req, res) {
     }
 
     const channels = [];
+    const referral = await referrals.referralInvite(supabase, job.customer_id);
 
     // Send email
     if (job.customer_email) {
       const { sendReviewRequestEmail } = require('../services/emailer');
-      const emailResult = await sendReviewRequestEmail(job, reviewUrl);
+      const emailResult = await sendReviewRequestEmail(job, reviewUrl, referral);
       if (emailResult.success) channels.push('email');
     }
 
     // Send WhatsApp
     if (job.customer_phone) {
       const { sendReviewRequestWhatsApp } = require('../services/whatsapp');
-      const waResult = await sendReviewRequestWhatsApp(job, reviewUrl);
+      const waResult = await sendReviewRequestWhatsApp(job, reviewUrl, referral);
       if (waResult.success) channels.push('whatsapp');
     }
 
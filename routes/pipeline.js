@@ -11,6 +11,12 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
+const linkTokens = require('../services/linkTokens');
+const quoteRevisions = require('../services/quoteRevisions');
+const { getQuotePricingConfig } = require('../services/pricingExperiments');
+const { slotDiscount, applySlotDiscount, describeSlotDiscount } = require('../services/calendarPricing');
+const bundles = require('../services/bundles');
+const { idempotency } = require('../middleware/idempotency');
 const log = require('../services/logger').child('Pipeline');
 
 let supabase;
@@ -53,9 +59,117 @@ function errorPage(title, message) {
 </head><body><div class="container"><h1>${title}</h1><p>${message}</p></div></body></html>`;
 }
 
+// ─── Link Token Verification ────────────────────────────────────────
+
+/**
+ * Middleware: require a valid signed link token (?t=) for this quote.
+ *
+ * @param {string|string[]} purposes - accepted token purpose(s)
+ * @param {Object} [options]
+ * @param {boolean} [options.json] - respond with JSON instead of an HTML page
+ * @param {boolean} [options.action] - single-use: consume the token before the
+ *   handler runs (410 if it was already used); it's released again if the
+ *   handler responds with an error
+ */
+function requireLinkToken(purposes, options = {}) {
+  const allowed = Array.isArray(purposes) ? purposes : [purposes];
+
+  return async (req, res, next) => {
+    if (!linkTokens.isEnabled()) return next();
+
+    const { quoteId } = req.params;
+    if (!UUID_REGEX.test(quoteId)) return next(); // route handles invalid IDs
+
+    try {
+      const token = req.query.t || req.body?.t || req.headers['x-link-token'];
+      const result = linkTokens.verifyLinkToken(token, quoteId, allowed);
+      let reason = result.valid ? null : result.reason;
+
+      if (!reason && options.action) {
+        if (await linkTokens.consumeLinkToken(supabase, result.payload)) {
+          res.on('finish', () => {
+            if (res.statusCode >= 400) linkTokens.releaseLinkToken(supabase, result.payload).catch(() => {});
+          });
+        } else {
+          reason = 'used';
+        }
+      }
+
+      if (reason) {
+        log.warn('Link token rejected', { quoteId, purposes: allowed, reason });
+        const status = reason === 'used' ? 410 : 401;
+        if (options.json) {
+          return res.status(status).json({
+            success: false,
+            error: reason === 'expired' ? 'This link has expired' : 'This link is no longer valid',
+            code: `link_${reason}`
+          });
+        }
+        return res.status(status).send(linkExpiredPage(quoteId, allowed[0], reason));
+      }
+
+      req.linkToken = { raw: token, ...result.payload };
+      next();
+    } catch (err) {
+      log.error('Link token check error', { error: err.message });
+      res.status(500).send(errorPage('Something Went Wrong', 'Please try again or contact us directly.'));
+    }
+  };
+}
+
+// ?t=<token> for the token this request arrived with ('' when signing is disabled)
+function currentTokenQuery(req) {
+  return linkTokens.tokenQuery(req.linkToken?.raw);
+}
+
+// ─── Fresh Link Request ─────────────────────────────────────────────
+
+// In-memory throttle so the button can't be used to spam a customer
+const recentResends = new Map();
+const RESEND_COOLDOWN_MS = 15 * 60 * 1000;
+
+router.post('/link/refresh/:quoteId', async (req, res) => {
+  try {
+    const { quoteId } = req.params;
+    const purpose = req.body?.purpose;
+
+    if (!UUID_REGEX.test(quoteId) || !linkTokens.LINK_PURPOSES[purpose]) {
+      return res.status(400).send(errorPage('Invalid Link', 'This link appears to be invalid. Please contact us directly.'));
+    }
+
+    const key = `${quoteId}:${purpose}`;
+    const lastSent = recentResends.get(key);
+    if (lastSent && Date.now() - lastSent < RESEND_COOLDOWN_MS) {
+      return res.send(freshLinkSentPage());
+    }
+
+    const { resendCustomerLink } = require('../services/pipelineManager');
+    const result = await resendCustomerLink(supabase, quoteId, purpose);
+
+    if (!result.success) {
+      return res.status(400).send(errorPage('Unable to Send Link', 'We couldn\'t send a new link for this quote. Please contact us directly and we\'ll sort it out.'));
+    }
+
+    recentResends.set(key, Date.now());
+    res.send(freshLinkSentPage());
+
+  } catch (err) {
+    log.error('Link refresh error', { error: err.message });
+    res.status(500).send(errorPage('Something Went Wrong', 'Please try again or contact us directly.'));
+  }
+});
+
+// Clean up throttle map periodically
+setInterval(() => {
+  const cutoff = Date.now() - RESEND_COOLDOWN_MS;
+  for (const [key, sentAt] of recentResends) {
+    if (sentAt < cutoff) recentResends.delete(key);
+  }
+}, 60 * 60 * 1000).unref();
+
 // ─── Photo Upload Page ──────────────────────────────────────────────
 
-router.get('/upload-photos/:quoteId', async (req, res) => {
+router.get('/upload-photos/:quoteId', requireLinkToken('upload_photos'), async (req, res) => {
   try {
     const { quoteId } = req.params;
 
@@ -88,7 +202,7 @@ router.get('/upload-photos/:quoteId', async (req, res) => {
 
 // ─── Photo Upload API ───────────────────────────────────────────────
 
-router.post('/api/pipeline/:quoteId/upload-photos', async (req, res) => {
+router.post('/api/pipeline/:quoteId/upload-photos', requireLinkToken('upload_photos', { json: true }), async (req, res) => {
   try {
     const { quoteId } = req.params;
 
@@ -195,7 +309,7 @@ router.post('/api/pipeline/:quoteId/upload-photos', async (req, res) => {
 
 // ─── Pipeline Status API ────────────────────────────────────────────
 
-router.get('/api/pipeline/:quoteId/status', async (req, res) => {
+router.get('/api/pipeline/:quoteId/status', requireLinkToken(['upload_photos', 'book'], { json: true }), async (req, res) => {
   try {
     const { quoteId } = req.params;
 
@@ -234,7 +348,7 @@ router.get('/api/pipeline/:quoteId/status', async (req, res) => {
 
 // ─── Final Price Page ───────────────────────────────────────────────
 
-router.get('/final-price/:quoteId', async (req, res) => {
+router.get('/final-price/:quoteId', requireLinkToken('final_price'), async (req, res) => {
   try {
     const { quoteId } = req.params;
 
@@ -258,7 +372,7 @@ router.get('/final-price/:quoteId', async (req, res) => {
     }
 
     if (quote.customer_accepted_final_price) {
-      return res.send(alreadyAcceptedPage(quote));
+      return res.send(alreadyAcceptedPage(quote, linkTokens.buildCustomerPath(quoteId, 'book')));
     }
 
     // Load honesty clause from settings
@@ -274,7 +388,17 @@ router.get('/final-price/:quoteId', async (req, res) => {
       }
     } catch (e) { /* use default */ }
 
-    res.send(finalPricePage(quote, honestyClause));
+    const revision = await quoteRevisions.getCurrentRevision(supabase, quote);
+
+    // Bundle upgrades and add-ons the customer can tick before accepting
+    const config = await getQuotePricingConfig(quote);
+    const services = quote.services || [];
+    const extras = {
+      upgrades: bundles.bundleUpgrades(services, bundles.fullRatePrice(quote), config.BUNDLES_AND_ADDONS),
+      addOns: bundles.availableAddOns(services, config.BUNDLES_AND_ADDONS)
+    };
+
+    res.send(finalPricePage(quote, honestyClause, currentTokenQuery(req), revision, extras));
 
   } catch (err) {
     log.error('Final price page error', { error: err.message });
@@ -284,7 +408,7 @@ router.get('/final-price/:quoteId', async (req, res) => {
 
 // ─── Confirm Final Price (POST) ─────────────────────────────────────
 
-router.post('/confirm-final-price/:quoteId', async (req, res) => {
+router.post('/confirm-final-price/:quoteId', requireLinkToken('final_price', { action: true }), async (req, res) => {
   try {
     const { quoteId } = req.params;
 
@@ -304,28 +428,55 @@ router.post('/confirm-final-price/:quoteId', async (req, res) => {
     }
 
     if (quote.customer_accepted_final_price) {
-      return res.redirect(`/book/${quoteId}`);
+      return res.redirect(linkTokens.buildCustomerPath(quoteId, 'book'));
+    }
+
+    // The price was revised after this page was loaded — show the new one instead
+    const currentRevision = quote.price_revision || 0;
+    if (req.body?.revision !== undefined && Number(req.body.revision) !== currentRevision) {
+      log.info('Stale final price submitted', { quoteId, submitted: req.body.revision, current: currentRevision });
+      if (req.linkToken) await linkTokens.releaseLinkToken(supabase, req.linkToken);
+      return res.redirect(`/final-price/${quoteId}${currentTokenQuery(req)}`);
     }
 
+    // Bundle upgrade / add-ons ticked on the page, priced from the config
+    const config = await getQuotePricingConfig(quote);
+    const extras = bundles.priceExtras(quote, {
+      bundle: typeof req.body?.bundle === 'string' ? req.body.bundle : null,
+      addOns: [].concat(req.body?.addOns || []).filter(id => typeof id === 'string')
+    }, config.BUNDLES_AND_ADDONS);
+    const acceptedPrice = Number(quote.final_price) + bundles.extrasTotal(extras);
+    // A bundle upgrade's services become part of the quote (and so the job)
+    const services = [...new Set([...(quote.services || []), ...bundles.upgradeServices(extras)])];
+
     // Mark accepted
     const now = new Date().toISOString();
-    await supabase
+    const { error: updateError } = await supabase
       .from('quotes')
       .update({
         customer_accepted_final_price: true,
         customer_accepted_final_price_at: now,
-        pipeline_stage: 'final_price_accepted'
+        pipeline_stage: 'final_price_accepted',
+        ...(extras.length > 0 && { final_price: acceptedPrice, final_price_extras: extras, services })
       })
       .eq('id', quoteId);
 
+    if (updateError) {
+      log.error('Failed to record final price acceptance', { quoteId, error: updateError.message });
+      return res.status(500).send(errorPage('Something Went Wrong', 'Please try again or contact us directly.'));
+    }
+
     // Log activity
+    const extrasText = extras.length > 0
+      ? ` with ${extras.map(e => `${e.label} (£${e.amount})`).join(', ')} — £${acceptedPrice} in total`
+      : '';
     await supabase.from('quote_activity').insert({
       quote_id: quoteId,
       action_type: 'final_price_accepted',
-      description: `Customer accepted final price of £${quote.final_price}`
+      description: `Customer accepted final price of £${quote.final_price}${currentRevision ? ` (revision ${currentRevision})` : ''}${extrasText}`
     }).catch(() => {});
 
-    log.info('Final price accepted', { quoteId, price: quote.final_price });
+    log.info('Final price accepted', { quoteId, price: acceptedPrice, extras: extras.map(e => e.id) });
 
     // Advance pipeline (async)
     const { advanceAfterFinalPriceAccepted } = require('../services/pipelineManager');
@@ -333,7 +484,7 @@ router.post('/confirm-final-price/:quoteId', async (req, res) => {
       log.error('Pipeline advancement failed after acceptance', { quoteId, error: err.message });
     });
 
-    res.redirect(`/book/${quoteId}`);
+    res.redirect(linkTokens.buildCustomerPath(quoteId, 'book'));
 
   } catch (err) {
     log.error('Confirm final price error', { error: err.message });
@@ -343,7 +494,7 @@ router.post('/confirm-final-price/:quoteId', async (req, res) => {
 
 // ─── Booking Page ───────────────────────────────────────────────────
 
-router.get('/book/:quoteId', async (req, res) => {
+router.get('/book/:quoteId', requireLinkToken('book'), async (req, res) => {
   try {
     const { quoteId } = req.params;
 
@@ -367,7 +518,7 @@ router.get('/book/:quoteId', async (req, res) => {
     }
 
     if (!quote.customer_accepted_final_price) {
-      return res.redirect(`/final-price/${quoteId}`);
+      return res.redirect(linkTokens.buildCustomerPath(quoteId, 'final_price'));
     }
 
     res.sendFile(path.join(__dirname, '..', 'public', 'book-slot.html'));
@@ -380,7 +531,7 @@ router.get('/book/:quoteId', async (req, res) => {
 
 // ─── Available Slots API ────────────────────────────────────────────
 
-router.get('/api/pipeline/:quoteId/available-slots', async (req, res) => {
+router.get('/api/pipeline/:quoteId/available-slots', requireLinkToken('book', { json: true }), async (req, res) => {
   try {
     const { quoteId } = req.params;
 
@@ -391,7 +542,7 @@ router.get('/api/pipeline/:quoteId/available-slots', async (req, res) => {
     // Verify quote exists
     const { data: quote, error: quoteErr } = await supabase
       .from('quotes')
-      .select('id')
+      .select('id, final_price, created_at, pricing_experiment_id, pricing_variant')
       .eq('id', quoteId)
       .is('deleted_at', null)
       .single();
@@ -401,7 +552,7 @@ router.get('/api/pipeline/:quoteId/available-slots', async (req, res) => {
     }
 
     // Load pipeline config
-    let config = { max_jobs_per_day: 4, booking_lookahead_weeks: 6 };
+    let config = { max_jobs_per_day: 4, max_jobs_per_slot: 1, booking_lookahead_weeks: 6 };
     try {
       const { data: settings } = await supabase
         .from('settings')
@@ -414,6 +565,7 @@ router.get('/api/pipeline/:quoteId/available-slots', async (req, res) => {
     } catch (e) { /* use defaults */ }
 
     const maxPerDay = config.max_jobs_per_day || 4;
+    const maxPerSlot = config.max_jobs_per_slot || 1;
     const lookaheadWeeks = config.booking_lookahead_weeks || 6;
     const timeSlots = ['morning', 'afternoon', 'evening'];
 
@@ -439,16 +591,27 @@ router.get('/api/pipeline/:quoteId/available-slots', async (req, res) => {
       return res.status(500).json({ success: false, error: 'Failed to check availability' });
     }
 
+    // Slots held by bookings that are in progress count as taken too
+    const { data: heldSlots } = await supabase
+      .from('booking_reservations')
+      .select('scheduled_date, time_slot')
+      .eq('status', 'held')
+      .gt('expires_at', new Date().toISOString())
+      .gte('scheduled_date', startDate.toISOString().split('T')[0])
+      .lte('scheduled_date', endDate.toISOString().split('T')[0]);
+
     // Build job count map
     const jobCountByDate = {};
-    const slotsTaken = {};
-    for (const job of (existingJobs || [])) {
+    const slotCounts = {};
+    for (const job of [...(existingJobs || []), ...(heldSlots || [])]) {
       const dateKey = job.scheduled_date;
       jobCountByDate[dateKey] = (jobCountByDate[dateKey] || 0) + 1;
-      if (!slotsTaken[dateKey]) slotsTaken[dateKey] = [];
-      if (job.time_slot) slotsTaken[dateKey].push(job.time_slot);
+      if (!slotCounts[dateKey]) slotCounts[dateKey] = {};
+      if (job.time_slot) slotCounts[dateKey][job.time_slot] = (slotCounts[dateKey][job.time_slot] || 0) + 1;
     }
 
+    const { CALENDAR_PRICING, PRICE_LIMITS } = await getQuotePricingConfig(quote);
+
     // Build available slots
     const availableSlots = [];
     const current = new Date(startDate);
@@ -462,15 +625,21 @@ router.get('/api/pipeline/:quoteId/available-slots', async (req, res) => {
         const jobCount = jobCountByDate[dateKey] || 0;
 
         if (jobCount < maxPerDay) {
-          const takenSlots = slotsTaken[dateKey] || [];
-          const freeSlots = timeSlots.filter(s => !takenSlots.includes(s));
+          const counts = slotCounts[dateKey] || {};
+          const freeSlots = timeSlots.filter(s => (counts[s] || 0) < maxPerSlot);
 
           if (freeSlots.length > 0) {
+            // Off-peak / fill-the-gap deal for the day, with the price it gives
+            const deal = quote.final_price ? slotDiscount(dateKey, jobCount, CALENDAR_PRICING) : null;
+            const priced = deal ? applySlotDiscount(quote.final_price, deal, PRICE_LIMITS) : null;
             availableSlots.push({
               date: dateKey,
               dayName: current.toLocaleDateString('en-GB', { weekday: 'long' }),
               dateFormatted: current.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }),
-              slots: freeSlots
+              slots: freeSlots,
+              discount: priced?.amount > 0
+                ? { label: describeSlotDiscount(deal), price: priced.price }
+                : null
             });
           }
         }
@@ -495,7 +664,7 @@ router.get('/api/pipeline/:quoteId/available-slots', async (req, res) => {
 
 // ─── Book a Slot (POST) ────────────────────────────────────────────
 
-router.post('/api/pipeline/:quoteId/book', async (req, res) => {
+router.post('/api/pipeline/:quoteId/book', idempotency, requireLinkToken('book', { json: true, action: true }), async (req, res) => {
   try {
     const { quoteId } = req.params;
     const { date, timeSlot } = req.body;
@@ -538,47 +707,35 @@ router.post('/api/pipeline/:quoteId/book', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Final price must be accepted before booking' });
     }
 
-    // Race condition check: verify slot is still available
-    const { data: conflicting } = await supabase
-      .from('jobs')
-      .select('id')
-      .eq('scheduled_date', date)
-      .eq('time_slot', timeSlot)
-      .not('status', 'eq', 'cancelled')
-      .is('deleted_at', null);
+    const {
+      reserveBookingSlot,
+      releaseBookingReservation,
+      advanceAfterBooking
+    } = require('../services/pipelineManager');
 
-    // Load config for max per day
-    let maxPerDay = 4;
-    try {
-      const { data: settings } = await supabase
-        .from('settings')
-        .select('value')
-        .eq('key', 'pipeline_config')
-        .single();
-      if (settings?.value?.max_jobs_per_day) {
-        maxPerDay = settings.value.max_jobs_per_day;
-      }
-    } catch (e) { /* use default */ }
-
-    // Check total jobs for that day
-    const { data: dayJobs } = await supabase
-      .from('jobs')
-      .select('id')
-      .eq('scheduled_date', date)
-      .not('status', 'eq', 'cancelled')
-      .is('deleted_at', null);
+    // Hold the slot first — only one request per quote (and per slot/day
+    // capacity) gets past this point, however fast the clicks come in
+    const reservation = await reserveBookingSlot(supabase, quoteId, date, timeSlot);
 
-    if ((dayJobs || []).length >= maxPerDay) {
-      return res.status(409).json({ success: false, error: 'This day is now fully booked. Please choose another date.' });
+    if (reservation !== 'reserved') {
+      const messages = {
+        already_booked: 'This quote has already been booked',
+        in_progress: 'Your booking is already being processed — please wait a moment.',
+        day_full: 'This day is now fully booked. Please choose another date.',
+        slot_full: 'That time slot has just been taken. Please choose another slot.'
+      };
+      return res.status(409).json({
+        success: false,
+        error: messages[reservation] || 'That slot is no longer available',
+        code: reservation
+      });
     }
 
     // Create job
-    const servicesList = (quote.services || []).join(' | ');
-    const { advanceAfterBooking } = require('../services/pipelineManager');
-
     const result = await advanceAfterBooking(supabase, quoteId, date, timeSlot);
 
     if (!result.success) {
+      await releaseBookingReservation(supabase, quoteId);
       return res.status(500).json({ success: false, error: result.error || 'Booking failed' });
     }
 
@@ -621,7 +778,7 @@ function photosAlreadyUploadedPage(quote) {
 </div></body></html>`;
 }
 
-function alreadyAcceptedPage(quote) {
+function alreadyAcceptedPage(quote, bookingPath) {
   return `<!DOCTYPE html>
 <html><head>
   <meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -635,7 +792,7 @@ function alreadyAcceptedPage(quote) {
 </head><body><div class="container">
   <h1>Price Already Accepted</h1>
   <p>You've already accepted the price of <strong>&pound;${Number(quote.final_price).toFixed(0)}</strong>.</p>
-  <a href="/book/${quote.id}" class="btn">Book Your Slot &rarr;</a>
+  <a href="${h(bookingPath)}" class="btn">Book Your Slot &rarr;</a>
 </div></body></html>`;
 }
 
@@ -658,11 +815,35 @@ function alreadyBookedPage(quote) {
 </div></body></html>`;
 }
 
-function finalPricePage(quote, honestyClause) {
+function finalPricePage(quote, honestyClause, tokenQuery = '', revision = null, extras = { upgrades: [], addOns: [] }) {
   const servicesHtml = (quote.services || []).map(s =>
     `<div class="service-item">&#10003; ${formatServiceName(s)}</div>`
   ).join('');
 
+  const upgradesHtml = extras.upgrades.map(u => `
+      <label class="extra">
+        <input type="checkbox" name="bundle" value="${h(u.bundle.id)}" data-amount="${u.amount}" data-single="bundle">
+        <span><strong>Upgrade to ${h(u.bundle.name)}</strong> &mdash; add ${u.adds.map(s => h(formatServiceName(s))).join(' and ')} for &pound;${u.amount}
+        <small>All of ${u.bundle.services.map(s => h(formatServiceName(s))).join(', ')} for &pound;${u.bundle.price}</small></span>
+      </label>`).join('');
+  const addOnsHtml = extras.addOns.map(a => `
+      <label class="extra">
+        <input type="checkbox" name="addOns" value="${h(a.id)}" data-amount="${a.price}">
+        <span><strong>${h(a.name)}</strong> &mdash; &pound;${a.price}${a.description ? `<small>${h(a.description)}</small>` : ''}</span>
+      </label>`).join('');
+  const extrasHtml = upgradesHtml || addOnsHtml ? `
+    <div class="extras">
+      <div class="price-label">Optional Extras</div>
+      ${upgradesHtml}${addOnsHtml}
+    </div>` : '';
+
+  const revisedLines = revision ? quoteRevisions.describeRevision(revision, { customerFacing: true }) : [];
+  const revisedHtml = revisedLines.length > 0 ? `
+    <div class="revised">
+      <strong>Updated price</strong> (${new Date(revision.created_at).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })})
+      ${revisedLines.map(line => `<div>${h(line)}</div>`).join('')}
+    </div>` : '';
+
   return `<!DOCTYPE html>
 <html><head>
   <meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -683,21 +864,30 @@ function finalPricePage(quote, honestyClause) {
     .accept-btn:active { transform: scale(0.98); }
     .clause { background: #f8fafc; padding: 16px; border-radius: 8px; font-size: 13px; color: #64748b; line-height: 1.5; margin-top: 20px; }
     .questions { font-size: 14px; color: #666; margin-top: 16px; }
+    .extras { text-align: left; margin: 0 0 8px; }
+    .extras .price-label { margin-bottom: 8px; }
+    .extra { display: flex; gap: 10px; align-items: flex-start; padding: 10px 0; border-bottom: 1px solid #e2e8f0; color: #334155; font-size: 15px; cursor: pointer; }
+    .extra:last-child { border-bottom: none; }
+    .extra input { margin-top: 4px; accent-color: #84cc16; }
+    .extra small { display: block; color: #64748b; font-size: 13px; margin-top: 2px; }
+    .revised { background: #fefce8; border: 1px solid #facc15; padding: 12px 16px; border-radius: 8px; font-size: 14px; color: #713f12; text-align: left; line-height: 1.6; }
   </style>
 </head><body>
   <div class="container">
     <h1>Your Fixed Price, ${h(quote.name ? quote.name.split(' ')[0] : 'there')}</h1>
     <p>Based on the photos and details you've provided, here's your price:</p>
-
+${revisedHtml}
     <div class="price-box">
       <div class="price-label">Your Price</div>
-      <div class="price">&pound;${Number(quote.final_price).toFixed(0)}</div>
+      <div class="price" id="price" data-base="${Number(quote.final_price)}">&pound;${Number(quote.final_price).toFixed(0)}</div>
       <div class="services">
         ${servicesHtml}
       </div>
     </div>
 
-    <form method="POST" action="/confirm-final-price/${quote.id}">
+    <form method="POST" action="/confirm-final-price/${quote.id}${h(tokenQuery)}">
+      <input type="hidden" name="revision" value="${quote.price_revision || 0}">
+${extrasHtml}
       <button type="submit" class="accept-btn">&#10003; Accept This Price</button>
     </form>
 
@@ -707,10 +897,76 @@ function finalPricePage(quote, honestyClause) {
       <strong>Please note:</strong> ${h(honestyClause)}
     </div>
   </div>
+  <script>
+    // Keep the price showing what the customer will accept, extras included
+    document.querySelectorAll('.extra input').forEach(function(input) {
+      input.addEventListener('change', function() {
+        if (input.checked && input.dataset.single) {
+          document.querySelectorAll('[data-single="' + input.dataset.single + '"]').forEach(function(other) {
+            if (other !== input) other.checked = false;
+          });
+        }
+        var price = document.getElementById('price');
+        var total = Number(price.dataset.base);
+        document.querySelectorAll('.extra input:checked').forEach(function(el) { total += Number(el.dataset.amount); });
+        price.innerHTML = '&pound;' + total.toFixed(0);
+      });
+    });
+  </script>
 </body></html>`;
 }
 
+function linkExpiredPage(quoteId, purpose, reason) {
+  const headings = {
+    expired: 'This Link Has Expired',
+    used: 'This Link Has Already Been Used',
+    missing: 'This Link Is No Longer Valid',
+    invalid: 'This Link Is No Longer Valid'
+  };
+
+  return `<!DOCTYPE html>
+<html><head>
+  <meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Link Expired - Revive Exterior Cleaning</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; background: linear-gradient(135deg, #84cc16 0%, #65a30d 100%); margin: 0; padding: 20px; min-height: 100vh; display: flex; align-items: center; justify-content: center; }
+    .container { background: white; border-radius: 16px; box-shadow: 0 20px 60px rgba(0,0,0,0.3); padding: 40px; max-width: 500px; text-align: center; }
+    h1 { color: #365314; margin-bottom: 16px; } p { color: #64748b; line-height: 1.6; }
+    .btn { background: #84cc16; color: white; border: none; padding: 14px 32px; font-size: 16px; font-weight: bold; border-radius: 8px; cursor: pointer; margin-top: 16px; }
+    .btn:hover { background: #65a30d; }
+  </style>
+</head><body><div class="container">
+  <h1>${headings[reason] || headings.invalid}</h1>
+  <p>For your security, links we send only work for a limited time. No problem &mdash; we can send you a fresh one.</p>
+  <form method="POST" action="/link/refresh/${h(quoteId)}">
+    <input type="hidden" name="purpose" value="${h(purpose)}">
+    <button type="submit" class="btn">Send Me a Fresh Link</button>
+  </form>
+  <p style="font-size: 13px; margin-top: 20px;">We'll send it to the email address and WhatsApp number on your quote.</p>
+</div></body></html>`;
+}
+
+function freshLinkSentPage() {
+  return `<!DOCTYPE html>
+<html><head>
+  <meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Link Sent - Revive Exterior Cleaning</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; background: linear-gradient(135deg, #84cc16 0%, #65a30d 100%); margin: 0; padding: 20px; min-height: 100vh; display: flex; align-items: center; justify-content: center; }
+    .container { background: white; border-radius: 16px; box-shadow: 0 20px 60px rgba(0,0,0,0.3); padding: 40px; max-width: 500px; text-align: center; }
+    h1 { color: #365314; margin-bottom: 16px; } p { color: #64748b; line-height: 1.6; }
+    .icon { font-size: 48px; margin-bottom: 16px; }
+  </style>
+</head><body><div class="container">
+  <div class="icon">&#9993;</div>
+  <h1>Fresh Link on Its Way</h1>
+  <p>We've sent a new link to the email address (and WhatsApp number, if we have one) on your quote. It should arrive within a few minutes.</p>
+</div></body></html>`;
+}
+
 module.exports = {
   router,
-  setSupabaseClient
+  setSupabaseClient,
+  requireLinkToken,
+  linkExpiredPage
 };
@@ -0,0 +1,307 @@
+/**
+ * Team Member Login Routes
+ *
+ * Login for the my-schedule page. A team member signs in with their PIN or a
+ * one-time magic link sent over WhatsApp or email, and gets a short-lived
+ * session token. Only SHA-256 hashes of session and link tokens are stored.
+ */
+
+const crypto = require('crypto');
+const { hashSessionToken } = require('../middleware/auth');
+const { hashPassword, verifyPassword } = require('./auth');
+const { BASE_URL } = require('../services/linkTokens');
+const log = require('../services/logger').child('TeamAuth');
+
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+const SESSION_TTL_HOURS = 12;
+const MAGIC_LINK_TTL_MINUTES = 15;
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MINUTES = 15;
+const PIN_REGEX = /^\d{4,8}$/;
+
+// ========================
+// HELPERS
+// ========================
+
+async function getMember(memberId) {
+  const { data } = await supabase
+    .from('team_members')
+    .select('*')
+    .eq('id', memberId)
+    .single();
+  return data;
+}
+
+async function createSession(req, memberId, method) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+  const { error } = await supabase.from('team_sessions').insert({
+    member_id: memberId,
+    token_hash: hashSessionToken(token),
+    method,
+    ip_address: req.ip,
+    user_agent: (req.headers['user-agent'] || '').substring(0, 300),
+    expires_at: expiresAt.toISOString()
+  });
+
+  if (error) throw new Error(error.message);
+  return { token, expires_at: expiresAt.toISOString() };
+}
+
+/**
+ * Revoke all active sessions for a member. Used by admin revoke,
+ * deactivation and PIN changes.
+ */
+async function revokeMemberSessions(memberId) {
+  const { data, error } = await supabase
+    .from('team_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('member_id', memberId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw new Error(error.message);
+  return (data || []).length;
+}
+
+// ========================
+// PUBLIC LOGIN ENDPOINTS
+// ========================
+
+/**
+ * POST /api/my-schedule/:memberId/login
+ * Body: { pin }
+ */
+async function loginWithPin(req, res) {
+  try {
+    const { memberId } = req.params;
+    const { pin } = req.body || {};
+
+    if (!pin || !PIN_REGEX.test(String(pin))) {
+      return res.status(400).json({ success: false, error: 'Enter your 4–8 digit PIN' });
+    }
+
+    const member = await getMember(memberId);
+    if (!member || member.is_active === false || !member.pin_hash) {
+      return res.status(401).json({ success: false, error: 'PIN login is not set up for this account' });
+    }
+
+    if (member.pin_locked_until && new Date(member.pin_locked_until) > new Date()) {
+      return res.status(429).json({ success: false, error: 'Too many attempts — try again later or use a login link' });
+    }
+
+    if (!verifyPassword(String(pin), member.pin_hash)) {
+      const attempts = (member.failed_pin_attempts || 0) + 1;
+      const updates = { failed_pin_attempts: attempts };
+      if (attempts >= MAX_PIN_ATTEMPTS) {
+        updates.failed_pin_attempts = 0;
+        updates.pin_locked_until = new Date(Date.now() + PIN_LOCKOUT_MINUTES * 60 * 1000).toISOString();
+        log.warn('Team member PIN locked', { memberId });
+      }
+      await supabase.from('team_members').update(updates).eq('id', memberId);
+      return res.status(401).json({ success: false, error: 'Incorrect PIN' });
+    }
+
+    await supabase.from('team_members')
+      .update({ failed_pin_attempts: 0, pin_locked_until: null })
+      .eq('id', memberId);
+
+    const session = await createSession(req, memberId, 'pin');
+    log.info('Team member logged in', { memberName: member.name, method: 'pin' });
+    res.json({ success: true, data: session });
+  } catch (error) {
+    log.error('PIN login error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /api/my-schedule/:memberId/magic-link
+ * Body: { channel: 'whatsapp' | 'email' }
+ * Always responds the same way so it can't be used to probe contact details.
+ */
+async function requestMagicLink(req, res) {
+  try {
+    const { memberId } = req.params;
+    const channel = req.body?.channel === 'email' ? 'email' : 'whatsapp';
+
+    const member = await getMember(memberId);
+    const destination = channel === 'email' ? member?.email : member?.phone;
+
+    if (member && member.is_active !== false && destination) {
+      const token = crypto.randomBytes(24).toString('hex');
+
+      await supabase.from('team_login_links').insert({
+        member_id: memberId,
+        token_hash: hashSessionToken(token),
+        channel,
+        expires_at: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000).toISOString()
+      });
+
+      // Always the configured site address — never built from the request's Host header
+      const loginUrl = `${BASE_URL}/my-schedule.html?id=${memberId}&login=${token}`;
+
+      if (channel === 'email') {
+        const { sendTeamLoginLinkEmail } = require('../services/emailer');
+        await sendTeamLoginLinkEmail(member, loginUrl);
+      } else {
+        const { sendTeamLoginLinkWhatsApp } = require('../services/whatsapp');
+        await sendTeamLoginLinkWhatsApp(member, loginUrl);
+      }
+
+      log.info('Team login link sent', { memberName: member.name, channel });
+    } else {
+      log.warn('Team login link not sent', { memberId, channel });
+    }
+
+    res.json({
+      success: true,
+      message: `If your ${channel === 'email' ? 'email address' : 'WhatsApp number'} is on file, a login link is on its way.`
+    });
+  } catch (error) {
+    log.error('Magic link error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /api/my-schedule/:memberId/magic-link/verify
+ * Body: { token } — one-time token from the login link
+ */
+async function verifyMagicLink(req, res) {
+  try {
+    const { memberId } = req.params;
+    const { token } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({ success: false, error: 'Login token is required' });
+    }
+
+    const { data: link } = await supabase
+      .from('team_login_links')
+      .select('*')
+      .eq('token_hash', hashSessionToken(String(token)))
+      .single();
+
+    if (!link || link.member_id !== memberId || link.used_at || new Date(link.expires_at) < new Date()) {
+      return res.status(401).json({ success: false, error: 'This login link has expired — request a new one' });
+    }
+
+    // Mark used first (only succeeds once) so the link can't be replayed
+    const { data: claimed } = await supabase
+      .from('team_login_links')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', link.id)
+      .is('used_at', null)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) {
+      return res.status(401).json({ success: false, error: 'This login link has already been used' });
+    }
+
+    const member = await getMember(memberId);
+    if (!member || member.is_active === false) {
+      return res.status(401).json({ success: false, error: 'This account is no longer active' });
+    }
+
+    const session = await createSession(req, memberId, 'magic_link');
+    log.info('Team member logged in', { memberName: member.name, method: 'magic_link' });
+    res.json({ success: true, data: session });
+  } catch (error) {
+    log.error('Magic link verify error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /api/my-schedule/:memberId/logout
+ * Requires a team session (req.teamMember set by requireTeamSession)
+ */
+async function logout(req, res) {
+  try {
+    await supabase
+      .from('team_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.teamMember.sessionId);
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Team logout error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+// ========================
+// ADMIN ENDPOINTS
+// ========================
+
+/**
+ * GET /admin/team/:id/sessions
+ * Active sessions for a team member
+ */
+async function listMemberSessions(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('team_sessions')
+      .select('id, method, ip_address, user_agent, created_at, last_seen_at, expires_at')
+      .eq('member_id', id)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      log.error('Team sessions list error', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to fetch sessions' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    log.error('Team sessions list error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * DELETE /admin/team/:id/sessions
+ * Sign a team member out everywhere
+ */
+async function revokeSessions(req, res) {
+  try {
+    const { id } = req.params;
+    const revoked = await revokeMemberSessions(id);
+
+    log.info('Team sessions revoked', { memberId: id, revoked });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    log.error('Team sessions revoke error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Validate and hash a PIN for storage (used by team member create/update)
+ * @returns {string|null} hash, or null if the PIN format is invalid
+ */
+function hashPin(pin) {
+  if (!PIN_REGEX.test(String(pin))) return null;
+  return hashPassword(String(pin));
+}
+
+module.exports = {
+  setSupabaseClient,
+  loginWithPin,
+  requestMagicLink,
+  verifyMagicLink,
+  logout,
+  listMemberSessions,
+  revokeSessions,
+  revokeMemberSessions,
+  hashPin
+};
@@ -2,10 +2,14 @@
  * Webhook Routes - Signature-Validated Endpoints
  *
  * Handles incoming webhooks from Resend (email events) and Twilio (message status).
- * All webhooks are validated using cryptographic signatures before processing.
+ * All webhooks are validated using cryptographic signatures before processing,
+ * stored in webhook_events (see services/webhookEvents.js) and deduped by
+ * provider event ID. Admin endpoints list, inspect and replay stored events.
  */
 
 const crypto = require('crypto');
+const webhookEvents = require('../services/webhookEvents');
+const { phoneLookupVariants } = require('../services/validation');
 const log = require('../services/logger').child('Webhooks');
 
 let supabase;
@@ -56,69 +60,34 @@ function verifyResendSignature(payload, signature, secret) {
 async function handleResendWebhook(req, res) {
   try {
     const secret = process.env.RESEND_WEBHOOK_SECRET;
+    const event = req.body || {};
+    const details = {
+      provider: 'resend',
+      eventId: req.headers['svix-id'],
+      eventType: event.type,
+      payload: event
+    };
 
     // If no secret configured, accept but log warning
     if (!secret) {
       log.warn('RESEND_WEBHOOK_SECRET not set — skipping signature verification');
+      details.signatureStatus = 'skipped';
     } else {
       const signature = req.headers['svix-signature'];
       const rawBody = JSON.stringify(req.body);
 
       if (!signature || !verifyResendSignature(rawBody, signature, secret)) {
         log.error('Resend signature verification failed');
+        await webhookEvents.recordRejected(req, details);
         return res.status(401).json({ error: 'Invalid signature' });
       }
+      details.signatureStatus = 'verified';
     }
 
-    const event = req.body;
-    const eventType = event.type;
-    const emailData = event.data;
-
-    log.info('Resend event', { eventType, to: emailData?.to?.[0] || 'unknown' });
-
-    // Track email events in quote activity if we can identify the quote
-    if (emailData?.to && supabase) {
-      const recipientEmail = Array.isArray(emailData.to) ? emailData.to[0] : emailData.to;
-
-      // Find the most recent quote for this email
-      const { data: quote } = await supabase
-        .from('quotes')
-        .select('id')
-        .eq('email', recipientEmail)
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
-
-      if (quote) {
-        const updates = {};
-        const activityMap = {
-          'email.delivered': 'Email delivered',
-          'email.opened': 'Customer opened email',
-          'email.clicked': 'Customer clicked link in email',
-          'email.bounced': 'Email bounced — check address',
-          'email.complained': 'Customer marked email as spam'
-        };
-
-        // Update last_contact_at on delivery
-        if (eventType === 'email.delivered') {
-          updates.last_contact_at = new Date().toISOString();
-        }
-
-        // Log activity
-        const description = activityMap[eventType];
-        if (description) {
-          await supabase.from('quote_activity').insert({
-            quote_id: quote.id,
-            action_type: 'email_event',
-            description: `${description} (${emailData.subject || 'unknown subject'})`,
-            created_at: new Date().toISOString()
-          });
-        }
-
-        if (Object.keys(updates).length > 0) {
-          await supabase.from('quotes').update(updates).eq('id', quote.id);
-        }
-      }
+    const result = await webhookEvents.receiveWebhook(req, details, processResendEvent);
+
+    if (!result.success) {
+      return res.status(500).json({ error: 'Webhook processing failed' });
     }
 
     res.json({ received: true });
@@ -129,6 +98,63 @@ async function handleResendWebhook(req, res) {
   }
 }
 
+/**
+ * Apply a Resend event (live or replayed). Throws on failure so the
+ * event is marked failed and can be retried.
+ */
+async function processResendEvent(event) {
+  const eventType = event.type;
+  const emailData = event.data;
+
+  log.info('Resend event', { eventType, to: emailData?.to?.[0] || 'unknown' });
+
+  // Track email events in quote activity if we can identify the quote
+  if (emailData?.to && supabase) {
+    const recipientEmail = Array.isArray(emailData.to) ? emailData.to[0] : emailData.to;
+
+    // Find the most recent quote for this email
+    const { data: quote } = await supabase
+      .from('quotes')
+      .select('id')
+      .eq('email', recipientEmail)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single();
+
+    if (quote) {
+      const updates = {};
+      const activityMap = {
+        'email.delivered': 'Email delivered',
+        'email.opened': 'Customer opened email',
+        'email.clicked': 'Customer clicked link in email',
+        'email.bounced': 'Email bounced — check address',
+        'email.complained': 'Customer marked email as spam'
+      };
+
+      // Update last_contact_at on delivery
+      if (eventType === 'email.delivered') {
+        updates.last_contact_at = new Date().toISOString();
+      }
+
+      // Log activity
+      const description = activityMap[eventType];
+      if (description) {
+        const { error } = await supabase.from('quote_activity').insert({
+          quote_id: quote.id,
+          action_type: 'email_event',
+          description: `${description} (${emailData.subject || 'unknown subject'})`,
+          created_at: new Date().toISOString()
+        });
+        if (error) throw new Error(error.message);
+      }
+
+      if (Object.keys(updates).length > 0) {
+        await supabase.from('quotes').update(updates).eq('id', quote.id);
+      }
+    }
+  }
+}
+
 // ===========================
 // TWILIO WEBHOOK
 // ===========================
@@ -173,67 +199,37 @@ function verifyTwilioSignature(url, params, signature, authToken) {
 async function handleTwilioWebhook(req, res) {
   try {
     const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const params = req.body || {};
+    const details = {
+      provider: 'twilio',
+      // One callback per status change, so the SID alone isn't unique
+      eventId: req.headers['i-twilio-idempotency-token'] ||
+        (params.MessageSid ? `${params.MessageSid}:${params.MessageStatus}` : null),
+      eventType: params.MessageStatus,
+      payload: params
+    };
 
     if (!authToken) {
       log.warn('TWILIO_AUTH_TOKEN not set — skipping signature verification');
+      details.signatureStatus = 'skipped';
     } else {
       const signature = req.headers['x-twilio-signature'];
       // Build the full URL Twilio used to call us
       const protocol = req.headers['x-forwarded-proto'] || req.protocol;
       const fullUrl = `${protocol}://${req.headers.host}${req.originalUrl}`;
 
-      if (!signature || !verifyTwilioSignature(fullUrl, req.body || {}, signature, authToken)) {
+      if (!signature || !verifyTwilioSignature(fullUrl, params, signature, authToken)) {
         log.error('Twilio signature verification failed');
+        await webhookEvents.recordRejected(req, details);
         return res.status(401).json({ error: 'Invalid signature' });
       }
+      details.signatureStatus = 'verified';
     }
 
-    const {
-      MessageSid,
-      MessageStatus,
-      To,
-      ErrorCode,
-      ErrorMessage
-    } = req.body || {};
-
-    log.info('Twilio status', { status: MessageStatus, to: To || 'unknown', sid: MessageSid || 'unknown' });
+    const result = await webhookEvents.receiveWebhook(req, details, processTwilioEvent);
 
-    // Log failures for debugging
-    if (MessageStatus === 'failed' || MessageStatus === 'undelivered') {
-      log.error('WhatsApp delivery failed', { errorCode: ErrorCode, errorMessage: ErrorMessage });
-    }
-
-    // Track in quote activity if we can identify the recipient
-    if (To && supabase) {
-      // Strip 'whatsapp:+44' prefix and reformat to find matching phone
-      const cleanPhone = To.replace('whatsapp:', '').replace('+44', '0');
-
-      const { data: quote } = await supabase
-        .from('quotes')
-        .select('id')
-        .eq('phone', cleanPhone)
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
-
-      if (quote) {
-        const statusMap = {
-          'delivered': 'WhatsApp message delivered',
-          'read': 'Customer read WhatsApp message',
-          'failed': `WhatsApp delivery failed (${ErrorCode || 'unknown'})`,
-          'undelivered': `WhatsApp undelivered (${ErrorCode || 'unknown'})`
-        };
-
-        const description = statusMap[MessageStatus];
-        if (description) {
-          await supabase.from('quote_activity').insert({
-            quote_id: quote.id,
-            action_type: 'whatsapp_event',
-            description,
-            created_at: new Date().toISOString()
-          });
-        }
-      }
+    if (!result.success) {
+      return res.status(500).send('<Response></Response>');
     }
 
     // Twilio expects 200 with empty TwiML or just 200
@@ -245,8 +241,178 @@ async function handleTwilioWebhook(req, res) {
   }
 }
 
+/**
+ * Apply a Twilio status callback (live or replayed)
+ */
+async function processTwilioEvent(params) {
+  const {
+    MessageSid,
+    MessageStatus,
+    To,
+    ErrorCode,
+    ErrorMessage
+  } = params || {};
+
+  log.info('Twilio status', { status: MessageStatus, to: To || 'unknown', sid: MessageSid || 'unknown' });
+
+  // Log failures for debugging
+  if (MessageStatus === 'failed' || MessageStatus === 'undelivered') {
+    log.error('WhatsApp delivery failed', { errorCode: ErrorCode, errorMessage: ErrorMessage });
+  }
+
+  // Track in quote activity if we can identify the recipient
+  if (To && supabase) {
+    // Quotes store E.164; older rows may still have the national 07… format
+    const phones = phoneLookupVariants(To.replace('whatsapp:', ''));
+
+    const { data: quote } = await supabase
+      .from('quotes')
+      .select('id')
+      .in('phone', phones)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single();
+
+    if (quote) {
+      const statusMap = {
+        'delivered': 'WhatsApp message delivered',
+        'read': 'Customer read WhatsApp message',
+        'failed': `WhatsApp delivery failed (${ErrorCode || 'unknown'})`,
+        'undelivered': `WhatsApp undelivered (${ErrorCode || 'unknown'})`
+      };
+
+      const description = statusMap[MessageStatus];
+      if (description) {
+        const { error } = await supabase.from('quote_activity').insert({
+          quote_id: quote.id,
+          action_type: 'whatsapp_event',
+          description,
+          created_at: new Date().toISOString()
+        });
+        if (error) throw new Error(error.message);
+      }
+    }
+  }
+}
+
+// ===========================
+// ADMIN: STORED EVENTS
+// ===========================
+
+// Provider → processor used for replays (Stripe lives with invoices)
+const PROCESSORS = {
+  resend: processResendEvent,
+  twilio: processTwilioEvent,
+  stripe: (event) => require('./invoices').processStripeEvent(event)
+};
+
+/**
+ * GET /admin/webhooks
+ * List stored webhook events
+ * Query: provider, status, event_type, event_id, limit (max 200), offset
+ */
+async function listWebhookEvents(req, res) {
+  try {
+    const { provider, status, event_type, event_id, limit, offset } = req.query;
+
+    let query = supabase
+      .from('webhook_events')
+      .select('id, provider, event_id, event_type, signature_status, status, error, attempts, received_at, processed_at, last_replayed_at, processing_started_at', { count: 'exact' })
+      .order('received_at', { ascending: false });
+
+    if (provider) query = query.eq('provider', provider);
+    if (status) query = query.eq('status', status);
+    if (event_type) query = query.eq('event_type', event_type);
+    if (event_id) query = query.eq('event_id', event_id);
+
+    const lim = Math.min(parseInt(limit) || 50, 200);
+    const off = parseInt(offset) || 0;
+    query = query.range(off, off + lim - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      log.error('Webhook events query error', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to fetch webhook events' });
+    }
+
+    res.json({ success: true, data, total: count, hasMore: off + lim < count });
+  } catch (error) {
+    log.error('Webhook events list error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /admin/webhooks/:id
+ * Full stored event including raw body and headers
+ */
+async function getWebhookEvent(req, res) {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_events')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ success: false, error: 'Webhook event not found' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    log.error('Webhook event get error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * POST /admin/webhooks/:id/replay
+ * Run a stored event through its handler again
+ */
+async function replayWebhookEvent(req, res) {
+  try {
+    const { data: event, error } = await supabase
+      .from('webhook_events')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !event) {
+      return res.status(404).json({ success: false, error: 'Webhook event not found' });
+    }
+
+    if (event.signature_status === 'failed') {
+      return res.status(400).json({ success: false, error: 'Events that failed signature verification cannot be replayed' });
+    }
+
+    if (event.status === 'processing' && !webhookEvents.isStaleProcessing(event)) {
+      return res.status(409).json({ success: false, error: 'Event is already being processed' });
+    }
+
+    const result = await webhookEvents.replayEvent(event, PROCESSORS[event.provider]);
+    if (result.inProgress) {
+      return res.status(409).json({ success: false, error: result.error });
+    }
+
+    log.info('Webhook event replayed', { provider: event.provider, eventId: event.event_id, success: result.success });
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, error: `Replay failed: ${result.error}` });
+    }
+
+    res.json({ success: true, message: 'Event replayed' });
+  } catch (error) {
+    log.error('Webhook replay error', { error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
 module.exports = {
   setSupabaseClient,
   handleResendWebhook,
-  handleTwilioWebhook
+  handleTwilioWebhook,
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent
 };
@@ -0,0 +1,110 @@
+/**
+ * Backfill Customer Properties
+ *
+ * Run once after migration 024. Creates a property for each customer's own
+ * address and for every distinct address on their quotes, jobs and recurring
+ * jobs, then links those records (and their invoices) to it. Safe to re-run —
+ * only records without a property_id are touched.
+ *
+ * Usage: node scripts/backfillProperties.js
+ */
+
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { findOrCreateProperty, propertyForQuote } = require('../services/properties');
+
+const PAGE_SIZE = 500;
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * Walk a table in id order (rows that can't be matched stay unlinked, so
+ * offset paging over "property_id is null" would loop forever)
+ */
+async function* unlinkedRows(table, columns) {
+  let lastId = null;
+  for (;;) {
+    let query = supabase
+      .from(table)
+      .select(columns)
+      .is('property_id', null)
+      .not('customer_id', 'is', null)
+      .order('id', { ascending: true })
+      .limit(PAGE_SIZE);
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to load ${table}: ${error.message}`);
+    if (!data || data.length === 0) return;
+
+    yield* data;
+    lastId = data[data.length - 1].id;
+  }
+}
+
+async function linkTable(table, columns, addressOf) {
+  let linked = 0;
+  let skipped = 0;
+
+  for await (const row of unlinkedRows(table, columns)) {
+    const propertyId = (row.quote_id && await propertyForQuote(supabase, row.quote_id)) ||
+      await findOrCreateProperty(supabase, row.customer_id, addressOf(row));
+
+    if (!propertyId) {
+      skipped++;
+      continue;
+    }
+
+    const { error } = await supabase.from(table).update({ property_id: propertyId }).eq('id', row.id);
+    if (error) throw new Error(`Failed to link ${table} ${row.id}: ${error.message}`);
+    linked++;
+  }
+
+  console.log(`  ${table}: ${linked} linked, ${skipped} without a usable address`);
+}
+
+async function main() {
+  console.log('🏠 Backfilling customer properties...\n');
+
+  // Customers' own addresses first, so they're the oldest property on each profile
+  const { data: customers, error } = await supabase
+    .from('customers')
+    .select('id, address, postcode')
+    .not('address', 'is', null)
+    .is('erased_at', null);
+  if (error) throw new Error(`Failed to load customers: ${error.message}`);
+
+  let created = 0;
+  for (const customer of customers || []) {
+    if (await findOrCreateProperty(supabase, customer.id, { address: customer.address, postcode: customer.postcode })) created++;
+  }
+  console.log(`  customers: ${created} home addresses recorded`);
+
+  await linkTable('quotes', 'id, customer_id, address_line1, postcode', q => ({ address: q.address_line1, postcode: q.postcode }));
+  await linkTable('jobs', 'id, customer_id, quote_id, address, postcode', j => ({ address: j.address, postcode: j.postcode }));
+  await linkTable('recurring_jobs', 'id, customer_id, address, postcode', r => ({ address: r.address, postcode: r.postcode }));
+
+  // Invoices take their job's property
+  const { data: invoices, error: invErr } = await supabase
+    .from('invoices')
+    .select('id, job_id')
+    .is('property_id', null)
+    .not('job_id', 'is', null);
+  if (invErr) throw new Error(`Failed to load invoices: ${invErr.message}`);
+
+  let invoicesLinked = 0;
+  for (const invoice of invoices || []) {
+    const { data: job } = await supabase.from('jobs').select('property_id').eq('id', invoice.job_id).single();
+    if (!job?.property_id) continue;
+    await supabase.from('invoices').update({ property_id: job.property_id }).eq('id', invoice.id);
+    invoicesLinked++;
+  }
+  console.log(`  invoices: ${invoicesLinked} linked`);
+
+  console.log('\n✅ Done');
+}
+
+main().catch(err => {
+  console.error('❌ Failed:', err.message);
+  process.exit(1);
+});
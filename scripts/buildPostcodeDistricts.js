@@ -0,0 +1,79 @@
+/**
+ * Build Postcode District Centroids
+ *
+ * Regenerates config/postcodeDistricts.json from the ONS Postcode Directory
+ * (ONSPD) CSV by averaging the coordinates of every live postcode in each
+ * district. Only the listed postcode areas are kept, so the bundled file
+ * stays small.
+ *
+ * Usage: node scripts/buildPostcodeDistricts.js <ONSPD.csv> [areas]
+ *   e.g. node scripts/buildPostcodeDistricts.js ~/Downloads/ONSPD_FEB_2026_UK.csv SA,CF,NP,LD,HR,GL,BS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const OUTPUT = path.join(__dirname, '..', 'config', 'postcodeDistricts.json');
+
+async function main() {
+  const [csvPath, areaList = 'SA,CF,NP,LD'] = process.argv.slice(2);
+  if (!csvPath) {
+    console.error('Usage: node scripts/buildPostcodeDistricts.js <ONSPD.csv> [areas]');
+    process.exit(1);
+  }
+
+  const areas = new Set(areaList.split(',').map(a => a.trim().toUpperCase()));
+  const sums = {};
+  let columns = null;
+
+  const lines = readline.createInterface({ input: fs.createReadStream(csvPath) });
+  for await (const line of lines) {
+    const cells = line.split(',').map(c => c.replace(/^"|"$/g, ''));
+    if (!columns) {
+      columns = { pcd: cells.indexOf('pcd'), lat: cells.indexOf('lat'), long: cells.indexOf('long'), doterm: cells.indexOf('doterm') };
+      continue;
+    }
+
+    // Skip terminated postcodes and ones without a grid reference
+    if (columns.doterm >= 0 && cells[columns.doterm]) continue;
+    const lat = Number(cells[columns.lat]);
+    const lng = Number(cells[columns.long]);
+    if (!lat || !lng || lat > 90) continue;
+
+    const district = cells[columns.pcd].replace(/\s+/g, ' ').trim().split(' ')[0].toUpperCase();
+    const area = district.match(/^[A-Z]+/)?.[0];
+    if (!areas.has(area)) continue;
+
+    const sum = sums[district] || (sums[district] = { lat: 0, lng: 0, count: 0 });
+    sum.lat += lat;
+    sum.lng += lng;
+    sum.count += 1;
+  }
+
+  const existing = fs.existsSync(OUTPUT) ? JSON.parse(fs.readFileSync(OUTPUT, 'utf8')) : {};
+  const districts = {};
+  for (const district of Object.keys(sums).sort(compareDistricts)) {
+    const { lat, lng, count } = sums[district];
+    districts[district] = [round(lat / count), round(lng / count)];
+  }
+
+  fs.writeFileSync(OUTPUT, JSON.stringify({ _about: existing._about, districts }, null, 2) + '\n');
+  console.log(`✅ Wrote ${Object.keys(districts).length} districts to ${OUTPUT}`);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// SA1, SA2 … SA10 rather than SA1, SA10, SA2
+function compareDistricts(a, b) {
+  const [, areaA, numA] = a.match(/^([A-Z]+)(\d+)/) || [null, a, '0'];
+  const [, areaB, numB] = b.match(/^([A-Z]+)(\d+)/) || [null, b, '0'];
+  return areaA.localeCompare(areaB) || Number(numA) - Number(numB) || a.localeCompare(b);
+}
+
+main().catch(err => {
+  console.error('❌ Failed:', err.message);
+  process.exit(1);
+});
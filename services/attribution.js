@@ -0,0 +1,190 @@
+/**
+ * Lead Attribution
+ *
+ * The website's attribution script (public/attribution.js) keeps two cookies:
+ * first touch (the visit that first brought someone to the site) and last
+ * touch (the most recent visit from a campaign or another site). Both are sent
+ * with quote form submissions and chat messages, and stored on the quote:
+ *
+ *   - utm_* / referrer / landing_page — the last touch
+ *   - first_touch — the same fields for the first touch
+ *   - first_touch_id / last_touch_id — the cookie IDs, to tie quotes from
+ *     the same browser together
+ *
+ * Ad spend is recorded as finance expenses tagged with attribution_source and
+ * attribution_campaign, so cost per booking can be worked out per source.
+ */
+
+const MAX_LENGTH = { default: 200, referrer: 500, landing_page: 500 };
+
+// Click IDs the ad platforms add when there are no UTM tags, and the code
+// on a customer's referral link
+const CLICK_ID_SOURCES = {
+  gclid: { utm_source: 'google', utm_medium: 'cpc' },
+  fbclid: { utm_source: 'facebook', utm_medium: 'paid_social' },
+  referralCode: { utm_source: 'referral', utm_medium: 'referral' }
+};
+
+function clean(value, field) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.substring(0, MAX_LENGTH[field] || MAX_LENGTH.default) : null;
+}
+
+// Sources and mediums are grouped on, so "Facebook" and "facebook" must match
+function cleanTag(value) {
+  const tag = clean(value);
+  return tag ? tag.toLowerCase() : null;
+}
+
+/**
+ * One touch's fields from the client's camelCase payload
+ */
+function parseTouch(touch) {
+  if (!touch || typeof touch !== 'object') return {};
+  const fields = {
+    utm_source: cleanTag(touch.utmSource),
+    utm_medium: cleanTag(touch.utmMedium),
+    utm_campaign: clean(touch.utmCampaign),
+    utm_term: clean(touch.utmTerm),
+    utm_content: clean(touch.utmContent),
+    referrer: clean(touch.referrer, 'referrer'),
+    landing_page: clean(touch.landingPage, 'landing_page')
+  };
+
+  for (const [param, implied] of Object.entries(CLICK_ID_SOURCES)) {
+    if (!fields.utm_source && touch[param]) Object.assign(fields, implied);
+  }
+  return fields;
+}
+
+/**
+ * Quote columns for a submission's attribution. Never throws — anything
+ * malformed is dropped rather than rejecting the quote.
+ *
+ * @param {Object} input - { utmSource, utmMedium, utmCampaign, utmTerm, utmContent,
+ *   referrer, landingPage, gclid?, fbclid?, referralCode?, firstTouchId, lastTouchId, firstTouch? }
+ *   firstTouch has the same touch fields plus `at`
+ * @returns {Object} columns to spread into the quotes insert
+ */
+function attributionColumns(input) {
+  const data = input && typeof input === 'object' ? input : {};
+  const lastTouch = parseTouch(data);
+
+  const firstTouch = parseTouch(data.firstTouch);
+  const firstTouchAt = clean(data.firstTouch?.at);
+
+  return {
+    ...lastTouch,
+    first_touch: Object.values(firstTouch).some(Boolean)
+      ? { ...firstTouch, at: firstTouchAt }
+      : null,
+    first_touch_id: clean(data.firstTouchId),
+    last_touch_id: clean(data.lastTouchId)
+  };
+}
+
+// ─── Reporting ──────────────────────────────────────────────────────
+
+function referrerHost(referrer) {
+  try {
+    return new URL(referrer).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Source and campaign a quote is credited to under the given model
+ * @param {'first'|'last'} model
+ * @returns {{ source: string, campaign: string }}
+ */
+function creditFor(quote, model) {
+  const touch = model === 'first' && quote.first_touch ? quote.first_touch : quote;
+  return {
+    source: touch.utm_source || referrerHost(touch.referrer) || (quote.source === 'chat' ? 'chat' : 'direct'),
+    campaign: touch.utm_campaign || '(none)'
+  };
+}
+
+function emptyRow(extra) {
+  return { ...extra, quotes: 0, bookings: 0, revenue: 0, spend: 0 };
+}
+
+function finishRows(rows) {
+  return Object.values(rows)
+    .map(row => ({
+      ...row,
+      revenue: Math.round(row.revenue * 100) / 100,
+      spend: Math.round(row.spend * 100) / 100,
+      booking_rate: row.quotes > 0 ? Math.round((row.bookings / row.quotes) * 100) : 0,
+      cost_per_booking: row.spend > 0 && row.bookings > 0 ? Math.round((row.spend / row.bookings) * 100) / 100 : null
+    }))
+    .sort((a, b) => b.revenue - a.revenue || b.quotes - a.quotes);
+}
+
+/**
+ * Quotes, bookings, paid invoice revenue and cost per booking per source and
+ * per source + campaign.
+ *
+ * @param {Object} data - { quotes, jobs, paidInvoices, adSpend }
+ *   jobs need quote_id and status; paidInvoices need job_id and total;
+ *   adSpend rows are expenses with attribution_source/attribution_campaign
+ * @param {'first'|'last'} [model='last']
+ */
+function attributionReport({ quotes, jobs, paidInvoices, adSpend }, model = 'last') {
+  const bySource = {};
+  const byCampaign = {};
+  const creditByQuote = {};
+
+  const rowsFor = ({ source, campaign }) => {
+    bySource[source] = bySource[source] || emptyRow({ source });
+    const key = `${source}|${campaign}`;
+    byCampaign[key] = byCampaign[key] || emptyRow({ source, campaign });
+    return [bySource[source], byCampaign[key]];
+  };
+
+  for (const quote of quotes) {
+    if (quote.status === 'quarantined') continue;
+    const credit = creditFor(quote, model);
+    creditByQuote[quote.id] = credit;
+    for (const row of rowsFor(credit)) row.quotes++;
+  }
+
+  const quoteByJob = {};
+  const bookedQuotes = new Set();
+  for (const job of jobs) {
+    if (!job.quote_id || !creditByQuote[job.quote_id]) continue;
+    quoteByJob[job.id] = job.quote_id;
+    if (job.status !== 'cancelled') bookedQuotes.add(job.quote_id);
+  }
+  for (const quoteId of bookedQuotes) {
+    for (const row of rowsFor(creditByQuote[quoteId])) row.bookings++;
+  }
+
+  for (const invoice of paidInvoices) {
+    const quoteId = quoteByJob[invoice.job_id];
+    if (!quoteId) continue;
+    for (const row of rowsFor(creditByQuote[quoteId])) row.revenue += Number(invoice.total || 0);
+  }
+
+  for (const expense of adSpend) {
+    const source = cleanTag(expense.attribution_source);
+    if (!source) continue;
+    const amount = Number(expense.amount || 0);
+    const [sourceRow, campaignRow] = rowsFor({ source, campaign: clean(expense.attribution_campaign) || '(none)' });
+    sourceRow.spend += amount;
+    campaignRow.spend += amount;
+  }
+
+  return {
+    model,
+    by_source: finishRows(bySource),
+    by_campaign: finishRows(byCampaign)
+  };
+}
+
+module.exports = {
+  attributionColumns,
+  attributionReport
+};
@@ -0,0 +1,135 @@
+/**
+ * Admin Audit Trail
+ *
+ * Records who changed what on quotes, jobs, recurring jobs, customers,
+ * invoices, properties, discount codes, admin users, team members and
+ * settings. Settings entries use the settings key as their entity id.
+ * Each entry has the acting admin user (from req.adminUser), the action,
+ * the entity, and a field-level { from, to } diff of what changed.
+ *
+ * Finance keeps its own finance_audit_log (see routes/finance.js).
+ */
+
+const log = require('./logger').child('Audit');
+
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+const ENTITY_TYPES = [
+  'quote', 'job', 'recurring_job', 'customer', 'invoice', 'property',
+  'discount_code', 'admin_user', 'team_member', 'settings'
+];
+
+// Bookkeeping columns that change on every write and aren't worth a diff entry
+const IGNORED_FIELDS = ['updated_at', 'last_contact_at'];
+
+/**
+ * Field-level diff of newValues against oldValues
+ * @returns {Object} { field: { from, to } } for fields that actually changed
+ */
+function diffFields(oldValues, newValues) {
+  const changed = {};
+  for (const key of Object.keys(newValues || {})) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const from = oldValues ? oldValues[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(newValues[key])) {
+      changed[key] = { from: from === undefined ? null : from, to: newValues[key] };
+    }
+  }
+  return changed;
+}
+
+/**
+ * Only the fields we're about to write — keeps old_values small on updates
+ */
+function pick(record, keys) {
+  if (!record) return null;
+  const out = {};
+  for (const key of keys) out[key] = record[key] === undefined ? null : record[key];
+  return out;
+}
+
+/**
+ * Record an admin mutation. Never throws — auditing must not break the request.
+ *
+ * @param {Object} req - Express request (actor comes from req.adminUser)
+ * @param {Object} entry
+ * @param {string} entry.entityType - one of ENTITY_TYPES
+ * @param {string} entry.entityId - row id, or the key for settings
+ * @param {string} entry.action - e.g. update, status_change, delete, restore
+ * @param {Object} [entry.oldValues] - record before the change
+ * @param {Object} [entry.newValues] - fields written (updates) or full record (creates)
+ */
+async function recordAudit(req, { entityType, entityId, action, oldValues = null, newValues = null }) {
+  try {
+    let changedFields = null;
+    let before = oldValues;
+
+    if (oldValues && newValues) {
+      changedFields = diffFields(oldValues, newValues);
+      if (Object.keys(changedFields).length === 0) return;
+      before = pick(oldValues, Object.keys(newValues));
+    }
+
+    const actor = req?.adminUser || {};
+
+    const { error } = await supabase.from('admin_audit_log').insert({
+      entity_type: entityType,
+      entity_id: entityId,
+      action,
+      actor_id: actor.id || null,
+      actor_name: actor.name || actor.email || null,
+      actor_role: actor.role || null,
+      changed_fields: changedFields,
+      old_values: before,
+      new_values: newValues,
+      ip_address: req?.ip || null
+    });
+
+    if (error) log.error('Audit insert failed', { entityType, entityId, error: error.message });
+  } catch (err) {
+    log.error('Audit log error', { entityType, entityId, error: err.message });
+  }
+}
+
+/**
+ * Query the audit trail
+ *
+ * @param {Object} filters - { entity_type, entity_id, actor_id, action, date_from, date_to, limit, offset }
+ * @returns {Promise<{ data: Array, total: number, hasMore: boolean }>}
+ */
+async function listAudit(filters = {}) {
+  const { entity_type, entity_id, actor_id, action, date_from, date_to, limit, offset } = filters;
+
+  let query = supabase
+    .from('admin_audit_log')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false });
+
+  if (entity_type) query = query.eq('entity_type', entity_type);
+  if (entity_id) query = query.eq('entity_id', entity_id);
+  if (actor_id) query = query.eq('actor_id', actor_id);
+  if (action) query = query.eq('action', action);
+  if (date_from) query = query.gte('created_at', date_from);
+  if (date_to) query = query.lte('created_at', date_to + 'T23:59:59');
+
+  const lim = Math.min(parseInt(limit) || 50, 200);
+  const off = parseInt(offset) || 0;
+  query = query.range(off, off + lim - 1);
+
+  const { data, error, count } = await query;
+  if (error) throw new Error(error.message);
+
+  return { data: data || [], total: count, hasMore: off + lim < count };
+}
+
+module.exports = {
+  setSupabaseClient,
+  ENTITY_TYPES,
+  diffFields,
+  recordAudit,
+  listAudit
+};
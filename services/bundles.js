@@ -0,0 +1,231 @@
+/**
+ * Bundles and Add-ons
+ *
+ * Cross-service pricing from BUNDLES_AND_ADDONS (pricing config):
+ *
+ *   - bundles: a set price for a group of services ("Full exterior refresh" =
+ *     roof + gutter + softwash). A quote with all of a bundle's services is
+ *     estimated at the bundle price instead of getting the multi-service
+ *     discount; a quote with only some of them is offered the upgrade on the
+ *     fixed-price page.
+ *   - addOns: optional extras at a fixed price (biocide treatment, gutter
+ *     guards...) offered on the fixed-price page alongside their services.
+ *
+ * Whatever the customer picks is priced here from the config (never from the
+ * page), added to the fixed price and kept on quotes.final_price_extras as
+ * [{ type, id, label, amount, services? }] so the job and invoice can list it
+ * (services: what a bundle upgrade adds).
+ */
+
+const mid = line => (Number(line.min) + Number(line.max)) / 2;
+
+function enabled(list) {
+  return (list || []).filter(item => item?.enabled);
+}
+
+/**
+ * The bundle covering the most of a quote's services, if all of a bundle's
+ * services were asked for
+ * @returns {Object|null} bundle
+ */
+function matchBundle(services, bundlesAndAddOns) {
+  const matches = enabled(bundlesAndAddOns?.bundles)
+    .filter(b => b.services.length > 0 && b.services.every(s => services.includes(s)));
+  if (matches.length === 0) return null;
+  return matches.reduce((best, b) => (b.services.length > best.services.length ? b : best));
+}
+
+/**
+ * Price a bundle's service lines at the bundle price (in place), split
+ * between them by their usual prices
+ * @returns {Object} { minChange, maxChange, bundle, reason } — bundle is null if none applies
+ */
+function applyBundlePricing(serviceLines, bundlesAndAddOns) {
+  const bundle = matchBundle(serviceLines.map(line => line.service), bundlesAndAddOns);
+  if (!bundle) return { minChange: 0, maxChange: 0, bundle: null, reason: null };
+
+  const lines = serviceLines.filter(line => bundle.services.includes(line.service));
+  const total = lines.reduce((sum, line) => sum + mid(line), 0);
+  let minChange = 0;
+  let maxChange = 0;
+  let remaining = bundle.price;
+
+  lines.forEach((line, i) => {
+    const share = i === lines.length - 1
+      ? remaining
+      : Math.round(bundle.price * (total > 0 ? mid(line) / total : 1 / lines.length));
+    remaining -= share;
+    minChange += share - line.min;
+    maxChange += share - line.max;
+    line.min = share;
+    line.max = share;
+    line.bundle = bundle.id;
+  });
+
+  return {
+    minChange,
+    maxChange,
+    bundle: { id: bundle.id, name: bundle.name, services: bundle.services, price: bundle.price },
+    reason: `${bundle.name} bundle (${bundle.services.join(' + ')}) £${bundle.price}`
+  };
+}
+
+/**
+ * Bundles a quote could upgrade to: every service on the quote is in the
+ * bundle and the bundle adds at least one more. The upgrade costs the bundle
+ * price less the quote's full-rate price.
+ * @param {string[]} services - The quote's services
+ * @param {number} fullRate - The fixed price before any discounts
+ * @returns {Array<{ bundle, adds: string[], amount: number }>}
+ */
+function bundleUpgrades(services, fullRate, bundlesAndAddOns) {
+  return enabled(bundlesAndAddOns?.bundles)
+    .filter(b => services.length > 0 && services.every(s => b.services.includes(s)) && b.services.length > services.length)
+    .map(b => ({
+      bundle: b,
+      adds: b.services.filter(s => !services.includes(s)),
+      amount: Math.round((b.price - fullRate) * 100) / 100
+    }))
+    .filter(upgrade => upgrade.amount > 0);
+}
+
+/**
+ * Add-ons offered with a set of services
+ */
+function availableAddOns(services, bundlesAndAddOns) {
+  return enabled(bundlesAndAddOns?.addOns)
+    .filter(a => !a.services?.length || a.services.some(s => services.includes(s)));
+}
+
+/**
+ * Price the extras a customer picked on the fixed-price page. Anything not on
+ * offer for this quote is ignored.
+ * @param {Object} quote - needs services, final_price, final_price_discounts
+ * @param {Object} choice - { bundle: id, addOns: [id] }
+ * @returns {Array<{ type, id, label, amount, services? }>}
+ */
+function priceExtras(quote, choice, bundlesAndAddOns) {
+  const services = quote.services || [];
+  const extras = [];
+
+  if (choice.bundle) {
+    const upgrade = bundleUpgrades(services, fullRatePrice(quote), bundlesAndAddOns)
+      .find(u => u.bundle.id === choice.bundle);
+    if (upgrade) {
+      extras.push({
+        type: 'bundle',
+        id: upgrade.bundle.id,
+        label: `Upgrade to ${upgrade.bundle.name} (adds ${upgrade.adds.join(', ')})`,
+        amount: upgrade.amount,
+        services: upgrade.adds
+      });
+    }
+  }
+
+  const offered = availableAddOns(services, bundlesAndAddOns);
+  for (const id of new Set(choice.addOns || [])) {
+    const addOn = offered.find(a => a.id === id);
+    if (addOn) extras.push({ type: 'addon', id: addOn.id, label: addOn.name, amount: addOn.price });
+  }
+
+  return extras;
+}
+
+/**
+ * A quote's fixed price before any discounts came off it
+ */
+function fullRatePrice(quote) {
+  const discounts = Array.isArray(quote.final_price_discounts) ? quote.final_price_discounts : [];
+  return Number(quote.final_price) + discounts.reduce((sum, d) => sum + Number(d.amount || 0), 0);
+}
+
+/**
+ * The services a bundle upgrade adds (merged into quotes.services when the
+ * customer accepts)
+ */
+function upgradeServices(extras) {
+  return [...new Set((extras || []).flatMap(e => e.services || []))];
+}
+
+/**
+ * The services a quote was priced for — without any a bundle upgrade added
+ */
+function quotedServices(quote) {
+  const added = upgradeServices(quote.final_price_extras);
+  return (quote.services || []).filter(s => !added.includes(s));
+}
+
+/**
+ * Total of a list of extras
+ */
+function extrasTotal(extras) {
+  return Math.round((extras || []).reduce((sum, e) => sum + Number(e.amount || 0), 0) * 100) / 100;
+}
+
+/**
+ * e.g. 'Full exterior refresh: roof + gutter + softwash for £950'
+ */
+function describeBundle(bundle) {
+  return `${bundle.name}: ${bundle.services.join(' + ')} for £${bundle.price}`;
+}
+
+/**
+ * e.g. 'Biocide treatment £60 (with roof, driveway) — kills moss...'
+ */
+function describeAddOn(addOn) {
+  const withServices = addOn.services?.length ? ` (with ${addOn.services.join(', ')})` : '';
+  return `${addOn.name} £${addOn.price}${withServices}${addOn.description ? ` — ${addOn.description}` : ''}`;
+}
+
+// ─── Validation ─────────────────────────────────────────────────────
+
+function checkItem(item, kind, serviceSlugs) {
+  if (!item || typeof item !== 'object') return `Each ${kind} must be an object`;
+  if (typeof item.id !== 'string' || !/^[a-z0-9_]+$/.test(item.id)) return `${kind} id must be lower-case letters, numbers and underscores`;
+  if (typeof item.name !== 'string' || !item.name.trim()) return `${kind} ${item.id} needs a name`;
+  if (typeof item.price !== 'number' || !Number.isFinite(item.price) || item.price <= 0) return `Price for ${item.name} must be more than £0`;
+  if (!Array.isArray(item.services)) return `Services for ${item.name} must be a list`;
+  const unknown = item.services.find(s => !serviceSlugs.includes(s));
+  if (unknown) return `Unknown service for ${item.name}: ${unknown}`;
+  return null;
+}
+
+/**
+ * Validate the BUNDLES_AND_ADDONS section from the admin API
+ * @param {Object} section - { bundles, addOns }
+ * @param {string[]} serviceSlugs - Services in the pricing config
+ * @returns {string|null} error message, or null if valid
+ */
+function validateBundlesAndAddOns(section, serviceSlugs) {
+  if (!section || typeof section !== 'object') return 'Bundles and add-ons must be an object';
+  if (!Array.isArray(section.bundles) || !Array.isArray(section.addOns)) return 'Bundles and add-ons must be lists';
+
+  const ids = new Set();
+  for (const [list, kind] of [[section.bundles, 'Bundle'], [section.addOns, 'Add-on']]) {
+    for (const item of list) {
+      const error = checkItem(item, kind, serviceSlugs);
+      if (error) return error;
+      if (ids.has(item.id)) return `Duplicate bundle/add-on id: ${item.id}`;
+      ids.add(item.id);
+    }
+  }
+  for (const bundle of section.bundles) {
+    if (new Set(bundle.services).size < 2) return `${bundle.name} needs at least two different services`;
+  }
+  return null;
+}
+
+module.exports = {
+  matchBundle,
+  applyBundlePricing,
+  bundleUpgrades,
+  availableAddOns,
+  priceExtras,
+  fullRatePrice,
+  upgradeServices,
+  quotedServices,
+  extrasTotal,
+  describeBundle,
+  describeAddOn,
+  validateBundlesAndAddOns
+};
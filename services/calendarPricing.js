@@ -0,0 +1,156 @@
+/**
+ * Calendar Pricing
+ *
+ * Date-driven pricing rules from CALENDAR_PRICING (pricing config):
+ *
+ *   - seasonal: a multiplier per service for each month, applied to the
+ *     estimate by the month the quote comes in (roofs cost more in spring)
+ *   - offPeak: a discount for booking on quiet weekdays
+ *   - fillGap: a discount for booking a day in the next couple of weeks
+ *     that has few or no jobs on it yet
+ *
+ * Booking discounts come off the accepted fixed price when the slot is
+ * booked. Off-peak and fill-the-gap don't stack — the larger one applies.
+ */
+
+const { applyMinimumJobValue } = require('./priceLimits');
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Seasonal ───────────────────────────────────────────────────────
+
+/**
+ * A service's multiplier for the month of `date` (1 if it has none)
+ */
+function seasonalMultiplier(service, date, calendarPricing) {
+  const months = calendarPricing?.seasonal?.[service];
+  const multiplier = Array.isArray(months) ? Number(months[date.getMonth()]) : NaN;
+  return Number.isFinite(multiplier) && multiplier > 0 ? multiplier : 1;
+}
+
+/**
+ * Breakdown line for the seasonal adjustments in a month,
+ * e.g. 'April pricing: roof +15%, softwash +10%' (null if none)
+ */
+function describeSeasonal(adjustments, date) {
+  if (adjustments.length === 0) return null;
+  const parts = adjustments.map(({ service, multiplier }) => {
+    const percent = Math.round((multiplier - 1) * 100);
+    return `${service} ${percent > 0 ? '+' : ''}${percent}%`;
+  });
+  return `${MONTHS[date.getMonth()]} pricing: ${parts.join(', ')}`;
+}
+
+// ─── Booking discounts ──────────────────────────────────────────────
+
+/**
+ * Discount for booking a given day, or null
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {number} jobsOnDay - jobs (and held slots) already on that day
+ * @param {Object} calendarPricing - CALENDAR_PRICING from the pricing config
+ * @param {Date} [now]
+ * @returns {Object|null} { rate, reason } — rate is the fraction off (0.1 = 10%)
+ */
+function slotDiscount(dateKey, jobsOnDay, calendarPricing, now = new Date()) {
+  const day = new Date(dateKey + 'T00:00:00');
+  const candidates = [];
+
+  const offPeak = calendarPricing?.offPeak;
+  if (offPeak?.enabled && offPeak.discount > 0 && (offPeak.days || []).includes(day.getDay())) {
+    candidates.push({ rate: offPeak.discount, reason: `Off-peak ${DAY_NAMES[day.getDay()]}` });
+  }
+
+  const fillGap = calendarPricing?.fillGap;
+  if (fillGap?.enabled && fillGap.discount > 0 && jobsOnDay <= fillGap.maxJobsOnDay) {
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    if ((day - today) / DAY_MS <= fillGap.withinDays) {
+      candidates.push({ rate: fillGap.discount, reason: 'Short-notice availability' });
+    }
+  }
+
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, c) => (c.rate > best.rate ? c : best));
+}
+
+/**
+ * A price with a slot discount taken off, to the nearest pound. With
+ * priceLimits the discount stops at the minimum call-out charge.
+ * @returns {{ price: number, amount: number }} amount is what came off
+ */
+function applySlotDiscount(price, discount, priceLimits) {
+  let discounted = Math.round(Number(price) * (1 - discount.rate));
+  if (priceLimits) {
+    discounted = Math.min(Number(price), applyMinimumJobValue(discounted, priceLimits).value);
+  }
+  return { price: discounted, amount: Number(price) - discounted };
+}
+
+/**
+ * e.g. 'Off-peak Tuesday (10% off)'
+ */
+function describeSlotDiscount(discount) {
+  return `${discount.reason} (${Math.round(discount.rate * 100)}% off)`;
+}
+
+// ─── Validation ─────────────────────────────────────────────────────
+
+function checkDiscount(value, label) {
+  if (typeof value !== 'number' || !(value >= 0 && value < 1)) {
+    return `${label} must be a fraction between 0 and 1 (0.1 = 10%)`;
+  }
+  return null;
+}
+
+/**
+ * Validate the CALENDAR_PRICING section from the admin API
+ * @param {Object} calendar - { seasonal, offPeak, fillGap }
+ * @param {string[]} serviceSlugs - Services in the pricing config
+ * @returns {string|null} error message, or null if valid
+ */
+function validateCalendarPricing(calendar, serviceSlugs) {
+  if (!calendar || typeof calendar !== 'object') return 'Calendar pricing must be an object';
+
+  for (const [service, months] of Object.entries(calendar.seasonal || {})) {
+    if (!serviceSlugs.includes(service)) return `Unknown service in seasonal pricing: ${service}`;
+    if (!Array.isArray(months) || months.length !== 12) return `Seasonal pricing for ${service} needs 12 monthly multipliers`;
+    if (months.some(m => typeof m !== 'number' || m < 0.5 || m > 2)) {
+      return `Seasonal multipliers for ${service} must be between 0.5 and 2`;
+    }
+  }
+
+  const { offPeak, fillGap } = calendar;
+  if (offPeak) {
+    if (!Array.isArray(offPeak.days) || offPeak.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return 'Off-peak days must be weekday numbers (0 = Sunday … 6 = Saturday)';
+    }
+    const error = checkDiscount(offPeak.discount, 'Off-peak discount');
+    if (error) return error;
+  }
+  if (fillGap) {
+    const error = checkDiscount(fillGap.discount, 'Fill-the-gap discount');
+    if (error) return error;
+    if (!Number.isInteger(fillGap.withinDays) || fillGap.withinDays < 1) {
+      return 'Fill-the-gap window must be a whole number of days';
+    }
+    if (!Number.isInteger(fillGap.maxJobsOnDay) || fillGap.maxJobsOnDay < 0) {
+      return 'Fill-the-gap job limit must be a whole number';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  MONTHS,
+  seasonalMultiplier,
+  describeSeasonal,
+  slotDiscount,
+  applySlotDiscount,
+  describeSlotDiscount,
+  validateCalendarPricing
+};
@@ -9,6 +9,8 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const log = require('./logger').child('Chat');
 const { getPricingConfig } = require('./pricingConfig');
+const { describeRate } = require('./measuredPricing');
+const { describeBundle, describeAddOn } = require('./bundles');
 
 // Initialize Anthropic client
 const client = new Anthropic({
@@ -53,6 +55,10 @@ const TOOLS = [
         notes: {
           type: 'string',
           description: 'Any additional details the customer mentioned about their requirements'
+        },
+        discountCode: {
+          type: 'string',
+          description: 'Promo/discount code the customer gave (if any), exactly as they typed it'
         }
       },
       required: ['name', 'services']
@@ -102,6 +108,10 @@ const TOOLS = [
         postcode: {
           type: 'string',
           description: 'Customer postcode if provided during chat'
+        },
+        discountCode: {
+          type: 'string',
+          description: 'Promo/discount code the customer gave (if any), exactly as they typed it'
         }
       },
       required: ['services']
@@ -117,13 +127,26 @@ const TOOLS = [
  * Build the system prompt with business knowledge
  * Pulls real pricing data from DB config (or file fallback)
  */
-function buildSystemPrompt(SERVICE_PRICING, MODIFIERS, MULTI_SERVICE_DISCOUNT) {
+function buildSystemPrompt(SERVICE_PRICING, MODIFIERS, MULTI_SERVICE_DISCOUNT, MEASURED_PRICING, BUNDLES_AND_ADDONS) {
   // Format pricing ranges for the prompt
   const pricingInfo = Object.entries(SERVICE_PRICING).map(([service, sizes]) => {
     const name = service.charAt(0).toUpperCase() + service.slice(1);
-    return `- ${name}: Small £${sizes.small[0]}-£${sizes.small[1]}, Medium £${sizes.medium[0]}-£${sizes.medium[1]}, Large £${sizes.large[0]}-£${sizes.large[1]}`;
+    const measured = MEASURED_PRICING?.[service];
+    const perUnit = measured?.enabled
+      ? `, or ${describeRate(measured)} if they know the measurement`
+      : '';
+    return `- ${name}: Small £${sizes.small[0]}-£${sizes.small[1]}, Medium £${sizes.medium[0]}-£${sizes.medium[1]}, Large £${sizes.large[0]}-£${sizes.large[1]}${perUnit}`;
   }).join('\n');
 
+  const bundles = (BUNDLES_AND_ADDONS?.bundles || []).filter(b => b.enabled);
+  const addOns = (BUNDLES_AND_ADDONS?.addOns || []).filter(a => a.enabled);
+  const bundleInfo = bundles.length > 0
+    ? bundles.map(b => `- ${describeBundle(b)} (typical property; replaces the multi-service discount)`).join('\n')
+    : '- No bundles at the moment';
+  const addOnInfo = addOns.length > 0
+    ? addOns.map(a => `- ${describeAddOn(a)}`).join('\n')
+    : '- No add-ons at the moment';
+
   const currentMonth = new Date().toLocaleString('en-GB', { month: 'long' });
   const currentYear = new Date().getFullYear();
   const monthNum = new Date().getMonth(); // 0-11
@@ -199,6 +222,13 @@ ${pricingInfo}
 - All quotes are free and no-obligation
 - For services without listed prices, we provide a free quote based on your specific requirements
 
+## Bundles & Add-ons
+Bundles (a set price for a group of services):
+${bundleInfo}
+
+Optional add-ons (customers can tick these when they accept their fixed price):
+${addOnInfo}
+
 ## About Us
 - Professional exterior cleaning and property services specialists
 - Fully insured and experienced team
@@ -254,11 +284,16 @@ When a customer asks about pricing or shows interest in a service (phrases like
 ## Lead Capture (Fallback)
 If a customer voluntarily provides their name, email/phone, and postcode naturally during conversation and clearly wants you to handle everything without going to the form, you can still use the capture_lead tool. But the PREFERRED path is to guide them to the form with prepare_quote_form — the form gives them a proper instant estimate and creates a more complete quote.
 
+## Promo Codes
+If a customer mentions a promo or discount code, pass it as discountCode when you use prepare_quote_form or capture_lead. Don't promise what it's worth or that it's valid — it's checked when the quote is saved and any discount shows on their estimate.
+
 ## Cross-Selling
 When a customer asks about one service, briefly mention related services where natural:
 - Roof cleaning → "While we're up there, we often do gutters too - saves on access costs"
 - Driveway → mention patio cleaning or garden maintenance
 - Window cleaning → mention softwash for render/walls
+- Customer wants some of a bundle's services → mention the bundle and its price (they can also upgrade to it when they accept their fixed price)
+- Suggest an add-on that goes with the service they're asking about (e.g. biocide treatment after a roof clean) — one suggestion, not the whole list
 - Any 2+ services discussed → mention the ${Math.round((1 - MULTI_SERVICE_DISCOUNT.discount) * 100)}% multi-service discount for ${MULTI_SERVICE_DISCOUNT.threshold}+ services
 Keep cross-selling subtle and helpful, not pushy.
 
@@ -290,7 +325,7 @@ Weave seasonal relevance into responses when it fits naturally - don't force it.
 // Build system prompt (rebuilt on each call to include current date/season + live pricing)
 async function getSystemPrompt() {
   const config = await getPricingConfig();
-  return buildSystemPrompt(config.SERVICE_PRICING, config.MODIFIERS, config.MULTI_SERVICE_DISCOUNT);
+  return buildSystemPrompt(config.SERVICE_PRICING, config.MODIFIERS, config.MULTI_SERVICE_DISCOUNT, config.MEASURED_PRICING, config.BUNDLES_AND_ADDONS);
 }
 
 // ========================
@@ -329,9 +364,13 @@ async function chat(messages, onLeadCapture) {
       if (toolBlock && toolBlock.name === 'capture_lead' && onLeadCapture) {
         // Existing lead capture flow
         leadResult = await onLeadCapture(toolBlock.input);
-        toolResultContent = leadResult.success
-          ? 'Lead captured successfully. Quote reference: ' + leadResult.quoteId + '. Confirm to the customer that their details have been passed to the team.'
-          : 'Could not capture lead right now. Continue the conversation normally and suggest the customer uses the quote form on the website.';
+        if (leadResult.success) {
+          toolResultContent = 'Lead captured successfully. Quote reference: ' + leadResult.quoteId + '. Confirm to the customer that their details have been passed to the team.';
+        } else if (leadResult.errors) {
+          toolResultContent = 'Some details could not be accepted: ' + Object.entries(leadResult.errors).map(([field, message]) => field + ' — ' + message).join('; ') + '. Politely ask the customer to check these details, then call capture_lead again.';
+        } else {
+          toolResultContent = 'Could not capture lead right now. Continue the conversation normally and suggest the customer uses the quote form on the website.';
+        }
       } else if (toolBlock && toolBlock.name === 'prepare_quote_form') {
         // Form pre-fill flow — store the data to pass back to the widget
         formData = toolBlock.input;
@@ -0,0 +1,279 @@
+/**
+ * Discount Codes
+ *
+ * Promo codes entered on the quote form or given to the chatbot. A code has
+ * a percentage or fixed (£) discount, an optional validity window, usage
+ * limits (overall and per customer) and optionally a list of eligible
+ * services.
+ *
+ * A code is checked once the quote is linked to its customer. If it's
+ * accepted, its terms are snapshotted onto quotes.discount_terms, and from
+ * then on the estimator, vision pricer and invoice all work from that
+ * snapshot — editing or expiring the code later doesn't change a quote that
+ * already has it.
+ *
+ * Only the eligible services' share of the price is discounted. The estimator
+ * works that share out from the service lines and keeps it in the estimate
+ * breakdown (breakdown.promo.eligibleShare) for the fixed price to use.
+ */
+
+const log = require('./logger').child('DiscountCodes');
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+/**
+ * Upper-case a code and drop spaces/dashes, or null if nothing is left
+ */
+function normaliseDiscountCode(code) {
+  if (typeof code !== 'string') return null;
+  const cleaned = code.toUpperCase().replace(/[^A-Z0-9]/g, '').substring(0, 30);
+  return cleaned || null;
+}
+
+// ─── Discount maths ─────────────────────────────────────────────────
+
+/**
+ * Customer-facing description, e.g. '10% off roof, gutter' or '£20 off'
+ * @param {Object} terms - { discountType, discountValue, services? }
+ */
+function describeCodeDiscount(terms) {
+  const amount = terms.discountType === 'fixed'
+    ? `£${Number(terms.discountValue)} off`
+    : `${Number(terms.discountValue)}% off`;
+  return terms.services?.length ? `${amount} ${terms.services.join(', ')}` : amount;
+}
+
+/**
+ * Share of a quote's price that's for services the code covers (0–1), from
+ * the estimator's service lines (using the middle of each range)
+ */
+function eligibleShare(terms, serviceLines) {
+  if (!terms.services?.length) return 1;
+  const mid = line => (Number(line.min) + Number(line.max)) / 2;
+  const total = serviceLines.reduce((sum, line) => sum + mid(line), 0);
+  if (total <= 0) return 0;
+  const eligible = serviceLines
+    .filter(line => terms.services.includes(line.service))
+    .reduce((sum, line) => sum + mid(line), 0);
+  return Math.round((eligible / total) * 1000) / 1000;
+}
+
+/**
+ * Amount after the code's discount. Only `share` of the amount is eligible;
+ * a fixed discount never takes off more than that share.
+ * @param {Object} terms - { discountType, discountValue, eligibleShare }
+ */
+function applyCodeDiscount(amount, terms) {
+  const share = terms.eligibleShare ?? 1;
+  const value = Number(terms.discountValue) || 0;
+  const off = terms.discountType === 'fixed'
+    ? Math.min(value, amount * share)
+    : amount * share * (value / 100);
+  return Math.max(0, amount - off);
+}
+
+/**
+ * Amount before the code's discount — the inverse of applyCodeDiscount, for
+ * anchoring full-price analysis on a discounted estimate
+ */
+function removeCodeDiscount(amount, terms) {
+  const share = terms.eligibleShare ?? 1;
+  const value = Number(terms.discountValue) || 0;
+  if (terms.discountType === 'fixed') {
+    const uncapped = amount + value;
+    if (uncapped * share >= value || share >= 1) return uncapped;
+    return amount / (1 - share);
+  }
+  const rate = share * (value / 100);
+  return rate < 1 ? amount / (1 - rate) : amount;
+}
+
+// ─── Codes ──────────────────────────────────────────────────────────
+
+/**
+ * Validate a discount code from the admin API
+ * @param {Object} input - { code, discount_type, discount_value, services, starts_at, ends_at, max_uses, max_uses_per_customer }
+ *   (for an update, the existing code with the changes applied)
+ * @returns {string|null} error message, or null if valid
+ */
+function validateDiscountCode(input) {
+  if (!normaliseDiscountCode(input.code)) return 'Code is required (letters and numbers)';
+  if (!DISCOUNT_TYPES.includes(input.discount_type)) return "Discount type must be 'percent' or 'fixed'";
+
+  const value = Number(input.discount_value);
+  if (!Number.isFinite(value) || value <= 0) return 'Discount must be more than zero';
+  if (input.discount_type === 'percent' && value >= 100) return 'Percentage discount must be under 100';
+
+  if (input.services !== undefined && input.services !== null) {
+    if (!Array.isArray(input.services) || input.services.some(s => typeof s !== 'string')) {
+      return 'Services must be a list of service slugs';
+    }
+  }
+  for (const field of ['starts_at', 'ends_at']) {
+    if (input[field] && Number.isNaN(Date.parse(input[field]))) return `${field} must be a date`;
+  }
+  if (input.starts_at && input.ends_at && Date.parse(input.ends_at) <= Date.parse(input.starts_at)) {
+    return 'End date must be after the start date';
+  }
+  for (const field of ['max_uses', 'max_uses_per_customer']) {
+    const value = input[field];
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+      return `${field} must be a whole number of at least 1 (or empty for no limit)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Why a code can't be used on this quote, or null if it can
+ * @param {Object} code - discount_codes row
+ * @param {Object} quote - needs services and customer_id
+ */
+async function checkCodeUsable(supabase, code, quote) {
+  const now = Date.now();
+  if (!code.active) return 'code is inactive';
+  if (code.starts_at && Date.parse(code.starts_at) > now) return 'code not valid yet';
+  if (code.ends_at && Date.parse(code.ends_at) <= now) return 'code has expired';
+
+  if (code.services?.length && !(quote.services || []).some(s => code.services.includes(s))) {
+    return `only valid for ${code.services.join(', ')}`;
+  }
+
+  if (code.max_uses) {
+    const { count } = await supabase
+      .from('discount_code_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('discount_code_id', code.id);
+    if (count >= code.max_uses) return 'usage limit reached';
+  }
+
+  if (code.max_uses_per_customer && quote.customer_id) {
+    const { count } = await supabase
+      .from('discount_code_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('discount_code_id', code.id)
+      .eq('customer_id', quote.customer_id);
+    if (count >= code.max_uses_per_customer) return 'already used by this customer';
+  }
+
+  return null;
+}
+
+/**
+ * Whether a quote's redemption is among the code's first `limit` (overall,
+ * or for one customer)
+ */
+async function withinLimit(supabase, code, quoteId, limit, customerId) {
+  let query = supabase
+    .from('discount_code_redemptions')
+    .select('quote_id')
+    .eq('discount_code_id', code.id);
+  if (customerId) query = query.eq('customer_id', customerId);
+
+  const { data: redemptions } = await query
+    .order('created_at', { ascending: true })
+    .limit(limit);
+  return (redemptions || []).some(r => r.quote_id === quoteId);
+}
+
+function logCodeActivity(supabase, quoteId, description) {
+  return supabase.from('quote_activity').insert({
+    quote_id: quoteId,
+    action_type: 'discount_code',
+    description
+  }).then(() => {}).catch(() => {});
+}
+
+/**
+ * Check a new quote's discount code once it's linked to its customer. An
+ * accepted code is redeemed (counted against its limits) and its terms are
+ * copied to quotes.discount_terms for the estimator; a rejected one is noted
+ * on the quote and otherwise ignored. Never throws.
+ * @returns {Promise<boolean>} true if the code was accepted
+ */
+async function confirmDiscountCode(supabase, quote) {
+  if (!quote.discount_code || quote.discount_terms) return false;
+
+  try {
+    const { data: code } = await supabase
+      .from('discount_codes')
+      .select('*')
+      .eq('code', quote.discount_code)
+      .maybeSingle();
+
+    const rejection = code ? await checkCodeUsable(supabase, code, quote) : 'code not recognised';
+    if (rejection) {
+      log.info('Discount code not applied', { quoteId: quote.id, code: quote.discount_code, reason: rejection });
+      await logCodeActivity(supabase, quote.id, `Discount code ${quote.discount_code} not applied — ${rejection}`);
+      return false;
+    }
+
+    const { error: redeemError } = await supabase
+      .from('discount_code_redemptions')
+      .insert({ discount_code_id: code.id, quote_id: quote.id, customer_id: quote.customer_id || null });
+    if (redeemError) throw redeemError;
+
+    // Two quotes can pass the limit checks at once — the later one gives way
+    let overLimit = null;
+    if (code.max_uses && !(await withinLimit(supabase, code, quote.id, code.max_uses))) {
+      overLimit = 'usage limit reached';
+    } else if (code.max_uses_per_customer && quote.customer_id &&
+      !(await withinLimit(supabase, code, quote.id, code.max_uses_per_customer, quote.customer_id))) {
+      overLimit = 'already used by this customer';
+    }
+    if (overLimit) {
+      await supabase.from('discount_code_redemptions').delete().eq('quote_id', quote.id);
+      await logCodeActivity(supabase, quote.id, `Discount code ${quote.discount_code} not applied — ${overLimit}`);
+      return false;
+    }
+
+    const terms = {
+      code: code.code,
+      discountType: code.discount_type,
+      discountValue: Number(code.discount_value),
+      services: code.services?.length ? code.services : null
+    };
+
+    const { error } = await supabase
+      .from('quotes')
+      .update({ discount_code_id: code.id, discount_terms: terms })
+      .eq('id', quote.id);
+    if (error) throw error;
+    quote.discount_code_id = code.id;
+    quote.discount_terms = terms;
+
+    log.info('Discount code applied', { quoteId: quote.id, code: code.code });
+    await logCodeActivity(supabase, quote.id, `Discount code ${code.code} applied — ${describeCodeDiscount(terms)}`);
+    return true;
+  } catch (error) {
+    log.error('Discount code check failed', { quoteId: quote.id, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Codes with how many times each has been used
+ */
+async function listDiscountCodes(supabase) {
+  const [{ data: codes, error }, { data: redemptions }] = await Promise.all([
+    supabase.from('discount_codes').select('*').order('created_at', { ascending: false }),
+    supabase.from('discount_code_redemptions').select('discount_code_id')
+  ]);
+  if (error) throw error;
+
+  const uses = {};
+  for (const r of redemptions || []) uses[r.discount_code_id] = (uses[r.discount_code_id] || 0) + 1;
+  return (codes || []).map(code => ({ ...code, uses: uses[code.id] || 0 }));
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normaliseDiscountCode,
+  describeCodeDiscount,
+  eligibleShare,
+  applyCodeDiscount,
+  removeCodeDiscount,
+  validateDiscountCode,
+  confirmDiscountCode,
+  listDiscountCodes
+};
@@ -6,6 +6,7 @@
 
 const { Resend } = require('resend');
 const log = require('./logger').child('Email');
+const { customerLink } = require('./linkTokens');
 
 // Initialize Resend client
 const resend = new Resend(process.env.RESEND_API_KEY);
@@ -146,7 +147,7 @@ async function sendEstimateEmail(quote) {
 
             <div style="text-align: center; margin: 30px 0;">
               <p style="font-size: 18px; margin-bottom: 15px;"><strong>Happy with this price range?</strong></p>
-              <a href="https://revive-backend-repo-production.up.railway.app/accept-estimate/${quote.id}"
+              <a href="${customerLink(quote, 'accept_estimate')}"
                  style="display: inline-block; background-color: #84cc16; color: white; padding: 16px 40px; text-decoration: none; border-radius: 8px; font-size: 18px; font-weight: bold; margin: 10px 0;">
                 ✓ Yes, Accept This Quote
               </a>
@@ -620,9 +621,10 @@ async function sendInvoiceEmail(invoice, viewUrl, paymentUrl) {
  *
  * @param {Object} job - Job data with customer info
  * @param {string} reviewUrl - Google Business Profile review URL
+ * @param {Object} [referral] - { code, link, offer, reward } to invite them to refer friends
  * @returns {Promise<Object>} - Resend API response
  */
-async function sendReviewRequestEmail(job, reviewUrl) {
+async function sendReviewRequestEmail(job, reviewUrl, referral = null) {
   try {
     if (!job.customer_email) {
       log.info('No customer email for review request');
@@ -667,7 +669,14 @@ async function sendReviewRequestEmail(job, reviewUrl) {
 
               <p style="font-size: 13px; color: #888; margin-top: 15px;">It only takes a moment and means the world to us.</p>
             </div>
-
+${referral ? `
+            <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center; border: 1px dashed #84cc16;">
+              <p style="font-size: 16px; margin: 0 0 5px 0; font-weight: bold; color: #333;">Know someone who'd like the same?</p>
+              <p style="font-size: 14px; color: #666; margin: 0 0 15px 0;">Friends who quote with your code get <strong>${h(referral.offer)}</strong> their first clean, and you get <strong>${h(referral.reward)} off</strong> your next invoice once their job is done.</p>
+              <p style="font-size: 22px; font-weight: 800; letter-spacing: 2px; color: #365314; margin: 0 0 15px 0;">${h(referral.code)}</p>
+              <a href="${referral.link}" style="color: #65a30d; font-size: 14px; font-weight: bold;">Share your referral link</a>
+            </div>
+` : ''}
             <p style="font-size: 14px; color: #666; margin-top: 20px;">
               If anything wasn't up to scratch, please reply to this email and let us know — we'll make it right.
             </p>
@@ -707,8 +716,7 @@ async function sendReviewRequestEmail(job, reviewUrl) {
  */
 async function sendPhotoRequestEmail(quote) {
   try {
-    const BASE_URL = process.env.BASE_URL || 'https://revive-backend-repo-production.up.railway.app';
-    const uploadUrl = `${BASE_URL}/upload-photos/${quote.id}`;
+    const uploadUrl = customerLink(quote, 'upload_photos');
     const services = (quote.services || []).map(s => s.charAt(0).toUpperCase() + s.slice(1) + ' Cleaning').join(', ');
 
     log.info('Sending photo request', { to: quote.email });
@@ -782,8 +790,7 @@ async function sendPhotoRequestEmail(quote) {
  */
 async function sendFinalPriceEmail(quote) {
   try {
-    const BASE_URL = process.env.BASE_URL || 'https://revive-backend-repo-production.up.railway.app';
-    const acceptUrl = `${BASE_URL}/final-price/${quote.id}`;
+    const acceptUrl = customerLink(quote, 'final_price');
     const services = (quote.services || []).map(s => s.charAt(0).toUpperCase() + s.slice(1) + ' Cleaning').join(', ');
     const honestyClause = 'This price is based on the information provided and access to the site. If conditions differ from what was described, any adjustments will be discussed before work begins.';
 
@@ -849,6 +856,83 @@ async function sendFinalPriceEmail(quote) {
   }
 }
 
+/**
+ * Send a revised estimate or fixed price, with what changed since last time
+ *
+ * @param {Object} quote - Quote with its current (revised) prices
+ * @param {Object} revision - { changes: ['Fixed price: £450 → £395', …], purpose: link purpose, note?: message from us }
+ */
+async function sendRevisedPriceEmail(quote, { changes, purpose, note }) {
+  try {
+    const url = customerLink(quote, purpose);
+    const isFinal = purpose === 'final_price';
+    const price = isFinal
+      ? `&pound;${Number(quote.final_price).toFixed(0)}`
+      : `&pound;${quote.estimated_value_min} - &pound;${quote.estimated_value_max}`;
+
+    log.info('Sending revised price', { to: quote.email, revision: quote.price_revision });
+
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: quote.email,
+      subject: isFinal ? 'Your price has been updated' : 'Your estimate has been updated',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #84cc16; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0; font-size: 22px;">${isFinal ? 'Your Price Has Been Updated' : 'Your Estimate Has Been Updated'}</h1>
+          </div>
+
+          <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px;">
+            <p style="font-size: 16px; margin-top: 0;">Hi ${h(quote.name)},</p>
+
+            <p>We've updated the price we sent you. Here's what changed:</p>
+
+            <ul style="background: white; padding: 16px 16px 16px 36px; border-radius: 8px; border: 1px solid #e2e8f0;">
+              ${changes.map(line => `<li style="margin-bottom: 4px;">${h(line)}</li>`).join('')}
+            </ul>
+
+            ${note ? `<p style="font-size: 15px;">${h(note)}</p>` : ''}
+
+            <div style="background: linear-gradient(135deg, #f0fdf4 0%, #dcfce7 100%); border: 2px solid #84cc16; padding: 24px; border-radius: 12px; text-align: center; margin: 24px 0;">
+              <p style="margin: 0 0 4px 0; font-size: 12px; color: #65a30d; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">${isFinal ? 'Your Updated Price' : 'Updated Estimate'}</p>
+              <p style="margin: 0; font-size: 42px; font-weight: 800; color: #365314;">${price}</p>
+            </div>
+
+            <div style="text-align: center; margin: 24px 0;">
+              <a href="${url}" style="background-color: #84cc16; color: white; padding: 16px 40px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 18px; display: inline-block;">${isFinal ? '&#10003; Accept &amp; Book Online' : '&#10003; Accept This Estimate'}</a>
+            </div>
+
+            <p style="font-size: 14px; color: #666;">Any earlier links we sent will now show this updated price.</p>
+
+            <div style="margin-top: 25px; padding-top: 20px; border-top: 1px solid #e0e0e0;">
+              <p style="font-size: 14px; color: #666;">
+                Have questions? Just reply to this email or give us a call.<br>
+                <strong>The Revive Team</strong>
+              </p>
+            </div>
+          </div>
+
+          <div style="text-align: center; padding: 20px; font-size: 12px; color: #999;">
+            <p>Revive Exterior Cleaning - Professional Property Care</p>
+          </div>
+        </body>
+        </html>
+      `
+    });
+
+    if (error) throw error;
+    log.info('Revised price email sent', { emailId: data.id });
+    return { success: true, emailId: data.id };
+
+  } catch (error) {
+    log.error('Failed to send revised price email', { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Send booking confirmation email
  */
@@ -895,7 +979,7 @@ async function sendBookingConfirmationEmail(quote, job) {
                 </tr>
                 <tr>
                   <td style="padding: 8px 0; font-weight: 600; color: #365314; border-top: 1px solid #e2e8f0;">Price</td>
-                  <td style="padding: 8px 0; color: #334155; border-top: 1px solid #e2e8f0; font-weight: 700;">&pound;${Number(quote.final_price).toFixed(0)}</td>
+                  <td style="padding: 8px 0; color: #334155; border-top: 1px solid #e2e8f0; font-weight: 700;">&pound;${Number(job.job_value ?? quote.final_price).toFixed(0)}</td>
                 </tr>
                 <tr>
                   <td style="padding: 8px 0; font-weight: 600; color: #365314; border-top: 1px solid #e2e8f0;">Address</td>
@@ -941,6 +1025,50 @@ async function sendBookingConfirmationEmail(quote, job) {
   }
 }
 
+// ─── Team Member Emails ───────────────────────────────────────────
+
+/**
+ * Send a one-time login link for the my-schedule page to a team member
+ *
+ * @param {Object} member - Team member ({ name, email })
+ * @param {string} loginUrl - Magic link (expires in 15 minutes)
+ */
+async function sendTeamLoginLinkEmail(member, loginUrl) {
+  try {
+    log.info('Sending team login link', { to: member.email });
+
+    const { data, error } = await resend.emails.send({
+      from: FROM_EMAIL,
+      to: member.email,
+      subject: 'Your Revive schedule login link',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #f9f9f9; padding: 30px; border-radius: 8px;">
+            <p style="font-size: 16px; margin-top: 0;">Hi ${h(member.name)},</p>
+            <p>Tap the button below to open your schedule. The link works once and expires in 15 minutes.</p>
+            <div style="text-align: center; margin: 24px 0;">
+              <a href="${h(loginUrl)}" style="background-color: #84cc16; color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px; display: inline-block;">Open My Schedule</a>
+            </div>
+            <p style="font-size: 13px; color: #888;">If you didn't ask for this, you can ignore this email.</p>
+          </div>
+        </body>
+        </html>
+      `
+    });
+
+    if (error) throw error;
+    log.info('Team login link email sent', { emailId: data.id });
+    return { success: true, emailId: data.id };
+
+  } catch (error) {
+    log.error('Failed to send team login link email', { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   sendConfirmationEmail,
   sendEstimateEmail,
@@ -951,5 +1079,7 @@ module.exports = {
   sendReviewRequestEmail,
   sendPhotoRequestEmail,
   sendFinalPriceEmail,
-  sendBookingConfirmationEmail
+  sendRevisedPriceEmail,
+  sendBookingConfirmationEmail,
+  sendTeamLoginLinkEmail
 };
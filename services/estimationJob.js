@@ -6,20 +6,55 @@
  * Can be upgraded to Bull/BullMQ queue system later (Phase 6+).
  */
 
-const { calculateEstimate, enhanceEstimateWithAI, ESTIMATION_VERSION } = require('./estimator');
+const { calculateEstimate, clampAdjustedEstimate, enhanceEstimateWithAI, ESTIMATION_VERSION } = require('./estimator');
 const { calculateLeadScore, shouldAlertAdmin } = require('./scorer');
 const { sendEstimateEmail, sendAdminAlert } = require('./emailer');
 const { sendEstimateWhatsApp, sendAdminAlertWhatsApp } = require('./whatsapp');
 const { updateQuoteInSheets } = require('./googleSheets');
+const { attachLinks } = require('./linkTokens');
+const { withLock } = require('./locks');
 const log = require('./logger').child('Estimation');
 
 /**
- * Process estimation for a quote
+ * Process estimation for a quote — once, on one instance.
+ * Holds the estimation:<quoteId> job lock and skips quotes that another
+ * instance has already estimated.
  * @param {Object} supabase - Supabase client
  * @param {string} quoteId - Quote UUID
  * @param {Object} quote - Quote data from database
  */
 async function processEstimation(supabase, quoteId, quote) {
+  try {
+    const { acquired, result } = await withLock(supabase, `estimation:${quoteId}`, async () => {
+      const { data: current } = await supabase
+        .from('quotes')
+        .select('estimated_at, status')
+        .eq('id', quoteId)
+        .single();
+
+      if (current?.estimated_at) {
+        log.info('Already estimated — skipping', { quoteId });
+        return { success: true, skipped: true };
+      }
+      if (current?.status === 'quarantined') {
+        log.info('Quarantined as spam — skipping', { quoteId });
+        return { success: true, skipped: true };
+      }
+
+      return runEstimation(supabase, quoteId, quote);
+    });
+
+    return acquired ? result : { success: true, skipped: true };
+  } catch (error) {
+    log.error('Estimation lock failed', { quoteId, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Estimate, score and notify (called with the quote's lock held)
+ */
+async function runEstimation(supabase, quoteId, quote) {
   try {
     log.info('Starting estimation', { quoteId });
 
@@ -36,6 +71,11 @@ async function processEstimation(supabase, quoteId, quote) {
       estimate.confidence = aiResult.confidence;
       estimate.aiFlags = aiResult.aiFlags;
       estimate.aiNotes = aiResult.aiNotes;
+
+      // The AI's adjustment can't take the range past the price limits
+      const clamped = clampAdjustedEstimate(estimate, quote.services, estimate.priceLimits);
+      if (clamped.length > 0) log.info('AI-adjusted estimate clamped', { quoteId, notes: clamped });
+
       log.info('AI-enhanced estimate', { quoteId, min: estimate.min, max: estimate.max, flags: aiResult.aiFlags });
     }
 
@@ -54,6 +94,12 @@ async function processEstimation(supabase, quoteId, quote) {
         estimated_value_min: estimate.min,
         estimated_value_max: estimate.max,
         estimation_engine_version: estimate.version + (estimate.aiFlags ? '+ai' : ''),
+        estimate_breakdown: estimate.breakdown || null,
+        pricing_version_id: estimate.pricingVersion?.id || null,
+        pricing_experiment_id: estimate.pricingExperiment?.id || null,
+        pricing_variant: estimate.pricingExperiment?.variant || null,
+        travel_distance_miles: estimate.breakdown?.travel?.distanceMiles ?? null,
+        travel_surcharge: estimate.breakdown?.travel?.surcharge ?? null,
         estimated_at: new Date().toISOString(),
         lead_score: scoring.score,
         qualification_status: scoring.qualification,
@@ -82,6 +128,7 @@ async function processEstimation(supabase, quoteId, quote) {
 
     // Step 4: Send estimate via both WhatsApp and email, record timestamps
     const timestampUpdates = {};
+    attachLinks(updatedQuote, ['accept_estimate']);
 
     try {
       const waResult = await sendEstimateWhatsApp(updatedQuote);
@@ -171,11 +218,21 @@ function queueEstimation(supabase, quoteId, quote) {
 /**
  * Retry any quotes that were submitted but never estimated
  * (e.g. if server restarted mid-estimation)
- * Runs once on server startup.
+ * Runs once on server startup — only one instance does the sweep, and each
+ * quote is still locked individually.
  * @param {Object} supabaseClient - Supabase client
  */
 async function retryMissedEstimations(supabaseClient) {
   const retryLog = require('./logger').child('EstimationRetry');
+  try {
+    await withLock(supabaseClient, 'startup:retry_missed_estimations', (lease) =>
+      sweepMissedEstimations(supabaseClient, lease, retryLog), { ttlSeconds: 10 * 60 });
+  } catch (error) {
+    retryLog.error('Retry failed', { error: error.message });
+  }
+}
+
+async function sweepMissedEstimations(supabaseClient, lease, retryLog) {
   try {
     // Find quotes created in the last 7 days that have no estimate
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
@@ -185,6 +242,8 @@ async function retryMissedEstimations(supabaseClient) {
       .select('*')
       .is('estimated_at', null)
       .is('deleted_at', null)
+      .is('duplicate_of', null)  // repeat requests are handled on their open quote
+      .or('status.is.null,status.neq.quarantined')
       .gte('created_at', sevenDaysAgo)
       .order('created_at', { ascending: true });
 
@@ -201,6 +260,10 @@ async function retryMissedEstimations(supabaseClient) {
     retryLog.info(`Found ${missedQuotes.length} quote(s) without estimates — processing`);
 
     for (const quote of missedQuotes) {
+      if (!lease.isHeld()) {
+        retryLog.warn('Retry lock lost — stopping sweep');
+        return;
+      }
       retryLog.info('Processing missed quote', { quoteId: quote.id, submitted: quote.created_at });
       await processEstimation(supabaseClient, quote.id, quote);
       // Small delay between retries to avoid hammering external services
@@ -7,18 +7,27 @@
  * Loads pricing config from database (admin-editable) with file fallback.
  */
 
-const { getPricingConfig } = require('./pricingConfig');
+const { resolveQuotePricing } = require('./pricingExperiments');
+const { resolveServiceArea } = require('./serviceArea');
+const { applyReferralDiscount, describeDiscount } = require('./referrals');
+const { applyCodeDiscount, describeCodeDiscount, eligibleShare } = require('./discountCodes');
+const { measuredServicePrice, describeMeasurement } = require('./measuredPricing');
+const { seasonalMultiplier, describeSeasonal } = require('./calendarPricing');
+const { clampServiceLine, applyMinimumJobValue, clampJobPrice } = require('./priceLimits');
+const { applyBundlePricing } = require('./bundles');
 const log = require('./logger').child('Estimator');
 
-const ESTIMATION_VERSION = 'v1.2';
+const ESTIMATION_VERSION = 'v1.3';
 
 /**
- * Calculate price estimate for a quote
+ * Calculate price estimate for a quote, with the pricing version live when
+ * the quote came in — as its pricing experiment variant prices it, if a
+ * pricing experiment is running (the quote is assigned one here)
  * @param {Object} quote - The quote object from the database
- * @returns {Promise<Object>} - { min, max, version, confidence }
+ * @returns {Promise<Object>} - { min, max, version, confidence, breakdown, pricingVersion, pricingExperiment, priceLimits }
  */
 async function calculateEstimate(quote) {
-  const { services, answers } = quote;
+  const { services } = quote;
 
   // If no services, return null (can't estimate)
   if (!services || services.length === 0) {
@@ -30,14 +39,69 @@ async function calculateEstimate(quote) {
     };
   }
 
-  // Load config from DB (or file defaults)
-  const config = await getPricingConfig();
+  // Load config from DB (or file defaults) as it was when the quote came in
+  const { version: pricingVersion, config, experiment: pricingExperiment } = await resolveQuotePricing(quote, { assign: true });
+  const estimate = priceQuote(quote, config);
+
+  return {
+    ...estimate,
+    breakdown: {
+      ...estimate.breakdown,
+      pricingVersion: pricingVersion?.number ?? null,
+      pricingExperiment: pricingExperiment
+        ? { name: pricingExperiment.name, variant: pricingExperiment.variantName }
+        : null
+    },
+    pricingVersion,
+    pricingExperiment,
+    priceLimits: config.PRICE_LIMITS
+  };
+}
+
+/**
+ * Re-apply the price limits to a range the AI adjusted (in place): the
+ * services' combined floor/ceiling, then the minimum call-out charge.
+ * Anything clamped is added to breakdown.clamped, which sends the fixed
+ * price to admin approval.
+ * @returns {string[]} notes for anything clamped
+ */
+function clampAdjustedEstimate(estimate, services, priceLimits) {
+  if (!services || services.length === 0) return [];
+
+  const low = clampJobPrice(estimate.min, services, priceLimits);
+  const high = clampJobPrice(estimate.max, services, priceLimits);
+  const minimum = applyMinimumJobValue(low.price, priceLimits);
+
+  estimate.min = minimum.value;
+  estimate.max = Math.max(high.price, minimum.value);
+
+  const notes = [low.note, high.note, minimum.note].filter(Boolean).map(note => `AI-adjusted range: ${note}`);
+  if (notes.length > 0) {
+    estimate.breakdown = {
+      ...estimate.breakdown,
+      clamped: [...(estimate.breakdown?.clamped || []), ...notes]
+    };
+  }
+  return notes;
+}
+
+/**
+ * Price a quote with a given pricing config — the rules behind
+ * calculateEstimate, also used to replay past quotes through a candidate
+ * config (pricingBacktest)
+ * @param {Object} quote - The quote object (services must not be empty)
+ * @param {Object} config - Full pricing config
+ * @returns {Object} - { min, max, version, confidence, breakdown }
+ */
+function priceQuote(quote, config) {
+  const { services, answers } = quote;
   const SERVICE_PRICING = config.SERVICE_PRICING;
   const MULTI_SERVICE_DISCOUNT = config.MULTI_SERVICE_DISCOUNT;
 
   let totalMin = 0;
   let totalMax = 0;
   let confidence = 'medium'; // Start with medium confidence
+  const serviceLines = [];
 
   // Calculate base price for each service
   services.forEach(service => {
@@ -47,31 +111,107 @@ async function calculateEstimate(quote) {
       // Unknown service, use generic pricing
       totalMin += 100;
       totalMax += 300;
+      serviceLines.push({ service, size: null, min: 100, max: 300 });
       confidence = 'low'; // Lower confidence if unknown service
       return;
     }
 
+    // Measured services (m², window count...) price from the measurement
+    const measured = measuredServicePrice(service, answers?.measurements?.[service], config.MEASURED_PRICING);
+    if (measured) {
+      totalMin += measured.min;
+      totalMax += measured.max;
+      serviceLines.push({
+        service,
+        size: null,
+        measurement: { quantity: measured.quantity, unit: measured.unit },
+        min: measured.min,
+        max: measured.max
+      });
+      return;
+    }
+
     // Determine size from answers (if available)
     const size = determineSize(service, answers);
     const [min, max] = pricing[size] || pricing.default;
 
     totalMin += min;
     totalMax += max;
+    serviceLines.push({ service, size, min, max });
   });
 
   // Apply modifiers based on answers
   const modifiers = calculateModifiers(quote, config.MODIFIERS);
 
-  totalMin *= modifiers.multiplier;
-  totalMax *= modifiers.multiplier;
+  // Seasonal demand pricing, by the month the quote came in
+  const quotedAt = quote.created_at ? new Date(quote.created_at) : new Date();
+  const seasonal = applySeasonalPricing(serviceLines, quotedAt, config.CALENDAR_PRICING);
+  totalMin += seasonal.minChange;
+  totalMax += seasonal.maxChange;
+  if (seasonal.reason) modifiers.reasons.unshift(seasonal.reason);
+
+  // A bundle's services at the bundle's set price (replaces the multi-service discount)
+  const bundled = applyBundlePricing(serviceLines, config.BUNDLES_AND_ADDONS);
+  totalMin += bundled.minChange;
+  totalMax += bundled.maxChange;
+  if (bundled.reason) modifiers.reasons.unshift(bundled.reason);
+
+  // Modifiers scale each service line, so the limits below apply to what's charged
+  const modified = applyMultiplier(serviceLines, modifiers.multiplier);
+  totalMin += modified.minChange;
+  totalMax += modified.maxChange;
+
+  // Per-service floors and ceilings (anything clamped sends the fixed price to admin approval)
+  const limited = applyServiceLimits(serviceLines, config.PRICE_LIMITS);
+  totalMin += limited.minChange;
+  totalMax += limited.maxChange;
+  const clamped = limited.notes;
 
   // Apply multi-service discount if applicable
-  if (services.length >= MULTI_SERVICE_DISCOUNT.threshold) {
+  const multiServiceDiscount = !bundled.bundle && services.length >= MULTI_SERVICE_DISCOUNT.threshold;
+  if (multiServiceDiscount) {
     totalMin *= MULTI_SERVICE_DISCOUNT.discount;
     totalMax *= MULTI_SERVICE_DISCOUNT.discount;
     confidence = 'high'; // Higher confidence with multiple services (more data)
   }
 
+  // Discount code accepted at intake, on the eligible services' share of the price
+  const promo = quote.discount_terms
+    ? { ...quote.discount_terms, eligibleShare: eligibleShare(quote.discount_terms, serviceLines) }
+    : null;
+  if (promo) {
+    totalMin = applyCodeDiscount(totalMin, promo);
+    totalMax = applyCodeDiscount(totalMax, promo);
+    modifiers.reasons.push(`Code ${promo.code} (${describeCodeDiscount(promo)})`);
+  }
+
+  // Referral discount for quotes from a valid referral code (terms kept in the breakdown)
+  const referral = quote.referred_by_customer_id && config.REFERRALS?.enabled
+    ? { code: quote.referral_code, discountType: config.REFERRALS.discountType, discountValue: config.REFERRALS.discountValue }
+    : null;
+  if (referral) {
+    totalMin = applyReferralDiscount(totalMin, referral);
+    totalMax = applyReferralDiscount(totalMax, referral);
+    modifiers.reasons.push(`Referral discount (${describeDiscount(referral)})`);
+  }
+
+  // Flat travel surcharge by distance/zone (not discounted)
+  const travel = resolveServiceArea(quote.postcode, config.SERVICE_AREA);
+  if (travel.surcharge > 0) {
+    totalMin += travel.surcharge;
+    totalMax += travel.surcharge;
+    modifiers.reasons.push(describeTravel(travel));
+  }
+
+  // Minimum call-out charge for the whole job
+  const minimum = applyMinimumJobValue(totalMin, config.PRICE_LIMITS);
+  if (minimum.note) {
+    totalMin = minimum.value;
+    totalMax = Math.max(totalMax, minimum.value);
+    clamped.push(minimum.note);
+  }
+  modifiers.reasons.push(...clamped);
+
   // Round to nearest £5
   totalMin = Math.round(totalMin / 5) * 5;
   totalMax = Math.round(totalMax / 5) * 5;
@@ -81,41 +221,152 @@ async function calculateEstimate(quote) {
     confidence = 'low'; // Not enough data to be confident
   }
 
+  // Can't price travel properly for somewhere we can't place or don't cover
+  if (travel.status !== 'in_area') {
+    confidence = 'low';
+  }
+
   return {
     min: totalMin,
     max: totalMax,
     version: ESTIMATION_VERSION,
-    confidence
+    confidence,
+    breakdown: {
+      services: serviceLines,
+      modifiers: modifiers.reasons,
+      multiplier: Math.round(modifiers.multiplier * 1000) / 1000,
+      seasonal: seasonal.adjustments.length > 0 ? seasonal.adjustments : null,
+      bundle: bundled.bundle,
+      multiServiceDiscount: multiServiceDiscount ? MULTI_SERVICE_DISCOUNT.discount : null,
+      promo,
+      referral,
+      travel,
+      clamped: clamped.length > 0 ? clamped : null
+    }
   };
 }
 
+/**
+ * Scale service lines by their seasonal multiplier for the month (in place)
+ * @returns {Object} { minChange, maxChange, adjustments: [{ service, multiplier }], reason }
+ */
+function applySeasonalPricing(serviceLines, date, calendarPricing) {
+  let minChange = 0;
+  let maxChange = 0;
+  const adjustments = [];
+
+  serviceLines.forEach(line => {
+    const multiplier = seasonalMultiplier(line.service, date, calendarPricing);
+    if (multiplier === 1) return;
+    minChange += line.min * (multiplier - 1);
+    maxChange += line.max * (multiplier - 1);
+    line.min = Math.round(line.min * multiplier * 100) / 100;
+    line.max = Math.round(line.max * multiplier * 100) / 100;
+    adjustments.push({ service: line.service, multiplier });
+  });
+
+  return { minChange, maxChange, adjustments, reason: describeSeasonal(adjustments, date) };
+}
+
+/**
+ * Scale service lines by the modifiers' multiplier (in place)
+ * @returns {Object} { minChange, maxChange }
+ */
+function applyMultiplier(serviceLines, multiplier) {
+  let minChange = 0;
+  let maxChange = 0;
+  if (multiplier === 1) return { minChange, maxChange };
+
+  serviceLines.forEach(line => {
+    const { min, max } = line;
+    line.min = Math.round(min * multiplier * 100) / 100;
+    line.max = Math.round(max * multiplier * 100) / 100;
+    minChange += line.min - min;
+    maxChange += line.max - max;
+  });
+
+  return { minChange, maxChange };
+}
+
+/**
+ * Clamp service lines to their floors/ceilings (in place)
+ * @returns {Object} { minChange, maxChange, notes }
+ */
+function applyServiceLimits(serviceLines, priceLimits) {
+  let minChange = 0;
+  let maxChange = 0;
+  const notes = [];
+
+  serviceLines.forEach(line => {
+    const { min, max } = line;
+    notes.push(...clampServiceLine(line, priceLimits));
+    minChange += line.min - min;
+    maxChange += line.max - max;
+  });
+
+  return { minChange, maxChange, notes };
+}
+
+/**
+ * Breakdown line for a travel surcharge, e.g. 'Travel (SA15, 11.2 mi): +£15'
+ */
+function describeTravel(travel) {
+  const where = [travel.district, travel.distanceMiles !== null ? `${travel.distanceMiles} mi` : null]
+    .filter(Boolean).join(', ');
+  return `Travel (${where}): +£${travel.surcharge}`;
+}
+
 /**
  * Calculate estimate with specific config (for test preview)
- * @param {Object} mockQuote - Mock quote data
+ * @param {Object} mockQuote - Mock quote data (postcode optional, for the travel surcharge;
+ *   measurements optional, e.g. { driveway: 45 }, for measured services; month optional, 1–12)
  * @param {Object} config - Pricing config to use
- * @returns {Object} - { min, max, confidence, modifierReasons }
+ * @returns {Object} - { min, max, confidence, modifierReasons, travel }
  */
 function calculateTestEstimate(mockQuote, config) {
-  const { services, size, modifiers: activeModifiers } = mockQuote;
+  const { services, size, measurements, month, postcode, modifiers: activeModifiers } = mockQuote;
   const SERVICE_PRICING = config.SERVICE_PRICING;
   const MODIFIERS = config.MODIFIERS;
   const MULTI_SERVICE_DISCOUNT = config.MULTI_SERVICE_DISCOUNT;
 
   let totalMin = 0;
   let totalMax = 0;
+  const reasons = [];
+  const lines = [];
 
   (services || []).forEach(service => {
     const pricing = SERVICE_PRICING[service];
     if (!pricing) return;
+    const measured = measuredServicePrice(service, measurements?.[service], config.MEASURED_PRICING);
+    if (measured) {
+      totalMin += measured.min;
+      totalMax += measured.max;
+      lines.push({ service, min: measured.min, max: measured.max });
+      reasons.push(`Measured ${describeMeasurement(measured.quantity, measured.unit)}`);
+      return;
+    }
     const sizeKey = size || 'medium';
     const [min, max] = pricing[sizeKey] || pricing.default;
     totalMin += min;
     totalMax += max;
+    lines.push({ service, min, max });
   });
 
+  // Seasonal pricing for the chosen month (1–12), or this month
+  const date = new Date();
+  if (month >= 1 && month <= 12) date.setMonth(month - 1, 1);
+  const seasonal = applySeasonalPricing(lines, date, config.CALENDAR_PRICING);
+  totalMin += seasonal.minChange;
+  totalMax += seasonal.maxChange;
+  if (seasonal.reason) reasons.push(seasonal.reason);
+
+  const bundled = applyBundlePricing(lines, config.BUNDLES_AND_ADDONS);
+  totalMin += bundled.minChange;
+  totalMax += bundled.maxChange;
+  if (bundled.reason) reasons.push(bundled.reason);
+
   // Apply selected modifiers
   let multiplier = 1.0;
-  const reasons = [];
   if (activeModifiers) {
     if (activeModifiers.firstTimeCleaning) { multiplier *= MODIFIERS.firstTimeCleaning; reasons.push('First time cleaning'); }
     if (activeModifiers.heavilySoiled) { multiplier *= MODIFIERS.heavilySoiled; reasons.push('Heavily soiled'); }
@@ -124,20 +375,45 @@ function calculateTestEstimate(mockQuote, config) {
     if (activeModifiers.urgent) { multiplier *= MODIFIERS.urgent; reasons.push('Urgent'); }
   }
 
-  totalMin *= multiplier;
-  totalMax *= multiplier;
+  const modified = applyMultiplier(lines, multiplier);
+  totalMin += modified.minChange;
+  totalMax += modified.maxChange;
 
-  // Multi-service discount
-  if ((services || []).length >= MULTI_SERVICE_DISCOUNT.threshold) {
+  const limited = applyServiceLimits(lines, config.PRICE_LIMITS);
+  totalMin += limited.minChange;
+  totalMax += limited.maxChange;
+  reasons.push(...limited.notes);
+
+  // Multi-service discount (not on top of a bundle)
+  if (!bundled.bundle && (services || []).length >= MULTI_SERVICE_DISCOUNT.threshold) {
     totalMin *= MULTI_SERVICE_DISCOUNT.discount;
     totalMax *= MULTI_SERVICE_DISCOUNT.discount;
     reasons.push(`Multi-service discount (${Math.round((1 - MULTI_SERVICE_DISCOUNT.discount) * 100)}% off)`);
   }
 
+  let travel = null;
+  if (postcode && config.SERVICE_AREA) {
+    travel = resolveServiceArea(postcode, config.SERVICE_AREA);
+    if (travel.status === 'in_area' && travel.surcharge > 0) {
+      totalMin += travel.surcharge;
+      totalMax += travel.surcharge;
+      reasons.push(describeTravel(travel));
+    } else if (travel.status !== 'in_area') {
+      reasons.push(travel.status === 'out_of_area' ? 'Outside service area' : 'Postcode not recognised');
+    }
+  }
+
+  const minimum = applyMinimumJobValue(totalMin, config.PRICE_LIMITS);
+  if (minimum.note) {
+    totalMin = minimum.value;
+    totalMax = Math.max(totalMax, minimum.value);
+    reasons.push(minimum.note);
+  }
+
   totalMin = Math.round(totalMin / 5) * 5;
   totalMax = Math.round(totalMax / 5) * 5;
 
-  return { min: totalMin, max: totalMax, modifierReasons: reasons };
+  return { min: totalMin, max: totalMax, modifierReasons: reasons, travel };
 }
 
 /**
@@ -358,6 +634,8 @@ Be conservative. Only adjust price if the text clearly indicates factors not cap
 
 module.exports = {
   calculateEstimate,
+  clampAdjustedEstimate,
+  priceQuote,
   calculateTestEstimate,
   enhanceEstimateWithAI,
   ESTIMATION_VERSION
@@ -7,10 +7,15 @@
  *
  * Runs hourly via node-cron. Only follows up on 'new' status quotes that
  * have been estimated but not accepted or manually handled.
+ *
+ * Every instance schedules the cron, but each run (and each quote within it)
+ * is wrapped in a job lock so only one instance actually sends.
  */
 
 const cron = require('node-cron');
 const { sendFollowUpEmail } = require('./emailer');
+const { customerLink } = require('./linkTokens');
+const { withLock } = require('./locks');
 const log = require('./logger').child('FollowUp');
 
 let supabase;
@@ -64,14 +69,13 @@ const PIPELINE_FOLLOW_UPS = {
       delayDays: 2,
       subject: 'Quick reminder — we still need your photos!',
       body: (quote) => {
-        const BASE_URL = process.env.BASE_URL || 'https://revive-backend-repo-production.up.railway.app';
         return `Hi ${quote.name},\n` +
           `\n` +
           `Just a quick reminder that we're waiting on a few photos to give you a fixed price for your ${formatServices(quote.services)}.\n` +
           `\n` +
           `Your estimated range is £${Number(quote.estimated_value_min).toFixed(0)} – £${Number(quote.estimated_value_max).toFixed(0)}, and once we see the photos we can lock in a final number for you.\n` +
           `\n` +
-          `You can upload them here: ${BASE_URL}/upload-photos/${quote.id}\n` +
+          `You can upload them here: ${customerLink(quote, 'upload_photos')}\n` +
           `\n` +
           `It only takes a minute — just snap a few pics of the area and upload them. We'll get your price sent through straight away.`;
       }
@@ -80,12 +84,11 @@ const PIPELINE_FOLLOW_UPS = {
       delayDays: 5,
       subject: 'Last chance for your fixed price from Revive',
       body: (quote) => {
-        const BASE_URL = process.env.BASE_URL || 'https://revive-backend-repo-production.up.railway.app';
         return `Hi ${quote.name},\n` +
           `\n` +
           `We sent through your estimated range of £${Number(quote.estimated_value_min).toFixed(0)} – £${Number(quote.estimated_value_max).toFixed(0)} for ${formatServices(quote.services)} and we'd love to get you a fixed price.\n` +
           `\n` +
-          `If you can upload a few photos, we'll get that final figure to you right away: ${BASE_URL}/upload-photos/${quote.id}\n` +
+          `If you can upload a few photos, we'll get that final figure to you right away: ${customerLink(quote, 'upload_photos')}\n` +
           `\n` +
           `This will be our last reminder — but if you'd like to come back to this later, the link will still work. All the best!`;
       }
@@ -96,12 +99,11 @@ const PIPELINE_FOLLOW_UPS = {
       delayDays: 3,
       subject: 'Have you seen your fixed price from Revive?',
       body: (quote) => {
-        const BASE_URL = process.env.BASE_URL || 'https://revive-backend-repo-production.up.railway.app';
         return `Hi ${quote.name},\n` +
           `\n` +
           `Just checking in — we sent your fixed price of £${Number(quote.final_price).toFixed(0)} for ${formatServices(quote.services)} a few days ago.\n` +
           `\n` +
-          `If you're happy with it, you can accept and book a slot that suits you here: ${BASE_URL}/final-price/${quote.id}\n` +
+          `If you're happy with it, you can accept and book a slot that suits you here: ${customerLink(quote, 'final_price')}\n` +
           `\n` +
           `Any questions at all? Just reply to this email and we'll be happy to chat it through.`;
       }
@@ -110,12 +112,11 @@ const PIPELINE_FOLLOW_UPS = {
       delayDays: 7,
       subject: 'One last check-in about your Revive quote',
       body: (quote) => {
-        const BASE_URL = process.env.BASE_URL || 'https://revive-backend-repo-production.up.railway.app';
         return `Hi ${quote.name},\n` +
           `\n` +
           `Your fixed price of £${Number(quote.final_price).toFixed(0)} for ${formatServices(quote.services)} is still waiting for you.\n` +
           `\n` +
-          `Accept and book here: ${BASE_URL}/final-price/${quote.id}\n` +
+          `Accept and book here: ${customerLink(quote, 'final_price')}\n` +
           `\n` +
           `This will be our last follow-up. If you'd like to revisit this in future, the link will still work whenever you're ready.\n` +
           `\n` +
@@ -128,12 +129,11 @@ const PIPELINE_FOLLOW_UPS = {
       delayDays: 2,
       subject: 'You haven\'t picked a slot yet — book now!',
       body: (quote) => {
-        const BASE_URL = process.env.BASE_URL || 'https://revive-backend-repo-production.up.railway.app';
         return `Hi ${quote.name},\n` +
           `\n` +
           `Great news — you've accepted your price of £${Number(quote.final_price).toFixed(0)} for ${formatServices(quote.services)}!\n` +
           `\n` +
-          `You just need to pick a date and time that works for you: ${BASE_URL}/book/${quote.id}\n` +
+          `You just need to pick a date and time that works for you: ${customerLink(quote, 'book')}\n` +
           `\n` +
           `It only takes a moment — choose a slot and you're done. We'll confirm everything straight away.`;
       }
@@ -142,12 +142,11 @@ const PIPELINE_FOLLOW_UPS = {
       delayDays: 5,
       subject: 'Last reminder — book your Revive appointment',
       body: (quote) => {
-        const BASE_URL = process.env.BASE_URL || 'https://revive-backend-repo-production.up.railway.app';
         return `Hi ${quote.name},\n` +
           `\n` +
           `Just a final reminder to book your ${formatServices(quote.services)} appointment at £${Number(quote.final_price).toFixed(0)}.\n` +
           `\n` +
-          `Choose your slot here: ${BASE_URL}/book/${quote.id}\n` +
+          `Choose your slot here: ${customerLink(quote, 'book')}\n` +
           `\n` +
           `This will be our last reminder, but the link will stay active whenever you're ready. All the best!`;
       }
@@ -323,8 +322,9 @@ async function processOneFollowUp(quote) {
 
 /**
  * Main follow-up run — called by cron every hour
+ * @param {Object} [lease] - job lock lease from withLock (stops early if lost)
  */
-async function processFollowUps() {
+async function processFollowUps(lease) {
   log.info('Running follow-up check');
 
   const quotes = await getQuotesDueForFollowUp();
@@ -337,8 +337,27 @@ async function processFollowUps() {
   log.info(`Found ${quotes.length} quote(s) due for follow-up`);
 
   for (const quote of quotes) {
+    if (lease && !lease.isHeld()) {
+      log.warn('Follow-up lock lost — stopping run early');
+      break;
+    }
+
     try {
-      await processOneFollowUp(quote);
+      await withLock(supabase, `follow_up:${quote.id}`, async () => {
+        // Re-read under the lock: another instance may have just sent this step
+        const { data: fresh } = await supabase
+          .from('quotes')
+          .select('*')
+          .eq('id', quote.id)
+          .single();
+
+        if (!fresh || (fresh.follow_up_step || 0) !== (quote.follow_up_step || 0)) {
+          log.info('Follow-up already handled elsewhere', { quoteId: quote.id });
+          return;
+        }
+
+        await processOneFollowUp(fresh);
+      }, { ttlSeconds: 120 });
     } catch (err) {
       log.error('Error processing quote', { quoteId: quote.id, error: err.message });
     }
@@ -352,9 +371,10 @@ async function processFollowUps() {
 function startScheduler() {
   // Run every hour at minute 0
   cron.schedule('0 * * * *', () => {
-    processFollowUps().catch(err => {
-      log.error('Unhandled error in follow-up run', { error: err.message });
-    });
+    withLock(supabase, 'scheduler:follow_ups', processFollowUps, { ttlSeconds: 10 * 60 })
+      .catch(err => {
+        log.error('Unhandled error in follow-up run', { error: err.message });
+      });
   });
 
   log.info('Scheduler started — running every hour');
@@ -0,0 +1,436 @@
+/**
+ * Customer Data Requests (GDPR)
+ *
+ * Subject access export and right-to-erasure for a single customer.
+ *
+ * Export gathers everything held about a person: the customer record,
+ * properties, quotes, jobs, invoices, chat transcripts, quote activity and
+ * uploaded photos. It's a single JSON file with the photos inlined as
+ * base64 rather than a ZIP — one download, and no archive dependency.
+ *
+ * Erasure anonymises personal fields but keeps the financial records HMRC
+ * requires — invoice numbers, dates, amounts, and the name/address printed on
+ * issued invoices. Each erasure is appended to customer_erasures, a hash chain
+ * where every record covers the previous record's hash, so editing or removing
+ * an earlier entry is detectable. The newest hash is also written to the app
+ * log as an outside anchor for the head of the chain.
+ */
+
+const crypto = require('crypto');
+const { withLock } = require('./locks');
+const { phoneLookupVariants } = require('./validation');
+const log = require('./logger').child('GDPR');
+
+const ERASED_NAME = 'Erased customer';
+const GENESIS_HASH = 'genesis';
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * JSON with object keys sorted at every level — jsonb doesn't preserve key
+ * order, so hashes must not depend on it
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+function rowsOrThrow({ data, error }, what) {
+  if (error) throw new Error(`Failed to load ${what}: ${error.message}`);
+  return data || [];
+}
+
+function mergeById(...lists) {
+  const byId = new Map();
+  for (const row of lists.flat()) byId.set(row.id, row);
+  return [...byId.values()];
+}
+
+const none = Promise.resolve({ data: [] });
+
+// ─── Finding a person's data ────────────────────────────────────────
+
+/**
+ * Everything linked to a customer, by customer_id and — for records that
+ * were never linked — by email address
+ */
+async function findRelatedRecords(supabase, customer) {
+  const email = customer.email ? escapeLike(customer.email.trim()) : null;
+
+  const [linkedQuotes, emailQuotes] = await Promise.all([
+    supabase.from('quotes').select('*').eq('customer_id', customer.id),
+    email ? supabase.from('quotes').select('*').ilike('email', email).is('customer_id', null) : none
+  ]);
+  const quotes = mergeById(rowsOrThrow(linkedQuotes, 'quotes'), rowsOrThrow(emailQuotes, 'quotes'));
+  const quoteIds = quotes.map(q => q.id);
+
+  const [linkedJobs, quoteJobs, recurring] = await Promise.all([
+    supabase.from('jobs').select('*').eq('customer_id', customer.id),
+    quoteIds.length ? supabase.from('jobs').select('*').in('quote_id', quoteIds) : none,
+    supabase.from('recurring_jobs').select('*').eq('customer_id', customer.id)
+  ]);
+  const jobs = mergeById(rowsOrThrow(linkedJobs, 'jobs'), rowsOrThrow(quoteJobs, 'jobs'));
+  const jobIds = jobs.map(j => j.id);
+
+  const [linkedInvoices, jobInvoices, quoteChats, emailChats, activity, properties] = await Promise.all([
+    supabase.from('invoices').select('*').eq('customer_id', customer.id),
+    jobIds.length ? supabase.from('invoices').select('*').in('job_id', jobIds) : none,
+    quoteIds.length ? supabase.from('chat_conversations').select('*').in('quote_id', quoteIds) : none,
+    email ? supabase.from('chat_conversations').select('*').ilike('customer_email', email) : none,
+    quoteIds.length
+      ? supabase.from('quote_activity').select('*').in('quote_id', quoteIds).order('created_at', { ascending: true })
+      : none,
+    supabase.from('properties').select('*').eq('customer_id', customer.id)
+  ]);
+
+  return {
+    properties: rowsOrThrow(properties, 'properties'),
+    quotes,
+    jobs,
+    recurringJobs: rowsOrThrow(recurring, 'recurring jobs'),
+    invoices: mergeById(rowsOrThrow(linkedInvoices, 'invoices'), rowsOrThrow(jobInvoices, 'invoices')),
+    chats: mergeById(rowsOrThrow(quoteChats, 'chats'), rowsOrThrow(emailChats, 'chats')),
+    activity: rowsOrThrow(activity, 'quote activity')
+  };
+}
+
+async function listQuoteFiles(supabase, quoteId) {
+  const { data, error } = await supabase.storage
+    .from('quote-attachments')
+    .list(quoteId, { limit: 100 });
+
+  if (error) throw new Error(`Failed to list attachments for ${quoteId}: ${error.message}`);
+  return (data || []).map(f => ({ path: `${quoteId}/${f.name}`, name: f.name, metadata: f.metadata }));
+}
+
+async function getCustomer(supabase, customerId) {
+  const { data } = await supabase
+    .from('customers')
+    .select('*')
+    .eq('id', customerId)
+    .single();
+  return data;
+}
+
+// ─── Subject access export ──────────────────────────────────────────
+
+/**
+ * Build the export bundle for a customer (photos inlined as base64)
+ * @returns {Promise<Object|null>} bundle, or null if the customer doesn't exist
+ */
+async function buildCustomerExport(supabase, customerId) {
+  const customer = await getCustomer(supabase, customerId);
+  if (!customer) return null;
+
+  const related = await findRelatedRecords(supabase, customer);
+
+  const attachments = [];
+  for (const quote of related.quotes) {
+    for (const file of await listQuoteFiles(supabase, quote.id)) {
+      const { data: blob, error } = await supabase.storage
+        .from('quote-attachments')
+        .download(file.path);
+
+      if (error || !blob) {
+        log.warn('Attachment download failed', { path: file.path, error: error?.message });
+        attachments.push({ quote_id: quote.id, name: file.name, error: 'Could not be downloaded' });
+        continue;
+      }
+
+      attachments.push({
+        quote_id: quote.id,
+        name: file.name,
+        content_type: file.metadata?.mimetype || blob.type || null,
+        size: file.metadata?.size || blob.size || null,
+        data_base64: Buffer.from(await blob.arrayBuffer()).toString('base64')
+      });
+    }
+  }
+
+  return {
+    export_generated_at: new Date().toISOString(),
+    customer_id: customer.id,
+    customer,
+    properties: related.properties,
+    quotes: related.quotes,
+    jobs: related.jobs,
+    recurring_jobs: related.recurringJobs,
+    // view_token is a bearer link to the invoice page, not personal data
+    invoices: related.invoices.map(({ view_token, ...invoice }) => invoice),
+    chat_conversations: related.chats,
+    quote_activity: related.activity,
+    attachments
+  };
+}
+
+// ─── Erasure ────────────────────────────────────────────────────────
+
+async function updateByIds(supabase, table, ids, values) {
+  if (ids.length === 0) return 0;
+  const { error } = await supabase.from(table).update(values).in('id', ids);
+  if (error) throw new Error(`Failed to anonymise ${table}: ${error.message}`);
+  return ids.length;
+}
+
+async function deleteByIds(supabase, table, column, ids) {
+  if (ids.length === 0) return 0;
+  const { data, error } = await supabase.from(table).delete().in(column, ids).select('id');
+  if (error) throw new Error(`Failed to delete from ${table}: ${error.message}`);
+  return (data || []).length;
+}
+
+// Quoted for a PostgREST in.() list (phone numbers have '+', WhatsApp ones ':')
+const inList = values => `(${values.map(v => `"${v}"`).join(',')})`;
+
+/**
+ * Clear the stored body of inbound webhooks about the customer: Twilio
+ * messages from or to their phone numbers, Resend events for their email
+ * addresses and Stripe events with their email. The rows stay (with status
+ * and event ID) so a provider retry is still recognised as a duplicate.
+ * @returns {Promise<number>} events scrubbed
+ */
+async function scrubWebhookEvents(supabase, { emails, phones }) {
+  const scrub = { payload: null, raw_body: null, headers: null };
+  const queries = [];
+
+  if (phones.length > 0) {
+    const numbers = inList(phones.flatMap(p => [p, `whatsapp:${p}`]));
+    queries.push(supabase.from('webhook_events').update(scrub)
+      .eq('provider', 'twilio')
+      .or(`payload->>From.in.${numbers},payload->>To.in.${numbers}`)
+      .select('id'));
+  }
+  for (const email of emails) {
+    queries.push(supabase.from('webhook_events').update(scrub)
+      .eq('provider', 'resend')
+      .contains('payload', { data: { to: [email] } })
+      .select('id'));
+  }
+  if (emails.length > 0) {
+    queries.push(supabase.from('webhook_events').update(scrub)
+      .eq('provider', 'stripe')
+      .in('payload->data->object->>customer_email', emails)
+      .select('id'));
+  }
+
+  let scrubbed = 0;
+  for (const { data, error } of await Promise.all(queries)) {
+    if (error) throw new Error(`Failed to scrub webhook events: ${error.message}`);
+    scrubbed += (data || []).length;
+  }
+  return scrubbed;
+}
+
+function erasureHash(row) {
+  return sha256(canonicalJson({
+    customer_id: row.customer_id,
+    subject_hash: row.subject_hash,
+    erased_by_id: row.erased_by_id,
+    erased_by_name: row.erased_by_name,
+    reason: row.reason,
+    summary: row.summary,
+    created_at: new Date(row.created_at).toISOString(),
+    prev_hash: row.prev_hash
+  }));
+}
+
+async function appendErasureRecord(supabase, entry) {
+  const { data: last, error: lastErr } = await supabase
+    .from('customer_erasures')
+    .select('record_hash')
+    .order('seq', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (lastErr) throw new Error(`Failed to read erasure log: ${lastErr.message}`);
+
+  const row = { ...entry, prev_hash: last?.record_hash || GENESIS_HASH };
+  row.record_hash = erasureHash(row);
+
+  const { data, error } = await supabase
+    .from('customer_erasures')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to write erasure record: ${error.message}`);
+  return data;
+}
+
+/**
+ * Anonymise a customer and everything linked to them.
+ *
+ * Kept: invoices (amounts, line items, and the name/address on the invoice),
+ * job dates/values/status, income and finance records.
+ * Cleared: contact details, free text, notes, chat transcripts, quote
+ * activity, uploaded photos, stored webhook bodies that name the customer,
+ * and before/after values in the admin audit log.
+ *
+ * @param {Object} options - { actor: req.adminUser, reason }
+ * @returns {Promise<{ erasure?: Object, notFound?: boolean, alreadyErased?: boolean }>}
+ */
+async function eraseCustomerData(supabase, customerId, { actor, reason }) {
+  // One erasure at a time keeps the hash chain linear
+  const { acquired, result } = await withLock(supabase, 'gdpr:erasure_log', async () => {
+    const customer = await getCustomer(supabase, customerId);
+    if (!customer) return { notFound: true };
+    if (customer.erased_at) return { alreadyErased: true };
+
+    const related = await findRelatedRecords(supabase, customer);
+    const quoteIds = related.quotes.map(q => q.id);
+    const jobIds = related.jobs.map(j => j.id);
+    const propertyIds = related.properties.map(p => p.id);
+
+    const files = [];
+    for (const quoteId of quoteIds) files.push(...await listQuoteFiles(supabase, quoteId));
+
+    // Every address and number they contacted us from, before they're cleared
+    const contacts = [
+      customer,
+      ...related.quotes,
+      ...[...related.jobs, ...related.recurringJobs].map(j => ({ email: j.customer_email, phone: j.customer_phone })),
+      ...related.chats.map(c => ({ email: c.customer_email }))
+    ];
+    const emails = [...new Set(contacts.map(c => c.email?.trim()).filter(Boolean)
+      .flatMap(email => [email, email.toLowerCase()]))];
+    const phones = [...new Set(contacts.map(c => c.phone).filter(Boolean).flatMap(phoneLookupVariants))];
+
+    const summary = {
+      quotes_anonymised: await updateByIds(supabase, 'quotes', quoteIds, {
+        name: ERASED_NAME,
+        email: '',
+        phone: '',
+        address_line1: '',
+        postcode: '',
+        answers: null,
+        admin_notes: null,
+        next_follow_up_at: null
+      }),
+      jobs_anonymised: await updateByIds(supabase, 'jobs', jobIds, {
+        customer_name: ERASED_NAME,
+        customer_phone: null,
+        customer_email: null,
+        address: '',
+        postcode: '',
+        notes: null
+      }),
+      recurring_jobs_stopped: await updateByIds(supabase, 'recurring_jobs', related.recurringJobs.map(r => r.id), {
+        customer_name: ERASED_NAME,
+        customer_phone: null,
+        customer_email: null,
+        address: '',
+        postcode: '',
+        notes: null,
+        is_active: false
+      }),
+      // HMRC: keep the invoice itself; drop contact details and retire the public link
+      invoices_retained: await updateByIds(supabase, 'invoices', related.invoices.map(i => i.id), {
+        customer_email: null,
+        customer_phone: null,
+        view_token: crypto.randomUUID()
+      }),
+      properties_anonymised: await updateByIds(supabase, 'properties', propertyIds, {
+        label: null,
+        address_line1: '',
+        postcode: '',
+        address_key: null,
+        notes: null
+      }),
+      chats_deleted: await deleteByIds(supabase, 'chat_conversations', 'id', related.chats.map(c => c.id)),
+      activity_deleted: await deleteByIds(supabase, 'quote_activity', 'quote_id', quoteIds),
+      webhook_events_scrubbed: await scrubWebhookEvents(supabase, { emails, phones }),
+      files_deleted: 0
+    };
+
+    if (files.length > 0) {
+      const { error } = await supabase.storage
+        .from('quote-attachments')
+        .remove(files.map(f => f.path));
+      if (error) throw new Error(`Failed to delete attachments: ${error.message}`);
+      summary.files_deleted = files.length;
+    }
+
+    const audited = [
+      ['customer', [customerId]],
+      ['property', propertyIds],
+      ['quote', quoteIds],
+      ['job', jobIds],
+      ['invoice', related.invoices.map(i => i.id)]
+    ];
+    for (const [entityType, ids] of audited) {
+      if (ids.length === 0) continue;
+      const { error } = await supabase
+        .from('admin_audit_log')
+        .update({ changed_fields: null, old_values: null, new_values: null })
+        .eq('entity_type', entityType)
+        .in('entity_id', ids);
+      if (error) throw new Error(`Failed to redact audit log: ${error.message}`);
+    }
+
+    const erasedAt = new Date().toISOString();
+    const { error: custErr } = await supabase
+      .from('customers')
+      .update({
+        name: ERASED_NAME,
+        email: null,
+        phone: null,
+        address: null,
+        postcode: null,
+        tags: [],
+        admin_notes: null,
+        erased_at: erasedAt
+      })
+      .eq('id', customerId);
+
+    if (custErr) throw new Error(`Failed to anonymise customer: ${custErr.message}`);
+
+    const erasure = await appendErasureRecord(supabase, {
+      customer_id: customerId,
+      subject_hash: customer.email ? sha256(customer.email.trim().toLowerCase()) : null,
+      erased_by_id: actor?.id || null,
+      erased_by_name: actor?.name || actor?.email || null,
+      reason,
+      summary,
+      created_at: erasedAt
+    });
+
+    log.info('Customer erased', { customerId, seq: erasure.seq, recordHash: erasure.record_hash, summary });
+    return { erasure };
+  }, { ttlSeconds: 10 * 60 });
+
+  if (!acquired) throw new Error('Another erasure is in progress — try again shortly');
+  return result;
+}
+
+/**
+ * Check the erasure log hash chain
+ * @param {Array} rows - customer_erasures rows in seq order
+ * @returns {{ valid: boolean, count: number, brokenAtSeq?: number }}
+ */
+function verifyErasureChain(rows) {
+  let expectedPrev = GENESIS_HASH;
+  for (const row of rows) {
+    if (row.prev_hash !== expectedPrev || erasureHash(row) !== row.record_hash) {
+      return { valid: false, count: rows.length, brokenAtSeq: row.seq };
+    }
+    expectedPrev = row.record_hash;
+  }
+  return { valid: true, count: rows.length };
+}
+
+module.exports = {
+  buildCustomerExport,
+  eraseCustomerData,
+  verifyErasureChain
+};
@@ -0,0 +1,210 @@
+/**
+ * Customer Link Tokens
+ *
+ * Signed, expiring, per-purpose access tokens for the public customer pages
+ * (accept estimate, upload photos, final price, booking). Without a valid
+ * token, knowing a quote UUID is no longer enough to act on a quote.
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+ * Payload: { q: quoteId, p: purpose, exp: unix seconds, jti?: single-use id }
+ *
+ * Single-use tokens may be viewed any number of times but can only perform
+ * their action (accept, book) once — uses are recorded in link_token_uses.
+ *
+ * If LINK_TOKEN_SECRET is not set, links are built without tokens and
+ * verification is skipped (legacy behaviour, logged as a warning).
+ */
+
+const crypto = require('crypto');
+const log = require('./logger').child('LinkTokens');
+
+const BASE_URL = process.env.BASE_URL || 'https://revive-backend-repo-production.up.railway.app';
+
+// Purpose → page path, lifetime and whether the action can only be done once
+const LINK_PURPOSES = {
+  accept_estimate: { path: '/accept-estimate', ttlDays: 14, singleUse: true },
+  upload_photos: { path: '/upload-photos', ttlDays: 14, singleUse: false },
+  final_price: { path: '/final-price', ttlDays: 7, singleUse: true },
+  book: { path: '/book', ttlDays: 7, singleUse: true }
+};
+
+let warnedDisabled = false;
+
+function getSecret() {
+  return process.env.LINK_TOKEN_SECRET || null;
+}
+
+function isEnabled() {
+  if (getSecret()) return true;
+  if (!warnedDisabled) {
+    log.warn('LINK_TOKEN_SECRET not set — customer links are not signed');
+    warnedDisabled = true;
+  }
+  return false;
+}
+
+function base64url(buf) {
+  return Buffer.from(buf).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function sign(encodedPayload) {
+  return base64url(crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest());
+}
+
+/**
+ * Create a signed token for a quote + purpose
+ *
+ * @param {string} quoteId
+ * @param {string} purpose - key of LINK_PURPOSES
+ * @param {Object} [options] - { ttlDays, singleUse } overrides
+ * @returns {string|null} token, or null if signing is disabled
+ */
+function createLinkToken(quoteId, purpose, options = {}) {
+  const config = LINK_PURPOSES[purpose];
+  if (!config) throw new Error(`Unknown link purpose: ${purpose}`);
+  if (!isEnabled()) return null;
+
+  const ttlDays = options.ttlDays || config.ttlDays;
+  const singleUse = options.singleUse !== undefined ? options.singleUse : config.singleUse;
+
+  const payload = {
+    q: quoteId,
+    p: purpose,
+    exp: Math.floor(Date.now() / 1000) + Math.round(ttlDays * 24 * 60 * 60)
+  };
+  if (singleUse) payload.jti = crypto.randomBytes(12).toString('hex');
+
+  const encoded = base64url(JSON.stringify(payload));
+  return `${encoded}.${sign(encoded)}`;
+}
+
+/**
+ * Verify a token against the quote in the URL and the allowed purpose(s)
+ *
+ * @returns {{ valid: boolean, reason?: string, payload?: Object }}
+ *   reason: 'missing' | 'invalid' | 'expired'
+ */
+function verifyLinkToken(token, quoteId, purposes) {
+  if (!token) return { valid: false, reason: 'missing' };
+
+  const allowed = Array.isArray(purposes) ? purposes : [purposes];
+  const [encoded, signature] = String(token).split('.');
+  if (!encoded || !signature) return { valid: false, reason: 'invalid' };
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+  } catch (e) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  if (payload.q !== quoteId || !allowed.includes(payload.p)) {
+    return { valid: false, reason: 'invalid' };
+  }
+
+  if (!payload.exp || payload.exp * 1000 < Date.now()) {
+    return { valid: false, reason: 'expired', payload };
+  }
+
+  return { valid: true, payload };
+}
+
+// ─── Single-use tracking ────────────────────────────────────────────
+
+/**
+ * Record that a single-use token is performing its action — before the
+ * action runs, so two submits of the same link can't both act. The insert
+ * is the atomic check: only one request can record a given jti.
+ * @returns {Promise<boolean>} false if it had already been used
+ */
+async function consumeLinkToken(supabase, payload) {
+  if (!payload?.jti) return true;
+
+  const { error } = await supabase
+    .from('link_token_uses')
+    .insert({ jti: payload.jti, quote_id: payload.q, purpose: payload.p });
+
+  if (error) {
+    if (error.code === '23505') return false;
+    throw new Error(`Failed to record token use: ${error.message}`);
+  }
+  return true;
+}
+
+/**
+ * Give a consumed token back when its action didn't go through, so the
+ * customer can try again with the same link
+ */
+async function releaseLinkToken(supabase, payload) {
+  if (!payload?.jti) return;
+
+  const { error } = await supabase
+    .from('link_token_uses')
+    .delete()
+    .eq('jti', payload.jti);
+
+  if (error) log.error('Failed to release token use', { quoteId: payload.q, error: error.message });
+}
+
+// ─── Link builders ──────────────────────────────────────────────────
+
+/**
+ * Query string for a token ('' when signing is disabled)
+ */
+function tokenQuery(token) {
+  return token ? `?t=${encodeURIComponent(token)}` : '';
+}
+
+/**
+ * Relative path with a fresh token, e.g. /book/<id>?t=...
+ */
+function buildCustomerPath(quoteId, purpose, options) {
+  const token = createLinkToken(quoteId, purpose, options);
+  return `${LINK_PURPOSES[purpose].path}/${quoteId}${tokenQuery(token)}`;
+}
+
+function buildCustomerLink(quoteId, purpose, options) {
+  return `${BASE_URL}${buildCustomerPath(quoteId, purpose, options)}`;
+}
+
+/**
+ * Attach signed links to a quote object before it's handed to the email and
+ * WhatsApp senders, so both channels share the same token.
+ */
+function attachLinks(quote, purposes) {
+  quote._links = { ...(quote._links || {}) };
+  for (const purpose of purposes) {
+    quote._links[purpose] = buildCustomerLink(quote.id, purpose);
+  }
+  return quote;
+}
+
+/**
+ * Link for a message template — uses an attached link if present,
+ * otherwise signs a fresh one.
+ */
+function customerLink(quote, purpose) {
+  return quote._links?.[purpose] || buildCustomerLink(quote.id, purpose);
+}
+
+module.exports = {
+  BASE_URL,
+  LINK_PURPOSES,
+  isEnabled,
+  createLinkToken,
+  verifyLinkToken,
+  consumeLinkToken,
+  releaseLinkToken,
+  tokenQuery,
+  buildCustomerPath,
+  buildCustomerLink,
+  attachLinks,
+  customerLink
+};
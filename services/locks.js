@@ -0,0 +1,126 @@
+/**
+ * Job Locks
+ *
+ * DB-backed leases (job_locks table, migration 019) so that when several
+ * server instances are running — Railway replicas or an overlapping deploy —
+ * exactly one of them runs each scheduled task or per-quote job.
+ *
+ * A holder renews its lease with a heartbeat while it works. If an instance
+ * dies mid-task its lease stops being renewed, expires, and the next
+ * instance to try takes it over.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const log = require('./logger').child('Locks');
+
+// Identifies this process in job_locks.owner (handy when debugging who holds what)
+const INSTANCE_ID = process.env.RAILWAY_REPLICA_ID ||
+  `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const DEFAULT_TTL_SECONDS = 5 * 60;
+
+/**
+ * Try to take a lease. Each acquisition gets its own owner token, so two
+ * callers in the same process can't both hold the same lock.
+ *
+ * @returns {Promise<string|null>} owner token, or null if someone else holds it
+ */
+async function acquireLock(supabase, name, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  const owner = `${INSTANCE_ID}:${crypto.randomBytes(4).toString('hex')}`;
+
+  const { data, error } = await supabase.rpc('acquire_job_lock', {
+    p_name: name,
+    p_owner: owner,
+    p_ttl_seconds: ttlSeconds
+  });
+
+  if (error) throw new Error(`Lock acquire failed (${name}): ${error.message}`);
+  return data ? owner : null;
+}
+
+/**
+ * Extend a lease we hold. Returns false if it was lost (expired and taken over).
+ */
+async function renewLock(supabase, name, owner, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  const now = Date.now();
+  const { data, error } = await supabase
+    .from('job_locks')
+    .update({
+      heartbeat_at: new Date(now).toISOString(),
+      expires_at: new Date(now + ttlSeconds * 1000).toISOString()
+    })
+    .eq('name', name)
+    .eq('owner', owner)
+    .select('name');
+
+  if (error) {
+    log.warn('Lock heartbeat failed', { name, error: error.message });
+    return true; // Transient — the lease is still ours until it expires
+  }
+  return (data || []).length > 0;
+}
+
+async function releaseLock(supabase, name, owner) {
+  const { error } = await supabase
+    .from('job_locks')
+    .delete()
+    .eq('name', name)
+    .eq('owner', owner);
+
+  if (error) log.warn('Lock release failed', { name, error: error.message });
+}
+
+/**
+ * Run fn while holding the named lease, with a heartbeat every ttl/3.
+ * If another instance holds the lock, fn is not run.
+ *
+ * fn receives a lease object; long loops should check lease.isHeld() and stop
+ * if the lease was lost.
+ *
+ * @param {Object} supabase
+ * @param {string} name - e.g. 'scheduler:follow_ups', 'estimation:<quoteId>'
+ * @param {Function} fn - async (lease) => result
+ * @param {Object} [options] - { ttlSeconds }
+ * @returns {Promise<{ acquired: boolean, result?: any }>}
+ */
+async function withLock(supabase, name, fn, options = {}) {
+  const ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+
+  const owner = await acquireLock(supabase, name, ttlSeconds);
+  if (!owner) {
+    log.info('Lock held elsewhere — skipping', { name });
+    return { acquired: false };
+  }
+
+  let held = true;
+  const heartbeat = setInterval(async () => {
+    try {
+      if (held && !(await renewLock(supabase, name, owner, ttlSeconds))) {
+        held = false;
+        log.warn('Lock lost to another instance', { name });
+      }
+    } catch (err) {
+      log.warn('Lock heartbeat error', { name, error: err.message });
+    }
+  }, Math.max(1000, Math.floor(ttlSeconds * 1000 / 3)));
+  heartbeat.unref();
+
+  const lease = { name, owner, isHeld: () => held };
+
+  try {
+    const result = await fn(lease);
+    return { acquired: true, result };
+  } finally {
+    clearInterval(heartbeat);
+    if (held) await releaseLock(supabase, name, owner);
+  }
+}
+
+module.exports = {
+  INSTANCE_ID,
+  acquireLock,
+  renewLock,
+  releaseLock,
+  withLock
+};
@@ -0,0 +1,137 @@
+/**
+ * Measured Pricing
+ *
+ * Prices a service from a measurement instead of the small/medium/large
+ * bands — m² of driveway or render, number of windows or solar panels,
+ * metres of gutter. Formulas live in MEASURED_PRICING (pricing config):
+ *
+ *   { enabled, unit, rate: [min, max], minimum: [min, max], tiers: [{ from, rate: [min, max] }] }
+ *
+ * Tiers are graduated: units up to the first breakpoint are charged at
+ * `rate`, units from each breakpoint on at that tier's rate. The minimum
+ * charge applies to the total. A service without a formula, or a quote
+ * without its measurement, falls back to the size bands.
+ */
+
+const MEASUREMENT_UNITS = {
+  m2: 'm²',
+  metres: 'm',
+  windows: 'windows',
+  panels: 'panels'
+};
+
+// For rates: '£4 per m²', '£6 per window'
+const PER_UNIT = {
+  m2: 'm²',
+  metres: 'metre',
+  windows: 'window',
+  panels: 'panel'
+};
+
+const MAX_QUANTITY = 100000;
+
+/**
+ * [min, max] price for a quantity under a formula
+ */
+function priceMeasurement(quantity, formula) {
+  const bands = [{ from: 0, rate: formula.rate }, ...(formula.tiers || [])];
+  const total = [0, 0];
+
+  bands.forEach((band, i) => {
+    const end = i + 1 < bands.length ? bands[i + 1].from : Infinity;
+    const units = Math.max(0, Math.min(quantity, end) - band.from);
+    total[0] += units * band.rate[0];
+    total[1] += units * band.rate[1];
+  });
+
+  const minimum = formula.minimum || [0, 0];
+  return [Math.max(total[0], minimum[0]), Math.max(total[1], minimum[1])];
+}
+
+/**
+ * Price a service from its measurement, if it has a formula and one was given
+ * @param {string} service - Service slug
+ * @param {*} quantity - The measurement (answers.measurements[service])
+ * @param {Object} measuredPricing - MEASURED_PRICING from the pricing config
+ * @returns {Object|null} { min, max, quantity, unit }
+ */
+function measuredServicePrice(service, quantity, measuredPricing) {
+  const formula = measuredPricing?.[service];
+  const value = Number(quantity);
+  if (!formula?.enabled || !Number.isFinite(value) || value <= 0) return null;
+
+  const [min, max] = priceMeasurement(value, formula);
+  return { min, max, quantity: value, unit: formula.unit };
+}
+
+/**
+ * e.g. '45 m²', '12 windows'
+ */
+function describeMeasurement(quantity, unit) {
+  return `${quantity} ${MEASUREMENT_UNITS[unit] || unit}`;
+}
+
+/**
+ * e.g. '£4-£6.5 per m² (minimum £100)'
+ */
+function describeRate(formula) {
+  const minimum = formula.minimum?.[0] ? ` (minimum £${formula.minimum[0]})` : '';
+  return `£${formula.rate[0]}-£${formula.rate[1]} per ${PER_UNIT[formula.unit] || formula.unit}${minimum}`;
+}
+
+function checkRange(range, label) {
+  if (!Array.isArray(range) || range.length !== 2 || range.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+    return `${label} must be a [min, max] pair of numbers`;
+  }
+  if (range[0] < 0 || range[1] < 0) return `${label} cannot be negative`;
+  if (range[0] > range[1]) return `${label}: min cannot exceed max`;
+  return null;
+}
+
+/**
+ * Validate the MEASURED_PRICING section from the admin API
+ * @param {Object} measured - { [service]: formula }
+ * @param {string[]} serviceSlugs - Services in the pricing config
+ * @returns {string|null} error message, or null if valid
+ */
+function validateMeasuredPricing(measured, serviceSlugs) {
+  if (!measured || typeof measured !== 'object' || Array.isArray(measured)) {
+    return 'Measured pricing must be an object keyed by service';
+  }
+
+  for (const [service, formula] of Object.entries(measured)) {
+    if (!serviceSlugs.includes(service)) return `Unknown service in measured pricing: ${service}`;
+    if (!formula || typeof formula !== 'object') return `Measured pricing for ${service} must be an object`;
+    if (!MEASUREMENT_UNITS[formula.unit]) {
+      return `Unit for ${service} must be one of: ${Object.keys(MEASUREMENT_UNITS).join(', ')}`;
+    }
+
+    const rateError = checkRange(formula.rate, `${service} rate`)
+      || (formula.minimum !== undefined ? checkRange(formula.minimum, `${service} minimum`) : null);
+    if (rateError) return rateError;
+
+    const tiers = formula.tiers || [];
+    if (!Array.isArray(tiers)) return `Tiers for ${service} must be a list`;
+    let previous = 0;
+    for (const tier of tiers) {
+      if (!Number.isFinite(tier.from) || tier.from <= previous) {
+        return `Tier breakpoints for ${service} must be positive and in increasing order`;
+      }
+      const tierError = checkRange(tier.rate, `${service} rate from ${tier.from}`);
+      if (tierError) return tierError;
+      previous = tier.from;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  MEASUREMENT_UNITS,
+  MAX_QUANTITY,
+  priceMeasurement,
+  measuredServicePrice,
+  describeMeasurement,
+  describeRate,
+  validateMeasuredPricing
+};
@@ -7,6 +7,11 @@
  */
 
 const { analysePhotosAndPrice } = require('./visionPricer');
+const { attachLinks, LINK_PURPOSES } = require('./linkTokens');
+const { getQuotePricingConfig } = require('./pricingExperiments');
+const { slotDiscount, applySlotDiscount, describeSlotDiscount } = require('./calendarPricing');
+const { fullRatePrice, extrasTotal, quotedServices } = require('./bundles');
+const { reviseQuote } = require('./quoteRevisions');
 const log = require('./logger').child('Pipeline');
 
 /**
@@ -21,6 +26,8 @@ async function getPipelineConfig(supabase) {
     max_booking_slots_initial: 5,
     booking_lookahead_weeks: 6,
     max_jobs_per_day: 4,
+    max_jobs_per_slot: 1,
+    duplicate_window_days: 14,
     honesty_clause: 'This price is based on the information provided and access to the site. If conditions differ from what was described, any adjustments will be discussed before work begins.'
   };
 
@@ -146,6 +153,7 @@ async function advanceAfterPhotos(supabase, quoteId) {
     // Store AI results
     const updateData = {
       final_price: result.finalPrice,
+      final_price_discounts: result.discounts?.length ? result.discounts : null,
       final_price_confidence: result.confidence,
       final_price_reasoning: result.reasoning,
       final_price_ai_version: result.aiVersion,
@@ -153,13 +161,16 @@ async function advanceAfterPhotos(supabase, quoteId) {
       final_price_set_by: 'ai'
     };
 
-    // Check confidence threshold
-    const forceAdminReview = result.confidence < config.confidence_threshold;
+    // Check confidence threshold and price limits
+    const lowConfidence = result.confidence < config.confidence_threshold;
+    const forceAdminReview = lowConfidence || result.needsApproval === true;
 
-    if (forceAdminReview) {
+    if (lowConfidence) {
       log.info('Low confidence, forcing admin review', {
         quoteId, confidence: result.confidence, threshold: config.confidence_threshold
       });
+    } else if (forceAdminReview) {
+      log.info('Price limit hit, forcing admin review', { quoteId, flags: result.flags });
     }
 
     // Apply pricing mode
@@ -232,29 +243,38 @@ async function advanceAfterPhotos(supabase, quoteId) {
 }
 
 /**
- * Advance pipeline after admin approves/adjusts the AI price
+ * Advance pipeline after admin approves/adjusts the AI price.
+ * An adjusted price is stored as a price revision like any other admin change.
  */
-async function advanceAfterAdminApproval(supabase, quoteId, approvedPrice, adminNotes) {
+async function advanceAfterAdminApproval(supabase, quoteId, approvedPrice, adminNotes, actor) {
   try {
     log.info('Advancing after admin approval', { quoteId, price: approvedPrice });
 
+    const quote = await getQuote(supabase, quoteId);
+    if (!quote) return { success: false, error: 'Quote not found' };
+
     const now = new Date().toISOString();
 
-    await supabase
-      .from('quotes')
-      .update({
-        final_price: approvedPrice,
-        final_price_admin_approved: true,
-        final_price_admin_approved_at: now,
-        final_price_set_by: 'ai+admin_approved',
-        final_price_sent_at: now,
-        pipeline_stage: 'final_price_sent',
-        admin_notes: adminNotes || undefined,
-        // Schedule follow-up
-        next_follow_up_at: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
-        follow_up_step: 0
-      })
-      .eq('id', quoteId);
+    const { quote: updated, conflict } = await reviseQuote(supabase, quote, {
+      final_price: approvedPrice,
+      final_price_admin_approved: true,
+      final_price_admin_approved_at: now,
+      final_price_set_by: 'ai+admin_approved',
+      final_price_sent_at: now,
+      pipeline_stage: 'final_price_sent',
+      admin_notes: adminNotes || undefined,
+      // Schedule follow-up
+      next_follow_up_at: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
+      follow_up_step: 0
+    }, {
+      reason: adminNotes || `Admin adjusted the suggested price of £${quote.final_price}`,
+      actor
+    });
+
+    if (conflict) {
+      return { success: false, conflict: true, error: 'The price was changed by someone else — reload and try again' };
+    }
+    if (!updated) return { success: false, error: 'Quote not found' };
 
     // Log activity
     await supabase.from('quote_activity').insert({
@@ -270,7 +290,7 @@ async function advanceAfterAdminApproval(supabase, quoteId, approvedPrice, admin
     }
 
     log.info('Admin approval processed', { quoteId, price: approvedPrice });
-    return { success: true };
+    return { success: true, before: quote };
 
   } catch (error) {
     log.error('advanceAfterAdminApproval failed', { quoteId, error: error.message });
@@ -331,13 +351,21 @@ async function advanceAfterBooking(supabase, quoteId, date, timeSlot) {
     const quote = await getQuote(supabase, quoteId);
     if (!quote) throw new Error('Quote not found');
 
+    // Off-peak / fill-the-gap discount for the chosen day, with the quote's own pricing
+    const pricing = quote.final_price ? await getQuotePricingConfig(quote) : null;
+    const deal = pricing ? await bookingDiscount(supabase, quoteId, date, pricing.CALENDAR_PRICING) : null;
+    const priced = deal ? applySlotDiscount(quote.final_price, deal, pricing.PRICE_LIMITS) : null;
+    const dealLabel = priced?.amount > 0 ? describeSlotDiscount(deal) : null;
+
     // Create job
     const servicesList = (quote.services || []).join(' | ');
+    const extras = Array.isArray(quote.final_price_extras) ? quote.final_price_extras : [];
     const { data: job, error: jobErr } = await supabase
       .from('jobs')
       .insert({
         quote_id: quoteId,
         customer_id: quote.customer_id || null,
+        property_id: quote.property_id || null,
         customer_name: quote.name,
         customer_phone: quote.phone,
         customer_email: quote.email,
@@ -346,10 +374,13 @@ async function advanceAfterBooking(supabase, quoteId, date, timeSlot) {
         service: servicesList,
         scheduled_date: date,
         time_slot: timeSlot,
-        job_value: quote.final_price,
+        job_value: dealLabel ? priced.price : quote.final_price,
+        line_items: extras.length > 0 ? jobLineItems(quote, extras) : null,
         status: 'pending',
         assigned_to: null,
-        notes: `Auto-booked via pipeline. Customer selected ${timeSlot} slot.`
+        notes: `Auto-booked via pipeline. Customer selected ${timeSlot} slot.` +
+          (extras.length > 0 ? ` Extras: ${extras.map(e => e.label).join(', ')}.` : '') +
+          (dealLabel ? ` ${dealLabel}: -£${priced.amount}.` : '')
       })
       .select()
       .single();
@@ -370,7 +401,11 @@ async function advanceAfterBooking(supabase, quoteId, date, timeSlot) {
         booked_date: date,
         booked_time_slot: timeSlot,
         booked_job_id: job.id,
-        next_follow_up_at: null  // Stop follow-ups
+        next_follow_up_at: null,  // Stop follow-ups
+        // The day's discount goes on the invoice with any from the fixed price
+        ...(dealLabel && {
+          final_price_discounts: [...(quote.final_price_discounts || []), { label: dealLabel, amount: priced.amount, slot: true }]
+        })
       })
       .eq('id', quoteId);
 
@@ -378,7 +413,8 @@ async function advanceAfterBooking(supabase, quoteId, date, timeSlot) {
     await supabase.from('quote_activity').insert({
       quote_id: quoteId,
       action_type: 'booked',
-      description: `Customer booked ${date} (${timeSlot}). Job ID: ${job.id}`
+      description: `Customer booked ${date} (${timeSlot}). Job ID: ${job.id}` +
+        (dealLabel ? ` — ${dealLabel}, £${priced.price}` : '')
     }).catch(() => {});
 
     // Send booking confirmation messages
@@ -390,6 +426,8 @@ async function advanceAfterBooking(supabase, quoteId, date, timeSlot) {
     // Notify admin to assign team member
     await notifyAdminNewBooking(supabase, quoteId, job);
 
+    await confirmBookingReservation(supabase, quoteId, job.id);
+
     log.info('Booking created successfully', { quoteId, jobId: job.id, date, timeSlot });
 
     return { success: true, jobId: job.id };
@@ -400,6 +438,141 @@ async function advanceAfterBooking(supabase, quoteId, date, timeSlot) {
   }
 }
 
+/**
+ * A job's line items when the customer added extras: the quoted services at
+ * the full-rate price less the extras, then each extra
+ */
+function jobLineItems(quote, extras) {
+  const base = Math.round((fullRatePrice(quote) - extrasTotal(extras)) * 100) / 100;
+  const quoted = quotedServices(quote).join(' | ');
+  return [
+    { description: quoted || 'Cleaning Service', quantity: 1, unit_price: base, total: base },
+    ...extras.map(e => ({ description: e.label, quantity: 1, unit_price: Number(e.amount), total: Number(e.amount) }))
+  ];
+}
+
+// ─── Booking Reservations ───────────────────────────────────────────
+
+/**
+ * Calendar discount for booking a day (calendarPricing.slotDiscount), counting
+ * the jobs and other customers' held slots already on it
+ * @param {Object} calendarPricing - CALENDAR_PRICING from the quote's pricing config
+ * @returns {Promise<Object|null>} { rate, reason }
+ */
+async function bookingDiscount(supabase, quoteId, date, calendarPricing) {
+  try {
+    const [{ count: jobs }, { count: held }] = await Promise.all([
+      supabase
+        .from('jobs')
+        .select('id', { count: 'exact', head: true })
+        .eq('scheduled_date', date)
+        .not('status', 'eq', 'cancelled')
+        .is('deleted_at', null),
+      supabase
+        .from('booking_reservations')
+        .select('id', { count: 'exact', head: true })
+        .eq('scheduled_date', date)
+        .eq('status', 'held')
+        .neq('quote_id', quoteId)
+        .gt('expires_at', new Date().toISOString())
+    ]);
+    return slotDiscount(date, (jobs || 0) + (held || 0), calendarPricing);
+  } catch (error) {
+    log.error('Booking discount check failed', { quoteId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Hold a slot for a quote before creating its job (reserve_booking_slot in
+ * migration 017). Guarantees one booking per quote and respects the
+ * per-slot and per-day capacity even when requests race.
+ *
+ * @returns {Promise<string>} reserved | already_booked | in_progress | day_full | slot_full
+ */
+async function reserveBookingSlot(supabase, quoteId, date, timeSlot) {
+  const config = await getPipelineConfig(supabase);
+
+  const { data, error } = await supabase.rpc('reserve_booking_slot', {
+    p_quote_id: quoteId,
+    p_date: date,
+    p_time_slot: timeSlot,
+    p_slot_capacity: config.max_jobs_per_slot || 1,
+    p_day_capacity: config.max_jobs_per_day || 4
+  });
+
+  if (error) throw new Error('Slot reservation failed: ' + error.message);
+  return data;
+}
+
+async function confirmBookingReservation(supabase, quoteId, jobId) {
+  const { error } = await supabase
+    .from('booking_reservations')
+    .update({ status: 'confirmed', job_id: jobId })
+    .eq('quote_id', quoteId);
+
+  if (error) log.error('Failed to confirm booking reservation', { quoteId, error: error.message });
+}
+
+/**
+ * Free a quote's booking when its job is deleted or cancelled, so the
+ * customer can book again: drops the confirmed reservation, clears the
+ * booking from the quote and takes off the booked day's discount (the new
+ * day gets its own).
+ * @param {Object} job - the deleted/cancelled job (needs id, quote_id)
+ */
+async function releaseBookedJob(supabase, job) {
+  if (!job?.quote_id) return;
+
+  try {
+    const { error: reservationErr } = await supabase
+      .from('booking_reservations')
+      .delete()
+      .eq('quote_id', job.quote_id)
+      .eq('status', 'confirmed')
+      .or(`job_id.eq.${job.id},job_id.is.null`);
+    if (reservationErr) throw reservationErr;
+
+    const { data: quote } = await supabase
+      .from('quotes')
+      .select('id, booked_job_id, final_price_discounts')
+      .eq('id', job.quote_id)
+      .single();
+    if (!quote || quote.booked_job_id !== job.id) return;
+
+    const discounts = (quote.final_price_discounts || []).filter(d => !d.slot);
+    const { error } = await supabase
+      .from('quotes')
+      .update({
+        pipeline_stage: 'final_price_accepted',
+        booked_at: null,
+        booked_date: null,
+        booked_time_slot: null,
+        booked_job_id: null,
+        final_price_discounts: discounts.length > 0 ? discounts : null
+      })
+      .eq('id', quote.id)
+      .eq('booked_job_id', job.id);
+    if (error) throw error;
+
+    log.info('Booking released', { quoteId: quote.id, jobId: job.id });
+  } catch (error) {
+    log.error('Failed to release booking', { quoteId: job.quote_id, jobId: job.id, error: error.message });
+  }
+}
+
+/**
+ * Drop an unconfirmed hold (booking failed after reserving)
+ */
+async function releaseBookingReservation(supabase, quoteId) {
+  await supabase
+    .from('booking_reservations')
+    .delete()
+    .eq('quote_id', quoteId)
+    .eq('status', 'held')
+    .then(() => {}).catch(() => {});
+}
+
 // ─── Helper Functions ───────────────────────────────────────────────
 
 async function getQuote(supabase, quoteId) {
@@ -415,6 +588,8 @@ async function getQuote(supabase, quoteId) {
  * Send photo request via email + WhatsApp
  */
 async function sendPhotoRequestMessages(quote) {
+  attachLinks(quote, ['upload_photos']);
+
   try {
     const { sendPhotoRequestEmail } = require('./emailer');
     await sendPhotoRequestEmail(quote).catch(err => {
@@ -440,6 +615,8 @@ async function sendPhotoRequestMessages(quote) {
  * Send final price via email + WhatsApp
  */
 async function sendFinalPriceMessages(quote) {
+  attachLinks(quote, ['final_price']);
+
   try {
     const { sendFinalPriceEmail } = require('./emailer');
     await sendFinalPriceEmail(quote).catch(err => {
@@ -461,17 +638,126 @@ async function sendFinalPriceMessages(quote) {
   }
 }
 
+/**
+ * Re-send a revised price via email + WhatsApp with a "what changed" summary.
+ * Links to the final price page if a fixed price has been sent, otherwise to
+ * the estimate acceptance page.
+ *
+ * @param {Object} options - { actor: req.adminUser, note: optional message for the customer }
+ * @returns {Promise<{ success: boolean, channels?: Object, revision?: number, error?: string, status?: number }>}
+ */
+async function sendRevisedPriceMessages(supabase, quoteId, { actor, note } = {}) {
+  const { getCurrentRevision, describeRevision, markRevisionSent } = require('./quoteRevisions');
+
+  const quote = await getQuote(supabase, quoteId);
+  if (!quote || quote.deleted_at) return { success: false, status: 404, error: 'Quote not found' };
+
+  const revision = await getCurrentRevision(supabase, quote);
+  if (!revision) return { success: false, status: 400, error: 'This quote has no price revisions to send' };
+
+  const changes = describeRevision(revision, { customerFacing: true });
+  if (changes.length === 0) {
+    return { success: false, status: 400, error: 'The latest revision has no changes the customer can see' };
+  }
+  if (quote.customer_accepted_final_price) {
+    return { success: false, status: 409, error: 'The customer has already accepted a final price — contact them directly' };
+  }
+
+  // Only re-send what the customer has already been sent once
+  const purpose = quote.final_price_sent_at ? 'final_price' : 'accept_estimate';
+  if (purpose === 'accept_estimate' && !quote.estimated_at) {
+    return { success: false, status: 400, error: 'The customer hasn\'t been sent a price yet' };
+  }
+  attachLinks(quote, [purpose]);
+
+  const { sendRevisedPriceEmail } = require('./emailer');
+  const { sendRevisedPriceWhatsApp } = require('./whatsapp');
+
+  const channels = {
+    email: quote.email ? (await sendRevisedPriceEmail(quote, { changes, purpose, note })).success : false,
+    whatsapp: quote.phone ? (await sendRevisedPriceWhatsApp(quote, { changes, purpose, note })).success : false
+  };
+
+  if (!channels.email && !channels.whatsapp) {
+    return { success: false, status: 502, error: 'Could not send by email or WhatsApp' };
+  }
+
+  await markRevisionSent(supabase, revision.id, { actor, channels });
+
+  const sentVia = Object.keys(channels).filter(c => channels[c]).join(' and ');
+  supabase.from('quote_activity').insert({
+    quote_id: quoteId,
+    action_type: 'price_revision_sent',
+    description: `Revision ${revision.revision} sent to customer by ${sentVia}`
+  }).then(() => {}).catch(() => {});
+
+  log.info('Revised price sent', { quoteId, revision: revision.revision, channels });
+  return { success: true, channels, revision: revision.revision };
+}
+
 /**
  * Send booking link messages (after price accepted, before slot selected)
  */
 async function sendBookingLinkMessages(quote) {
-  const BASE_URL = process.env.BASE_URL || 'https://your-app.railway.app';
-  const bookingUrl = `${BASE_URL}/book/${quote.id}`;
+  attachLinks(quote, ['book']);
 
   // For now, the booking link is included in the final price acceptance flow
   // The customer is redirected to the booking page after accepting
   // Additional messages can be added here if needed
-  log.info('Booking link available', { quoteId: quote.id, url: bookingUrl });
+  log.info('Booking link available', { quoteId: quote.id });
+}
+
+/**
+ * Re-send a customer's link after the one they used expired.
+ * Re-sends the original message for that stage with a freshly signed link.
+ */
+async function resendCustomerLink(supabase, quoteId, purpose) {
+  try {
+    if (!LINK_PURPOSES[purpose]) {
+      return { success: false, error: 'Unknown link type' };
+    }
+
+    const quote = await getQuote(supabase, quoteId);
+    if (!quote || quote.deleted_at) {
+      return { success: false, error: 'Quote not found' };
+    }
+
+    if (purpose === 'accept_estimate') {
+      if (!quote.estimated_at) return { success: false, error: 'Estimate not ready yet' };
+      attachLinks(quote, ['accept_estimate']);
+      const { sendEstimateEmail } = require('./emailer');
+      const { sendEstimateWhatsApp } = require('./whatsapp');
+      await sendEstimateEmail(quote);
+      if (quote.phone) await sendEstimateWhatsApp(quote);
+    } else if (purpose === 'upload_photos') {
+      await sendPhotoRequestMessages(quote);
+    } else if (purpose === 'final_price') {
+      if (!quote.final_price || !quote.final_price_sent_at) return { success: false, error: 'Final price not ready yet' };
+      await sendFinalPriceMessages(quote);
+    } else if (purpose === 'book') {
+      if (!quote.customer_accepted_final_price) return { success: false, error: 'Final price not accepted yet' };
+      attachLinks(quote, ['book']);
+      const { sendFollowUpEmail } = require('./emailer');
+      await sendFollowUpEmail(
+        { email: quote.email, name: quote.name },
+        'Your booking link from Revive',
+        `Hi ${quote.name},\n\nHere's a fresh link to choose your appointment slot: ${quote._links.book}\n\nIt only takes a moment — pick a date and time and we'll confirm straight away.`
+      );
+    }
+
+    supabase.from('quote_activity').insert({
+      quote_id: quoteId,
+      action_type: 'link_resent',
+      description: `Customer requested a fresh ${purpose.replace(/_/g, ' ')} link`
+    }).then(() => {}).catch(() => {});
+
+    log.info('Customer link re-sent', { quoteId, purpose });
+    return { success: true };
+
+  } catch (error) {
+    log.error('resendCustomerLink failed', { quoteId, purpose, error: error.message });
+    return { success: false, error: error.message };
+  }
 }
 
 /**
@@ -613,5 +899,10 @@ module.exports = {
   advanceAfterPhotos,
   advanceAfterAdminApproval,
   advanceAfterFinalPriceAccepted,
-  advanceAfterBooking
+  advanceAfterBooking,
+  reserveBookingSlot,
+  releaseBookingReservation,
+  releaseBookedJob,
+  resendCustomerLink,
+  sendRevisedPriceMessages
 };
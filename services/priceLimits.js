@@ -0,0 +1,113 @@
+/**
+ * Price Limits
+ *
+ * Sanity limits on prices from PRICE_LIMITS (pricing config):
+ *
+ *   - minimumJobValue: minimum call-out charge for a whole job
+ *   - serviceLimits: floor/ceiling on each service's price
+ *   - maxAutoApprovePrice: fixed prices above this always go to admin approval
+ *
+ * The estimator clamps each service line and the job total; the vision
+ * pricer clamps the fixed price. Anything clamped is recorded as a note so
+ * the fixed price is routed to an admin rather than sent automatically.
+ */
+
+/**
+ * Clamp a service line's range to its floor/ceiling (in place)
+ * @param {Object} line - { service, min, max }
+ * @returns {string[]} notes for anything clamped, e.g. 'window raised to £40 floor'
+ */
+function clampServiceLine(line, priceLimits) {
+  const limits = priceLimits?.serviceLimits?.[line.service];
+  if (!limits) return [];
+
+  const notes = [];
+  if (limits.floor && line.min < limits.floor) {
+    line.min = limits.floor;
+    line.max = Math.max(line.max, limits.floor);
+    notes.push(`${line.service} raised to £${limits.floor} floor`);
+  }
+  if (limits.ceiling && line.max > limits.ceiling) {
+    line.max = limits.ceiling;
+    line.min = Math.min(line.min, limits.ceiling);
+    notes.push(`${line.service} capped at £${limits.ceiling}`);
+  }
+  return notes;
+}
+
+/**
+ * Raise a job total to the minimum call-out charge
+ * @returns {{ value: number, note: string|null }}
+ */
+function applyMinimumJobValue(value, priceLimits) {
+  const minimum = Number(priceLimits?.minimumJobValue) || 0;
+  if (value >= minimum) return { value, note: null };
+  return { value: minimum, note: `Minimum call-out charge £${minimum}` };
+}
+
+/**
+ * Bounds for a whole job's full-rate price from its services' floors and
+ * ceilings (no ceiling if any service has none)
+ * @returns {{ floor: number, ceiling: number }}
+ */
+function jobPriceBounds(services, priceLimits) {
+  let floor = 0;
+  let ceiling = services.length > 0 ? 0 : Infinity;
+  for (const service of services) {
+    const limits = priceLimits?.serviceLimits?.[service] || {};
+    floor += Number(limits.floor) || 0;
+    ceiling += Number(limits.ceiling) || Infinity;
+  }
+  return { floor, ceiling };
+}
+
+/**
+ * Clamp a whole job's full-rate price to its services' combined floor/ceiling
+ * @returns {{ price: number, note: string|null }}
+ */
+function clampJobPrice(price, services, priceLimits) {
+  const { floor, ceiling } = jobPriceBounds(services, priceLimits);
+  if (price < floor) return { price: floor, note: `£${price} raised to the services' £${floor} floor` };
+  if (price > ceiling) return { price: ceiling, note: `£${price} capped at the services' £${ceiling} ceiling` };
+  return { price, note: null };
+}
+
+/**
+ * Whether a fixed price is over the auto-approve limit
+ */
+function exceedsAutoApprove(price, priceLimits) {
+  const max = Number(priceLimits?.maxAutoApprovePrice);
+  return max > 0 && price > max;
+}
+
+function isAmount(value) {
+  return value === null || value === undefined || (typeof value === 'number' && value >= 0);
+}
+
+/**
+ * Validate the PRICE_LIMITS section from the admin API
+ * @param {Object} limits - { minimumJobValue, maxAutoApprovePrice, serviceLimits }
+ * @param {string[]} serviceSlugs - Services in the pricing config
+ * @returns {string|null} error message, or null if valid
+ */
+function validatePriceLimits(limits, serviceSlugs) {
+  if (!limits || typeof limits !== 'object') return 'Price limits must be an object';
+  if (!isAmount(limits.minimumJobValue)) return 'Minimum job value must be £0 or more';
+  if (!isAmount(limits.maxAutoApprovePrice)) return 'Maximum auto-approve price must be £0 or more (0 or empty for no limit)';
+
+  for (const [service, serviceLimits] of Object.entries(limits.serviceLimits || {})) {
+    if (!serviceSlugs.includes(service)) return `Unknown service in price limits: ${service}`;
+    const { floor, ceiling } = serviceLimits || {};
+    if (!isAmount(floor) || !isAmount(ceiling)) return `Floor and ceiling for ${service} must be £0 or more`;
+    if (floor && ceiling && floor > ceiling) return `Floor for ${service} cannot be above its ceiling`;
+  }
+  return null;
+}
+
+module.exports = {
+  clampServiceLine,
+  applyMinimumJobValue,
+  clampJobPrice,
+  exceedsAutoApprove,
+  validatePriceLimits
+};
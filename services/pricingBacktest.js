@@ -0,0 +1,169 @@
+/**
+ * Pricing Backtest
+ *
+ * Replays past quotes through a candidate pricing config with the
+ * estimator's own rules (priceQuote), next to the live config, to show what
+ * a pricing change would do before it's saved:
+ *
+ *   - overall: how quote prices (the middle of each range) would shift
+ *   - by_service: the same per service, from the service lines with the
+ *     quote's modifiers applied (before multi-service discount and travel)
+ *   - accepted: fixed prices customers accepted that the candidate range
+ *     wouldn't have covered (below its min or above its max)
+ *
+ * Both sides are priced by the same rules from the same quote details, so
+ * differences come from the config alone — not from AI adjustments or the
+ * version that originally priced the quote.
+ */
+
+const { priceQuote } = require('./estimator');
+const { extrasTotal, quotedServices } = require('./bundles');
+
+// Accepted quotes listed in the report that would fall outside the new range
+const MAX_EXAMPLES = 10;
+
+const round = value => Math.round(value * 100) / 100;
+const mid = range => (Number(range.min) + Number(range.max)) / 2;
+
+// Value at a fraction (0–1) of sorted values, interpolating between neighbours
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+}
+
+/**
+ * { mean, p25, median, p75 } of a list of prices
+ */
+function distribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    mean: sorted.length > 0 ? round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length) : null,
+    p25: percentile(sorted, 0.25),
+    median: percentile(sorted, 0.5),
+    p75: percentile(sorted, 0.75)
+  };
+}
+
+/**
+ * Average change between paired before/after prices, in £ and % of the total
+ */
+function shift(before, after) {
+  const totalBefore = before.reduce((sum, v) => sum + v, 0);
+  const totalAfter = after.reduce((sum, v) => sum + v, 0);
+  return {
+    average_change: before.length > 0 ? round((totalAfter - totalBefore) / before.length) : 0,
+    average_change_percent: totalBefore > 0 ? Math.round(((totalAfter - totalBefore) / totalBefore) * 1000) / 10 : 0
+  };
+}
+
+/**
+ * The fixed price a customer accepted for the quoted services (without any
+ * bundle upgrade or add-ons they ticked), or null if they didn't accept one
+ */
+function acceptedPrice(quote) {
+  if (quote.customer_accepted_final_price !== true || quote.final_price === null || quote.final_price === undefined) return null;
+  return round(Number(quote.final_price) - extrasTotal(quote.final_price_extras));
+}
+
+// Each service line's price (the estimator applies the quote's modifiers to the lines)
+function servicePrices(estimate) {
+  return estimate.breakdown.services.map(line => ({ service: line.service, price: mid(line) }));
+}
+
+/**
+ * Replay quotes through the live and candidate configs
+ * @param {Array} quotes - need services, answers, created_at, postcode,
+ *   discount_terms, referred_by_customer_id, referral_code, and for the
+ *   accepted check final_price, final_price_extras, customer_accepted_final_price
+ * @param {Object} liveConfig - Full pricing config in use now
+ * @param {Object} candidateConfig - Full pricing config being considered
+ * @returns {Object} { quotes, skipped, overall, by_service, accepted }
+ */
+function backtestPricing(quotes, liveConfig, candidateConfig) {
+  const before = [];
+  const after = [];
+  let higher = 0;
+  let lower = 0;
+  let skipped = 0;
+  const services = {};
+  const accepted = { quotes: 0, outside_live: 0, below: 0, above: 0, examples: [] };
+
+  for (const row of quotes) {
+    // Priced as quoted — services a bundle upgrade added came with the upgrade's price
+    const quote = { ...row, services: quotedServices(row) };
+    if (quote.services.length === 0) {
+      skipped++;
+      continue;
+    }
+
+    const live = priceQuote(quote, liveConfig);
+    const candidate = priceQuote(quote, candidateConfig);
+    const liveMid = mid(live);
+    const candidateMid = mid(candidate);
+    before.push(liveMid);
+    after.push(candidateMid);
+    if (candidateMid > liveMid) higher++;
+    else if (candidateMid < liveMid) lower++;
+
+    const candidateLines = servicePrices(candidate);
+    servicePrices(live).forEach((line, i) => {
+      services[line.service] = services[line.service] || { before: [], after: [] };
+      services[line.service].before.push(line.price);
+      services[line.service].after.push(candidateLines[i].price);
+    });
+
+    const price = acceptedPrice(quote);
+    if (price === null) continue;
+    accepted.quotes++;
+    if (price < live.min || price > live.max) accepted.outside_live++;
+    const side = price < candidate.min ? 'below' : price > candidate.max ? 'above' : null;
+    if (!side) continue;
+    accepted[side]++;
+    if (accepted.examples.length < MAX_EXAMPLES) {
+      accepted.examples.push({
+        quote_id: quote.id,
+        services: quote.services,
+        accepted_price: price,
+        live: { min: live.min, max: live.max },
+        candidate: { min: candidate.min, max: candidate.max }
+      });
+    }
+  }
+
+  return {
+    quotes: before.length,
+    skipped,
+    overall: {
+      live: distribution(before),
+      candidate: distribution(after),
+      ...shift(before, after),
+      higher,
+      lower,
+      unchanged: before.length - higher - lower
+    },
+    by_service: Object.entries(services)
+      .map(([service, prices]) => ({
+        service,
+        quotes: prices.before.length,
+        live: distribution(prices.before),
+        candidate: distribution(prices.after),
+        ...shift(prices.before, prices.after)
+      }))
+      .sort((a, b) => b.quotes - a.quotes),
+    accepted: {
+      quotes: accepted.quotes,
+      outside_live: accepted.outside_live,
+      outside_candidate: accepted.below + accepted.above,
+      below_candidate: accepted.below,
+      above_candidate: accepted.above,
+      examples: accepted.examples
+    }
+  };
+}
+
+module.exports = {
+  backtestPricing
+};
@@ -4,6 +4,13 @@
  * Central module for loading pricing configuration.
  * Checks database first (admin-editable), falls back to file defaults.
  * Uses in-memory caching (5-minute TTL) to avoid DB queries on every estimate.
+ *
+ * Every save is kept as an immutable version (pricing_versions) that takes
+ * effect at its effective_from — straight away, or at a future date for a
+ * scheduled price list. The config for a moment is the latest version to have
+ * taken effect by then, so quotes are priced by the version live when they
+ * came in, and a scheduled version goes live on time without anything having
+ * to run.
  */
 
 const fileDefaults = require('../config/pricing');
@@ -15,37 +22,61 @@ function setSupabaseClient(client) {
   supabase = client;
 }
 
-// In-memory cache
-let cachedConfig = null;
+// In-memory cache of the (non-cancelled) versions, oldest first, configs merged
+let cachedVersions = null;
 let cacheTimestamp = 0;
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-/**
- * Get the active pricing configuration
- * Priority: DB settings → file defaults
- * @returns {Promise<Object>} Full pricing config
- */
-async function getPricingConfig() {
-  // Check cache first
-  if (cachedConfig && (Date.now() - cacheTimestamp) < CACHE_TTL) {
-    return cachedConfig;
+function invalidateCache() {
+  cachedVersions = null;
+  cacheTimestamp = 0;
+}
+
+async function loadVersions() {
+  if (cachedVersions && (Date.now() - cacheTimestamp) < CACHE_TTL) {
+    return cachedVersions;
   }
 
-  // Try loading from database
+  const { data, error } = await supabase
+    .from('pricing_versions')
+    .select('id, version_number, config, effective_from')
+    .is('cancelled_at', null)
+    .order('effective_from', { ascending: true })
+    .order('version_number', { ascending: true });
+
+  if (error) throw error;
+
+  cachedVersions = (data || []).map(v => ({
+    id: v.id,
+    number: v.version_number,
+    effectiveFrom: v.effective_from,
+    config: mergeWithDefaults(v.config)
+  }));
+  cacheTimestamp = Date.now();
+  return cachedVersions;
+}
+
+/**
+ * The pricing version live at a moment: the latest to have taken effect by
+ * then (for a moment before any had, the first version that's live now)
+ * @param {Date|string} [at] - Defaults to now
+ * @returns {Promise<Object>} { version: { id, number, effectiveFrom } | null, config }
+ *   version is null when running on file defaults
+ */
+async function resolvePricingVersion(at = new Date()) {
   if (supabase) {
     try {
-      const { data, error } = await supabase
-        .from('settings')
-        .select('value, updated_at')
-        .eq('key', 'pricing_config')
-        .single();
-
-      if (!error && data && data.value) {
-        // Merge with file defaults to ensure all keys exist
-        const config = mergeWithDefaults(data.value);
-        cachedConfig = config;
-        cacheTimestamp = Date.now();
-        return config;
+      const versions = await loadVersions();
+      const time = new Date(at).getTime();
+      const live = versions.filter(v => new Date(v.effectiveFrom).getTime() <= time);
+      const version = live.length > 0
+        ? live[live.length - 1]
+        : versions.find(v => new Date(v.effectiveFrom).getTime() <= Date.now());
+      if (version) {
+        return {
+          version: { id: version.id, number: version.number, effectiveFrom: version.effectiveFrom },
+          config: version.config
+        };
       }
     } catch (err) {
       log.error('DB load failed, using file defaults', { error: err.message });
@@ -53,16 +84,17 @@ async function getPricingConfig() {
   }
 
   // Fall back to file defaults
-  const config = {
-    SERVICE_PRICING: fileDefaults.SERVICE_PRICING,
-    MODIFIERS: fileDefaults.MODIFIERS,
-    MULTI_SERVICE_DISCOUNT: fileDefaults.MULTI_SERVICE_DISCOUNT,
-    LEAD_SCORING: fileDefaults.LEAD_SCORING,
-    QUALIFICATION_THRESHOLDS: fileDefaults.QUALIFICATION_THRESHOLDS,
-    CONVERSION_FACTORS: fileDefaults.CONVERSION_FACTORS
-  };
-  cachedConfig = config;
-  cacheTimestamp = Date.now();
+  return { version: null, config: getFileDefaults() };
+}
+
+/**
+ * Get the pricing configuration live at a moment
+ * Priority: DB pricing version → file defaults
+ * @param {Date|string} [at] - e.g. the quote's created_at; defaults to now
+ * @returns {Promise<Object>} Full pricing config
+ */
+async function getPricingConfig(at) {
+  const { config } = await resolvePricingVersion(at);
   return config;
 }
 
@@ -73,56 +105,146 @@ async function getPricingConfig() {
 function mergeWithDefaults(dbConfig) {
   return {
     SERVICE_PRICING: dbConfig.SERVICE_PRICING || fileDefaults.SERVICE_PRICING,
+    MEASURED_PRICING: dbConfig.MEASURED_PRICING || fileDefaults.MEASURED_PRICING,
+    PRICE_LIMITS: { ...fileDefaults.PRICE_LIMITS, ...(dbConfig.PRICE_LIMITS || {}) },
     MODIFIERS: { ...fileDefaults.MODIFIERS, ...(dbConfig.MODIFIERS || {}) },
+    CALENDAR_PRICING: { ...fileDefaults.CALENDAR_PRICING, ...(dbConfig.CALENDAR_PRICING || {}) },
     MULTI_SERVICE_DISCOUNT: { ...fileDefaults.MULTI_SERVICE_DISCOUNT, ...(dbConfig.MULTI_SERVICE_DISCOUNT || {}) },
+    BUNDLES_AND_ADDONS: { ...fileDefaults.BUNDLES_AND_ADDONS, ...(dbConfig.BUNDLES_AND_ADDONS || {}) },
     LEAD_SCORING: { ...fileDefaults.LEAD_SCORING, ...(dbConfig.LEAD_SCORING || {}) },
     QUALIFICATION_THRESHOLDS: { ...fileDefaults.QUALIFICATION_THRESHOLDS, ...(dbConfig.QUALIFICATION_THRESHOLDS || {}) },
-    CONVERSION_FACTORS: { ...fileDefaults.CONVERSION_FACTORS, ...(dbConfig.CONVERSION_FACTORS || {}) }
+    CONVERSION_FACTORS: { ...fileDefaults.CONVERSION_FACTORS, ...(dbConfig.CONVERSION_FACTORS || {}) },
+    SERVICE_AREA: { ...fileDefaults.SERVICE_AREA, ...(dbConfig.SERVICE_AREA || {}) },
+    REFERRALS: { ...fileDefaults.REFERRALS, ...(dbConfig.REFERRALS || {}) }
   };
 }
 
 /**
- * Save pricing config to database
+ * Save pricing config as a new version
  * @param {Object} config - Full pricing config object
- * @returns {Promise<Object>} { success: boolean }
+ * @param {Object} [options] - { effectiveFrom, description, createdBy, restoredFrom }
+ *   effectiveFrom: when it goes live (default now)
+ * @returns {Promise<Object>} { success: boolean, version }
  */
-async function savePricingConfig(config) {
+async function savePricingConfig(config, options = {}) {
   if (!supabase) throw new Error('Supabase client not initialised');
 
-  const { error } = await supabase
-    .from('settings')
-    .upsert({
-      key: 'pricing_config',
-      value: config,
-      updated_at: new Date().toISOString()
-    }, { onConflict: 'key' });
+  const { data: version, error } = await supabase
+    .from('pricing_versions')
+    .insert({
+      config,
+      description: options.description || null,
+      effective_from: options.effectiveFrom || new Date().toISOString(),
+      restored_from: options.restoredFrom || null,
+      created_by_name: options.createdBy || null
+    })
+    .select('id, version_number, description, effective_from, restored_from, created_by_name, created_at')
+    .single();
 
   if (error) throw error;
 
   // Invalidate cache so next call loads fresh
-  cachedConfig = null;
-  cacheTimestamp = 0;
+  invalidateCache();
+
+  return { success: true, version };
+}
+
+/**
+ * Reset pricing config to file defaults (saved as a new version, live now)
+ * @param {Object} [options] - { createdBy }
+ * @returns {Promise<Object>} { success: boolean, version }
+ */
+async function resetPricingConfig(options = {}) {
+  return savePricingConfig(getFileDefaults(), {
+    description: 'Reset to file defaults',
+    createdBy: options.createdBy
+  });
+}
+
+/**
+ * Restore an old version: save a copy of its config as a new version
+ * @param {string} versionId
+ * @param {Object} [options] - { effectiveFrom, createdBy }
+ * @returns {Promise<Object|null>} { success, version }, or null if there's no such version
+ */
+async function restorePricingVersion(versionId, options = {}) {
+  const original = await getPricingVersion(versionId);
+  if (!original) return null;
 
-  return { success: true };
+  return savePricingConfig(original.config, {
+    effectiveFrom: options.effectiveFrom,
+    description: `Restored version ${original.version_number}`,
+    createdBy: options.createdBy,
+    restoredFrom: original.id
+  });
 }
 
 /**
- * Reset pricing config to file defaults
- * @returns {Promise<Object>} { success: boolean }
+ * Cancel a scheduled version that hasn't taken effect yet
+ * @returns {Promise<Object|null>} the cancelled version, or null if it isn't scheduled
  */
-async function resetPricingConfig() {
+async function cancelPricingVersion(versionId) {
   if (!supabase) throw new Error('Supabase client not initialised');
 
-  await supabase
-    .from('settings')
-    .delete()
-    .eq('key', 'pricing_config');
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('pricing_versions')
+    .update({ cancelled_at: now })
+    .eq('id', versionId)
+    .is('cancelled_at', null)
+    .gt('effective_from', now)
+    .select('id, version_number, effective_from')
+    .maybeSingle();
 
-  // Invalidate cache
-  cachedConfig = null;
-  cacheTimestamp = 0;
+  if (error) throw error;
+  invalidateCache();
+  return data;
+}
+
+/**
+ * One version, with its config
+ */
+async function getPricingVersion(versionId) {
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from('pricing_versions')
+    .select('*')
+    .eq('id', versionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Versions, newest first, each with its status: 'scheduled' (not live yet),
+ * 'active' (live now), 'superseded' or 'cancelled'
+ * @param {number} limit - Max records to return
+ * @returns {Promise<Array>}
+ */
+async function listPricingVersions(limit) {
+  if (!supabase) return [];
+
+  const [{ data, error }, { version: active }] = await Promise.all([
+    supabase
+      .from('pricing_versions')
+      .select('id, version_number, description, effective_from, restored_from, created_by_name, created_at, cancelled_at')
+      .order('version_number', { ascending: false })
+      .limit(limit || 50),
+    resolvePricingVersion()
+  ]);
+
+  if (error) throw error;
 
-  return { success: true };
+  const now = Date.now();
+  return (data || []).map(v => {
+    let status = 'superseded';
+    if (v.cancelled_at) status = 'cancelled';
+    else if (new Date(v.effective_from).getTime() > now) status = 'scheduled';
+    else if (active && v.id === active.id) status = 'active';
+    return { ...v, status };
+  });
 }
 
 /**
@@ -131,11 +253,17 @@ async function resetPricingConfig() {
 function getFileDefaults() {
   return {
     SERVICE_PRICING: fileDefaults.SERVICE_PRICING,
+    MEASURED_PRICING: fileDefaults.MEASURED_PRICING,
+    PRICE_LIMITS: fileDefaults.PRICE_LIMITS,
     MODIFIERS: fileDefaults.MODIFIERS,
+    CALENDAR_PRICING: fileDefaults.CALENDAR_PRICING,
     MULTI_SERVICE_DISCOUNT: fileDefaults.MULTI_SERVICE_DISCOUNT,
+    BUNDLES_AND_ADDONS: fileDefaults.BUNDLES_AND_ADDONS,
     LEAD_SCORING: fileDefaults.LEAD_SCORING,
     QUALIFICATION_THRESHOLDS: fileDefaults.QUALIFICATION_THRESHOLDS,
-    CONVERSION_FACTORS: fileDefaults.CONVERSION_FACTORS
+    CONVERSION_FACTORS: fileDefaults.CONVERSION_FACTORS,
+    SERVICE_AREA: fileDefaults.SERVICE_AREA,
+    REFERRALS: fileDefaults.REFERRALS
   };
 }
 
@@ -186,8 +314,13 @@ async function getPricingHistory(limit) {
 module.exports = {
   setSupabaseClient,
   getPricingConfig,
+  resolvePricingVersion,
   savePricingConfig,
   resetPricingConfig,
+  restorePricingVersion,
+  cancelPricingVersion,
+  getPricingVersion,
+  listPricingVersions,
   getFileDefaults,
   logPricingChange,
   getPricingHistory
@@ -0,0 +1,445 @@
+/**
+ * Pricing Experiments
+ *
+ * A/B tests of pricing. An experiment has two or more variants, each with a
+ * traffic weight; the first variant is the control. A variant is the live
+ * pricing config with:
+ *
+ *   - priceAdjustment: a percentage on service prices (size bands, and
+ *     measured rates and minimums), e.g. 10 for 10% higher
+ *   - overrides: pricing sections to change, merged over the live ones
+ *     (e.g. { MULTI_SERVICE_DISCOUNT: { discount: 0.15 } })
+ *
+ * A quote is assigned a variant when it's estimated, while an experiment is
+ * running (quotes that came in before it started aren't). The assignment is
+ * deterministic — a hash of the experiment and quote IDs — and is kept on the
+ * quote (pricing_experiment_id / pricing_variant), so the vision pricer,
+ * fixed-price page and booking discounts price the quote with the same
+ * variant after the experiment has ended.
+ *
+ * experimentReport() compares the variants: estimate acceptance, fixed-price
+ * acceptance, booking rate and paid revenue, with a two-proportion z-test
+ * of each rate against the control.
+ */
+
+const crypto = require('crypto');
+const { resolvePricingVersion } = require('./pricingConfig');
+const log = require('./logger').child('PricingExperiments');
+
+// Sections a variant can override — the ones that set prices
+const PRICE_SECTIONS = [
+  'SERVICE_PRICING',
+  'MEASURED_PRICING',
+  'PRICE_LIMITS',
+  'MODIFIERS',
+  'CALENDAR_PRICING',
+  'MULTI_SERVICE_DISCOUNT',
+  'BUNDLES_AND_ADDONS'
+];
+
+// Fewer quotes than this on either side and a difference isn't tested
+const MIN_SAMPLE = 30;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+// In-memory cache of every experiment (ended ones still price their quotes)
+let cachedExperiments = null;
+let cacheTimestamp = 0;
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+function invalidateCache() {
+  cachedExperiments = null;
+  cacheTimestamp = 0;
+}
+
+async function loadExperiments() {
+  if (cachedExperiments && (Date.now() - cacheTimestamp) < CACHE_TTL) {
+    return cachedExperiments;
+  }
+
+  const { data, error } = await supabase
+    .from('pricing_experiments')
+    .select('id, name, variants, status, started_at, ended_at');
+
+  if (error) throw error;
+
+  cachedExperiments = data || [];
+  cacheTimestamp = Date.now();
+  return cachedExperiments;
+}
+
+// ─── Assignment and pricing ─────────────────────────────────────────
+
+/**
+ * The variant a quote falls into — the same every time for the same quote
+ * @param {Object} experiment - { id, variants }
+ * @param {string} quoteId
+ * @returns {Object} variant
+ */
+function assignVariant(experiment, quoteId) {
+  const hash = crypto.createHash('sha256').update(`${experiment.id}:${quoteId}`).digest();
+  const point = hash.readUInt32BE(0) / 0x100000000;
+  const totalWeight = experiment.variants.reduce((sum, v) => sum + Number(v.weight), 0);
+
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += Number(variant.weight) / totalWeight;
+    if (point < cumulative) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+const scaleRange = (range, factor, dp = 0) => (Array.isArray(range)
+  ? range.map(v => Math.round(Number(v) * factor * 10 ** dp) / 10 ** dp)
+  : range);
+
+const mapValues = (obj, fn) => Object.fromEntries(Object.entries(obj || {}).map(([key, value]) => [key, fn(value)]));
+
+/**
+ * A pricing config as a variant prices it
+ * @param {Object} config - Full pricing config
+ * @param {Object|null} variant - { priceAdjustment, overrides }
+ * @returns {Object} config (a copy if the variant changes anything)
+ */
+function applyVariant(config, variant) {
+  if (!variant) return config;
+
+  const priced = { ...config };
+  for (const [section, override] of Object.entries(variant.overrides || {})) {
+    if (PRICE_SECTIONS.includes(section)) priced[section] = { ...config[section], ...override };
+  }
+
+  const adjustment = Number(variant.priceAdjustment) || 0;
+  if (adjustment !== 0) {
+    const factor = 1 + adjustment / 100;
+    priced.SERVICE_PRICING = mapValues(priced.SERVICE_PRICING, sizes => mapValues(sizes, range => scaleRange(range, factor)));
+    priced.MEASURED_PRICING = mapValues(priced.MEASURED_PRICING, measured => ({
+      ...measured,
+      rate: scaleRange(measured.rate, factor, 2),
+      minimum: scaleRange(measured.minimum, factor),
+      tiers: (measured.tiers || []).map(tier => ({ ...tier, rate: scaleRange(tier.rate, factor, 2) }))
+    }));
+  }
+
+  return priced;
+}
+
+/**
+ * The experiment a quote was assigned to. Another instance may have started
+ * it since this one's cache was loaded, so a miss reloads once.
+ * @throws if the experiments can't be loaded or the experiment isn't found —
+ *   pricing the quote without its variant would give it the wrong price
+ */
+async function findQuoteExperiment(quote) {
+  let experiment = (await loadExperiments()).find(e => e.id === quote.pricing_experiment_id);
+  if (!experiment) {
+    invalidateCache();
+    experiment = (await loadExperiments()).find(e => e.id === quote.pricing_experiment_id);
+  }
+  if (!experiment) throw new Error(`Pricing experiment ${quote.pricing_experiment_id} not found`);
+  return experiment;
+}
+
+/**
+ * The pricing for a quote: the version live when it came in, as its
+ * experiment variant prices it.
+ * @param {Object} quote - needs id, created_at, pricing_experiment_id, pricing_variant
+ * @param {Object} [options] - { assign: true } to put a quote that hasn't got a
+ *   variant yet into the running experiment (at estimation time), if the quote
+ *   came in after the experiment started
+ * @returns {Promise<Object>} { version, config, experiment: { id, name, variant, variantName } | null }
+ * @throws if the quote has an experiment that can't be loaded
+ */
+async function resolveQuotePricing(quote, options = {}) {
+  const quotedAt = quote.created_at || new Date();
+  const { version, config } = await resolvePricingVersion(quotedAt);
+  if (!supabase) return { version, config, experiment: null };
+
+  let experiment = null;
+  let variant = null;
+  if (quote.pricing_experiment_id) {
+    experiment = await findQuoteExperiment(quote);
+    variant = experiment.variants.find(v => v.key === quote.pricing_variant);
+    if (!variant) throw new Error(`Pricing experiment ${experiment.id} has no variant ${quote.pricing_variant}`);
+  } else if (options.assign && quote.id) {
+    try {
+      const running = (await loadExperiments()).find(e => e.status === 'running') || null;
+      // Quotes from before the experiment started stay on the live pricing
+      if (running && new Date(quotedAt) >= new Date(running.started_at)) {
+        experiment = running;
+        variant = assignVariant(running, quote.id);
+      }
+    } catch (err) {
+      log.error('Failed to load pricing experiments, pricing without one', { error: err.message });
+    }
+  }
+
+  if (!experiment || !variant) return { version, config, experiment: null };
+
+  return {
+    version,
+    config: applyVariant(config, variant),
+    experiment: { id: experiment.id, name: experiment.name, variant: variant.key, variantName: variant.name }
+  };
+}
+
+/**
+ * Just the config from resolveQuotePricing() — for pricing a quote that
+ * already has its variant (vision pricer, fixed-price page). Throws like
+ * resolveQuotePricing() if that variant can't be loaded.
+ */
+async function getQuotePricingConfig(quote) {
+  const { config } = await resolveQuotePricing(quote);
+  return config;
+}
+
+// ─── Experiments ────────────────────────────────────────────────────
+
+/**
+ * Validate a new experiment from the admin API
+ * @param {Object} input - { name, variants: [{ key, name, weight, priceAdjustment, overrides }] }
+ * @param {string[]} serviceSlugs - Services in the pricing config
+ * @returns {string|null} error message, or null if valid
+ */
+function validateExperiment(input, serviceSlugs) {
+  if (!input || typeof input !== 'object') return 'Experiment must be an object';
+  if (typeof input.name !== 'string' || !input.name.trim()) return 'Experiment needs a name';
+  if (!Array.isArray(input.variants) || input.variants.length < 2) return 'An experiment needs at least two variants';
+  if (input.variants.length > 5) return 'An experiment can have at most five variants';
+
+  const keys = new Set();
+  for (const variant of input.variants) {
+    if (!variant || typeof variant !== 'object') return 'Each variant must be an object';
+    if (typeof variant.key !== 'string' || !/^[a-z0-9_]+$/.test(variant.key)) return 'Variant key must be lower-case letters, numbers and underscores';
+    if (keys.has(variant.key)) return `Duplicate variant key: ${variant.key}`;
+    keys.add(variant.key);
+    if (typeof variant.name !== 'string' || !variant.name.trim()) return `Variant ${variant.key} needs a name`;
+    if (typeof variant.weight !== 'number' || !Number.isFinite(variant.weight) || variant.weight <= 0) return `Traffic weight for ${variant.name} must be more than 0`;
+
+    const adjustment = variant.priceAdjustment ?? 0;
+    if (typeof adjustment !== 'number' || !Number.isFinite(adjustment) || adjustment <= -50 || adjustment > 100) {
+      return `Price adjustment for ${variant.name} must be between -50% and +100%`;
+    }
+
+    const overrides = variant.overrides ?? {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) return `Overrides for ${variant.name} must be an object`;
+    for (const [section, value] of Object.entries(overrides)) {
+      if (!PRICE_SECTIONS.includes(section)) return `${section} can't be changed in an experiment`;
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return `${section} override for ${variant.name} must be an object`;
+    }
+    const unknown = Object.keys(overrides.SERVICE_PRICING || {}).find(s => !serviceSlugs.includes(s));
+    if (unknown) return `Unknown service in ${variant.name}: ${unknown}`;
+  }
+  return null;
+}
+
+/**
+ * Start an experiment (ends nothing — only one can run at a time)
+ * @param {Object} input - validated { name, description, variants }
+ * @param {Object} [options] - { createdBy }
+ * @returns {Promise<Object>} the experiment
+ */
+async function createExperiment(input, options = {}) {
+  if (!supabase) throw new Error('Supabase client not initialised');
+
+  const { data, error } = await supabase
+    .from('pricing_experiments')
+    .insert({
+      name: input.name.trim(),
+      description: input.description ? String(input.description).substring(0, 500) : null,
+      variants: input.variants.map(v => ({
+        key: v.key,
+        name: v.name.trim(),
+        weight: v.weight,
+        priceAdjustment: v.priceAdjustment || 0,
+        overrides: v.overrides || {}
+      })),
+      created_by_name: options.createdBy || null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  invalidateCache();
+  return data;
+}
+
+/**
+ * End a running experiment — new quotes get the live pricing again; quotes
+ * already in it keep their variant
+ * @returns {Promise<Object|null>} the experiment, or null if it isn't running
+ */
+async function endExperiment(experimentId) {
+  if (!supabase) throw new Error('Supabase client not initialised');
+
+  const { data, error } = await supabase
+    .from('pricing_experiments')
+    .update({ status: 'ended', ended_at: new Date().toISOString() })
+    .eq('id', experimentId)
+    .eq('status', 'running')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  invalidateCache();
+  return data;
+}
+
+/**
+ * Experiments, newest first
+ */
+async function listExperiments(limit) {
+  if (!supabase) return [];
+
+  const { data, error } = await supabase
+    .from('pricing_experiments')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(limit || 20);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// ─── Results ────────────────────────────────────────────────────────
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+const percent = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+
+/**
+ * Two-proportion z-test of a variant's rate against the control's
+ * @param {Object} control - { count, total }
+ * @param {Object} variant - { count, total }
+ * @returns {Object} { difference (percentage points), p_value, result }
+ *   result: 'significant', 'not_significant' or 'too_few' (under MIN_SAMPLE on a side)
+ */
+function compareRates(control, variant) {
+  const difference = control.total > 0 && variant.total > 0
+    ? Math.round((variant.count / variant.total - control.count / control.total) * 1000) / 10
+    : null;
+  if (control.total < MIN_SAMPLE || variant.total < MIN_SAMPLE) {
+    return { difference, p_value: null, result: 'too_few' };
+  }
+
+  const pooled = (control.count + variant.count) / (control.total + variant.total);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.total + 1 / variant.total));
+  if (standardError === 0) return { difference, p_value: 1, result: 'not_significant' };
+
+  const z = (variant.count / variant.total - control.count / control.total) / standardError;
+  const pValue = Math.round(2 * (1 - normalCdf(Math.abs(z))) * 10000) / 10000;
+  return { difference, p_value: pValue, result: pValue < SIGNIFICANCE_LEVEL ? 'significant' : 'not_significant' };
+}
+
+/**
+ * Per-variant results of each experiment.
+ *
+ * @param {Object} data - { experiments, quotes, jobs, paidInvoices }
+ *   quotes need pricing_experiment_id, pricing_variant, status,
+ *   customer_accepted_estimate, final_price_sent_at and
+ *   customer_accepted_final_price; jobs need quote_id and status;
+ *   paidInvoices need job_id and total
+ * @returns {Array} [{ id, name, status, started_at, ended_at, variants: [...] }]
+ */
+function experimentReport({ experiments, quotes, jobs, paidInvoices }) {
+  const quoteById = {};
+  for (const quote of quotes) {
+    if (quote.pricing_experiment_id && quote.status !== 'quarantined') quoteById[quote.id] = quote;
+  }
+
+  const bookedQuotes = new Set();
+  const quoteByJob = {};
+  for (const job of jobs) {
+    if (!job.quote_id || !quoteById[job.quote_id]) continue;
+    quoteByJob[job.id] = job.quote_id;
+    if (job.status !== 'cancelled') bookedQuotes.add(job.quote_id);
+  }
+
+  const revenueByQuote = {};
+  for (const invoice of paidInvoices) {
+    const quoteId = quoteByJob[invoice.job_id];
+    if (quoteId) revenueByQuote[quoteId] = (revenueByQuote[quoteId] || 0) + Number(invoice.total || 0);
+  }
+
+  return experiments.map(experiment => {
+    const inExperiment = Object.values(quoteById).filter(q => q.pricing_experiment_id === experiment.id);
+
+    const rows = experiment.variants.map(variant => {
+      const variantQuotes = inExperiment.filter(q => q.pricing_variant === variant.key);
+      const sent = variantQuotes.filter(q => q.final_price_sent_at);
+      const revenue = variantQuotes.reduce((sum, q) => sum + (revenueByQuote[q.id] || 0), 0);
+      return {
+        key: variant.key,
+        name: variant.name,
+        weight: variant.weight,
+        price_adjustment: variant.priceAdjustment || 0,
+        overrides: Object.keys(variant.overrides || {}),
+        quotes: variantQuotes.length,
+        estimates_accepted: variantQuotes.filter(q => q.customer_accepted_estimate === true).length,
+        final_prices_sent: sent.length,
+        final_prices_accepted: sent.filter(q => q.customer_accepted_final_price === true).length,
+        bookings: variantQuotes.filter(q => bookedQuotes.has(q.id)).length,
+        revenue: Math.round(revenue * 100) / 100
+      };
+    });
+
+    const [control] = rows;
+    const variants = rows.map((row, i) => ({
+      ...row,
+      estimate_acceptance_rate: percent(row.estimates_accepted, row.quotes),
+      final_price_acceptance_rate: percent(row.final_prices_accepted, row.final_prices_sent),
+      booking_rate: percent(row.bookings, row.quotes),
+      revenue_per_quote: row.quotes > 0 ? Math.round((row.revenue / row.quotes) * 100) / 100 : 0,
+      vs_control: i === 0 ? null : {
+        estimate_acceptance: compareRates(
+          { count: control.estimates_accepted, total: control.quotes },
+          { count: row.estimates_accepted, total: row.quotes }
+        ),
+        final_price_acceptance: compareRates(
+          { count: control.final_prices_accepted, total: control.final_prices_sent },
+          { count: row.final_prices_accepted, total: row.final_prices_sent }
+        ),
+        booking_rate: compareRates(
+          { count: control.bookings, total: control.quotes },
+          { count: row.bookings, total: row.quotes }
+        )
+      }
+    }));
+
+    return {
+      id: experiment.id,
+      name: experiment.name,
+      status: experiment.status,
+      started_at: experiment.started_at,
+      ended_at: experiment.ended_at,
+      quotes: inExperiment.length,
+      variants
+    };
+  });
+}
+
+module.exports = {
+  setSupabaseClient,
+  PRICE_SECTIONS,
+  assignVariant,
+  applyVariant,
+  resolveQuotePricing,
+  getQuotePricingConfig,
+  validateExperiment,
+  createExperiment,
+  endExperiment,
+  listExperiments,
+  compareRates,
+  experimentReport
+};
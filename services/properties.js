@@ -0,0 +1,187 @@
+/**
+ * Customer Properties
+ *
+ * A customer can have several properties (landlords, people who move house).
+ * Quotes, jobs, recurring jobs and invoices each point at the property they
+ * were for, so the customer's own address can change without losing history.
+ *
+ * New records are matched to an existing property by address_key — the
+ * normalised postcode plus first line — so "12 High St" and "12 high street"
+ * land on the same property.
+ */
+
+const { normaliseUkPostcode } = require('./validation');
+const log = require('./logger').child('Properties');
+
+// Common street-type spellings, reduced to one form for matching
+const STREET_ABBREVIATIONS = {
+  street: 'st', road: 'rd', avenue: 'ave', lane: 'ln', drive: 'dr', close: 'cl',
+  crescent: 'cres', court: 'ct', place: 'pl', terrace: 'ter', gardens: 'gdns',
+  grove: 'gr', square: 'sq', apartment: 'flat', apt: 'flat'
+};
+
+/**
+ * Matching key for an address, e.g. ('12 High Street', 'sa1 1aa') → 'SA11AA|12 high st'
+ * @returns {string|null} null if the postcode isn't a real UK postcode or the first line is blank
+ */
+function addressKey(addressLine1, postcode) {
+  const normalisedPostcode = normaliseUkPostcode(postcode);
+  if (!normalisedPostcode || typeof addressLine1 !== 'string') return null;
+
+  const line = addressLine1
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => STREET_ABBREVIATIONS[word] || word)
+    .join(' ');
+
+  return line ? `${normalisedPostcode.replace(' ', '')}|${line}` : null;
+}
+
+/**
+ * Find the customer's property at this address, or create it.
+ * Never throws — a failed lookup just leaves the record unlinked.
+ *
+ * @param {Object} details - { address, postcode, label? }
+ * @returns {Promise<string|null>} property id
+ */
+async function findOrCreateProperty(supabase, customerId, { address, postcode, label }) {
+  const key = addressKey(address, postcode);
+  if (!customerId || !key) return null;
+
+  try {
+    const findExisting = () => supabase
+      .from('properties')
+      .select('id')
+      .eq('customer_id', customerId)
+      .eq('address_key', key)
+      .maybeSingle();
+
+    const { data: existing } = await findExisting();
+    if (existing) return existing.id;
+
+    const { data, error } = await supabase
+      .from('properties')
+      .insert({
+        customer_id: customerId,
+        label: label || null,
+        address_line1: address.trim(),
+        postcode: normaliseUkPostcode(postcode),
+        address_key: key
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      // Another request created it first
+      if (error.code === '23505') {
+        const { data: raced } = await findExisting();
+        return raced?.id || null;
+      }
+      log.error('Create error', { customerId, error: error.message });
+      return null;
+    }
+
+    log.info('Created property', { propertyId: data.id, customerId });
+    return data.id;
+  } catch (error) {
+    log.error('findOrCreate error', { customerId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Whether a property is one of a customer's
+ * @returns {Promise<boolean>}
+ */
+async function isCustomerProperty(supabase, propertyId, customerId) {
+  if (!propertyId || !customerId) return false;
+  const { data } = await supabase
+    .from('properties')
+    .select('id')
+    .eq('id', propertyId)
+    .eq('customer_id', customerId)
+    .maybeSingle();
+  return !!data;
+}
+
+/**
+ * The property a quote was for, if it's linked to one
+ * @returns {Promise<string|null>}
+ */
+async function propertyForQuote(supabase, quoteId) {
+  if (!quoteId) return null;
+  const { data } = await supabase
+    .from('quotes')
+    .select('property_id')
+    .eq('id', quoteId)
+    .single();
+  return data?.property_id || null;
+}
+
+function groupByProperty(rows) {
+  const groups = {};
+  for (const row of rows || []) {
+    if (!row.property_id) continue;
+    (groups[row.property_id] = groups[row.property_id] || []).push(row);
+  }
+  return groups;
+}
+
+/**
+ * A customer's properties, each with its quotes, jobs, recurring jobs and invoices
+ * @returns {Promise<Object[]>}
+ */
+async function listPropertiesWithHistory(supabase, customerId) {
+  const [properties, quotes, jobs, recurring, invoices] = await Promise.all([
+    supabase.from('properties').select('*').eq('customer_id', customerId).order('created_at', { ascending: true }),
+    supabase.from('quotes')
+      .select('id, property_id, created_at, services, status, estimated_value_min, estimated_value_max')
+      .eq('customer_id', customerId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false }),
+    supabase.from('jobs')
+      .select('id, property_id, scheduled_date, service, job_value, status, payment_status')
+      .eq('customer_id', customerId)
+      .order('scheduled_date', { ascending: false }),
+    supabase.from('recurring_jobs')
+      .select('id, property_id, service, repeat_interval, job_value, is_active')
+      .eq('customer_id', customerId),
+    supabase.from('invoices')
+      .select('id, property_id, invoice_number, total, status, created_at')
+      .eq('customer_id', customerId)
+      .order('created_at', { ascending: false })
+  ]);
+
+  if (properties.error) throw new Error(`Failed to load properties: ${properties.error.message}`);
+
+  const history = {
+    quotes: groupByProperty(quotes.data),
+    jobs: groupByProperty(jobs.data),
+    recurring_jobs: groupByProperty(recurring.data),
+    invoices: groupByProperty(invoices.data)
+  };
+
+  return (properties.data || []).map(property => {
+    const propertyJobs = history.jobs[property.id] || [];
+    const completed = propertyJobs.filter(j => j.status === 'completed');
+    return {
+      ...property,
+      quotes: history.quotes[property.id] || [],
+      jobs: propertyJobs,
+      recurring_jobs: history.recurring_jobs[property.id] || [],
+      invoices: history.invoices[property.id] || [],
+      total_spent: completed.reduce((sum, j) => sum + (parseFloat(j.job_value) || 0), 0),
+      last_job_date: completed[0]?.scheduled_date || null
+    };
+  });
+}
+
+module.exports = {
+  addressKey,
+  findOrCreateProperty,
+  isCustomerProperty,
+  propertyForQuote,
+  listPropertiesWithHistory
+};
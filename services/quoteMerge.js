@@ -0,0 +1,337 @@
+/**
+ * Quote Duplicates & Merging
+ *
+ * The same person often asks more than once — instant quote form, then the
+ * chatbot, then the form again. At intake, a new quote from a customer who
+ * already has an open quote for overlapping services (within the
+ * duplicate_window_days pipeline setting) is linked to that quote via
+ * duplicate_of and doesn't get its own estimate or follow-ups.
+ *
+ * Admins can also merge quotes by hand, which moves the duplicate's activity
+ * and attachments onto the primary quote. Every merge (automatic or manual)
+ * is recorded in quote_merges with what was moved, so it can be undone.
+ */
+
+const log = require('./logger').child('QuoteMerge');
+
+const OPEN_STATUSES = ['new', 'contacted', 'quoted'];
+
+// Fields on the duplicate that a merge clears (restored on unmerge)
+const CLEARED_ON_MERGE = ['next_follow_up_at'];
+
+// ─── Detection ──────────────────────────────────────────────────────
+
+/**
+ * Find the customer's most recent open quote for any of the same services,
+ * submitted before this one (so two quotes arriving together can't be linked
+ * to each other). Quotes for a different property of the same customer
+ * aren't duplicates.
+ *
+ * @param {Object} quote - newly saved quote (needs customer_id, services and created_at)
+ * @param {number} windowDays - how far back to look; 0 disables detection
+ * @returns {Promise<Object|null>}
+ */
+async function findOpenDuplicate(supabase, quote, windowDays) {
+  if (!quote.customer_id || !quote.created_at || !windowDays || !(quote.services || []).length) return null;
+
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+
+  let query = supabase
+    .from('quotes')
+    .select('id, name, services, status, created_at')
+    .eq('customer_id', quote.customer_id)
+    .neq('id', quote.id)
+    .is('deleted_at', null)
+    .is('duplicate_of', null)
+    .in('status', OPEN_STATUSES)
+    .overlaps('services', quote.services)
+    .gte('created_at', since)
+    .lt('created_at', quote.created_at);
+
+  if (quote.property_id) {
+    query = query.or(`property_id.is.null,property_id.eq.${quote.property_id}`);
+  }
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    log.warn('Duplicate check failed', { quoteId: quote.id, error: error.message });
+    return null;
+  }
+  return data?.[0] || null;
+}
+
+/**
+ * Link a just-submitted quote to the customer's open quote (no pipeline of its own)
+ * @throws if the link or its merge record can't be saved (the quote is left unlinked)
+ */
+async function linkDuplicateAtIntake(supabase, quote, openQuote, source) {
+  const { error } = await supabase
+    .from('quotes')
+    .update({ duplicate_of: openQuote.id })
+    .eq('id', quote.id);
+
+  if (error) throw new Error(`Failed to link duplicate: ${error.message}`);
+
+  // Without the merge record the link can't be undone from the dashboard,
+  // so don't leave it half made
+  const { error: mergeError } = await supabase.from('quote_merges').insert({
+    primary_quote_id: openQuote.id,
+    duplicate_quote_id: quote.id,
+    source: 'intake',
+    merged_by_name: 'Automatic (intake)'
+  });
+
+  if (mergeError) {
+    await supabase.from('quotes').update({ duplicate_of: null }).eq('id', quote.id);
+    throw new Error(`Failed to record duplicate link: ${mergeError.message}`);
+  }
+
+  const newServices = (quote.services || []).filter(s => !(openQuote.services || []).includes(s));
+  const extra = newServices.length > 0 ? ` Also asked about: ${newServices.join(', ')}.` : '';
+
+  await supabase.from('quote_activity').insert({
+    quote_id: openQuote.id,
+    action_type: 'duplicate_linked',
+    description: `Repeat request received via ${source} (quote ${quote.id}) — linked here instead of starting a new quote.${extra}`
+  }).then(() => {}).catch(() => {});
+
+  log.info('Repeat quote linked to open quote', { quoteId: quote.id, openQuoteId: openQuote.id, source });
+}
+
+// ─── Manual merge / unmerge ─────────────────────────────────────────
+
+async function getQuote(supabase, id) {
+  const { data } = await supabase
+    .from('quotes')
+    .select('*')
+    .eq('id', id)
+    .single();
+  return data;
+}
+
+function rejected(status, error) {
+  return { status, error };
+}
+
+async function moveFiles(supabase, fromQuoteId, toQuoteId, names) {
+  const moved = [];
+  for (const name of names) {
+    const from = `${fromQuoteId}/${name}`;
+    const to = `${toQuoteId}/${name}`;
+    const { error } = await supabase.storage.from('quote-attachments').move(from, to);
+    if (error) {
+      log.warn('Attachment move failed', { from, to, error: error.message });
+      continue;
+    }
+    moved.push({ from, to });
+  }
+  return moved;
+}
+
+/**
+ * Merge one quote into another: moves activity and attachments across,
+ * links the duplicate and stops its follow-ups.
+ *
+ * @param {Object} actor - req.adminUser
+ * @returns {Promise<{ merge?: Object, status?: number, error?: string }>}
+ *   merge is the quote_merges row; status/error explain a refusal
+ */
+async function mergeQuotes(supabase, duplicateId, primaryId, actor) {
+  if (duplicateId === primaryId) return rejected(400, 'Cannot merge a quote into itself');
+
+  const [duplicate, primary] = await Promise.all([
+    getQuote(supabase, duplicateId),
+    getQuote(supabase, primaryId)
+  ]);
+
+  if (!duplicate) return rejected(404, `Quote ${duplicateId} not found`);
+  if (!primary) return rejected(404, `Quote ${primaryId} not found`);
+  if (primary.duplicate_of) {
+    return rejected(400, `Quote ${primaryId} is itself merged into ${primary.duplicate_of} — merge into that quote instead`);
+  }
+
+  const { data: existing } = await supabase
+    .from('quote_merges')
+    .select('id, source, primary_quote_id')
+    .eq('duplicate_quote_id', duplicateId)
+    .is('unmerged_at', null)
+    .maybeSingle();
+
+  // An intake link can be upgraded to a full merge into the same quote
+  if (duplicate.duplicate_of && !(existing?.source === 'intake' && existing.primary_quote_id === primaryId)) {
+    return rejected(409, `Quote ${duplicateId} is already merged into ${duplicate.duplicate_of}`);
+  }
+
+  const { count: childCount } = await supabase
+    .from('quotes')
+    .select('id', { count: 'exact', head: true })
+    .eq('duplicate_of', duplicateId);
+  if (childCount > 0) {
+    return rejected(409, `Quote ${duplicateId} has its own merged duplicates — unmerge those first`);
+  }
+
+  const { data: activity, error: actErr } = await supabase
+    .from('quote_activity')
+    .select('id')
+    .eq('quote_id', duplicateId);
+  if (actErr) throw new Error(`Failed to load activity: ${actErr.message}`);
+  const activityIds = (activity || []).map(a => a.id);
+
+  const { data: files } = await supabase.storage
+    .from('quote-attachments')
+    .list(duplicateId, { limit: 100 });
+  const fileNames = (files || []).map(f => f.name);
+
+  const previousValues = {};
+  for (const field of CLEARED_ON_MERGE) previousValues[field] = duplicate[field] ?? null;
+
+  // Link and record the merge before moving anything, so an interrupted merge
+  // can still be found and undone (unmerge moves back whatever it lists)
+  const { error: linkErr } = await supabase
+    .from('quotes')
+    .update({ duplicate_of: primaryId, next_follow_up_at: null })
+    .eq('id', duplicateId);
+  if (linkErr) throw new Error(`Failed to link duplicate: ${linkErr.message}`);
+
+  if (existing) {
+    // Replace the intake link with this merge's record
+    await supabase.from('quote_merges')
+      .update({ unmerged_at: new Date().toISOString(), unmerged_by_name: 'Superseded by manual merge' })
+      .eq('id', existing.id);
+  }
+
+  const { data: record, error: mergeErr } = await supabase
+    .from('quote_merges')
+    .insert({
+      primary_quote_id: primaryId,
+      duplicate_quote_id: duplicateId,
+      source: 'manual',
+      moved_activity_ids: activityIds,
+      moved_files: fileNames.map(name => ({ from: `${duplicateId}/${name}`, to: `${primaryId}/${name}` })),
+      previous_values: previousValues,
+      merged_by_id: actor?.id || null,
+      merged_by_name: actor?.name || actor?.email || null
+    })
+    .select()
+    .single();
+  if (mergeErr) throw new Error(`Failed to record merge: ${mergeErr.message}`);
+
+  // Activity
+  if (activityIds.length > 0) {
+    const { error } = await supabase
+      .from('quote_activity')
+      .update({ quote_id: primaryId })
+      .in('id', activityIds);
+    if (error) throw new Error(`Failed to move activity: ${error.message}`);
+  }
+
+  // Attachments (the record keeps only the ones that actually moved)
+  const movedFiles = await moveFiles(supabase, duplicateId, primaryId, fileNames);
+  let merge = record;
+  if (movedFiles.length < fileNames.length) {
+    const { data: updated } = await supabase
+      .from('quote_merges')
+      .update({ moved_files: movedFiles })
+      .eq('id', record.id)
+      .select()
+      .single();
+    merge = updated || { ...record, moved_files: movedFiles };
+  }
+
+  await supabase.from('quote_activity').insert({
+    quote_id: primaryId,
+    action_type: 'merged',
+    description: `Merged quote ${duplicateId} (${duplicate.name}) into this one — ${activityIds.length} activity entries and ${movedFiles.length} attachments moved`
+  }).then(() => {}).catch(() => {});
+
+  log.info('Quotes merged', { duplicateId, primaryId, activity: activityIds.length, files: movedFiles.length });
+  return { merge };
+}
+
+/**
+ * Undo a merge: moves activity and attachments back and unlinks the duplicate.
+ *
+ * @returns {Promise<{ merge?: Object, needsEstimate?: boolean, status?: number, error?: string }>}
+ *   needsEstimate is true when the quote was linked at intake and never got its own
+ *   estimate (and isn't held for manual review)
+ */
+async function unmergeQuote(supabase, duplicateId, actor) {
+  const duplicate = await getQuote(supabase, duplicateId);
+  if (!duplicate) return rejected(404, `Quote ${duplicateId} not found`);
+
+  const { data: merge } = await supabase
+    .from('quote_merges')
+    .select('*')
+    .eq('duplicate_quote_id', duplicateId)
+    .is('unmerged_at', null)
+    .maybeSingle();
+
+  if (!merge || !duplicate.duplicate_of) return rejected(409, `Quote ${duplicateId} is not merged`);
+
+  const activityIds = merge.moved_activity_ids || [];
+  if (activityIds.length > 0) {
+    const { error } = await supabase
+      .from('quote_activity')
+      .update({ quote_id: duplicateId })
+      .in('id', activityIds);
+    if (error) throw new Error(`Failed to move activity back: ${error.message}`);
+  }
+
+  for (const file of merge.moved_files || []) {
+    const { error } = await supabase.storage.from('quote-attachments').move(file.to, file.from);
+    if (error) log.warn('Attachment move back failed', { from: file.to, to: file.from, error: error.message });
+  }
+
+  const { error: unlinkErr } = await supabase
+    .from('quotes')
+    .update({ duplicate_of: null, ...(merge.previous_values || {}) })
+    .eq('id', duplicateId);
+  if (unlinkErr) throw new Error(`Failed to unlink duplicate: ${unlinkErr.message}`);
+
+  const { data: updated } = await supabase
+    .from('quote_merges')
+    .update({
+      unmerged_at: new Date().toISOString(),
+      unmerged_by_name: actor?.name || actor?.email || null
+    })
+    .eq('id', merge.id)
+    .select()
+    .single();
+
+  await supabase.from('quote_activity').insert({
+    quote_id: merge.primary_quote_id,
+    action_type: 'unmerged',
+    description: `Quote ${duplicateId} (${duplicate.name}) unmerged from this one`
+  }).then(() => {}).catch(() => {});
+
+  log.info('Quote unmerged', { duplicateId, primaryId: merge.primary_quote_id });
+  return {
+    merge: updated || merge,
+    needsEstimate: !duplicate.estimated_at && !duplicate.needs_manual_review
+  };
+}
+
+/**
+ * Quotes linked to this one, with their merge records
+ */
+async function listDuplicates(supabase, primaryId) {
+  const { data, error } = await supabase
+    .from('quote_merges')
+    .select('*')
+    .eq('primary_quote_id', primaryId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  findOpenDuplicate,
+  linkDuplicateAtIntake,
+  mergeQuotes,
+  unmergeQuote,
+  listDuplicates
+};
@@ -0,0 +1,198 @@
+/**
+ * Quote Price Revisions
+ *
+ * Changing a quote's estimate or final price creates a numbered revision in
+ * quote_revisions recording who changed it, why, and the old and new values.
+ * quotes.price_revision holds the current revision number, so the customer
+ * pages and messages can say what changed since the customer last saw it.
+ */
+
+const log = require('./logger').child('QuoteRevisions');
+
+// Fields that make up "the price" of a quote
+const PRICE_FIELDS = ['estimated_value_min', 'estimated_value_max', 'final_value', 'final_price'];
+const ESTIMATE_FIELDS = ['estimated_value_min', 'estimated_value_max'];
+
+function asAmount(value) {
+  return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
+function formatAmount(value) {
+  return value === null || value === undefined ? 'not set' : `£${Number(value).toFixed(0)}`;
+}
+
+/**
+ * Price fields in `updates` whose value differs from the current quote.
+ * If either end of the estimate changes, both ends are kept so the revision
+ * reads as a full range.
+ * @returns {{ oldValues: Object, newValues: Object }|null} null if no price changed
+ */
+function priceChanges(quote, updates) {
+  const oldValues = {};
+  const newValues = {};
+
+  for (const field of PRICE_FIELDS) {
+    if (updates[field] === undefined) continue;
+    const before = asAmount(quote[field]);
+    const after = asAmount(updates[field]);
+    if (before === after) continue;
+    oldValues[field] = before;
+    newValues[field] = after;
+  }
+
+  if (ESTIMATE_FIELDS.some(field => field in newValues)) {
+    for (const field of ESTIMATE_FIELDS) {
+      oldValues[field] = asAmount(quote[field]);
+      newValues[field] = field in newValues ? newValues[field] : oldValues[field];
+    }
+  }
+
+  return Object.keys(newValues).length > 0 ? { oldValues, newValues } : null;
+}
+
+/**
+ * Human-readable "what changed" lines for a revision
+ * e.g. ['Estimate: £300–£400 → £350–£450', 'Fixed price: £450 → £395']
+ *
+ * @param {Object} [options] - { customerFacing: leave out the internal agreed value }
+ */
+function describeRevision(revision, { customerFacing = false } = {}) {
+  const before = revision.old_values || {};
+  const after = revision.new_values || {};
+  const lines = [];
+
+  if ('estimated_value_min' in after) {
+    const range = values => `${formatAmount(values.estimated_value_min)}–${formatAmount(values.estimated_value_max)}`;
+    lines.push(`Estimate: ${range(before)} → ${range(after)}`);
+  }
+  if ('final_price' in after) {
+    lines.push(`Fixed price: ${formatAmount(before.final_price)} → ${formatAmount(after.final_price)}`);
+  }
+  if ('final_value' in after && !customerFacing) {
+    lines.push(`Agreed value: ${formatAmount(before.final_value)} → ${formatAmount(after.final_value)}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Update a quote, storing any price change as its next revision.
+ *
+ * The revision row is written before the quote, so a price never goes live
+ * without its record: UNIQUE (quote_id, revision) turns away a concurrent
+ * revision of the same quote, and if the quote update then doesn't land the
+ * revision row is removed again.
+ *
+ * @param {Object} quote - Current quote row (id, price fields, price_revision)
+ * @param {Object} updates - Quote columns to set, including any new price fields
+ * @param {Object} details - { reason, actor }
+ * @returns {Promise<{ quote: Object|null, revision: Object|null, conflict?: boolean }>}
+ *   revision is null if no price changed; conflict if someone else revised the price first
+ */
+async function reviseQuote(supabase, quote, updates, { reason, actor }) {
+  const change = priceChanges(quote, updates);
+
+  if (!change) {
+    const { data, error } = await supabase.from('quotes').update(updates).eq('id', quote.id).select().maybeSingle();
+    if (error) throw new Error(`Failed to update quote: ${error.message}`);
+    return { quote: data, revision: null };
+  }
+
+  const revisionNumber = (quote.price_revision || 0) + 1;
+
+  const { data: revision, error: revisionError } = await supabase
+    .from('quote_revisions')
+    .insert({
+      quote_id: quote.id,
+      revision: revisionNumber,
+      old_values: change.oldValues,
+      new_values: change.newValues,
+      reason,
+      revised_by_id: actor?.id || null,
+      revised_by_name: actor?.name || actor?.email || null
+    })
+    .select()
+    .single();
+
+  if (revisionError) {
+    if (revisionError.code === '23505') return { quote: null, revision: null, conflict: true };
+    throw new Error(`Failed to record revision: ${revisionError.message}`);
+  }
+
+  const { data: updated, error } = await supabase
+    .from('quotes')
+    .update({ ...updates, price_revision: revisionNumber })
+    .eq('id', quote.id)
+    .eq('price_revision', revisionNumber - 1)
+    .select()
+    .maybeSingle();
+
+  if (error || !updated) {
+    await supabase.from('quote_revisions').delete().eq('id', revision.id).then(() => {}).catch(() => {});
+    if (error) throw new Error(`Failed to update quote: ${error.message}`);
+    return { quote: null, revision: null, conflict: true };
+  }
+
+  await supabase.from('quote_activity').insert({
+    quote_id: quote.id,
+    action_type: 'price_revision',
+    description: `Revision ${revisionNumber}: ${describeRevision(revision).join('; ')} — ${reason}`
+  }).then(() => {}).catch(() => {});
+
+  log.info('Price revised', { quoteId: quote.id, revision: revisionNumber, fields: Object.keys(change.newValues).join(', ') });
+  return { quote: updated, revision };
+}
+
+/**
+ * All revisions for a quote, newest first, each with its "what changed" lines
+ */
+async function listRevisions(supabase, quoteId) {
+  const { data, error } = await supabase
+    .from('quote_revisions')
+    .select('*')
+    .eq('quote_id', quoteId)
+    .order('revision', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(revision => ({ ...revision, changes: describeRevision(revision) }));
+}
+
+/**
+ * The quote's current revision, or null if it hasn't been revised
+ */
+async function getCurrentRevision(supabase, quote) {
+  if (!quote.price_revision) return null;
+
+  const { data } = await supabase
+    .from('quote_revisions')
+    .select('*')
+    .eq('quote_id', quote.id)
+    .eq('revision', quote.price_revision)
+    .maybeSingle();
+
+  return data ? { ...data, changes: describeRevision(data) } : null;
+}
+
+/**
+ * Record that a revision was sent to the customer
+ */
+async function markRevisionSent(supabase, revisionId, { actor, channels }) {
+  await supabase
+    .from('quote_revisions')
+    .update({
+      sent_at: new Date().toISOString(),
+      sent_by_name: actor?.name || actor?.email || null,
+      sent_channels: channels
+    })
+    .eq('id', revisionId);
+}
+
+module.exports = {
+  PRICE_FIELDS,
+  priceChanges,
+  describeRevision,
+  reviseQuote,
+  listRevisions,
+  getCurrentRevision,
+  markRevisionSent
+};
@@ -0,0 +1,387 @@
+/**
+ * Referral Programme
+ *
+ * Each customer gets a referral code once one of their jobs is completed,
+ * sent to them with the review request. A new customer quoting with the code
+ * gets the REFERRALS discount on their estimate and fixed price; once the
+ * referred job is completed the referrer earns a credit, which is taken off
+ * their next invoice.
+ *
+ * Reward lifecycle (referral_rewards.status):
+ *   pending → earned (referred job completed) → applied (credit fully used)
+ *
+ * The discount terms are snapshotted into the quote's estimate breakdown, so
+ * a later settings change doesn't alter a deal already offered.
+ */
+
+const crypto = require('crypto');
+const { getPricingConfig } = require('./pricingConfig');
+const log = require('./logger').child('Referrals');
+
+const REFERRAL_LINK_BASE = 'https://www.reviveexteriorcleaningsolutions.co.uk/instant-quote-page';
+
+// No 0/O or 1/I, so codes read back over the phone are unambiguous
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_SUFFIX_LENGTH = 4;
+
+/**
+ * Upper-case a code and drop spaces/dashes, or null if nothing is left
+ */
+function normaliseReferralCode(code) {
+  if (typeof code !== 'string') return null;
+  const cleaned = code.toUpperCase().replace(/[^A-Z0-9]/g, '').substring(0, 20);
+  return cleaned || null;
+}
+
+/**
+ * e.g. 'SARAH7K3Q' — first name plus a random suffix
+ */
+function generateCode(name) {
+  const prefix = (String(name || '').split(/\s+/)[0] || '')
+    .toUpperCase()
+    .replace(/[^A-Z]/g, '')
+    .substring(0, 6) || 'REVIVE';
+  let suffix = '';
+  for (let i = 0; i < CODE_SUFFIX_LENGTH; i++) {
+    suffix += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return prefix + suffix;
+}
+
+function referralLink(code) {
+  return `${REFERRAL_LINK_BASE}?ref=${encodeURIComponent(code)}`;
+}
+
+// ─── Discount ───────────────────────────────────────────────────────
+
+/**
+ * Customer-facing discount, e.g. '10% off' or '£15 off'
+ * @param {Object} terms - { discountType, discountValue }
+ */
+function describeDiscount(terms) {
+  return terms.discountType === 'fixed'
+    ? `£${Number(terms.discountValue)} off`
+    : `${Number(terms.discountValue)}% off`;
+}
+
+/**
+ * Amount after the referral discount (never below zero)
+ * @param {Object} terms - { discountType, discountValue }
+ */
+function applyReferralDiscount(amount, terms) {
+  const value = Number(terms.discountValue) || 0;
+  const discounted = terms.discountType === 'fixed'
+    ? amount - value
+    : amount * (1 - value / 100);
+  return Math.max(0, discounted);
+}
+
+/**
+ * Amount before the referral discount — the inverse of applyReferralDiscount,
+ * for anchoring full-price analysis on a discounted estimate
+ */
+function removeReferralDiscount(amount, terms) {
+  const value = Number(terms.discountValue) || 0;
+  if (terms.discountType === 'fixed') return amount + value;
+  return value < 100 ? amount / (1 - value / 100) : amount;
+}
+
+/**
+ * Validate a REFERRALS section from the pricing settings API
+ * @returns {string|null} error message, or null if valid
+ */
+function validateReferrals(referrals) {
+  if (!referrals || typeof referrals !== 'object') return 'Referrals must be an object';
+  if (referrals.discountType && !['percent', 'fixed'].includes(referrals.discountType)) {
+    return "Referral discount type must be 'percent' or 'fixed'";
+  }
+  if (referrals.discountValue !== undefined) {
+    const value = referrals.discountValue;
+    if (typeof value !== 'number' || value < 0) return 'Referral discount cannot be negative';
+    if (referrals.discountType !== 'fixed' && value >= 100) return 'Referral discount must be under 100%';
+  }
+  if (referrals.rewardAmount !== undefined && (typeof referrals.rewardAmount !== 'number' || referrals.rewardAmount < 0)) {
+    return 'Referral reward cannot be negative';
+  }
+  return null;
+}
+
+// ─── Codes ──────────────────────────────────────────────────────────
+
+/**
+ * The customer's referral code, creating one if they don't have one yet
+ * @returns {Promise<string|null>}
+ */
+async function ensureReferralCode(supabase, customerId) {
+  const { data: customer, error } = await supabase
+    .from('customers')
+    .select('name, referral_code')
+    .eq('id', customerId)
+    .single();
+
+  if (error || !customer) return null;
+  if (customer.referral_code) return customer.referral_code;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateCode(customer.name);
+    const { data: updated, error: updateError } = await supabase
+      .from('customers')
+      .update({ referral_code: code })
+      .eq('id', customerId)
+      .is('referral_code', null)
+      .select('referral_code');
+
+    // Unique violation — another customer has this code, try another suffix
+    if (updateError?.code === '23505') continue;
+    if (updateError) throw updateError;
+
+    if (updated && updated.length > 0) {
+      log.info('Referral code created', { customerId, code });
+      return code;
+    }
+
+    // Someone else set it in the meantime
+    const { data: current } = await supabase
+      .from('customers')
+      .select('referral_code')
+      .eq('id', customerId)
+      .single();
+    return current?.referral_code || null;
+  }
+
+  throw new Error('Could not generate a unique referral code');
+}
+
+/**
+ * What to put in the review request: the customer's code and link, and the
+ * offer for the friend and reward for them. Null if the programme is off.
+ * @returns {Promise<{ code, link, offer, reward }|null>}
+ */
+async function referralInvite(supabase, customerId) {
+  if (!customerId) return null;
+  try {
+    const { REFERRALS } = await getPricingConfig();
+    if (!REFERRALS?.enabled) return null;
+
+    const code = await ensureReferralCode(supabase, customerId);
+    if (!code) return null;
+
+    return {
+      code,
+      link: referralLink(code),
+      offer: describeDiscount(REFERRALS),
+      reward: `£${Number(REFERRALS.rewardAmount)}`
+    };
+  } catch (error) {
+    // The review request still goes out without it
+    log.error('Referral invite failed', { customerId, error: error.message });
+    return null;
+  }
+}
+
+// ─── Referred quotes ────────────────────────────────────────────────
+
+function logReferralActivity(supabase, quoteId, description) {
+  return supabase.from('quote_activity').insert({
+    quote_id: quoteId,
+    action_type: 'referral',
+    description
+  }).then(() => {}).catch(() => {});
+}
+
+/**
+ * Check a new quote's referral code once it's linked to its customer. A
+ * valid referral sets quotes.referred_by_customer_id (which the estimator
+ * discounts on) and records a pending reward for the referrer; an invalid
+ * one is noted on the quote and otherwise ignored. Never throws.
+ *
+ * Only new customers count: not the referrer themselves, and not anyone
+ * who's already had a job completed.
+ * @returns {Promise<boolean>} true if the referral was accepted
+ */
+async function confirmReferral(supabase, quote) {
+  if (!quote.referral_code) return false;
+
+  try {
+    const { REFERRALS } = await getPricingConfig();
+    if (!REFERRALS?.enabled) {
+      await logReferralActivity(supabase, quote.id, `Referral code ${quote.referral_code} not applied — referral programme is off`);
+      return false;
+    }
+
+    const { data: referrer } = await supabase
+      .from('customers')
+      .select('id, name')
+      .eq('referral_code', quote.referral_code)
+      .maybeSingle();
+
+    let rejection = null;
+    if (!referrer) {
+      rejection = 'code not recognised';
+    } else if (referrer.id === quote.customer_id) {
+      rejection = "customer's own code";
+    } else if (quote.customer_id) {
+      const { count } = await supabase
+        .from('jobs')
+        .select('id', { count: 'exact', head: true })
+        .eq('customer_id', quote.customer_id)
+        .eq('status', 'completed');
+      if (count > 0) rejection = 'existing customer';
+    }
+
+    if (rejection) {
+      log.info('Referral not applied', { quoteId: quote.id, code: quote.referral_code, reason: rejection });
+      await logReferralActivity(supabase, quote.id, `Referral code ${quote.referral_code} not applied — ${rejection}`);
+      return false;
+    }
+
+    const { error } = await supabase
+      .from('quotes')
+      .update({ referred_by_customer_id: referrer.id })
+      .eq('id', quote.id);
+    if (error) throw error;
+    quote.referred_by_customer_id = referrer.id;
+
+    const { error: rewardError } = await supabase.from('referral_rewards').insert({
+      referrer_customer_id: referrer.id,
+      referred_quote_id: quote.id,
+      amount: Number(REFERRALS.rewardAmount) || 0,
+      status: 'pending'
+    });
+    if (rewardError) log.error('Referral reward not recorded', { quoteId: quote.id, error: rewardError.message });
+
+    log.info('Referral applied', { quoteId: quote.id, referrerId: referrer.id });
+    await logReferralActivity(supabase, quote.id, `Referred by ${referrer.name} (code ${quote.referral_code}) — ${describeDiscount(REFERRALS)}`);
+    return true;
+  } catch (error) {
+    log.error('Referral check failed', { quoteId: quote.id, error: error.message });
+    return false;
+  }
+}
+
+// ─── Rewards ────────────────────────────────────────────────────────
+
+/**
+ * A job has just been completed: make sure its customer has a code to share,
+ * and if the job came from a referral, the referrer's reward is now earned.
+ * Never throws.
+ */
+async function handleJobCompleted(supabase, job) {
+  try {
+    const { REFERRALS } = await getPricingConfig();
+    if (REFERRALS?.enabled && job.customer_id) {
+      await ensureReferralCode(supabase, job.customer_id);
+    }
+
+    if (!job.quote_id) return;
+
+    const { data: earned } = await supabase
+      .from('referral_rewards')
+      .update({ status: 'earned', earned_at: new Date().toISOString(), referred_job_id: job.id })
+      .eq('referred_quote_id', job.quote_id)
+      .eq('status', 'pending')
+      .select('id, referrer_customer_id, amount');
+
+    for (const reward of earned || []) {
+      log.info('Referral reward earned', { rewardId: reward.id, referrerId: reward.referrer_customer_id, amount: reward.amount });
+    }
+  } catch (error) {
+    log.error('Referral completion handling failed', { jobId: job.id, error: error.message });
+  }
+}
+
+/**
+ * Claim the customer's earned referral credit, up to maxAmount, oldest
+ * first. A reward bigger than what's left is used in part and the rest stays
+ * earned for the next invoice. Claims are guarded on amount_applied, so two
+ * invoices created at once can't spend the same credit. Never throws.
+ *
+ * @returns {Promise<{ credit: number, claims: Array }>} claims are needed to
+ *   attach (attachReferralClaims) or undo (releaseReferralClaims) them
+ */
+async function claimReferralCredit(supabase, customerId, maxAmount) {
+  const claims = [];
+  let credit = 0;
+  if (!customerId || !(maxAmount > 0)) return { credit, claims };
+
+  const { data: rewards, error } = await supabase
+    .from('referral_rewards')
+    .select('id, amount, amount_applied')
+    .eq('referrer_customer_id', customerId)
+    .eq('status', 'earned')
+    .order('earned_at', { ascending: true });
+
+  if (error) {
+    // Invoice without the credit rather than no invoice — it stays earned
+    log.error('Referral credit lookup failed', { customerId, error: error.message });
+    return { credit, claims };
+  }
+
+  for (const reward of rewards || []) {
+    const left = Math.round((maxAmount - credit) * 100) / 100;
+    if (left <= 0) break;
+
+    const applied = Number(reward.amount_applied) || 0;
+    const use = Math.min(Number(reward.amount) - applied, left);
+    if (use <= 0) continue;
+
+    const newApplied = Math.round((applied + use) * 100) / 100;
+    const { data: claimed } = await supabase
+      .from('referral_rewards')
+      .update({
+        amount_applied: newApplied,
+        status: newApplied >= Number(reward.amount) ? 'applied' : 'earned',
+        applied_at: new Date().toISOString()
+      })
+      .eq('id', reward.id)
+      .eq('amount_applied', reward.amount_applied)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) continue;
+    claims.push({ id: reward.id, used: use, previousApplied: reward.amount_applied });
+    credit = Math.round((credit + use) * 100) / 100;
+  }
+
+  return { credit, claims };
+}
+
+/**
+ * Record which invoice claimed credit was used on
+ */
+async function attachReferralClaims(supabase, claims, invoiceId) {
+  if (claims.length === 0) return;
+  await supabase
+    .from('referral_rewards')
+    .update({ applied_invoice_id: invoiceId })
+    .in('id', claims.map(c => c.id));
+}
+
+/**
+ * Give claimed credit back (the invoice it was for wasn't created)
+ */
+async function releaseReferralClaims(supabase, claims) {
+  for (const claim of claims) {
+    await supabase
+      .from('referral_rewards')
+      .update({ amount_applied: claim.previousApplied, status: 'earned' })
+      .eq('id', claim.id)
+      .then(() => {})
+      .catch(err => log.error('Referral credit release failed', { rewardId: claim.id, error: err.message }));
+  }
+}
+
+module.exports = {
+  normaliseReferralCode,
+  referralLink,
+  describeDiscount,
+  applyReferralDiscount,
+  removeReferralDiscount,
+  validateReferrals,
+  ensureReferralCode,
+  referralInvite,
+  confirmReferral,
+  handleJobCompleted,
+  claimReferralCredit,
+  attachReferralClaims,
+  releaseReferralClaims
+};
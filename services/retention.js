@@ -0,0 +1,445 @@
+/**
+ * Data Retention
+ *
+ * Nightly purge of personal data that has outlived its retention period.
+ * Rules live in the settings table (key 'retention_policy'), one per data class:
+ *
+ *   chat_ip_addresses    — clear chat_conversations.ip_address
+ *   chat_transcripts     — delete or anonymise whole chat conversations
+ *   deleted_quote_files  — remove quote-attachments photos of soft-deleted quotes
+ *   deleted_quotes       — hard-delete or anonymise soft-deleted quotes
+ *   unconverted_quotes   — hard-delete or anonymise quotes that never became a booking
+ *
+ * Each class has { enabled, days, action }. Age is measured from the last
+ * chat message, deleted_at, or for unconverted quotes the later of created_at
+ * and last_contact_at.
+ *
+ * The purge is off until the owner turns it on. Every run — scheduled,
+ * manual or dry run — is written to retention_runs with a per-class report
+ * of what was removed. Quotes that something else still points at (e.g. a
+ * job) can't be hard-deleted; those are anonymised instead and reported.
+ */
+
+const cron = require('node-cron');
+const { withLock } = require('./locks');
+const log = require('./logger').child('Retention');
+
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+// Max rows per class per run — anything left over is picked up the next night
+const BATCH_LIMIT = 500;
+
+const ANONYMISED_NAME = 'Anonymised';
+
+// Quote statuses that count as converted — never touched by unconverted_quotes
+const CONVERTED_STATUSES = ['booked', 'completed'];
+
+const DATA_CLASSES = {
+  chat_ip_addresses: { actions: ['anonymise'] },
+  chat_transcripts: { actions: ['delete', 'anonymise'] },
+  deleted_quote_files: { actions: ['delete'] },
+  deleted_quotes: { actions: ['delete', 'anonymise'] },
+  unconverted_quotes: { actions: ['delete', 'anonymise'] }
+};
+
+const DEFAULT_RETENTION_POLICY = {
+  enabled: false,
+  classes: {
+    chat_ip_addresses: { enabled: true, days: 30, action: 'anonymise' },
+    chat_transcripts: { enabled: true, days: 365, action: 'delete' },
+    deleted_quote_files: { enabled: true, days: 30, action: 'delete' },
+    deleted_quotes: { enabled: true, days: 180, action: 'delete' },
+    unconverted_quotes: { enabled: false, days: 730, action: 'anonymise' }
+  }
+};
+
+// ─── Policy ─────────────────────────────────────────────────────────
+
+function mergeWithDefaults(value) {
+  const classes = {};
+  for (const name of Object.keys(DATA_CLASSES)) {
+    classes[name] = { ...DEFAULT_RETENTION_POLICY.classes[name], ...(value?.classes?.[name] || {}) };
+  }
+  return {
+    enabled: value?.enabled === undefined ? DEFAULT_RETENTION_POLICY.enabled : !!value.enabled,
+    classes
+  };
+}
+
+/**
+ * Load the retention policy (settings → defaults)
+ */
+async function getRetentionPolicy() {
+  const { data, error } = await supabase
+    .from('settings')
+    .select('value, updated_at')
+    .eq('key', 'retention_policy')
+    .maybeSingle();
+
+  if (error) log.warn('Could not load retention policy, using defaults', { error: error.message });
+
+  return { policy: mergeWithDefaults(data?.value), updated_at: data?.updated_at || null };
+}
+
+/**
+ * Validate a (partial) policy from the admin API
+ * @returns {string|null} error message, or null if valid
+ */
+function validateRetentionPolicy(policy) {
+  if (!policy || typeof policy !== 'object') return 'Policy must be an object';
+  if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') return 'enabled must be true or false';
+
+  for (const [name, rule] of Object.entries(policy.classes || {})) {
+    const dataClass = DATA_CLASSES[name];
+    if (!dataClass) return `Unknown data class: ${name}`;
+    if (!rule || typeof rule !== 'object') return `${name}: rule must be an object`;
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') return `${name}: enabled must be true or false`;
+    if (rule.days !== undefined && (!Number.isInteger(rule.days) || rule.days < 1 || rule.days > 3650)) {
+      return `${name}: days must be a whole number between 1 and 3650`;
+    }
+    if (rule.action !== undefined && !dataClass.actions.includes(rule.action)) {
+      return `${name}: action must be one of ${dataClass.actions.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Save a policy, merged over the current one
+ */
+async function saveRetentionPolicy(changes) {
+  const { policy: current } = await getRetentionPolicy();
+  const classes = { ...current.classes };
+  for (const [name, rule] of Object.entries(changes.classes || {})) {
+    classes[name] = { ...classes[name], ...rule };
+  }
+  const policy = mergeWithDefaults({
+    enabled: changes.enabled === undefined ? current.enabled : changes.enabled,
+    classes
+  });
+
+  const { error } = await supabase
+    .from('settings')
+    .upsert({
+      key: 'retention_policy',
+      value: policy,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'key' });
+
+  if (error) throw error;
+  return policy;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────
+
+function cutoffFor(rule) {
+  return new Date(Date.now() - rule.days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function rowsOrThrow({ data, error }, what) {
+  if (error) throw new Error(`Failed to load ${what}: ${error.message}`);
+  return data || [];
+}
+
+async function removeQuoteFiles(quoteId) {
+  const { data, error } = await supabase.storage
+    .from('quote-attachments')
+    .list(quoteId, { limit: 100 });
+
+  if (error) throw new Error(`Failed to list attachments for ${quoteId}: ${error.message}`);
+  if (!data || data.length === 0) return 0;
+
+  const { error: removeErr } = await supabase.storage
+    .from('quote-attachments')
+    .remove(data.map(f => `${quoteId}/${f.name}`));
+
+  if (removeErr) throw new Error(`Failed to delete attachments for ${quoteId}: ${removeErr.message}`);
+  return data.length;
+}
+
+async function anonymiseQuote(quoteId, now) {
+  const { error } = await supabase
+    .from('quotes')
+    .update({
+      name: ANONYMISED_NAME,
+      email: '',
+      phone: '',
+      address_line1: '',
+      postcode: '',
+      answers: null,
+      admin_notes: null,
+      next_follow_up_at: null,
+      anonymised_at: now,
+      files_purged_at: now
+    })
+    .eq('id', quoteId);
+
+  if (error) throw new Error(`Failed to anonymise quote ${quoteId}: ${error.message}`);
+
+  await supabase.from('quote_activity').delete().eq('quote_id', quoteId);
+}
+
+/**
+ * Delete or anonymise a quote along with its photos and activity.
+ * Falls back to anonymising when a foreign key (job, invoice…) blocks the delete.
+ * @returns {Promise<{ outcome: 'deleted'|'anonymised', files: number }>}
+ */
+async function purgeQuote(quoteId, action, now) {
+  const files = await removeQuoteFiles(quoteId);
+
+  if (action === 'delete') {
+    await supabase.from('quote_activity').delete().eq('quote_id', quoteId);
+    const { error } = await supabase.from('quotes').delete().eq('id', quoteId);
+    if (!error) return { outcome: 'deleted', files };
+    if (error.code !== '23503') throw new Error(`Failed to delete quote ${quoteId}: ${error.message}`);
+    log.info('Quote still referenced — anonymising instead', { quoteId });
+  }
+
+  await anonymiseQuote(quoteId, now);
+  return { outcome: 'anonymised', files };
+}
+
+// ─── Data classes ───────────────────────────────────────────────────
+
+const PURGERS = {
+  async chat_ip_addresses(rule, { dryRun }) {
+    const cutoff = cutoffFor(rule);
+    const rows = rowsOrThrow(await supabase
+      .from('chat_conversations')
+      .select('id')
+      .not('ip_address', 'is', null)
+      .lt('last_message_at', cutoff)
+      .limit(BATCH_LIMIT), 'chat conversations');
+
+    const ids = rows.map(r => r.id);
+    if (!dryRun && ids.length > 0) {
+      const { error } = await supabase
+        .from('chat_conversations')
+        .update({ ip_address: null })
+        .in('id', ids);
+      if (error) throw new Error(`Failed to clear chat IP addresses: ${error.message}`);
+    }
+
+    return { cutoff, matched: ids.length, anonymised: dryRun ? 0 : ids.length, ids };
+  },
+
+  async chat_transcripts(rule, { dryRun, now }) {
+    const cutoff = cutoffFor(rule);
+    const rows = rowsOrThrow(await supabase
+      .from('chat_conversations')
+      .select('id')
+      .is('anonymised_at', null)
+      .lt('last_message_at', cutoff)
+      .limit(BATCH_LIMIT), 'chat conversations');
+
+    const ids = rows.map(r => r.id);
+    const report = { cutoff, matched: ids.length, deleted: 0, anonymised: 0, ids };
+    if (dryRun || ids.length === 0) return report;
+
+    if (rule.action === 'delete') {
+      const { error } = await supabase.from('chat_conversations').delete().in('id', ids);
+      if (error) throw new Error(`Failed to delete chat conversations: ${error.message}`);
+      report.deleted = ids.length;
+    } else {
+      const { error } = await supabase
+        .from('chat_conversations')
+        .update({
+          messages: [],
+          ip_address: null,
+          customer_name: null,
+          customer_email: null,
+          customer_phone: null,
+          customer_postcode: null,
+          anonymised_at: now
+        })
+        .in('id', ids);
+      if (error) throw new Error(`Failed to anonymise chat conversations: ${error.message}`);
+      report.anonymised = ids.length;
+    }
+    return report;
+  },
+
+  async deleted_quote_files(rule, { dryRun, now }) {
+    const cutoff = cutoffFor(rule);
+    const rows = rowsOrThrow(await supabase
+      .from('quotes')
+      .select('id')
+      .not('deleted_at', 'is', null)
+      .lt('deleted_at', cutoff)
+      .is('files_purged_at', null)
+      .limit(BATCH_LIMIT), 'deleted quotes');
+
+    const report = { cutoff, matched: rows.length, files_deleted: 0, ids: rows.map(r => r.id), errors: [] };
+    if (dryRun) return report;
+
+    for (const { id } of rows) {
+      try {
+        report.files_deleted += await removeQuoteFiles(id);
+        await supabase.from('quotes').update({ files_purged_at: now }).eq('id', id);
+      } catch (err) {
+        report.errors.push({ id, error: err.message });
+      }
+    }
+    return report;
+  },
+
+  async deleted_quotes(rule, options) {
+    const cutoff = cutoffFor(rule);
+    const rows = rowsOrThrow(await supabase
+      .from('quotes')
+      .select('id')
+      .not('deleted_at', 'is', null)
+      .lt('deleted_at', cutoff)
+      .is('anonymised_at', null)
+      .limit(BATCH_LIMIT), 'deleted quotes');
+
+    return purgeQuotes(rows, rule, cutoff, options);
+  },
+
+  async unconverted_quotes(rule, options) {
+    const cutoff = cutoffFor(rule);
+    const rows = rowsOrThrow(await supabase
+      .from('quotes')
+      .select('id')
+      .is('deleted_at', null)
+      .is('anonymised_at', null)
+      .not('status', 'in', `(${CONVERTED_STATUSES.join(',')})`)
+      .lt('created_at', cutoff)
+      .or(`last_contact_at.is.null,last_contact_at.lt.${cutoff}`)
+      .limit(BATCH_LIMIT), 'unconverted quotes');
+
+    return purgeQuotes(rows, rule, cutoff, options);
+  }
+};
+
+async function purgeQuotes(rows, rule, cutoff, { dryRun, now, lease }) {
+  const report = {
+    cutoff, matched: rows.length, deleted: 0, anonymised: 0, files_deleted: 0,
+    ids: rows.map(r => r.id), errors: []
+  };
+  if (dryRun) return report;
+
+  for (const { id } of rows) {
+    if (lease && !lease.isHeld()) break;
+    try {
+      const { outcome, files } = await purgeQuote(id, rule.action, now);
+      report[outcome] += 1;
+      report.files_deleted += files;
+    } catch (err) {
+      report.errors.push({ id, error: err.message });
+    }
+  }
+  return report;
+}
+
+// ─── Runs ───────────────────────────────────────────────────────────
+
+async function startRun(fields) {
+  const { data, error } = await supabase
+    .from('retention_runs')
+    .insert({ ...fields, status: 'running' })
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to record retention run: ${error.message}`);
+  return data;
+}
+
+async function finishRun(runId, fields) {
+  const { error } = await supabase
+    .from('retention_runs')
+    .update({ ...fields, finished_at: new Date().toISOString() })
+    .eq('id', runId);
+
+  if (error) log.error('Failed to save retention report', { runId, error: error.message });
+}
+
+/**
+ * Run the purge under the retention lock.
+ *
+ * @param {Object} options
+ * @param {string} options.trigger - 'scheduled' | 'manual'
+ * @param {boolean} [options.dryRun] - report what would be removed without changing anything
+ * @param {string} [options.startedBy] - admin name for manual runs
+ * @returns {Promise<Object|null>} the retention_runs row, or null if another run holds the lock
+ *   or a scheduled run found the purge disabled
+ */
+async function runRetentionPurge({ trigger, dryRun = false, startedBy = null }) {
+  const { acquired, result } = await withLock(supabase, 'scheduler:retention_purge', async (lease) => {
+    const { policy } = await getRetentionPolicy();
+
+    if (trigger === 'scheduled' && !policy.enabled) {
+      log.info('Retention purge disabled — skipping');
+      return null;
+    }
+
+    const run = await startRun({ trigger, dry_run: dryRun, policy, started_by_name: startedBy });
+    const now = new Date().toISOString();
+    const report = {};
+
+    try {
+      for (const [name, rule] of Object.entries(policy.classes)) {
+        if (!rule.enabled) {
+          report[name] = { skipped: 'disabled' };
+          continue;
+        }
+        if (!lease.isHeld()) {
+          report[name] = { skipped: 'lock lost' };
+          continue;
+        }
+        report[name] = { action: rule.action, days: rule.days, ...await PURGERS[name](rule, { dryRun, now, lease }) };
+      }
+
+      await finishRun(run.id, { status: 'completed', report });
+      log.info('Retention purge complete', { runId: run.id, dryRun, trigger });
+      return { ...run, status: 'completed', report };
+    } catch (err) {
+      log.error('Retention purge failed', { runId: run.id, error: err.message });
+      await finishRun(run.id, { status: 'failed', report, error: err.message });
+      return { ...run, status: 'failed', report, error: err.message };
+    }
+  }, { ttlSeconds: 15 * 60 });
+
+  return acquired ? result : null;
+}
+
+async function listRetentionRuns({ limit = 20, offset = 0 } = {}) {
+  const { data, error, count } = await supabase
+    .from('retention_runs')
+    .select('*', { count: 'exact' })
+    .order('started_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { data: data || [], total: count || 0 };
+}
+
+// ─── Scheduler ──────────────────────────────────────────────────────
+
+function startRetentionScheduler() {
+  // Nightly at 03:30, outside business hours
+  cron.schedule('30 3 * * *', () => {
+    runRetentionPurge({ trigger: 'scheduled' })
+      .catch(err => {
+        log.error('Unhandled error in retention purge', { error: err.message });
+      });
+  });
+
+  log.info('Retention purge scheduled — nightly at 03:30');
+}
+
+module.exports = {
+  setSupabaseClient,
+  DATA_CLASSES,
+  DEFAULT_RETENTION_POLICY,
+  getRetentionPolicy,
+  validateRetentionPolicy,
+  saveRetentionPolicy,
+  runRetentionPurge,
+  listRetentionRuns,
+  startRetentionScheduler
+};
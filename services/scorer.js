@@ -18,8 +18,8 @@ const { getPricingConfig } = require('./pricingConfig');
 async function calculateLeadScore(quote, estimate) {
   const { services, answers, remindersOk, preferredContact } = quote;
 
-  // Load config from DB (or file defaults)
-  const config = await getPricingConfig();
+  // Load config from DB (or file defaults) — the version that priced the quote
+  const config = await getPricingConfig(quote.created_at);
   const LEAD_SCORING = config.LEAD_SCORING;
   const QUALIFICATION_THRESHOLDS = config.QUALIFICATION_THRESHOLDS;
   const CONVERSION_FACTORS = config.CONVERSION_FACTORS;
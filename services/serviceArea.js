@@ -0,0 +1,118 @@
+/**
+ * Service Area
+ *
+ * Decides whether a postcode is one we cover and what travel surcharge
+ * applies, using the SERVICE_AREA section of the pricing config and the
+ * bundled district centroids in config/postcodeDistricts.json (no network
+ * lookups — works offline and costs nothing per quote).
+ *
+ * Result statuses:
+ *   in_area      — covered; surcharge is the flat £ travel amount
+ *   out_of_area  — outside every band/zone
+ *   unknown      — postcode missing or its district isn't in the dataset
+ */
+
+const { districts: CENTROIDS } = require('../config/postcodeDistricts.json');
+const { normaliseUkPostcode } = require('./validation');
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+function toRadians(deg) {
+  return deg * Math.PI / 180;
+}
+
+/**
+ * Straight-line (great-circle) distance in miles
+ */
+function distanceMiles(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * 'SA1 1AA' → { district: 'SA1', area: 'SA' }
+ */
+function parsePostcode(postcode) {
+  const normalised = normaliseUkPostcode(postcode);
+  if (!normalised) return null;
+  const district = normalised.split(' ')[0];
+  return { postcode: normalised, district, area: district.match(/^[A-Z]+/)[0] };
+}
+
+function findZone(zones, parsed) {
+  return (zones || []).find(zone => (zone.districts || []).some(d => {
+    const entry = String(d).toUpperCase();
+    return entry === parsed.district || entry === parsed.area;
+  }));
+}
+
+/**
+ * Resolve a postcode against the service area config
+ *
+ * @param {string} postcode
+ * @param {Object} area - SERVICE_AREA from the pricing config
+ * @returns {{ status: string, postcode?: string, district?: string, distanceMiles: number|null,
+ *             surcharge: number, zone?: string, band?: number }}
+ */
+function resolveServiceArea(postcode, area) {
+  const parsed = parsePostcode(postcode);
+  if (!parsed) return { status: 'unknown', distanceMiles: null, surcharge: 0 };
+
+  const centroid = CENTROIDS[parsed.district];
+  const distance = centroid && area.homeBase
+    ? Math.round(distanceMiles(area.homeBase, { lat: centroid[0], lng: centroid[1] }) * 10) / 10
+    : null;
+
+  const base = { postcode: parsed.postcode, district: parsed.district, distanceMiles: distance };
+
+  if (area.mode === 'districts') {
+    const zone = findZone(area.zones, parsed);
+    if (zone) return { ...base, status: 'in_area', surcharge: Number(zone.surcharge) || 0, zone: zone.name || null };
+    // A listed area we simply don't cover vs. somewhere we can't place at all
+    return { ...base, status: centroid ? 'out_of_area' : 'unknown', surcharge: 0 };
+  }
+
+  if (distance === null) return { ...base, status: 'unknown', surcharge: 0 };
+
+  const bands = [...(area.bands || [])].sort((a, b) => a.maxMiles - b.maxMiles);
+  const band = bands.find(b => distance <= b.maxMiles);
+  if (!band) return { ...base, status: 'out_of_area', surcharge: 0 };
+
+  return { ...base, status: 'in_area', surcharge: Number(band.surcharge) || 0, band: band.maxMiles };
+}
+
+/**
+ * Validate a SERVICE_AREA section from the pricing settings API
+ * @returns {string|null} error message, or null if valid
+ */
+function validateServiceArea(area) {
+  if (!area || typeof area !== 'object') return 'Service area must be an object';
+  if (area.mode && !['radius', 'districts'].includes(area.mode)) return "Service area mode must be 'radius' or 'districts'";
+  if (area.outOfArea && !['manual_review', 'decline'].includes(area.outOfArea)) {
+    return "outOfArea must be 'manual_review' or 'decline'";
+  }
+  if (area.homeBase) {
+    const { lat, lng } = area.homeBase;
+    if (typeof lat !== 'number' || typeof lng !== 'number' || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return 'Home base needs a valid lat and lng';
+    }
+  }
+  for (const band of area.bands || []) {
+    if (typeof band.maxMiles !== 'number' || band.maxMiles <= 0) return 'Each band needs a positive maxMiles';
+    if (typeof band.surcharge !== 'number' || band.surcharge < 0) return 'Band surcharges cannot be negative';
+  }
+  for (const zone of area.zones || []) {
+    if (!Array.isArray(zone.districts) || zone.districts.length === 0) return 'Each zone needs a list of districts';
+    if (typeof zone.surcharge !== 'number' || zone.surcharge < 0) return 'Zone surcharges cannot be negative';
+  }
+  return null;
+}
+
+module.exports = {
+  distanceMiles,
+  resolveServiceArea,
+  validateServiceArea
+};
@@ -0,0 +1,142 @@
+/**
+ * Spam Scoring
+ *
+ * Scores quote form submissions and chatbot leads before anything is sent or
+ * estimated. IP rate limits don't stop a bot rotating addresses, and every
+ * spam quote otherwise costs an estimate (Claude), a WhatsApp template send
+ * and an admin alert.
+ *
+ * Signals (points add up; QUARANTINE_SCORE or more quarantines the quote):
+ *   - honeypot field filled in (hidden from people, bots fill everything)
+ *   - form submitted faster than a person could fill it in
+ *   - disposable email domain
+ *   - junk text: links, spam keywords, non-Latin scripts, keyboard mashing
+ *   - the same phone or email submitting repeatedly in a short window (a
+ *     few repeats aren't enough on their own — a customer re-sending the
+ *     form is a duplicate, which intake links to their open quote, not
+ *     spam — but past VELOCITY_HARD_MAX it quarantines outright)
+ *
+ * Quarantined quotes are saved with status 'quarantined' and get no
+ * messages, estimate or alerts until an admin releases them.
+ */
+
+const { phoneLookupVariants } = require('./validation');
+const log = require('./logger').child('SpamCheck');
+
+const QUARANTINE_SCORE = 50;
+
+// The quote form has four steps — nobody gets through them this fast
+const MIN_FORM_SECONDS = 8;
+
+// More than VELOCITY_MAX earlier quotes from one phone number or email
+// address within the window looks like a script, not a repeat customer.
+// More than VELOCITY_HARD_MAX is a script whatever else the form says.
+const VELOCITY_WINDOW_MINUTES = 60;
+const VELOCITY_MAX = 3;
+const VELOCITY_HARD_MAX = 10;
+
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com',
+  '10minutemail.com', 'tempmail.com', 'temp-mail.org', 'tempail.com', 'yopmail.com',
+  'trashmail.com', 'getnada.com', 'dispostable.com', 'throwawaymail.com',
+  'maildrop.cc', 'fakeinbox.com', 'mailnesia.com', 'emailondeck.com', 'mohmal.com'
+]);
+
+const LINK = /https?:\/\/\S+|www\.\S+|\b[a-z0-9-]+\.(?:ru|xyz|top|click|site|online|shop)\b/i;
+const LINKS = new RegExp(LINK.source, 'gi');
+const SPAM_KEYWORDS = /\b(?:seo|backlinks?|casino|crypto|bitcoin|forex|viagra|cialis|guest post|web ?design services|rank(?:ing)? your (?:site|website))\b/i;
+const NON_LATIN = /[\u0400-\u04FF\u0600-\u06FF\u3040-\u30FF\u4E00-\u9FFF]/;
+const MASHED = /(.)\1{4,}|[bcdfghjklmnpqrstvwxz]{7,}/i;
+
+/**
+ * Points for the text a person typed (name plus free-text fields)
+ * @returns {Array<{ reason: string, points: number }>}
+ */
+function junkTextSignals(name, texts) {
+  const signals = [];
+  const allText = [name, ...texts].filter(Boolean).join('\n');
+
+  // No letters in any script at all (e.g. "12345", "!!!") — a Cyrillic or
+  // Arabic name is just a name
+  if (name && (LINK.test(name) || !/\p{L}/u.test(name) || MASHED.test(name))) {
+    signals.push({ reason: 'Junk name', points: 50 });
+  }
+
+  const links = (texts.join('\n').match(LINKS) || []).length;
+  if (links > 0) signals.push({ reason: `${links} link${links === 1 ? '' : 's'} in message`, points: links > 1 ? 40 : 20 });
+
+  if (SPAM_KEYWORDS.test(allText)) signals.push({ reason: 'Spam keywords', points: 40 });
+  if (NON_LATIN.test(allText)) signals.push({ reason: 'Non-Latin text', points: 30 });
+
+  return signals;
+}
+
+/**
+ * How many quotes this phone number or email address has sent recently
+ * (the larger of the two counts, so one quote isn't counted twice)
+ */
+async function recentSubmissionCount(supabase, { email, phone }) {
+  const since = new Date(Date.now() - VELOCITY_WINDOW_MINUTES * 60 * 1000).toISOString();
+  const countWhere = (column, values) => supabase
+    .from('quotes')
+    .select('id', { count: 'exact', head: true })
+    .in(column, values)
+    .gte('created_at', since);
+
+  const [byEmail, byPhone] = await Promise.all([
+    email ? countWhere('email', [email]) : { count: 0 },
+    phone ? countWhere('phone', phoneLookupVariants(phone)) : { count: 0 }
+  ]);
+
+  return Math.max(byEmail.count || 0, byPhone.count || 0);
+}
+
+/**
+ * Score a submission. Never throws — if the velocity lookup fails the other
+ * signals still count.
+ *
+ * @param {Object} submission - { name, email, phone, texts: string[], honeypot?, elapsedMs? }
+ *   elapsedMs is how long the form was open; leave it out for chat leads
+ * @returns {Promise<{ score: number, reasons: string[], quarantine: boolean }>}
+ */
+async function scoreSubmission(supabase, { name, email, phone, texts = [], honeypot, elapsedMs }) {
+  const signals = [];
+
+  if (honeypot) signals.push({ reason: 'Hidden honeypot field filled in', points: 100 });
+
+  const seconds = Number(elapsedMs) / 1000;
+  if (elapsedMs !== undefined && elapsedMs !== null && Number.isFinite(seconds) && seconds < MIN_FORM_SECONDS) {
+    signals.push({ reason: `Form completed in ${Math.max(0, Math.round(seconds))}s`, points: 60 });
+  }
+
+  const domain = email ? email.split('@')[1] : null;
+  if (domain && DISPOSABLE_EMAIL_DOMAINS.has(domain)) {
+    signals.push({ reason: `Disposable email domain (${domain})`, points: 40 });
+  }
+
+  signals.push(...junkTextSignals(name, texts.filter(t => typeof t === 'string')));
+
+  try {
+    const recent = await recentSubmissionCount(supabase, { email, phone });
+    if (recent > VELOCITY_MAX) {
+      signals.push({
+        reason: `${recent + 1} submissions from the same contact in ${VELOCITY_WINDOW_MINUTES} min`,
+        points: recent > VELOCITY_HARD_MAX ? QUARANTINE_SCORE : 30
+      });
+    }
+  } catch (error) {
+    log.warn('Velocity check failed', { error: error.message });
+  }
+
+  const score = signals.reduce((sum, s) => sum + s.points, 0);
+  return {
+    score,
+    reasons: signals.map(s => s.reason),
+    quarantine: score >= QUARANTINE_SCORE
+  };
+}
+
+module.exports = {
+  QUARANTINE_SCORE,
+  scoreSubmission
+};
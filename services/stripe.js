@@ -19,11 +19,37 @@ function getStripe() {
   return stripe;
 }
 
+/**
+ * The one-off coupon for an invoice's discount lines. The coupon already made
+ * for the invoice (stripe_coupon_id) is reused while it's still valid for the
+ * same amount, so a new checkout session doesn't leave another one behind.
+ */
+async function invoiceCoupon(client, invoice, discountPence, discountItems) {
+  if (invoice.stripe_coupon_id) {
+    try {
+      const existing = await client.coupons.retrieve(invoice.stripe_coupon_id);
+      if (existing.valid && existing.amount_off === discountPence) return existing;
+    } catch (error) {
+      log.warn('Stored coupon unavailable, creating a new one', { invoiceNumber: invoice.invoice_number, error: error.message });
+    }
+  }
+
+  return client.coupons.create({
+    amount_off: discountPence,
+    currency: 'gbp',
+    duration: 'once',
+    max_redemptions: 1,
+    name: discountItems.map(item => item.description).filter(Boolean).join(', ').substring(0, 40) || 'Discount',
+    metadata: { invoice_id: invoice.id }
+  });
+}
+
 /**
  * Create a Stripe Checkout Session for an invoice
  *
  * @param {Object} invoice - Invoice data from database
- * @returns {Promise<Object>} - { success, sessionId, paymentUrl } or { success: false, error }
+ * @returns {Promise<Object>} - { success, sessionId, paymentUrl, couponId } or { success: false, error }
+ *   couponId is the invoice's discount coupon (store it as stripe_coupon_id)
  */
 async function createCheckoutSession(invoice) {
   const client = getStripe();
@@ -38,7 +64,14 @@ async function createCheckoutSession(invoice) {
       return { success: false, error: 'BASE_URL not configured' };
     }
 
-    const lineItems = (Array.isArray(invoice.line_items) ? invoice.line_items : []).map(item => ({
+    // Checkout takes no negative line items, so discount and credit lines
+    // become a one-off coupon for their total
+    const items = Array.isArray(invoice.line_items) ? invoice.line_items : [];
+    const itemTotal = item => (parseFloat(item.unit_price) || 0) * (parseInt(item.quantity) || 1);
+    const discountItems = items.filter(item => itemTotal(item) < 0);
+    const discountPence = Math.round(discountItems.reduce((sum, item) => sum - itemTotal(item), 0) * 100);
+
+    const lineItems = items.filter(item => itemTotal(item) >= 0).map(item => ({
       price_data: {
         currency: 'gbp',
         product_data: {
@@ -63,6 +96,11 @@ async function createCheckoutSession(invoice) {
       });
     }
 
+    let coupon = null;
+    if (discountPence > 0) {
+      coupon = await invoiceCoupon(client, invoice, discountPence, discountItems);
+    }
+
     const session = await client.checkout.sessions.create({
       payment_method_types: ['card'],
       mode: 'payment',
@@ -73,6 +111,7 @@ async function createCheckoutSession(invoice) {
         invoice_number: invoice.invoice_number,
       },
       line_items: lineItems,
+      discounts: coupon ? [{ coupon: coupon.id }] : undefined,
       success_url: `${baseUrl}/invoice/${invoice.view_token}?paid=true`,
       cancel_url: `${baseUrl}/invoice/${invoice.view_token}`,
     });
@@ -86,6 +125,7 @@ async function createCheckoutSession(invoice) {
       success: true,
       sessionId: session.id,
       paymentUrl: session.url,
+      couponId: coupon ? coupon.id : null,
     };
 
   } catch (error) {
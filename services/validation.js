@@ -0,0 +1,312 @@
+/**
+ * Quote Input Validation
+ *
+ * Schema-driven validation shared by POST /api/quote and the chatbot's
+ * capture_lead tool, so every quote is stored in the same shape:
+ *
+ *   - phone numbers normalised to E.164 (+447700900123)
+ *   - UK postcodes upper-cased with a single space (SA1 1AA)
+ *   - emails trimmed and lower-cased
+ *   - services checked against the live pricing config
+ *   - answers limited to the keys the estimator and scorer understand
+ *   - measurements (answers.measurements) positive numbers keyed by service
+ *
+ * Errors are returned per field ({ postcode: 'Enter a valid UK postcode' })
+ * rather than thrown, so callers can show them next to the right input.
+ */
+
+const { getPricingConfig } = require('./pricingConfig');
+const { MAX_QUANTITY } = require('./measuredPricing');
+
+// ─── Normalisers ────────────────────────────────────────────────────
+
+const UK_POSTCODE = /^([A-Z]{1,2}\d[A-Z\d]?) ?(\d[A-Z]{2})$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * @returns {string|null} 'SA1 1AA' style postcode, or null if not a UK postcode
+ */
+function normaliseUkPostcode(value) {
+  if (typeof value !== 'string') return null;
+  const compact = value.toUpperCase().replace(/\s+/g, '');
+  if (compact === 'GIR0AA') return 'GIR 0AA';
+  const match = compact.match(UK_POSTCODE);
+  return match ? `${match[1]} ${match[2]}` : null;
+}
+
+/**
+ * Normalise a phone number to E.164. Numbers without a country code are
+ * treated as UK (07…, 01…, 02…); other countries must be written with +.
+ * @returns {string|null} e.g. '+447700900123', or null if it can't be a real number
+ */
+function normalisePhone(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  let cleaned = String(value).trim().replace(/[\s\-().]/g, '');
+
+  if (cleaned.startsWith('00')) cleaned = '+' + cleaned.substring(2);
+  if (/^44\d{9,10}$/.test(cleaned)) cleaned = '+' + cleaned;
+
+  let national;
+  if (cleaned.startsWith('+44')) {
+    // "+44 (0)7700…" is common — drop the bracketed trunk zero
+    national = cleaned.substring(3).replace(/^0/, '');
+  } else if (cleaned.startsWith('+')) {
+    return /^\+[1-9]\d{7,14}$/.test(cleaned) ? cleaned : null;
+  } else if (cleaned.startsWith('0')) {
+    national = cleaned.substring(1);
+  } else {
+    return null;
+  }
+
+  // UK numbers are 9–10 digits after the trunk zero, starting 1, 2, 3, 5, 7, 8 or 9
+  return /^[1235789]\d{8,9}$/.test(national) ? `+44${national}` : null;
+}
+
+/**
+ * Every stored form a phone number might have — rows saved before
+ * normalisation used the national 07… format.
+ */
+function phoneLookupVariants(value) {
+  const e164 = normalisePhone(value);
+  if (!e164) return value ? [String(value).trim()] : [];
+  return e164.startsWith('+44') ? [e164, '0' + e164.substring(3)] : [e164];
+}
+
+function normaliseEmail(value) {
+  if (typeof value !== 'string') return null;
+  const email = value.trim().toLowerCase();
+  return email.length <= 254 && EMAIL.test(email) ? email : null;
+}
+
+// ─── Field types ────────────────────────────────────────────────────
+
+// Each returns { value } or { error }
+const TYPES = {
+  string(input, rule) {
+    if (typeof input !== 'string') return { error: 'Must be text' };
+    const value = input.trim();
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return { error: `Must be ${rule.maxLength} characters or fewer` };
+    }
+    return { value };
+  },
+
+  email(input) {
+    const value = normaliseEmail(input);
+    return value ? { value } : { error: 'Enter a valid email address' };
+  },
+
+  phone(input) {
+    const value = normalisePhone(input);
+    return value ? { value } : { error: 'Enter a valid UK phone number, or include the country code' };
+  },
+
+  postcode(input) {
+    const value = normaliseUkPostcode(input);
+    return value ? { value } : { error: 'Enter a valid UK postcode' };
+  },
+
+  enum(input, rule) {
+    return rule.values.includes(input) ? { value: input } : { error: `Must be one of: ${rule.values.join(', ')}` };
+  },
+
+  boolean(input) {
+    if (input === true || input === 'true') return { value: true };
+    if (input === false || input === 'false') return { value: false };
+    return { error: 'Must be true or false' };
+  },
+
+  services(input, rule, ctx) {
+    if (!Array.isArray(input)) return { error: 'Must be a list of services' };
+    const unknown = input.filter(s => !ctx.serviceSlugs.includes(s));
+    if (unknown.length > 0) return { error: `Unknown service: ${unknown.join(', ')}` };
+    return { value: [...new Set(input)] };
+  },
+
+  // { [service]: quantity } — m², metres, or a count, depending on the service
+  measurements(input, rule, ctx) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Must be an object' };
+    const value = {};
+    for (const [service, raw] of Object.entries(input)) {
+      if (!ctx.serviceSlugs.includes(service)) return { error: `Unknown service: ${service}` };
+      if (isBlank(raw)) continue;
+      const quantity = Number(raw);
+      if (!Number.isFinite(quantity) || quantity <= 0 || quantity > MAX_QUANTITY) {
+        return { error: `${service} must be a number between 0 and ${MAX_QUANTITY}` };
+      }
+      value[service] = quantity;
+    }
+    return { value };
+  },
+
+  answers(input, rule, ctx) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'Must be an object' };
+    const fields = answerFields(ctx);
+    const { errors, value } = validateFields(fields, input, ctx, { strict: true });
+    return errors ? { errors: prefixErrors(errors, 'answers') } : { value };
+  }
+};
+
+// ─── Schemas ────────────────────────────────────────────────────────
+
+const LAST_CLEANED_VALUES = [
+  // Quote form
+  '1year', '1-3years', '3plus', 'unknown',
+  // Chatbot form pre-fill
+  'less-than-1', '1-3-years', '3-plus', 'never'
+];
+
+/**
+ * Allowed answers keys. Sizes come from the pricing config tiers; each
+ * service slug is also allowed as a true/false flag (older form versions).
+ */
+function answerFields(ctx) {
+  const fields = {
+    propertyType: { type: 'string', maxLength: 50 },
+    roughSize: { type: 'enum', values: [...ctx.sizes, 'other'] },
+    lastCleaned: { type: 'enum', values: LAST_CLEANED_VALUES },
+    specificDetails: { type: 'string', maxLength: 2000 },
+    accessNotes: { type: 'string', maxLength: 2000 },
+    measurements: { type: 'measurements' },
+    chatNotes: { type: 'string', maxLength: 2000 },
+    source: { type: 'enum', values: ['chat'] }
+  };
+  for (const slug of ctx.serviceSlugs) fields[slug] = { type: 'boolean' };
+  return fields;
+}
+
+const QUOTE_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phone: { type: 'phone', required: true },
+  addressLine1: { type: 'string', required: true, maxLength: 200 },
+  postcode: { type: 'postcode', required: true },
+  preferredContact: { type: 'enum', values: ['whatsapp', 'email', 'phone'] },
+  bestTime: { type: 'enum', values: ['anytime', 'morning', 'afternoon', 'evening'] },
+  remindersOk: { type: 'boolean' },
+  formVersion: { type: 'string', maxLength: 20 },
+  referralCode: { type: 'string', maxLength: 30 },
+  discountCode: { type: 'string', maxLength: 30 },
+  services: { type: 'services' },
+  answers: { type: 'answers' }
+};
+
+const CHAT_LEAD_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email' },
+  phone: { type: 'phone' },
+  postcode: { type: 'postcode' },
+  services: { type: 'services', required: true },
+  notes: { type: 'string', maxLength: 2000 },
+  discountCode: { type: 'string', maxLength: 30 }
+};
+
+// ─── Validator ──────────────────────────────────────────────────────
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function prefixErrors(errors, prefix) {
+  const prefixed = {};
+  for (const [key, message] of Object.entries(errors)) prefixed[`${prefix}.${key}`] = message;
+  return prefixed;
+}
+
+/**
+ * Check input against a field schema. Blank optional fields are dropped.
+ * With strict, keys not in the schema are errors rather than ignored.
+ * @returns {{ errors: Object|null, value: Object }}
+ */
+function validateFields(fields, input, ctx, { strict = false } = {}) {
+  const errors = {};
+  const value = {};
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const raw = input[name];
+    if (isBlank(raw)) {
+      if (rule.required) errors[name] = 'Required';
+      continue;
+    }
+    const result = TYPES[rule.type](raw, rule, ctx);
+    if (result.errors) Object.assign(errors, result.errors);
+    else if (result.error) errors[name] = result.error;
+    else value[name] = result.value;
+  }
+
+  if (strict) {
+    for (const key of Object.keys(input)) {
+      if (!fields[key]) errors[key] = 'Unknown field';
+    }
+  }
+
+  return { errors: Object.keys(errors).length > 0 ? errors : null, value };
+}
+
+async function loadContext() {
+  const config = await getPricingConfig();
+  const pricing = config.SERVICE_PRICING || {};
+  const sizes = new Set();
+  for (const tiers of Object.values(pricing)) {
+    for (const size of Object.keys(tiers || {})) {
+      if (size !== 'default') sizes.add(size);
+    }
+  }
+  return { serviceSlugs: Object.keys(pricing), sizes: [...sizes] };
+}
+
+/**
+ * One-line summary of field errors for clients that only show `error`
+ */
+function describeErrors(errors) {
+  return 'Please check: ' + Object.entries(errors).map(([field, message]) => `${field} (${message})`).join(', ');
+}
+
+/**
+ * Validate and normalise a POST /api/quote body.
+ * If services is empty, it is derived from service flags in answers;
+ * at least one service is required either way.
+ * @returns {Promise<{ errors: Object|null, value: Object }>}
+ */
+async function validateQuoteRequest(body) {
+  const ctx = await loadContext();
+  const { errors, value } = validateFields(QUOTE_FIELDS, body || {}, ctx);
+
+  if (!errors?.services && !errors?.answers && (!value.services || value.services.length === 0)) {
+    value.services = ctx.serviceSlugs.filter(slug => value.answers?.[slug] === true);
+    if (value.services.length === 0) {
+      return { errors: { ...(errors || {}), services: 'Select at least one service' }, value };
+    }
+  }
+
+  return { errors, value };
+}
+
+/**
+ * Validate and normalise the chatbot's capture_lead input.
+ * Needs at least one way to contact the customer.
+ * @returns {Promise<{ errors: Object|null, value: Object }>}
+ */
+async function validateChatLead(input) {
+  const ctx = await loadContext();
+  const result = validateFields(CHAT_LEAD_FIELDS, input || {}, ctx);
+
+  if (!input?.email && !input?.phone) {
+    result.errors = { ...(result.errors || {}), contact: 'An email address or phone number is required' };
+  }
+  if (!result.errors?.services && result.value.services?.length === 0) {
+    result.errors = { ...(result.errors || {}), services: 'Required' };
+  }
+
+  return result;
+}
+
+module.exports = {
+  normaliseUkPostcode,
+  normalisePhone,
+  normaliseEmail,
+  phoneLookupVariants,
+  describeErrors,
+  validateQuoteRequest,
+  validateChatLead
+};
@@ -7,7 +7,11 @@
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
-const { getPricingConfig } = require('./pricingConfig');
+const { getQuotePricingConfig } = require('./pricingExperiments');
+const { applyReferralDiscount, removeReferralDiscount, describeDiscount } = require('./referrals');
+const { applyCodeDiscount, removeCodeDiscount, describeCodeDiscount } = require('./discountCodes');
+const { clampJobPrice, applyMinimumJobValue, exceedsAutoApprove } = require('./priceLimits');
+const { describeBundle } = require('./bundles');
 const log = require('./logger').child('VisionPricer');
 
 const client = new Anthropic();
@@ -16,7 +20,9 @@ const client = new Anthropic();
  * Analyse uploaded photos and determine a fixed price
  * @param {Object} supabase - Supabase client
  * @param {string} quoteId - Quote UUID
- * @returns {Promise<Object>} { success, finalPrice, confidence, reasoning, flags, error }
+ * @returns {Promise<Object>} { success, finalPrice, discounts, confidence, reasoning, flags, needsApproval, error }
+ *   discounts lists what each code/referral discount took off finalPrice;
+ *   needsApproval is set when a price limit was hit and an admin must check it
  */
 async function analysePhotosAndPrice(supabase, quoteId) {
   try {
@@ -77,14 +83,21 @@ async function analysePhotosAndPrice(supabase, quoteId) {
       throw new Error('Could not download any photos');
     }
 
-    // 4. Load pricing config
-    const pricingConfig = await getPricingConfig();
+    // 4. Load pricing config (the version and experiment variant the quote was estimated with)
+    const pricingConfig = await getQuotePricingConfig(quote);
 
     // 5. Build Claude API request
     const services = (quote.services || []);
     const answers = quote.answers || {};
-    const estimateMin = Number(quote.estimated_value_min) || 0;
-    const estimateMax = Number(quote.estimated_value_max) || 0;
+    // A discounted estimate (code or referral) is grossed back up so the job
+    // is priced at full rate, then the same discounts come off the fixed price
+    const discounts = estimateDiscounts(quote.estimate_breakdown);
+    const estimateMin = fullPrice(Number(quote.estimated_value_min) || 0, discounts);
+    const estimateMax = fullPrice(Number(quote.estimated_value_max) || 0, discounts);
+    const bundle = quote.estimate_breakdown?.bundle;
+    const bundleNote = bundle
+      ? `\n- Bundle: ${describeBundle(bundle)} — a set price for those services on a typical property; keep to it unless the photos show more work than usual`
+      : '';
 
     const imageBlocks = photoBuffers.map(p => ({
       type: 'image',
@@ -103,14 +116,18 @@ QUOTE DETAILS:
 - Services requested: ${services.join(', ')}
 - Property type: ${answers.propertyType || 'unknown'}
 - Size description: ${answers.roughSize || 'unknown'}
+- Measurements given: ${answers.measurements ? JSON.stringify(answers.measurements) : 'none'}
 - Last cleaned: ${answers.lastCleaned || 'unknown'}
 - Customer notes: "${answers.specificDetails || 'none provided'}"
 - Access notes: "${answers.accessNotes || 'none provided'}"
-- Our rule-based estimate range: £${estimateMin} - £${estimateMax}
+- Our rule-based estimate range: £${estimateMin} - £${estimateMax}${bundleNote}
 
 PRICING RULES (from our business config):
 ${JSON.stringify(pricingConfig.SERVICE_PRICING, null, 2)}
 
+PER-UNIT PRICING (used instead of the size bands when a measurement is given; tiers are graduated):
+${JSON.stringify(pricingConfig.MEASURED_PRICING, null, 2)}
+
 MODIFIERS:
 ${JSON.stringify(pricingConfig.MODIFIERS, null, 2)}
 
@@ -194,12 +211,15 @@ Return ONLY valid JSON (no markdown, no code fences):
 
       // Fall back to midpoint of estimate range with low confidence
       const midpoint = Math.round(((estimateMin + estimateMax) / 2) / 5) * 5;
+      const limited = priceWithinLimits(midpoint, quote, discounts, pricingConfig.PRICE_LIMITS);
       return {
         success: true,
-        finalPrice: midpoint,
+        finalPrice: limited.price,
+        discounts: limited.lines,
         confidence: 0.3,
-        reasoning: `AI suggested £${finalPrice} which was outside acceptable range (£${lowerBound}-£${upperBound}). Defaulted to midpoint of estimate range. Manual review recommended.`,
-        flags: ['price_guardrail_triggered', ...(result.flags || [])],
+        reasoning: `AI suggested £${finalPrice} which was outside acceptable range (£${lowerBound}-£${upperBound}). Defaulted to midpoint of estimate range. Manual review recommended.` + describeLimits(limited.notes) + describeDiscounts(limited.fullRate, limited.lines),
+        flags: ['price_guardrail_triggered', ...limited.flags, ...(result.flags || [])],
+        needsApproval: limited.flags.length > 0,
         sizeAssessment: result.sizeAssessment || 'medium',
         conditionScore: result.conditionScore || 3,
         accessDifficulty: result.accessDifficulty || 2,
@@ -218,12 +238,19 @@ Return ONLY valid JSON (no markdown, no code fences):
       estimateRange: `£${estimateMin}-£${estimateMax}`
     });
 
+    const limited = priceWithinLimits(roundedPrice, quote, discounts, pricingConfig.PRICE_LIMITS);
+    if (limited.flags.length > 0) {
+      log.warn('Fixed price needs approval (price limits)', { quoteId, flags: limited.flags, notes: limited.notes });
+    }
+
     return {
       success: true,
-      finalPrice: roundedPrice,
+      finalPrice: limited.price,
+      discounts: limited.lines,
       confidence: result.confidence,
-      reasoning: result.reasoning || '',
-      flags: result.flags || [],
+      reasoning: (result.reasoning || '') + describeLimits(limited.notes) + describeDiscounts(limited.fullRate, limited.lines),
+      flags: [...limited.flags, ...(result.flags || [])],
+      needsApproval: limited.flags.length > 0,
       sizeAssessment: result.sizeAssessment || 'medium',
       conditionScore: result.conditionScore || 3,
       accessDifficulty: result.accessDifficulty || 2,
@@ -246,6 +273,118 @@ Return ONLY valid JSON (no markdown, no code fences):
   }
 }
 
+/**
+ * Discounts the estimate was given, in the order they were applied
+ * @returns {Array<{ label, apply, remove }>}
+ */
+function estimateDiscounts(breakdown) {
+  const discounts = [];
+  const promo = breakdown?.promo;
+  if (promo) {
+    discounts.push({
+      label: `Code ${promo.code} (${describeCodeDiscount(promo)})`,
+      apply: amount => applyCodeDiscount(amount, promo),
+      remove: amount => removeCodeDiscount(amount, promo)
+    });
+  }
+  const referral = breakdown?.referral;
+  if (referral) {
+    discounts.push({
+      label: `Referral discount (${describeDiscount(referral)})`,
+      apply: amount => applyReferralDiscount(amount, referral),
+      remove: amount => removeReferralDiscount(amount, referral)
+    });
+  }
+  return discounts;
+}
+
+/**
+ * Full-rate amount for a discounted estimate figure, rounded to the nearest £5
+ */
+function fullPrice(amount, discounts) {
+  if (discounts.length === 0) return amount;
+  const gross = discounts.reduceRight((value, d) => d.remove(value), amount);
+  return Math.round(gross / 5) * 5;
+}
+
+/**
+ * Fixed price after the estimate's discounts, rounded to the nearest £5,
+ * with what each discount took off (the rounding goes on the last one)
+ * @returns {{ price: number, lines: Array<{ label, amount }> }}
+ */
+function applyDiscounts(price, discounts) {
+  if (discounts.length === 0) return { price, lines: [] };
+
+  let running = price;
+  const lines = discounts.map(d => {
+    const next = d.apply(running);
+    const line = { label: d.label, amount: running - next };
+    running = next;
+    return line;
+  });
+
+  const finalPrice = Math.round(running / 5) * 5;
+  lines[lines.length - 1].amount += running - finalPrice;
+  for (const line of lines) line.amount = Math.round(line.amount * 100) / 100;
+  return { price: finalPrice, lines };
+}
+
+/**
+ * Fixed price for a full-rate price, within PRICE_LIMITS: the full rate is
+ * clamped to the services' combined floor/ceiling, the discounts come off,
+ * and the result is raised to the minimum call-out charge (taken back out of
+ * the discounts, last first, so the invoice still adds up)
+ * @returns {{ fullRate, price, lines, notes, flags }} flags are the reasons
+ *   the price has to go to an admin
+ */
+function priceWithinLimits(price, quote, discounts, priceLimits) {
+  const notes = [];
+  const flags = [];
+
+  const clamped = clampJobPrice(price, quote.services || [], priceLimits);
+  if (clamped.note) notes.push(clamped.note);
+
+  const discounted = applyDiscounts(clamped.price, discounts);
+  const minimum = applyMinimumJobValue(discounted.price, priceLimits);
+  if (minimum.note) {
+    let shortfall = minimum.value - discounted.price;
+    for (let i = discounted.lines.length - 1; i >= 0 && shortfall > 0; i--) {
+      const line = discounted.lines[i];
+      const taken = Math.min(shortfall, line.amount);
+      line.amount = Math.round((line.amount - taken) * 100) / 100;
+      shortfall -= taken;
+    }
+    discounted.lines = discounted.lines.filter(line => line.amount > 0);
+    discounted.price = minimum.value;
+    notes.push(minimum.note);
+  }
+
+  if (notes.length > 0) flags.push('price_clamped');
+  if (quote.estimate_breakdown?.clamped?.length) flags.push('estimate_clamped');
+  if (exceedsAutoApprove(discounted.price, priceLimits)) {
+    flags.push('above_auto_approve_limit');
+    notes.push(`Over the £${priceLimits.maxAutoApprovePrice} auto-approve limit`);
+  }
+
+  return {
+    fullRate: Math.round((discounted.price + discounted.lines.reduce((sum, line) => sum + line.amount, 0)) * 100) / 100,
+    price: discounted.price,
+    lines: discounted.lines,
+    notes,
+    flags
+  };
+}
+
+function describeLimits(notes) {
+  if (notes.length === 0) return '';
+  return ` Price limits: ${notes.join('; ')}.`;
+}
+
+function describeDiscounts(price, lines) {
+  if (lines.length === 0) return '';
+  return ` Discounts taken off £${price}: ` + lines.map(l => `${l.label} -£${l.amount}`).join(', ') + '.';
+}
+
 module.exports = {
   analysePhotosAndPrice
 };
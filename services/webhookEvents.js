@@ -0,0 +1,224 @@
+/**
+ * Webhook Event Store
+ *
+ * Persists every inbound webhook (Resend, Twilio, Stripe) before it is
+ * processed, dedupes retries by provider event ID, and records the outcome.
+ *
+ * Status flow: processing → processed | failed
+ * Events that fail signature verification are stored as 'rejected' and never processed.
+ * A provider retry of a 'failed' event is processed again, as is a retry of
+ * an event stuck in 'processing' for longer than PROCESSING_TIMEOUT_MS (the
+ * instance handling it crashed); any other duplicate is acknowledged without
+ * running the handler.
+ */
+
+const crypto = require('crypto');
+const log = require('./logger').child('WebhookEvents');
+
+// An event still 'processing' after this long is taken to be abandoned
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+let supabase;
+
+function setSupabaseClient(client) {
+  supabase = client;
+}
+
+// Headers worth keeping for debugging signature problems
+const STORED_HEADERS = [
+  'content-type', 'user-agent',
+  'svix-id', 'svix-timestamp', 'svix-signature',
+  'x-twilio-signature', 'i-twilio-idempotency-token',
+  'stripe-signature'
+];
+
+function pickHeaders(req) {
+  const headers = {};
+  for (const name of STORED_HEADERS) {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  }
+  return headers;
+}
+
+function rawBodyOf(req) {
+  if (req.rawBody) return req.rawBody.toString('utf8');
+  return typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {});
+}
+
+/**
+ * Fallback event ID when the provider doesn't send one — same body, same ID
+ */
+function hashEventId(req) {
+  return 'sha256:' + crypto.createHash('sha256').update(rawBodyOf(req)).digest('hex');
+}
+
+function eventRow(req, { provider, eventId, eventType, payload, signatureStatus }) {
+  return {
+    provider,
+    event_id: eventId || hashEventId(req),
+    event_type: eventType || null,
+    payload: payload || null,
+    raw_body: rawBodyOf(req),
+    headers: pickHeaders(req),
+    signature_status: signatureStatus
+  };
+}
+
+function staleBefore() {
+  return new Date(Date.now() - PROCESSING_TIMEOUT_MS).toISOString();
+}
+
+/**
+ * Whether an event is stuck in 'processing' past the timeout
+ */
+function isStaleProcessing(event) {
+  return event.status === 'processing' &&
+    (!event.processing_started_at || new Date(event.processing_started_at) < new Date(staleBefore()));
+}
+
+/**
+ * Store a webhook that failed signature verification (never processed)
+ */
+async function recordRejected(req, details) {
+  const { error } = await supabase.from('webhook_events').insert({
+    ...eventRow(req, { ...details, signatureStatus: 'failed' }),
+    status: 'rejected'
+  });
+  if (error) log.error('Failed to store rejected webhook', { provider: details.provider, error: error.message });
+}
+
+/**
+ * Store an event and claim it for processing.
+ *
+ * @returns {Promise<{ event: Object|null, duplicate: boolean }>}
+ *   event is null if the store is unavailable — the caller should still process.
+ */
+async function claimEvent(req, details) {
+  const row = eventRow(req, details);
+
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .insert({ ...row, status: 'processing', attempts: 1, processing_started_at: new Date().toISOString() })
+    .select()
+    .single();
+
+  if (!error) return { event: data, duplicate: false };
+
+  if (error.code !== '23505') {
+    log.error('Failed to store webhook event', { provider: row.provider, error: error.message });
+    return { event: null, duplicate: false };
+  }
+
+  const { data: existing } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('provider', row.provider)
+    .eq('event_id', row.event_id)
+    .neq('signature_status', 'failed')
+    .single();
+
+  const stale = existing && isStaleProcessing(existing);
+  if (!existing || (existing.status !== 'failed' && !stale)) {
+    log.info('Duplicate webhook ignored', { provider: row.provider, eventId: row.event_id });
+    return { event: existing || null, duplicate: true };
+  }
+
+  // Provider is retrying an event we failed on, or one abandoned mid-processing —
+  // try again (the conditional update means only one retry wins the claim)
+  let reclaim = supabase
+    .from('webhook_events')
+    .update({
+      status: 'processing',
+      attempts: (existing.attempts || 0) + 1,
+      error: null,
+      processing_started_at: new Date().toISOString()
+    })
+    .eq('id', existing.id);
+  reclaim = stale
+    ? reclaim.eq('status', 'processing').or(`processing_started_at.is.null,processing_started_at.lt.${staleBefore()}`)
+    : reclaim.eq('status', 'failed');
+  const { data: reclaimed } = await reclaim.select().maybeSingle();
+
+  if (reclaimed && stale) log.warn('Reclaimed webhook stuck in processing', { provider: row.provider, eventId: row.event_id });
+  return reclaimed ? { event: reclaimed, duplicate: false } : { event: existing, duplicate: true };
+}
+
+async function markProcessed(event) {
+  if (!event) return;
+  await supabase.from('webhook_events')
+    .update({ status: 'processed', error: null, processed_at: new Date().toISOString() })
+    .eq('id', event.id)
+    .then(() => {}).catch(() => {});
+}
+
+async function markFailed(event, err) {
+  if (!event) return;
+  await supabase.from('webhook_events')
+    .update({ status: 'failed', error: String(err?.message || err).substring(0, 1000) })
+    .eq('id', event.id)
+    .then(() => {}).catch(() => {});
+}
+
+/**
+ * Store, dedupe and process an inbound webhook.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} details - { provider, eventId, eventType, payload, signatureStatus }
+ * @param {Function} processor - async (payload) => void; throw to mark the event failed
+ * @returns {Promise<{ duplicate: boolean, success: boolean, error?: string }>}
+ */
+async function receiveWebhook(req, details, processor) {
+  const { event, duplicate } = await claimEvent(req, details);
+  if (duplicate) return { duplicate: true, success: true };
+
+  try {
+    await processor(details.payload);
+    await markProcessed(event);
+    return { duplicate: false, success: true };
+  } catch (err) {
+    log.error('Webhook processing failed', { provider: details.provider, eventId: event?.event_id, error: err.message });
+    await markFailed(event, err);
+    return { duplicate: false, success: false, error: err.message };
+  }
+}
+
+/**
+ * Re-run a stored event through its provider's processor (admin replay).
+ * Claims the event first — unless it's being processed right now (and not
+ * stuck past the timeout), in which case nothing runs.
+ * @returns {Promise<{ success: boolean, inProgress?: boolean, error?: string }>}
+ */
+async function replayEvent(event, processor) {
+  const now = new Date().toISOString();
+  const { data: claimed } = await supabase.from('webhook_events')
+    .update({
+      status: 'processing',
+      attempts: (event.attempts || 0) + 1,
+      last_replayed_at: now,
+      processing_started_at: now
+    })
+    .eq('id', event.id)
+    .or(`status.neq.processing,processing_started_at.is.null,processing_started_at.lt.${staleBefore()}`)
+    .select()
+    .maybeSingle();
+
+  if (!claimed) return { success: false, inProgress: true, error: 'Event is already being processed' };
+
+  try {
+    await processor(event.payload);
+    await markProcessed(event);
+    return { success: true };
+  } catch (err) {
+    log.error('Webhook replay failed', { provider: event.provider, eventId: event.event_id, error: err.message });
+    await markFailed(event, err);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  setSupabaseClient,
+  isStaleProcessing,
+  recordRejected,
+  receiveWebhook,
+  replayEvent
+};
@@ -7,6 +7,8 @@
 
 const twilio = require('twilio');
 const log = require('./logger').child('WhatsApp');
+const { customerLink } = require('./linkTokens');
+const { normalisePhone } = require('./validation');
 
 // Initialize Twilio client
 const client = twilio(
@@ -93,14 +95,13 @@ async function sendEstimateWhatsApp(quote) {
       ? `at your preferred time (${quote.best_time})`
       : 'shortly';
 
-    const baseUrl = process.env.BASE_URL || '';
     const vars = {
       '1': String(quote.name || 'Customer'),
       '2': String(priceRange || 'Price TBC'),
       '3': String(servicesBullets || '• Cleaning service'),
       '4': String(location || 'Location TBC'),
       '5': String(contactTiming),
-      '6': String(`${baseUrl}/accept-estimate/${quote.id}`)
+      '6': String(customerLink(quote, 'accept_estimate'))
     };
     log.debug('Estimate variables', vars);
 
@@ -297,6 +298,10 @@ async function sendRescheduleWhatsApp(job, formattedDate, timeSlot) {
  * Format phone number for WhatsApp (add country code if missing)
  */
 function formatPhoneNumber(phone) {
+  const e164 = normalisePhone(phone);
+  if (e164) return `whatsapp:${e164}`;
+
+  // Not a recognisable number — best guess, as before validation existed
   let cleaned = phone.replace(/[\s\-\(\)]/g, '');
 
   if (cleaned.startsWith('0')) {
@@ -334,9 +339,10 @@ function capitalizeService(service) {
  *
  * @param {Object} job - Job data with customer info
  * @param {string} reviewUrl - Google Business Profile review URL
+ * @param {Object} [referral] - { code, link, offer, reward } to invite them to refer friends
  * @returns {Promise<Object>} - Twilio API response
  */
-async function sendReviewRequestWhatsApp(job, reviewUrl) {
+async function sendReviewRequestWhatsApp(job, reviewUrl, referral = null) {
   try {
     if (!job.customer_phone) {
       log.info('No customer phone for review request');
@@ -346,7 +352,10 @@ async function sendReviewRequestWhatsApp(job, reviewUrl) {
     log.info('Sending review request', { phone: job.customer_phone });
 
     const toWhatsApp = formatPhoneNumber(job.customer_phone);
-    const body = `Hi ${job.customer_name || 'there'}, thanks for choosing Revive! We hope your ${job.service || 'property'} is looking brilliant. If you have 30 seconds, a quick Google review would really help us out:\n\n${reviewUrl}\n\nThanks again! - The Revive Team`;
+    const referralText = referral
+      ? `\n\nKnow someone who'd like the same? Friends who quote with your code *${referral.code}* get ${referral.offer} their first clean, and you get ${referral.reward} off your next invoice once their job is done:\n${referral.link}`
+      : '';
+    const body = `Hi ${job.customer_name || 'there'}, thanks for choosing Revive! We hope your ${job.service || 'property'} is looking brilliant. If you have 30 seconds, a quick Google review would really help us out:\n\n${reviewUrl}${referralText}\n\nThanks again! - The Revive Team`;
 
     const message = await client.messages.create({
       from: FROM_WHATSAPP,
@@ -380,8 +389,7 @@ async function sendPhotoRequestWhatsApp(quote) {
     const toWhatsApp = formatPhoneNumber(quote.phone);
     const services = (quote.services || []).map(s => capitalizeService(s)).join(', ');
     const priceRange = `£${Number(quote.estimated_value_min || 0).toFixed(0)} - £${Number(quote.estimated_value_max || 0).toFixed(0)}`;
-    const baseUrl = process.env.BASE_URL || '';
-    const uploadUrl = `${baseUrl}/upload-photos/${quote.id}`;
+    const uploadUrl = customerLink(quote, 'upload_photos');
 
     const templateSid = process.env.TWILIO_PHOTO_REQUEST_TEMPLATE;
 
@@ -435,8 +443,7 @@ async function sendFinalPriceWhatsApp(quote) {
 
     const toWhatsApp = formatPhoneNumber(quote.phone);
     const services = (quote.services || []).map(s => capitalizeService(s)).join(', ');
-    const baseUrl = process.env.BASE_URL || '';
-    const acceptUrl = `${baseUrl}/final-price/${quote.id}`;
+    const acceptUrl = customerLink(quote, 'final_price');
 
     const templateSid = process.env.TWILIO_FINAL_PRICE_TEMPLATE;
 
@@ -477,6 +484,64 @@ async function sendFinalPriceWhatsApp(quote) {
   }
 }
 
+/**
+ * Send a revised estimate or fixed price via WhatsApp, with what changed
+ *
+ * Template variables (TWILIO_REVISED_PRICE_TEMPLATE):
+ *   {{1}} = Customer name
+ *   {{2}} = What changed (one line per change)
+ *   {{3}} = Link to accept
+ */
+async function sendRevisedPriceWhatsApp(quote, { changes, purpose, note }) {
+  try {
+    if (!quote.phone) {
+      return { success: false, error: 'No phone number' };
+    }
+
+    log.info('Sending revised price', { phone: quote.phone, revision: quote.price_revision });
+
+    const toWhatsApp = formatPhoneNumber(quote.phone);
+    const url = customerLink(quote, purpose);
+    const changeLines = changes.map(line => `• ${line}`).join('\n');
+
+    const templateSid = process.env.TWILIO_REVISED_PRICE_TEMPLATE;
+
+    if (templateSid) {
+      const message = await client.messages.create({
+        from: FROM_WHATSAPP,
+        to: toWhatsApp,
+        contentSid: templateSid,
+        contentVariables: JSON.stringify({
+          '1': String(quote.name || 'there'),
+          '2': changeLines,
+          '3': String(url)
+        })
+      });
+
+      log.info('Revised price sent via template', { messageSid: message.sid });
+      return { success: true, messageSid: message.sid };
+    }
+
+    // Freeform fallback
+    const body = `Hi ${quote.name || 'there'}, we've updated the price we sent you:\n\n${changeLines}\n\n` +
+      (note ? `${note}\n\n` : '') +
+      `${purpose === 'final_price' ? 'Accept and book your slot online' : 'Accept your updated estimate online'}:\n${url}`;
+
+    const message = await client.messages.create({
+      from: FROM_WHATSAPP,
+      to: toWhatsApp,
+      body: body
+    });
+
+    log.info('Revised price sent via freeform', { messageSid: message.sid });
+    return { success: true, messageSid: message.sid };
+
+  } catch (error) {
+    log.warn('Revised price WhatsApp failed', { quoteId: quote.id, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Send booking confirmation via WhatsApp
  */
@@ -516,7 +581,7 @@ async function sendBookingConfirmationWhatsApp(quote, job) {
     }
 
     // Freeform fallback
-    const body = `Hi ${quote.name || 'there'}, you're all booked in! 🎉\n\n📅 *${dateFormatted}*\n⏰ *${timeFormatted}*\n🏠 ${services}\n💰 £${Number(quote.final_price).toFixed(0)}\n\nBefore the day:\n• Move vehicles/items away from the work area\n• Ensure access to outdoor taps if possible\n• Let us know about any pets or gates\n\nNeed to reschedule? Just reply to this message. See you soon!`;
+    const body = `Hi ${quote.name || 'there'}, you're all booked in! 🎉\n\n📅 *${dateFormatted}*\n⏰ *${timeFormatted}*\n🏠 ${services}\n💰 £${Number(job.job_value ?? quote.final_price).toFixed(0)}\n\nBefore the day:\n• Move vehicles/items away from the work area\n• Ensure access to outdoor taps if possible\n• Let us know about any pets or gates\n\nNeed to reschedule? Just reply to this message. See you soon!`;
 
     const message = await client.messages.create({
       from: FROM_WHATSAPP,
@@ -533,6 +598,35 @@ async function sendBookingConfirmationWhatsApp(quote, job) {
   }
 }
 
+/**
+ * Send a one-time my-schedule login link to a team member (freeform message)
+ *
+ * @param {Object} member - Team member ({ name, phone })
+ * @param {string} loginUrl - Magic link (expires in 15 minutes)
+ */
+async function sendTeamLoginLinkWhatsApp(member, loginUrl) {
+  try {
+    if (!member.phone) {
+      return { success: false, error: 'No phone number' };
+    }
+
+    log.info('Sending team login link', { phone: member.phone });
+
+    const message = await client.messages.create({
+      from: FROM_WHATSAPP,
+      to: formatPhoneNumber(member.phone),
+      body: `Hi ${member.name || 'there'}, here's your Revive schedule login link (works once, expires in 15 minutes):\n\n${loginUrl}`
+    });
+
+    log.info('Team login link sent', { messageSid: message.sid });
+    return { success: true, messageSid: message.sid };
+
+  } catch (error) {
+    log.warn('Team login link WhatsApp failed', { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   sendConfirmationWhatsApp,
   sendEstimateWhatsApp,
@@ -542,5 +636,7 @@ module.exports = {
   sendReviewRequestWhatsApp,
   sendPhotoRequestWhatsApp,
   sendFinalPriceWhatsApp,
-  sendBookingConfirmationWhatsApp
+  sendRevisedPriceWhatsApp,
+  sendBookingConfirmationWhatsApp,
+  sendTeamLoginLinkWhatsApp
 };